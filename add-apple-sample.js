@@ -112,7 +112,8 @@ RISK FACTORS:
                     content: chunk,
                     document_type: 'Financial-Report',
                     source: 'Apple Q4 2024 10-Q Filing',
-                    created_at: new Date().toISOString()
+                    created_at: new Date().toISOString(),
+                    superseded: false
                 }
             }]);
             
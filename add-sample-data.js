@@ -73,7 +73,8 @@ async function addDocumentToDatabase(content, company, docType, source) {
                     content: chunk,
                     document_type: docType,
                     source: source,
-                    created_at: new Date().toISOString()
+                    created_at: new Date().toISOString(),
+                    superseded: false
                 }
             }]);
             
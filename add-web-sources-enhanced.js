@@ -1,6 +1,8 @@
 require('dotenv').config();
 const OpenAI = require('openai');
-const PineconeREST = require('./pinecone-rest');
+const { createVectorStore } = require('./vector-store');
+const DocumentRegistry = require('./document-registry');
+const { StructuredChunker } = require('./chunker');
 const cheerio = require('cheerio');
 const axios = require('axios');
 
@@ -9,14 +11,11 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
-const pinecone = new PineconeREST({
-  apiKey: process.env.PINECONE_API_KEY,
-  environment: process.env.PINECONE_ENVIRONMENT,
-});
+const pinecone = createVectorStore();
+const registry = new DocumentRegistry();
 
 // Configuration
-const MAX_CHUNK_SIZE = 1500;
-const OVERLAP_SIZE = 200;
+const chunker = new StructuredChunker({ maxChars: 1600, overlapChars: 200 });
 const MAX_RETRIES = 3;
 const REQUEST_DELAY = 2000; // 2 seconds between requests
 
@@ -469,47 +468,21 @@ class EnhancedWebSourcesProcessor {
   }
 
   createChunks(content, metadata, ticker) {
-    const chunks = [];
-    let position = 0;
-    
-    while (position < content.length) {
-      const end = Math.min(position + MAX_CHUNK_SIZE, content.length);
-      let chunk = content.slice(position, end);
-      
-      // Try to break at sentence boundary
-      if (end < content.length) {
-        const lastSentence = chunk.lastIndexOf('. ');
-        const lastNewline = chunk.lastIndexOf('\n');
-        const breakPoint = Math.max(lastSentence, lastNewline);
-        
-        if (breakPoint > position + MAX_CHUNK_SIZE * 0.7) {
-          chunk = content.slice(position, breakPoint + 1);
-          position = breakPoint + 1;
-        } else {
-          position = end - OVERLAP_SIZE;
-        }
-      } else {
-        position = end;
-      }
-      
-      if (chunk.trim().length > 100) {
-        chunks.push({
-          content: chunk.trim(),
-          metadata: {
-            company: ticker,
-            source: metadata.source || 'Web Content',
-            sourceType: 'web-enhanced',
-            contentType: metadata.type,
-            url: metadata.url,
-            priority: metadata.priority || 'medium',
-            timestamp: new Date().toISOString().split('T')[0],
-            content: chunk.trim()
-          }
-        });
+    return chunker.chunk(content, {
+      company: ticker,
+      source: metadata.source || 'Web Content',
+      sourceType: 'web-enhanced',
+      contentType: metadata.type,
+      url: metadata.url,
+      priority: metadata.priority || 'medium',
+      timestamp: new Date().toISOString().split('T')[0]
+    }).map(chunk => ({
+      content: chunk.content,
+      metadata: {
+        ...chunk.metadata,
+        content: chunk.content
       }
-    }
-    
-    return chunks;
+    }));
   }
 
   async generateEmbedding(text) {
@@ -527,6 +500,7 @@ class EnhancedWebSourcesProcessor {
   }
 
   async uploadChunks(chunks, ticker, metadata) {
+    const documentId = `${ticker}-ENHANCED-${metadata.type.replace(/\s+/g, '')}-${Date.now()}`;
     const vectors = [];
     
     for (let i = 0; i < chunks.length; i++) {
@@ -534,9 +508,12 @@ class EnhancedWebSourcesProcessor {
         const embedding = await this.generateEmbedding(chunks[i].content);
         
         vectors.push({
-          id: `${ticker}-ENHANCED-${metadata.type.replace(/\s+/g, '')}-${Date.now()}-${i + 1}`,
+          id: `${documentId}-${i + 1}`,
           values: embedding,
-          metadata: chunks[i].metadata
+          metadata: {
+            ...chunks[i].metadata,
+            documentId: documentId
+          }
         });
         
       } catch (error) {
@@ -548,6 +525,26 @@ class EnhancedWebSourcesProcessor {
     // Upload all vectors
     try {
       await pinecone.upsert(vectors);
+
+      if (vectors.length === 0) {
+        return 0;
+      }
+
+      registry.register({
+        id: documentId,
+        company: ticker,
+        originalFilename: metadata.url,
+        documentType: metadata.type,
+        source: metadata.source || 'Web Content',
+        sourceType: 'web-enhanced',
+        uploadDate: new Date().toISOString().split('T')[0],
+        chunkIds: vectors.map(vector => vector.id),
+        contentHash: DocumentRegistry.hashContent(chunks.map(chunk => chunk.content).join('\n')),
+        incognito: false,
+        sellSideAnonymized: false,
+        url: metadata.url
+      });
+
       return vectors.length;
     } catch (error) {
       console.error(`      ❌ Failed to upload chunks:`, error.message);
@@ -343,7 +343,8 @@ Industry Trends:
           values: embedding,
           metadata: {
             ...chunks[i].metadata,
-            content: chunks[i].content
+            content: chunks[i].content,
+            superseded: false
           }
         });
         
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const OpenAI = require('openai');
-const PineconeREST = require('./pinecone-rest');
+const { createVectorStore } = require('./vector-store');
+const DocumentRegistry = require('./document-registry');
 const cheerio = require('cheerio');
 
 // Initialize APIs
@@ -8,10 +9,8 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
-const pinecone = new PineconeREST({
-  apiKey: process.env.PINECONE_API_KEY,
-  environment: process.env.PINECONE_ENVIRONMENT,
-});
+const pinecone = createVectorStore();
+const registry = new DocumentRegistry();
 
 // Configuration
 const MAX_CHUNK_SIZE = 1500;
@@ -308,6 +307,7 @@ class WebSourcesProcessor {
   async uploadChunks(chunks, ticker, source) {
     console.log(`    📄 Created ${chunks.length} chunks`);
     
+    const documentId = `${ticker}-WEB-${source.type.replace(/\s+/g, '')}-${Date.now()}`;
     const vectors = [];
     
     for (let i = 0; i < chunks.length; i++) {
@@ -315,10 +315,11 @@ class WebSourcesProcessor {
         const embedding = await this.generateEmbedding(chunks[i].content);
         
         vectors.push({
-          id: `${ticker}-WEB-${source.type.replace(/\s+/g, '')}-${Date.now()}-${i + 1}`,
+          id: `${documentId}-${i + 1}`,
           values: embedding,
           metadata: {
             ...chunks[i].metadata,
+            documentId: documentId,
             content: chunks[i].content
           }
         });
@@ -335,6 +336,7 @@ class WebSourcesProcessor {
     }
     
     // Upload in batches
+    const uploadedIds = [];
     for (let i = 0; i < vectors.length; i += BATCH_SIZE) {
       const batch = vectors.slice(i, i + BATCH_SIZE);
       
@@ -342,6 +344,7 @@ class WebSourcesProcessor {
       while (retries < MAX_RETRIES) {
         try {
           await pinecone.upsert(batch);
+          uploadedIds.push(...batch.map(vector => vector.id));
           break;
         } catch (error) {
           retries++;
@@ -355,6 +358,23 @@ class WebSourcesProcessor {
       }
     }
     
+    if (uploadedIds.length > 0) {
+      registry.register({
+        id: documentId,
+        company: ticker,
+        originalFilename: source.url,
+        documentType: source.type,
+        source: `${source.type} - Web`,
+        sourceType: 'web-content',
+        uploadDate: new Date().toISOString().split('T')[0],
+        chunkIds: uploadedIds,
+        contentHash: DocumentRegistry.hashContent(chunks.map(chunk => chunk.content).join('\n')),
+        incognito: false,
+        sellSideAnonymized: false,
+        url: source.url
+      });
+    }
+    
     console.log(`    🎉 Successfully processed ${vectors.length}/${chunks.length} chunks for ${source.type}`);
     return vectors.length;
   }
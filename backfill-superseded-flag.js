@@ -0,0 +1,37 @@
+require('dotenv').config();
+const { createVectorStore } = require('./vector-store');
+
+// Optional clean-up: retrieval treats vectors without a superseded flag as active, so nothing
+// depends on this. Vectors stored before the flag existed (older server versions and scripts)
+// get superseded: false, so every vector carries it.
+// Needs a store that can list ids: the local store or a serverless Pinecone index.
+//
+//   node backfill-superseded-flag.js [--dry-run]
+async function backfillSupersededFlag() {
+  const dryRun = process.argv.includes('--dry-run');
+  const index = createVectorStore();
+
+  console.log('🔍 Listing vector ids...');
+  const ids = await index.listIds('');
+  console.log(`📊 ${ids.length} vectors in the index`);
+
+  let missing = 0;
+  for (let i = 0; i < ids.length; i += 100) {
+    const fetched = await index.fetch(ids.slice(i, i + 100));
+    const updates = Object.values(fetched.vectors || {})
+      .filter(vector => (vector.metadata || {}).superseded === undefined)
+      .map(vector => ({ id: vector.id, metadata: { superseded: false } }));
+
+    missing += updates.length;
+    if (updates.length > 0 && !dryRun) {
+      await index.updateMetadataMany(updates);
+    }
+  }
+
+  console.log(`${dryRun ? '🧪 Would stamp' : '✅ Stamped'} ${missing} vectors with superseded: false`);
+}
+
+backfillSupersededFlag().catch(error => {
+  console.error('❌ Backfill failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,395 @@
+// Structure-aware chunking.
+// Text is split into blocks (paragraphs and tables) while tracking the heading
+// hierarchy and page numbers, then blocks are packed into chunks of a character budget.
+// Chunks never span two sections, and tables are kept whole where possible.
+// Page breaks are marked with form feeds ('\f'), as produced by the PDF extractor.
+
+// Sizes are in characters, not tokens. 1,600 characters is about 400 tokens of English prose;
+// figures and tables take more tokens per character, which the embedding model's 8,191-token
+// input limit leaves room for even at maxTableChars.
+const DEFAULT_OPTIONS = {
+  maxChars: 1600,       // Target chunk size
+  overlapChars: 200,    // Text carried into the next chunk of the same section
+  maxTableChars: 6400,  // Tables up to this size stay in a single chunk
+  minChars: 100,        // Drop fragments shorter than this
+  detectHeadings: true  // Off for text without headings, such as a transcript speaker turn
+};
+
+function detectHeading(line) {
+  if (line.length > 120) {
+    return null;
+  }
+
+  const markdown = line.match(/^(#{1,6})\s+(.+)$/);
+  if (markdown) {
+    return { level: markdown[1].length, title: cleanTitle(markdown[2]) };
+  }
+
+  if (/^PART\s+[IVX]+\b/i.test(line)) {
+    return { level: 1, title: cleanTitle(line) };
+  }
+
+  if (/^ITEM\s+\d+[A-Z]?(\.|:|\s|$)/i.test(line)) {
+    return { level: 2, title: cleanTitle(line) };
+  }
+
+  // Numbered headings such as "2. Overview" or "3.1 Liquidity", but not numbered sentences
+  const numbered = line.match(/^(\d+(?:\.\d+)*)\.?\s+([A-Z][^.]{2,80})$/);
+  if (numbered && numbered[2].split(/\s+/).length <= 10) {
+    return { level: 2 + numbered[1].split('.').length, title: cleanTitle(line) };
+  }
+
+  // Short all-caps lines such as "RISK FACTORS"
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 4 && line.length <= 80 && letters === letters.toUpperCase() && !/[.;]$/.test(line)) {
+    return { level: 6, title: cleanTitle(line) };
+  }
+
+  // Short title-case lines such as "Liquidity and Capital Resources"
+  const words = line.split(/\s+/);
+  const minorWords = ['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with'];
+  if (line.length <= 60 && words.length <= 8 && !/[.,;:!?]$/.test(line) && /^[A-Z]/.test(line) &&
+      words.every(word => minorWords.includes(word) || /^[A-Z0-9&(]/.test(word))) {
+    return { level: 7, title: cleanTitle(line) };
+  }
+
+  return null;
+}
+
+function cleanTitle(title) {
+  return title
+    .replace(/^#+\s*/, '')
+    .replace(/[\s.:]+$/, '')
+    .replace(/\s+/g, ' ')
+    .slice(0, 100);
+}
+
+// Cells of a whitespace-aligned line: runs of text separated by two or more spaces or a tab,
+// with their start and end columns
+function alignedCells(line) {
+  return [...(line || '').replace(/\s+$/, '').matchAll(/\S+(?: \S+)*/g)]
+    .map(match => ({ start: match.index, end: match.index + match[0].length }));
+}
+
+// Same number of cells, each left- or right-aligned with the cell above or below it
+function columnsAlign(cells, other) {
+  return cells.length === other.length &&
+    cells.every((cell, i) => i === 0 || Math.abs(cell.start - other[i].start) <= 1 || Math.abs(cell.end - other[i].end) <= 1);
+}
+
+// previous and next are the neighbouring lines: a whitespace-aligned line only counts as a row
+// when one of them has the same columns, so prose with double spaces stays prose
+function isTableRow(line, previous, next) {
+  const trimmed = line.trim();
+
+  if ((trimmed.match(/\|/g) || []).length >= 2) {
+    return true;
+  }
+
+  if (trimmed.split('\t').filter(cell => cell.trim()).length >= 3) {
+    return true;
+  }
+
+  const cells = alignedCells(line);
+  if (cells.length >= 3 && [previous, next].some(other => columnsAlign(cells, alignedCells(other)))) {
+    return true;
+  }
+
+  // Rows of figures, e.g. "Revenue $ 1,234 $ 1,100 12%", or a longer label ending in at least
+  // two figures, e.g. "Total Net Sales 1,400 1,250"
+  const tokens = trimmed.split(/\s+/).filter(token => token !== '$');
+  const isFigure = token => /^\(?[$€£]?-?[\d,]+(\.\d+)?%?\)?$/.test(token) && /\d/.test(token);
+  const numeric = tokens.filter(isFigure);
+  if (/\.$/.test(trimmed) || numeric.length < 2) {
+    return false;
+  }
+  return numeric.length / tokens.length >= 0.5 || tokens.slice(-2).every(isFigure);
+}
+
+// Split text into paragraph and table blocks annotated with section and page
+function parseBlocks(text, detectHeadings = true) {
+  const pages = text.split('\f');
+  const hasPages = pages.length > 1;
+  const headingStack = [];
+  const blocks = [];
+  let paragraph = null;
+  let table = null;
+
+  const sectionPath = () => headingStack.map(heading => heading.title).join(' > ');
+
+  const startBlock = (type, pageNumber) => ({
+    type,
+    lines: [],
+    sectionPath: sectionPath(),
+    pageStart: pageNumber,
+    pageEnd: pageNumber
+  });
+
+  const flushParagraph = () => {
+    if (paragraph && paragraph.lines.length > 0) {
+      blocks.push({ ...paragraph, text: paragraph.lines.join(' ') });
+    }
+    paragraph = null;
+  };
+
+  const flushTable = () => {
+    if (table && table.lines.length >= 2) {
+      blocks.push({ ...table, text: table.lines.join('\n') });
+    } else if (table) {
+      // A single aligned line is not a table
+      blocks.push({ ...table, type: 'paragraph', text: table.lines.join(' ') });
+    }
+    table = null;
+  };
+
+  pages.forEach((page, pageIndex) => {
+    const pageNumber = hasPages ? pageIndex + 1 : null;
+
+    page.split('\n').forEach((rawLine, i, lines) => {
+      const line = rawLine.trim();
+
+      if (!line) {
+        flushParagraph();
+        flushTable();
+        return;
+      }
+
+      // Table rows first: a row such as "Products 1,000 900" also looks like a title-case heading
+      const tableRow = isTableRow(rawLine, lines[i - 1], lines[i + 1]);
+      const heading = detectHeadings && !tableRow ? detectHeading(line) : null;
+      if (heading) {
+        flushParagraph();
+        flushTable();
+        while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= heading.level) {
+          headingStack.pop();
+        }
+        headingStack.push(heading);
+        return;
+      }
+
+      if (tableRow) {
+        flushParagraph();
+        table = table || startBlock('table', pageNumber);
+        table.lines.push(rawLine.replace(/\s+$/, ''));
+        table.pageEnd = pageNumber;
+        return;
+      }
+
+      flushTable();
+      paragraph = paragraph || startBlock('paragraph', pageNumber);
+      paragraph.lines.push(line);
+      paragraph.pageEnd = pageNumber;
+    });
+  });
+
+  flushParagraph();
+  flushTable();
+  return blocks;
+}
+
+// Break an oversized paragraph at sentence boundaries, falling back to words
+function splitLongText(text, maxChars) {
+  const pieces = [];
+  let current = '';
+
+  const sentences = text.split(/(?<=[.!?])\s+/);
+  sentences.forEach(sentence => {
+    if (sentence.length > maxChars) {
+      const words = sentence.split(/\s+/);
+      words.forEach(word => {
+        if (current && current.length + 1 + word.length > maxChars) {
+          pieces.push(current);
+          current = '';
+        }
+        current = current ? `${current} ${word}` : word;
+      });
+      return;
+    }
+
+    if (current && current.length + 1 + sentence.length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${sentence}` : sentence;
+  });
+
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+// Trailing sentences of a chunk, used as overlap for the next one
+function overlapTail(text, overlapChars) {
+  if (overlapChars <= 0) {
+    return '';
+  }
+
+  const sentences = text.split(/(?<=[.!?])\s+/);
+  let tail = '';
+  for (let i = sentences.length - 1; i >= 0; i--) {
+    const candidate = tail ? `${sentences[i]} ${tail}` : sentences[i];
+    if (candidate.length > overlapChars) {
+      break;
+    }
+    tail = candidate;
+  }
+  return tail;
+}
+
+const TABLE_SEPARATOR = /^\|(?:\s*:?-{3,}:?\s*\|)+$/;
+const TABLE_UNIT = /\b(?:in|amounts in|dollars in|\$ in)\s+(thousands|millions|billions)\b/i;
+const PERIOD_HEADING = /\b(?:19|20)\d{2}\b|\bended\b|\bQ[1-4]\b|\b[1-4]Q\b|\bFY\s?'?\d{2}/i;
+const XBRL_CONCEPT = /\[([a-z][\w-]*:[A-Za-z]\w*)(?:, [^\]]+)?\]/g;
+
+// Header rows of a table: those above a Markdown "| --- |" separator (included), else the first row
+function tableHeader(lines) {
+  const separator = lines.findIndex(line => TABLE_SEPARATOR.test(line.trim()));
+  return separator > 0 ? lines.slice(0, separator + 1) : lines.slice(0, 1);
+}
+
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// Caption, column periods, unit and iXBRL concepts of a table block. The caption is the short
+// paragraph just above the table, or failing that the heading it sits under; the unit comes from
+// notes such as "(In millions, except per-share amounts)" above or in the header.
+function describeTable(block, previousBlocks) {
+  const lines = block.text.split('\n');
+  const header = tableHeader(lines).filter(line => !TABLE_SEPARATOR.test(line.trim()));
+  const context = previousBlocks
+    .filter(other => other.type === 'paragraph' && other.sectionPath === block.sectionPath && other.text.length <= 300);
+
+  const captionBlock = context.find(other => !/^\(.*\)$/.test(other.text));
+  const caption = captionBlock ? captionBlock.text : (block.sectionPath ? block.sectionPath.split(' > ').pop() : null);
+  const unit = [...context.map(other => other.text), ...header].map(text => text.match(TABLE_UNIT)).find(Boolean);
+
+  // Multi-row headings ("Years ended" over "September 27, 2025") are read column by column
+  const columns = [];
+  header.map(tableCells).forEach(cells => cells.slice(1).forEach((cell, c) => {
+    columns[c] = columns[c] || [];
+    if (cell && !columns[c].includes(cell)) columns[c].push(cell);
+  }));
+  const periods = [...new Set(columns.map(parts => (parts || []).join(' ')).filter(text => PERIOD_HEADING.test(text)))];
+  const concepts = [...new Set([...block.text.matchAll(XBRL_CONCEPT)].map(match => match[1]))];
+
+  const metadata = {};
+  if (caption) metadata.tableCaption = caption.slice(0, 200);
+  if (periods.length > 0) metadata.tablePeriods = periods;
+  if (unit) metadata.tableUnit = unit[1].toLowerCase();
+  if (concepts.length > 0) metadata.xbrlConcepts = concepts.slice(0, 50);
+  return metadata;
+}
+
+// Split an oversized table into row groups, repeating the header rows in each
+function splitTable(block, maxChars) {
+  const lines = block.text.split('\n');
+  const header = tableHeader(lines);
+  const rows = lines.slice(header.length);
+  const groups = [];
+  let current = [];
+
+  rows.forEach(row => {
+    if (current.length > 0 && [...header, ...current, row].join('\n').length > maxChars) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(row);
+  });
+
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  return groups.map(group => [...header, ...group].join('\n'));
+}
+
+class StructuredChunker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  // Returns [{ content, metadata }], where metadata extends baseMetadata with
+  // sectionPath, pageStart/pageEnd (when page breaks are present), chunkType and charCount.
+  // Table chunks also carry tableCaption, tablePeriods, tableUnit and xbrlConcepts when found,
+  // and open with their caption line.
+  // pageMetadata optionally describes each '\f' unit (e.g. a slide or sheet range); a chunk
+  // takes the entry for the unit it starts in, in place of page numbers.
+  chunk(text, baseMetadata = {}, pageMetadata = []) {
+    const { maxChars, overlapChars, maxTableChars, minChars, detectHeadings } = this.options;
+    const blocks = parseBlocks(text, detectHeadings);
+    const chunks = [];
+    let current = null;
+
+    const emit = (content, block, chunkType, extra = {}) => {
+      const trimmed = content.trim();
+      if (trimmed.length < minChars) {
+        return;
+      }
+
+      const metadata = { ...baseMetadata, chunkType, charCount: trimmed.length, ...extra };
+      if (block.sectionPath) {
+        metadata.sectionPath = block.sectionPath;
+      }
+      if (block.pageStart && pageMetadata[block.pageStart - 1]) {
+        Object.assign(metadata, pageMetadata[block.pageStart - 1]);
+      } else if (block.pageStart) {
+        metadata.pageStart = block.pageStart;
+        metadata.pageEnd = block.pageEnd;
+      }
+
+      chunks.push({ content: trimmed, metadata });
+    };
+
+    const flush = () => {
+      if (current) {
+        emit(current.text, current, 'text');
+      }
+      current = null;
+    };
+
+    blocks.forEach((block, index) => {
+      if (block.type === 'table') {
+        flush();
+        const table = describeTable(block, blocks.slice(Math.max(0, index - 2), index).reverse());
+        const caption = table.tableCaption
+          ? `${table.tableCaption}${table.tableUnit && !TABLE_UNIT.test(table.tableCaption) ? ` (in ${table.tableUnit})` : ''}\n`
+          : '';
+        const parts = block.text.length <= maxTableChars ? [block.text] : splitTable(block, maxTableChars);
+        parts.forEach(part => emit(`${caption}${part}`, block, 'table', table));
+        return;
+      }
+
+      if (current && current.sectionPath !== block.sectionPath) {
+        flush();
+      }
+
+      const pieces = block.text.length > maxChars ? splitLongText(block.text, maxChars) : [block.text];
+
+      pieces.forEach(piece => {
+        if (current && current.text.length + 2 + piece.length > maxChars) {
+          const tail = overlapTail(current.text, overlapChars);
+          const pageEnd = current.pageEnd;
+          flush();
+          if (tail && tail.length + 2 + piece.length <= maxChars) {
+            current = { ...block, text: tail, pageStart: pageEnd };
+          }
+        }
+
+        if (current) {
+          current.text = `${current.text}\n\n${piece}`;
+          current.pageEnd = block.pageEnd;
+        } else {
+          current = { ...block, text: piece };
+        }
+      });
+    });
+
+    flush();
+    return chunks;
+  }
+}
+
+module.exports = { StructuredChunker };
@@ -0,0 +1,85 @@
+// Form 8-K current reports: item codes and the exhibits worth ingesting.
+// Every 8-K reports one or more numbered items (2.02 for results, 5.02 for officer changes,
+// ...). EDGAR lists them in the submissions index; older or amended filings without that
+// list are classified from the item headings in their text.
+
+// Item code -> [title, event type]
+const ITEMS = {
+  '1.01': ['Entry into a Material Definitive Agreement', 'material-agreement'],
+  '1.02': ['Termination of a Material Definitive Agreement', 'material-agreement'],
+  '1.03': ['Bankruptcy or Receivership', 'bankruptcy'],
+  '1.04': ['Mine Safety - Reporting of Shutdowns and Patterns of Violations', 'other'],
+  '1.05': ['Material Cybersecurity Incidents', 'cybersecurity'],
+  '2.01': ['Completion of Acquisition or Disposition of Assets', 'acquisition'],
+  '2.02': ['Results of Operations and Financial Condition', 'earnings'],
+  '2.03': ['Creation of a Direct Financial Obligation or an Obligation under an Off-Balance Sheet Arrangement', 'financing'],
+  '2.04': ['Triggering Events That Accelerate or Increase a Direct Financial Obligation', 'financing'],
+  '2.05': ['Costs Associated with Exit or Disposal Activities', 'restructuring'],
+  '2.06': ['Material Impairments', 'impairment'],
+  '3.01': ['Notice of Delisting or Failure to Satisfy a Continued Listing Rule or Standard', 'listing'],
+  '3.02': ['Unregistered Sales of Equity Securities', 'equity'],
+  '3.03': ['Material Modification to Rights of Security Holders', 'equity'],
+  '4.01': ['Changes in Registrant\'s Certifying Accountant', 'auditor'],
+  '4.02': ['Non-Reliance on Previously Issued Financial Statements or a Related Audit Report or Completed Interim Review', 'restatement'],
+  '5.01': ['Changes in Control of Registrant', 'change-of-control'],
+  '5.02': ['Departure of Directors or Certain Officers; Election of Directors; Appointment of Certain Officers; Compensatory Arrangements of Certain Officers', 'leadership'],
+  '5.03': ['Amendments to Articles of Incorporation or Bylaws; Change in Fiscal Year', 'governance'],
+  '5.04': ['Temporary Suspension of Trading Under Registrant\'s Employee Benefit Plans', 'governance'],
+  '5.05': ['Amendments to the Registrant\'s Code of Ethics, or Waiver of a Provision of the Code of Ethics', 'governance'],
+  '5.06': ['Change in Shell Company Status', 'other'],
+  '5.07': ['Submission of Matters to a Vote of Security Holders', 'shareholder-vote'],
+  '5.08': ['Shareholder Director Nominations', 'governance'],
+  '6.01': ['ABS Informational and Computational Material', 'other'],
+  '6.02': ['Change of Servicer or Trustee', 'other'],
+  '6.03': ['Change in Credit Enhancement or Other External Support', 'other'],
+  '6.04': ['Failure to Make a Required Distribution', 'other'],
+  '6.05': ['Securities Act Updating Disclosure', 'other'],
+  '7.01': ['Regulation FD Disclosure', 'reg-fd'],
+  '8.01': ['Other Events', 'other-events'],
+  '9.01': ['Financial Statements and Exhibits', 'exhibits']
+};
+
+const ITEM_HEADING = /^(?:#+\s*)?item\s+(\d\.\d{2})\b/gim;
+
+function isCurrentReport(form) {
+  return /^8-K(?:\/A)?$/.test(String(form || ''));
+}
+
+// Item codes named by headings in the text of an 8-K ("Item 2.02 Results of Operations...")
+function itemsFromText(text) {
+  const codes = new Set();
+  for (const match of text.matchAll(ITEM_HEADING)) {
+    if (ITEMS[match[1]]) codes.add(match[1]);
+  }
+  return [...codes].sort();
+}
+
+// [{ code, title, eventType }] for item codes; unknown codes are kept with a null title
+function describeItems(codes) {
+  return (codes || []).map(code => ({
+    code: code,
+    title: ITEMS[code] ? ITEMS[code][0] : null,
+    eventType: ITEMS[code] ? ITEMS[code][1] : 'other'
+  }));
+}
+
+// Event types for item codes, leaving out 9.01 (the exhibit list every 8-K carries)
+function eventTypes(codes) {
+  return [...new Set(describeItems(codes).filter(item => item.code !== '9.01').map(item => item.eventType))];
+}
+
+// Exhibit 99 documents carry the substance of most 8-Ks: the earnings release, the investor
+// presentation or the announcement itself
+function isReleaseExhibit(exhibit) {
+  return /^EX-99(?:\.\d+)?$/.test(exhibit.type) && /\.(?:htm|html|pdf|txt)$/i.test(exhibit.document);
+}
+
+// Document type for an exhibit, from its description in the filing index; 99.1 is usually the press release
+function exhibitDocumentType(exhibit) {
+  const description = `${exhibit.description} ${exhibit.document}`;
+  if (/presentation|slides?\b|deck|investor[-_ ]?day/i.test(description)) return 'presentations';
+  if (/press|news|release|announce|earnings|results/i.test(description) || exhibit.type === 'EX-99.1') return 'press-releases';
+  return 'other';
+}
+
+module.exports = { CURRENT_REPORT_ITEMS: ITEMS, isCurrentReport, itemsFromText, describeItems, eventTypes, isReleaseExhibit, exhibitDocumentType };
@@ -0,0 +1,625 @@
+const fs = require('fs');
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+const WordExtractor = require('word-extractor');
+
+// Text extractors for office, web and email formats.
+// Each extractor returns { text, pages, metadata }:
+//   text     - extracted text; units such as slides or sheet row ranges are separated
+//              by form feeds ('\f') like PDF pages, so the chunker can locate each chunk
+//   pages    - optional metadata per '\f' unit, e.g. { slideNumber } or { sheetName, cellRange }
+//   metadata - optional document-level metadata, e.g. email headers
+
+const SHEET_BLOCK_ROWS = 50;     // Rows per sheet unit
+const SHEET_BLOCK_CHARS = 4000;  // Keeps each unit within the chunker's table limit
+
+// Legacy Word 97-2003 documents
+async function extractDOC(filePath) {
+  const extractor = new WordExtractor();
+  const document = await extractor.extract(filePath);
+  return { text: document.getBody() };
+}
+
+async function extractMarkdown(filePath) {
+  // Headings and pipe tables are understood by the chunker as they are
+  return { text: fs.readFileSync(filePath, 'utf8') };
+}
+
+// Currency symbols and closing parentheses, percent signs and footnote markers that filings put
+// in cells of their own; they are folded into the figure they belong to
+const CELL_PREFIX = /^[$€£¥]$/;
+const CELL_SUFFIX = /^(?:\)|%|\)%|%\)|\(\d{1,2}\)|\*)$/;
+
+function cellText($, cell) {
+  return $(cell).text().replace(/\s+/g, ' ').replace(/\|/g, '/').trim();
+}
+
+// Render an HTML table as Markdown rows: colspans expanded, spacer columns dropped, "$" and ")"
+// cells joined to their figures, and inline XBRL concepts noted on the numbers they tag.
+// Leading rows with an empty first cell (period headings such as "Year Ended" / "2025") form
+// the header, separated from the body by a "| --- |" row.
+function tableRows($, table) {
+  const grid = $(table).find('tr').toArray()
+    .filter(row => $(row).closest('table')[0] === table)
+    .map(row => {
+      const cells = [];
+      $(row).children('th, td').each((i, cell) => {
+        const text = cellText($, cell);
+        const concepts = [...new Set($(cell).find('ix\\:nonfraction').toArray().map(fact => $(fact).attr('name')).filter(Boolean))];
+        const span = Math.min(Math.max(parseInt($(cell).attr('colspan'), 10) || 1, 1), 50);
+        const start = cells.length;
+        for (let s = 0; s < span; s++) {
+          cells.push({ text: s === 0 ? text : '', spanText: text, start, end: start + span - 1, concepts: s === 0 ? concepts : [] });
+        }
+      });
+      return cells;
+    })
+    .filter(cells => cells.some(cell => cell.text));
+  if (grid.length === 0) return [];
+
+  grid.forEach(cells => {
+    cells.forEach((cell, c) => {
+      if (CELL_PREFIX.test(cell.text)) {
+        const next = cells.slice(c + 1, c + 3).find(other => other.text);
+        if (next) {
+          next.text = `${cell.text}${next.text}`;
+          cell.text = '';
+        }
+      } else if (CELL_SUFFIX.test(cell.text)) {
+        const previous = cells.slice(Math.max(0, c - 2), c).reverse().find(other => other.text);
+        if (previous) {
+          previous.text = `${previous.text}${cell.text}`;
+          cell.text = '';
+        }
+      }
+    });
+  });
+
+  let headerCount = 1;
+  while (headerCount < grid.length && !grid[headerCount][0]?.text) headerCount++;
+  if (headerCount === grid.length) headerCount = 1;
+
+  // A column stays if the body has something in it, or if it heads a span the body leaves empty
+  const width = Math.max(...grid.map(cells => cells.length));
+  const bodyColumns = new Set();
+  grid.slice(headerCount).forEach(cells => cells.forEach((cell, c) => cell.text && bodyColumns.add(c)));
+  const columns = [];
+  for (let c = 0; c < width; c++) {
+    const headed = grid.slice(0, headerCount).some(cells => {
+      const cell = cells[c];
+      if (!cell || !cell.text || cell.start !== c) return false;
+      for (let s = cell.start; s <= cell.end; s++) if (bodyColumns.has(s)) return false;
+      return true;
+    });
+    if (bodyColumns.has(c) || headed) columns.push(c);
+  }
+
+  const rows = grid.map((cells, r) => {
+    const header = r < headerCount;
+    const kept = columns.map(c => cells[c] || { text: '', spanText: '', concepts: [] });
+    const texts = kept.map(cell => (header ? cell.spanText : cell.text));
+    const concepts = [...new Set(kept.flatMap(cell => cell.concepts))];
+    const figures = kept.slice(1).filter(cell => /\d/.test(cell.text));
+    // A concept tagging every figure in the row is noted once on its label; otherwise on each figure
+    if (!header && concepts.length === 1 && texts[0] && figures.every(cell => cell.concepts.length > 0)) {
+      texts[0] = `${texts[0]} [${concepts[0]}]`;
+    } else if (!header) {
+      kept.forEach((cell, c) => {
+        if (cell.concepts.length > 0 && texts[c]) texts[c] = `${texts[c]} [${cell.concepts.join(', ')}]`;
+      });
+    }
+    return `| ${texts.join(' | ')} |`;
+  });
+
+  if (grid.length > headerCount && columns.length > 1) {
+    rows.splice(headerCount, 0, `| ${columns.map(() => '---').join(' | ')} |`);
+  }
+  return rows;
+}
+
+// Convert an HTML page to text, keeping headings as markdown and tables as pipe rows.
+// Inline XBRL (iXBRL) filings keep each tagged number's concept, e.g. "394,328 [us-gaap:Revenues]".
+function htmlToText(html) {
+  const $ = cheerio.load(html);
+  const block = text => $('<div></div>').text(text);
+
+  $('script, style, noscript, svg, iframe, nav, form, template, head').remove();
+  // The iXBRL header holds hidden facts and contexts, not page content
+  $('ix\\:header, [style*="display:none"], [style*="display: none"]').remove();
+
+  $('table').each((i, table) => {
+    if (!$(table).parents('table').length) {
+      $(table).replaceWith(block(`\n\n${tableRows($, table).join('\n')}\n\n`));
+    }
+  });
+
+  $('ix\\:nonfraction').each((i, fact) => {
+    const concept = $(fact).attr('name');
+    if (concept && $(fact).text().trim()) $(fact).after(` [${concept}]`);
+  });
+
+  $('h1, h2, h3, h4, h5, h6').each((i, heading) => {
+    const level = Number(heading.tagName.slice(1));
+    const title = $(heading).text().replace(/\s+/g, ' ').trim();
+    $(heading).replaceWith(block(title ? `\n\n${'#'.repeat(level)} ${title}\n\n` : ''));
+  });
+
+  $('br').replaceWith('\n');
+  $('li').each((i, item) => {
+    $(item).prepend('\n- ');
+  });
+  $('p, div, section, article, header, footer, aside, main, blockquote, pre, ul, ol, dl, dt, dd, figure, figcaption').each((i, element) => {
+    $(element).before('\n\n').after('\n\n');
+  });
+
+  return $.root().text()
+    .split('\n')
+    .map(line => line.replace(/[ \t\r\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function extractHTML(filePath) {
+  const html = fs.readFileSync(filePath, 'utf8');
+  const title = cheerio.load(html)('title').first().text().replace(/\s+/g, ' ').trim();
+
+  return {
+    text: htmlToText(html),
+    metadata: title ? { pageTitle: title } : {}
+  };
+}
+
+// Resolve the targets of an OOXML relationships part to zip paths
+async function readRelationships(zip, partPath) {
+  const slash = partPath.lastIndexOf('/');
+  const relsPath = `${partPath.slice(0, slash)}/_rels/${partPath.slice(slash + 1)}.rels`;
+  const file = zip.file(relsPath);
+  const relationships = {};
+
+  if (!file) {
+    return relationships;
+  }
+
+  const $ = cheerio.load(await file.async('string'), { xml: true });
+  $('Relationship').each((i, rel) => {
+    const target = $(rel).attr('Target');
+    const resolved = target.startsWith('/')
+      ? target.slice(1)
+      : resolveZipPath(partPath.slice(0, slash), target);
+    relationships[$(rel).attr('Id')] = { target: resolved, type: $(rel).attr('Type') || '' };
+  });
+
+  return relationships;
+}
+
+function resolveZipPath(baseDir, target) {
+  const parts = baseDir ? baseDir.split('/') : [];
+  target.split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+async function loadZip(filePath) {
+  try {
+    return await JSZip.loadAsync(fs.readFileSync(filePath));
+  } catch (error) {
+    throw new Error(`Not a valid Office Open XML file: ${error.message}`);
+  }
+}
+
+// Text of a drawing shape, one line per paragraph
+function shapeParagraphs($, shape) {
+  return $(shape).find('a\\:p').toArray()
+    .map(paragraph => $(paragraph).find('a\\:t').toArray().map(run => $(run).text()).join('').trim())
+    .filter(Boolean);
+}
+
+function slideTableRows($, frame) {
+  return $(frame).find('a\\:tr').toArray()
+    .map(row => $(row).find('a\\:tc').toArray()
+      .map(cell => shapeParagraphs($, cell).join(' ').replace(/\|/g, '/')))
+    .filter(cells => cells.some(Boolean))
+    .map(cells => `| ${cells.join(' | ')} |`);
+}
+
+// PowerPoint decks: one unit per slide, with the slide title as its heading
+async function extractPPTX(filePath) {
+  const zip = await loadZip(filePath);
+  const presentationFile = zip.file('ppt/presentation.xml');
+  if (!presentationFile) {
+    throw new Error('Not a PowerPoint presentation');
+  }
+
+  const presentation = cheerio.load(await presentationFile.async('string'), { xml: true });
+  const presentationRels = await readRelationships(zip, 'ppt/presentation.xml');
+  const slidePaths = presentation('p\\:sldId').toArray()
+    .map(slide => presentationRels[presentation(slide).attr('r:id')])
+    .filter(Boolean)
+    .map(rel => rel.target);
+
+  const slides = [];
+  const pages = [];
+
+  for (const [i, slidePath] of slidePaths.entries()) {
+    const slideFile = zip.file(slidePath);
+    if (!slideFile) continue;
+
+    const $ = cheerio.load(await slideFile.async('string'), { xml: true });
+    const slideNumber = i + 1;
+    let title = '';
+    const lines = [];
+
+    $('p\\:sp, p\\:graphicFrame').each((j, shape) => {
+      if (shape.tagName === 'p:graphicFrame') {
+        const rows = slideTableRows($, shape);
+        if (rows.length > 0) {
+          lines.push('', ...rows, '');
+        }
+        return;
+      }
+
+      const placeholder = $(shape).find('p\\:nvPr p\\:ph').attr('type');
+      if (['sldNum', 'dt', 'ftr'].includes(placeholder)) return;
+
+      const paragraphs = shapeParagraphs($, shape);
+      if (!title && (placeholder === 'title' || placeholder === 'ctrTitle')) {
+        title = paragraphs.join(' ');
+        return;
+      }
+      paragraphs.forEach(paragraph => lines.push(`- ${paragraph}`));
+    });
+
+    // Speaker notes often carry the talking points behind a slide
+    const slideRels = await readRelationships(zip, slidePath);
+    const notesRel = Object.values(slideRels).find(rel => rel.type.endsWith('/notesSlide'));
+    const notesFile = notesRel && zip.file(notesRel.target);
+    if (notesFile) {
+      const notes$ = cheerio.load(await notesFile.async('string'), { xml: true });
+      const notes = notes$('p\\:sp').toArray()
+        .filter(shape => notes$(shape).find('p\\:nvPr p\\:ph').attr('type') === 'body')
+        .flatMap(shape => shapeParagraphs(notes$, shape));
+      if (notes.length > 0) {
+        lines.push('', `Speaker notes: ${notes.join(' ')}`);
+      }
+    }
+
+    slides.push(`# ${title || `Slide ${slideNumber}`}\n${lines.join('\n')}\n\n`);
+    pages.push(title ? { slideNumber, slideTitle: title } : { slideNumber });
+  }
+
+  return {
+    text: slides.join('\f'),
+    pages,
+    metadata: { slideCount: slidePaths.length }
+  };
+}
+
+function columnIndex(letters) {
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+function columnLetters(index) {
+  let letters = '';
+  while (index > 0) {
+    const remainder = (index - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    index = Math.floor((index - 1) / 26);
+  }
+  return letters;
+}
+
+const BUILTIN_DATE_FORMATS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58];
+const BUILTIN_PERCENT_FORMATS = [9, 10];
+
+// Number formats by cell style index, reduced to 'date', 'percent' or null
+async function readCellFormats(zip) {
+  const file = zip.file('xl/styles.xml');
+  if (!file) {
+    return [];
+  }
+
+  const $ = cheerio.load(await file.async('string'), { xml: true });
+  const customFormats = {};
+  $('numFmts numFmt').each((i, format) => {
+    customFormats[Number($(format).attr('numFmtId'))] = $(format).attr('formatCode') || '';
+  });
+
+  return $('cellXfs xf').toArray().map(xf => {
+    const id = Number($(xf).attr('numFmtId') || 0);
+    if (BUILTIN_DATE_FORMATS.includes(id)) return 'date';
+    if (BUILTIN_PERCENT_FORMATS.includes(id)) return 'percent';
+
+    const code = (customFormats[id] || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/%/.test(code)) return 'percent';
+    if (/[dy]/i.test(code)) return 'date';
+    return null;
+  });
+}
+
+function formatCellValue(value, format, date1904) {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    return value;
+  }
+
+  if (format === 'date') {
+    const serial = date1904 ? number + 1462 : number;
+    return new Date(Math.round((serial - 25569) * 86400000)).toISOString().split('T')[0];
+  }
+  if (format === 'percent') {
+    return `${Number((number * 100).toFixed(2))}%`;
+  }
+  return value;
+}
+
+// Excel workbooks: each sheet becomes a pipe table split into row ranges,
+// one unit per range so every chunk knows its sheet and cells
+async function extractXLSX(filePath) {
+  const zip = await loadZip(filePath);
+  const workbookFile = zip.file('xl/workbook.xml');
+  if (!workbookFile) {
+    throw new Error('Not an Excel workbook');
+  }
+
+  const workbook = cheerio.load(await workbookFile.async('string'), { xml: true });
+  const workbookRels = await readRelationships(zip, 'xl/workbook.xml');
+  const date1904 = ['1', 'true'].includes(workbook('workbookPr').attr('date1904'));
+  const cellFormats = await readCellFormats(zip);
+
+  let sharedStrings = [];
+  const sharedStringsFile = zip.file('xl/sharedStrings.xml');
+  if (sharedStringsFile) {
+    const $ = cheerio.load(await sharedStringsFile.async('string'), { xml: true });
+    sharedStrings = $('si').toArray().map(item => $(item).find('t').toArray()
+      .filter(t => !$(t).parents('rPh').length)
+      .map(t => $(t).text()).join(''));
+  }
+
+  const units = [];
+  const pages = [];
+  const sheetNames = [];
+
+  for (const sheet of workbook('sheet').toArray()) {
+    const sheetName = workbook(sheet).attr('name');
+    const rel = workbookRels[workbook(sheet).attr('r:id')];
+    const sheetFile = rel && zip.file(rel.target);
+    if (!sheetFile) continue;
+
+    const $ = cheerio.load(await sheetFile.async('string'), { xml: true });
+    const rows = [];
+
+    $('sheetData row').each((i, row) => {
+      const cells = {};
+      $(row).find('c').each((j, cell) => {
+        const ref = $(cell).attr('r') || '';
+        const column = columnIndex(ref.replace(/\d+/g, ''));
+        const type = $(cell).attr('t');
+        let value = type === 'inlineStr' ? $(cell).find('is t').text() : $(cell).children('v').text();
+
+        if (type === 's') value = sharedStrings[Number(value)] || '';
+        else if (type === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+        else if (!type || type === 'n') value = formatCellValue(value, cellFormats[Number($(cell).attr('s') || 0)], date1904);
+
+        value = String(value).replace(/\s+/g, ' ').replace(/\|/g, '/').trim();
+        if (value && column > 0) {
+          cells[column] = value;
+        }
+      });
+
+      if (Object.keys(cells).length > 0) {
+        rows.push({ number: Number($(row).attr('r')) || rows.length + 1, cells });
+      }
+    });
+
+    if (rows.length === 0) continue;
+    sheetNames.push(sheetName);
+
+    // Leading single-cell rows are titles rather than table data
+    const captions = [];
+    while (rows.length > 1 && Object.keys(rows[0].cells).length === 1) {
+      captions.push(rows.shift());
+    }
+
+    let minColumn = Infinity;
+    let maxColumn = 0;
+    rows.forEach(row => Object.keys(row.cells).forEach(key => {
+      minColumn = Math.min(minColumn, Number(key));
+      maxColumn = Math.max(maxColumn, Number(key));
+    }));
+
+    const render = row => {
+      const values = [];
+      for (let column = minColumn; column <= maxColumn; column++) {
+        values.push(row.cells[column] || '');
+      }
+      return `| ${values.join(' | ')} |`;
+    };
+    const range = (first, last) => `${columnLetters(minColumn)}${first.number}:${columnLetters(maxColumn)}${last.number}`;
+
+    const [header, ...dataRows] = rows;
+    const headerLine = render(header);
+
+    const blocks = [];
+    let current = [];
+    dataRows.forEach(row => {
+      const size = current.reduce((sum, r) => sum + render(r).length, headerLine.length);
+      if (current.length > 0 && (current.length >= SHEET_BLOCK_ROWS || size + render(row).length > SHEET_BLOCK_CHARS)) {
+        blocks.push(current);
+        current = [];
+      }
+      current.push(row);
+    });
+    blocks.push(current);
+
+    blocks.forEach((block, i) => {
+      const first = i === 0 ? (captions[0] || header) : block[0];
+      const last = block.length > 0 ? block[block.length - 1] : header;
+      const lines = [headerLine, ...block.map(render)];
+
+      if (i === 0) {
+        lines.unshift(`# ${sheetName}`, ...captions.map(caption => Object.values(caption.cells)[0]), '');
+      }
+
+      units.push(`${lines.join('\n')}\n\n`);
+      pages.push({ sheetName, cellRange: range(first, last) });
+    });
+  }
+
+  return {
+    text: units.join('\f'),
+    pages,
+    metadata: { sheetNames }
+  };
+}
+
+// Decode RFC 2047 encoded words such as =?UTF-8?Q?Q3_results?=
+function decodeHeaderValue(value) {
+  return value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, encoded) => {
+      const buffer = encoding.toUpperCase() === 'B'
+        ? Buffer.from(encoded, 'base64')
+        : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+      return decodeCharset(buffer, charset);
+    });
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const hex = source.slice(i + 1, i + 3);
+    if (source[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function decodeCharset(buffer, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (error) {
+    return buffer.toString('utf8');
+  }
+}
+
+function parseHeaders(headerText) {
+  const headers = {};
+  headerText
+    .replace(/\r?\n[ \t]+/g, ' ') // Unfold continuation lines
+    .split(/\r?\n/)
+    .forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        const name = line.slice(0, separator).trim().toLowerCase();
+        headers[name] = headers[name] || decodeHeaderValue(Buffer.from(line.slice(separator + 1).trim(), 'latin1').toString('utf8'));
+      }
+    });
+  return headers;
+}
+
+function headerParameter(header, name) {
+  const match = (header || '').match(new RegExp(`${name}\\*?=(?:"([^"]*)"|([^;\\s]*))`, 'i'));
+  return match ? (match[1] || match[2] || '').replace(/^utf-8''/i, '') : '';
+}
+
+// Parse a MIME entity into its headers, text body and attachment names
+function parseMimeEntity(raw) {
+  const split = raw.search(/\r?\n\r?\n/);
+  const headerText = split >= 0 ? raw.slice(0, split) : raw;
+  const body = split >= 0 ? raw.slice(split).replace(/^\r?\n\r?\n/, '') : '';
+  const headers = parseHeaders(headerText);
+  const contentType = (headers['content-type'] || 'text/plain').toLowerCase();
+  const disposition = headers['content-disposition'] || '';
+  const filename = headerParameter(disposition, 'filename') || headerParameter(headers['content-type'], 'name');
+
+  if (contentType.startsWith('multipart/')) {
+    const boundary = headerParameter(headers['content-type'], 'boundary');
+    const parts = body
+      .split(new RegExp(`\\r?\\n?--${boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?\\n?`))
+      .filter(part => part.trim())
+      .map(parseMimeEntity);
+
+    const attachments = parts.flatMap(part => part.attachments);
+    let text;
+    if (contentType.startsWith('multipart/alternative')) {
+      const preferred = parts.find(part => part.type === 'text/plain' && part.text) || parts.find(part => part.text);
+      text = preferred ? preferred.text : '';
+    } else {
+      text = parts.map(part => part.text).filter(Boolean).join('\n\n');
+    }
+    return { headers, type: contentType, text, attachments };
+  }
+
+  if (contentType.startsWith('message/rfc822')) {
+    const message = parseMimeEntity(body);
+    return { headers, type: contentType, text: `${formatEmailHeaders(message.headers)}\n\n${message.text}`, attachments: message.attachments };
+  }
+
+  if (/^attachment/i.test(disposition) || (filename && !contentType.startsWith('text/'))) {
+    return { headers, type: contentType, text: '', attachments: filename ? [filename] : [] };
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  let buffer;
+  if (encoding === 'base64') buffer = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  else if (encoding === 'quoted-printable') buffer = decodeQuotedPrintable(body);
+  else buffer = Buffer.from(body, 'latin1');
+
+  let text = decodeCharset(buffer, headerParameter(headers['content-type'], 'charset'));
+  if (contentType.startsWith('text/html')) {
+    text = htmlToText(text);
+  } else if (!contentType.startsWith('text/')) {
+    text = '';
+  }
+
+  return { headers, type: contentType.split(';')[0].trim(), text: text.trim(), attachments: [] };
+}
+
+function formatEmailHeaders(headers) {
+  return ['from', 'to', 'cc', 'date', 'subject']
+    .filter(name => headers[name])
+    .map(name => `${name.charAt(0).toUpperCase()}${name.slice(1)}: ${headers[name]}`)
+    .join('\n');
+}
+
+// Saved emails (.eml): the headers are kept as text and as document metadata
+async function extractEML(filePath) {
+  const message = parseMimeEntity(fs.readFileSync(filePath, 'latin1'));
+  const { headers } = message;
+  const metadata = {};
+
+  if (headers.from) metadata.emailFrom = headers.from;
+  if (headers.to) metadata.emailTo = headers.to;
+  if (headers.cc) metadata.emailCc = headers.cc;
+  if (headers.subject) metadata.emailSubject = headers.subject;
+  if (headers.date) {
+    const date = new Date(headers.date);
+    metadata.emailDate = Number.isNaN(date.getTime()) ? headers.date : date.toISOString();
+  }
+  if (message.attachments.length > 0) metadata.emailAttachments = message.attachments;
+
+  return {
+    text: `${formatEmailHeaders(headers)}\n\n${message.text}`,
+    metadata
+  };
+}
+
+module.exports = {
+  extractDOC,
+  extractMarkdown,
+  extractHTML,
+  extractPPTX,
+  extractXLSX,
+  extractEML,
+  htmlToText
+};
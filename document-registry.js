@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const path = require('path');
+const JsonStore = require('./json-store');
+
+// Persistent record of every ingested document and the vector ids that belong to it.
+// The file is re-read on every call so the server sees documents added by the CLI scripts.
+class DocumentRegistry {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || 'data', 'documents.json');
+    this.store = new JsonStore(this.filePath, { documents: {} });
+  }
+
+  static hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  register(document) {
+    const data = this.store.read();
+    const existing = data.documents[document.id];
+
+    const record = {
+      ...existing,
+      ...document,
+      company: (document.company || existing?.company || '').toUpperCase(),
+      chunkIds: document.chunkIds || existing?.chunkIds || [],
+      registeredAt: existing?.registeredAt || new Date().toISOString()
+    };
+    record.chunkCount = record.chunkIds.length;
+
+    data.documents[document.id] = record;
+    this.store.write(data);
+    return record;
+  }
+
+  get(id) {
+    return this.store.read().documents[id] || null;
+  }
+
+  update(id, fields) {
+    const data = this.store.read();
+    if (!data.documents[id]) {
+      return null;
+    }
+
+    data.documents[id] = { ...data.documents[id], ...fields, updatedAt: new Date().toISOString() };
+    this.store.write(data);
+    return data.documents[id];
+  }
+
+  remove(id) {
+    const data = this.store.read();
+    const record = data.documents[id];
+    if (!record) {
+      return null;
+    }
+
+    delete data.documents[id];
+    this.store.write(data);
+    return record;
+  }
+
+  // List documents, newest first, optionally narrowed by exact-match fields
+  list(filters = {}) {
+    const documents = Object.values(this.store.read().documents);
+
+    return documents
+      .filter(doc => Object.entries(filters).every(([key, value]) => {
+        if (value === undefined || value === '') return true;
+        if (key === 'company') return doc.company === String(value).toUpperCase();
+        return doc[key] === value;
+      }))
+      .sort((a, b) => (b.registeredAt || '').localeCompare(a.registeredAt || ''));
+  }
+
+  // Case-insensitive text search over the descriptive fields
+  search(query, filters = {}) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const searchable = ['id', 'originalFilename', 'description', 'source', 'documentType', 'url', 'form', 'emailSubject', 'emailFrom', 'pageTitle'];
+
+    return this.list(filters).filter(doc => {
+      const haystack = searchable
+        .map(field => doc[field] || '')
+        .join(' ')
+        .toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    });
+  }
+
+  // Documents without a status predate versioning and count as active
+  isActive(doc) {
+    return !doc.status || doc.status === 'active';
+  }
+
+  findDuplicate(company, contentHash) {
+    return this.list({ company }).find(doc => this.isActive(doc) && doc.contentHash === contentHash) || null;
+  }
+
+  findActiveByFilename(company, originalFilename) {
+    return this.list({ company }).find(doc => this.isActive(doc) && doc.originalFilename === originalFilename) || null;
+  }
+
+  // The primary document ingested from an SEC filing (not one of its exhibits), by accession number (with or without dashes,
+  // since the CLI scripts stored them without)
+  findFiling(company, accessionNumber) {
+    const normalize = value => String(value || '').replace(/-/g, '');
+    return this.list({ company }).find(doc => doc.accessionNumber && !doc.exhibit && normalize(doc.accessionNumber) === normalize(accessionNumber)) || null;
+  }
+
+  // Every version of a document, oldest first
+  versions(id) {
+    const record = this.get(id);
+    if (!record) {
+      return [];
+    }
+
+    const groupId = record.versionGroup || record.id;
+    return Object.values(this.store.read().documents)
+      .filter(doc => (doc.versionGroup || doc.id) === groupId)
+      .sort((a, b) => (a.version || 1) - (b.version || 1));
+  }
+
+  summarize(company) {
+    const documents = this.list({ company }).filter(doc => this.isActive(doc));
+    const byDocumentType = {};
+
+    documents.forEach(doc => {
+      const type = doc.documentType || 'document';
+      byDocumentType[type] = (byDocumentType[type] || 0) + 1;
+    });
+
+    return {
+      totalDocuments: documents.length,
+      totalChunks: documents.reduce((sum, doc) => sum + (doc.chunkCount || 0), 0),
+      lastUpload: documents.length > 0 ? documents[0].registeredAt : null,
+      byDocumentType
+    };
+  }
+}
+
+module.exports = DocumentRegistry;
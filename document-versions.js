@@ -0,0 +1,117 @@
+// Which version of a registered document retrieval sees. Chunks of older versions stay in the
+// vector store flagged superseded: true; every change here is applied to the vector store
+// and the registry together, or undone, so a document keeps exactly one active version.
+class DocumentVersions {
+  constructor(options = {}) {
+    this.index = options.index;
+    this.registry = options.registry;
+  }
+
+  // Metadata filter for retrieval: one company's chunks that are neither superseded nor past
+  // their retention expiry. Vectors stored before versioning have no superseded key and count
+  // as active, like registry records without a status.
+  static retrievalFilter(company) {
+    return {
+      company: company,
+      $and: [
+        { $or: [{ superseded: false }, { superseded: { $exists: false } }] },
+        {
+          $or: [
+            { expiresAtEpoch: { $exists: false } },
+            { expiresAtEpoch: 0 },
+            { expiresAtEpoch: { $gt: Math.floor(Date.now() / 1000) } }
+          ]
+        }
+      ]
+    };
+  }
+
+  // Apply metadata updates to many chunks at once. All or nothing: if the store fails part way,
+  // the chunks already changed get their `previous` metadata back before the error is rethrown.
+  async updateChunksMetadata(updates, previous) {
+    try {
+      await this.index.updateMetadataMany(updates);
+    } catch (error) {
+      const applied = new Set(error.updatedIds || []);
+      const undo = previous.filter(update => applied.has(update.id));
+      if (undo.length > 0) {
+        await this.index.updateMetadataMany(undo).catch(undoError => {
+          console.error(`❌ Could not undo metadata on ${undo.length} chunks:`, undoError.message);
+        });
+      }
+      throw error;
+    }
+  }
+
+  // Flag or unflag chunks as belonging to an older document version
+  async setChunksSuperseded(chunkIds, superseded) {
+    await this.updateChunksMetadata(
+      chunkIds.map(id => ({ id, metadata: { superseded: superseded } })),
+      chunkIds.map(id => ({ id, metadata: { superseded: !superseded } }))
+    );
+  }
+
+  // The version a document displaced when it became active (by a new upload, an amendment
+  // or a rollback), newest first if there are several
+  displacedBy(doc) {
+    return this.registry.list({ company: doc.company })
+      .filter(other => other.id !== doc.id && other.supersededBy === doc.id)
+      .sort((a, b) => (b.version || 1) - (a.version || 1))[0] || null;
+  }
+
+  // Make an earlier version the active one again and supersede the current one. If the second
+  // step fails, the first is undone so the two versions are never live together.
+  // Returns the version that was active before.
+  async rollback(target) {
+    const current = this.registry.versions(target.id).find(doc => doc.id !== target.id && this.registry.isActive(doc)) || null;
+
+    await this.setChunksSuperseded(target.chunkIds, false);
+    if (current) {
+      try {
+        await this.setChunksSuperseded(current.chunkIds, true);
+      } catch (error) {
+        await this.setChunksSuperseded(target.chunkIds, true).catch(undoError => {
+          console.error(`❌ Could not re-supersede ${target.id}:`, undoError.message);
+        });
+        throw error;
+      }
+    }
+
+    this.registry.update(target.id, { status: 'active', supersededBy: null });
+    if (current) {
+      this.registry.update(current.id, { status: 'superseded', supersededBy: target.id });
+    }
+    return current;
+  }
+
+  // Delete one version's chunks and registry record. Deleting the active version makes the
+  // version it displaced active again, so the document stays searchable. Returns that version.
+  async remove(doc) {
+    const restored = this.registry.isActive(doc) ? this.displacedBy(doc) : null;
+
+    if (restored) {
+      await this.setChunksSuperseded(restored.chunkIds, false);
+    }
+    try {
+      if (doc.chunkIds.length > 0) {
+        await this.index.delete(doc.chunkIds);
+      }
+    } catch (error) {
+      if (restored) {
+        await this.setChunksSuperseded(restored.chunkIds, true).catch(undoError => {
+          console.error(`❌ Could not re-supersede ${restored.id}:`, undoError.message);
+        });
+      }
+      throw error;
+    }
+
+    if (restored) {
+      this.registry.update(restored.id, { status: 'active', supersededBy: null });
+      console.log(`⏪ ${restored.id} is active again after deleting ${doc.id}`);
+    }
+    this.registry.remove(doc.id);
+    return restored;
+  }
+}
+
+module.exports = DocumentVersions;
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shared HTTP client for SEC EDGAR. Every request to sec.gov goes through here so that:
+// - requests are spaced to stay under SEC's fair-access limit (10 per second by default)
+// - each carries a declared User-Agent with a contact address, which SEC requires
+// - responses are cached on disk and revalidated with If-None-Match / If-Modified-Since
+// - a recorded cache directory can be replayed with no network access (SEC_CACHE_MODE=replay)
+// - the cache stays under SEC_CACHE_MAX_BYTES, least recently used first, and filing documents
+//   unused for SEC_CACHE_MAX_AGE_DAYS are dropped (ingested filings are kept under uploads/)
+//
+// Cache layout mirrors the URL so fixtures can be read and written by hand:
+//   {cacheDir}/data.sec.gov/submissions/CIK0000320193.json
+//   {cacheDir}/data.sec.gov/submissions/CIK0000320193.json.meta.json   (status, ETag, Last-Modified, fetchedAt)
+
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_CACHE_MAX_BYTES = 1024 * 1024 * 1024;
+const DEFAULT_CACHE_MAX_AGE_DAYS = 30;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const ARCHIVES = /^https:\/\/www\.sec\.gov\/Archives\//;
+
+// How long a cached response is used without revalidating. Filing documents never change once
+// accepted; the ticker list changes daily at most; submissions and company facts are always revalidated.
+const FRESHNESS = [
+  [ARCHIVES, Infinity],
+  [/\/files\/company_tickers(?:_exchange)?\.json$/, 24 * HOUR]
+];
+
+const CACHE_MODES = ['default', 'replay', 'off'];
+
+function secError(message, status) {
+  const error = new Error(message);
+  // Missing documents stay missing; throttling and server errors are worth retrying
+  error.retryable = !status || status === 429 || status >= 500;
+  error.status = status;
+  return error;
+}
+
+// Configuration problems are not fixed by retrying
+function configError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class EdgarClient {
+  // options: userAgent, cacheDir, mode ('default' | 'replay' | 'off'), requestsPerSecond, maxRetries,
+  // cacheMaxBytes, cacheMaxAgeDays (filing documents only)
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || process.env.SEC_USER_AGENT || '';
+    this.cacheDir = options.cacheDir || process.env.SEC_CACHE_DIR || path.join(process.env.DATA_DIR || 'data', 'sec-cache');
+    this.mode = options.mode || process.env.SEC_CACHE_MODE || 'default';
+    this.requestsPerSecond = Number(options.requestsPerSecond || process.env.SEC_REQUESTS_PER_SECOND || DEFAULT_REQUESTS_PER_SECOND);
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.cacheMaxBytes = Number(options.cacheMaxBytes || process.env.SEC_CACHE_MAX_BYTES || DEFAULT_CACHE_MAX_BYTES);
+    this.cacheMaxAge = Number(options.cacheMaxAgeDays || process.env.SEC_CACHE_MAX_AGE_DAYS || DEFAULT_CACHE_MAX_AGE_DAYS) * DAY;
+    // Bytes on disk, counted on the first write and kept up to date after
+    this.cacheBytes = null;
+    this.lastEvictedAt = 0;
+    this.nextSlot = 0;
+    this.stats = { network: 0, cacheHits: 0, revalidated: 0, retries: 0, evicted: 0 };
+
+    if (!CACHE_MODES.includes(this.mode)) {
+      throw configError(`Unknown SEC_CACHE_MODE "${this.mode}"; use one of ${CACHE_MODES.join(', ')}`);
+    }
+    if (!(this.requestsPerSecond > 0 && this.requestsPerSecond <= DEFAULT_REQUESTS_PER_SECOND)) {
+      throw configError(`SEC_REQUESTS_PER_SECOND must be between 1 and ${DEFAULT_REQUESTS_PER_SECOND}`);
+    }
+    if (!(this.cacheMaxBytes > 0) || !(this.cacheMaxAge > 0)) {
+      throw configError('SEC_CACHE_MAX_BYTES and SEC_CACHE_MAX_AGE_DAYS must be positive numbers');
+    }
+  }
+
+  async json(url) {
+    return JSON.parse((await this.get(url)).body.toString('utf8'));
+  }
+
+  async text(url) {
+    return (await this.get(url)).body.toString('utf8');
+  }
+
+  async buffer(url) {
+    return (await this.get(url)).body;
+  }
+
+  // Returns { url, body (Buffer), contentType, fromCache }
+  async get(url) {
+    const cached = this.mode === 'off' ? null : this.readCache(url);
+
+    if (this.mode === 'replay') {
+      if (!cached) {
+        throw secError(`Not in the SEC replay cache: ${url} (looked in ${this.cachePath(url)})`, 404);
+      }
+      this.stats.cacheHits++;
+      return cached;
+    }
+
+    if (cached && Date.now() - new Date(cached.meta.fetchedAt).getTime() < this.freshness(url)) {
+      this.stats.cacheHits++;
+      this.touch(url);
+      return cached;
+    }
+
+    const headers = {};
+    if (cached && cached.meta.etag) headers['If-None-Match'] = cached.meta.etag;
+    if (cached && cached.meta.lastModified) headers['If-Modified-Since'] = cached.meta.lastModified;
+
+    let response;
+    try {
+      response = await this.request(url, headers);
+    } catch (error) {
+      // A stale copy beats failing outright when SEC is throttling or down
+      if (cached && error.retryable) {
+        console.warn(`⚠️  SEC request failed, using cached copy of ${url}: ${error.message}`);
+        return cached;
+      }
+      throw error;
+    }
+
+    if (response.status === 304 && cached) {
+      this.stats.revalidated++;
+      cached.meta.fetchedAt = new Date().toISOString();
+      this.writeMeta(url, cached.meta);
+      this.touch(url);
+      return cached;
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+    const meta = {
+      url: url,
+      status: response.status,
+      contentType: response.headers.get('content-type'),
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      fetchedAt: new Date().toISOString()
+    };
+    if (this.mode !== 'off') {
+      this.writeCache(url, body, meta);
+    }
+    return { url, body, contentType: meta.contentType, fromCache: false };
+  }
+
+  // One network request, spaced by the rate limit and retried on throttling, server errors and
+  // network failures (honouring Retry-After)
+  async request(url, headers = {}) {
+    if (!this.userAgent || !/\S+@\S+\.\S+/.test(this.userAgent)) {
+      throw configError('SEC_USER_AGENT must be set to a company or app name with a contact email, e.g. "SimplifyIR admin@example.com", as SEC requires for EDGAR access');
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForSlot();
+      this.stats.network++;
+
+      let response = null;
+      let error = null;
+      try {
+        response = await fetch(url, { headers: { ...headers, 'User-Agent': this.userAgent, 'Accept-Encoding': 'gzip, deflate' } });
+        if (!response.ok && response.status !== 304) {
+          error = secError(`SEC request failed: HTTP ${response.status} for ${url}`, response.status);
+        }
+      } catch (networkError) {
+        error = secError(`SEC request failed: ${networkError.message} for ${url}`);
+      }
+
+      if (!error) return response;
+      if (!error.retryable || attempt >= this.maxRetries) throw error;
+
+      const retryAfter = response ? Number(response.headers.get('retry-after')) : NaN;
+      const delay = retryAfter > 0 ? retryAfter * 1000 : 1000 * 2 ** attempt;
+      this.stats.retries++;
+      console.warn(`⏳ ${error.message}; retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
+  // Reserves the next request slot; concurrent callers queue behind each other
+  async waitForSlot() {
+    const interval = 1000 / this.requestsPerSecond;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + interval;
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  freshness(url) {
+    const rule = FRESHNESS.find(([pattern]) => pattern.test(url));
+    return rule ? rule[1] : 0;
+  }
+
+  cachePath(url) {
+    const parsed = new URL(url);
+    const parts = `${parsed.pathname}${parsed.search ? `_${parsed.search.slice(1)}` : ''}`
+      .split('/')
+      .filter(Boolean)
+      .map(part => part.replace(/[^\w.-]/g, '_'));
+    if (parts.length === 0) parts.push('index');
+    return path.join(this.cacheDir, parsed.hostname, ...parts);
+  }
+
+  readCache(url) {
+    const file = this.cachePath(url);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    // Hand-written fixtures may come without metadata; treat them as fetched just now
+    const metaFile = `${file}.meta.json`;
+    const meta = fs.existsSync(metaFile)
+      ? JSON.parse(fs.readFileSync(metaFile, 'utf8'))
+      : { url, fetchedAt: new Date().toISOString() };
+    return { url, body: fs.readFileSync(file), contentType: meta.contentType || null, fromCache: true, meta };
+  }
+
+  writeCache(url, body, meta) {
+    const file = this.cachePath(url);
+    if (this.cacheBytes === null) {
+      this.cacheBytes = this.cacheEntries().reduce((sum, entry) => sum + entry.bytes, 0);
+    }
+    const previous = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, body);
+    this.writeMeta(url, meta);
+    this.cacheBytes += body.length - previous;
+
+    if (this.cacheBytes > this.cacheMaxBytes || Date.now() - this.lastEvictedAt > HOUR) {
+      this.evict();
+    }
+  }
+
+  // Cached responses with their size and when they were last used (the body's mtime)
+  cacheEntries() {
+    if (!fs.existsSync(this.cacheDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.cacheDir, { recursive: true })
+      .map(name => path.join(this.cacheDir, name))
+      .filter(file => !file.endsWith('.meta.json') && fs.statSync(file).isFile())
+      .map(file => {
+        const meta = `${file}.meta.json`;
+        const stat = fs.statSync(file);
+        return {
+          file,
+          archive: path.relative(this.cacheDir, file).startsWith(path.join('www.sec.gov', 'Archives')),
+          usedAt: stat.mtimeMs,
+          bytes: stat.size + (fs.existsSync(meta) ? fs.statSync(meta).size : 0)
+        };
+      });
+  }
+
+  // Drops filing documents unused for cacheMaxAge, then the least recently used responses until
+  // the cache is back under 90% of cacheMaxBytes. A replayed cache is never touched.
+  evict() {
+    if (this.mode === 'replay') return;
+
+    const now = Date.now();
+    const entries = this.cacheEntries().sort((a, b) => a.usedAt - b.usedAt);
+    let bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    entries.forEach(entry => {
+      const expired = entry.archive && now - entry.usedAt > this.cacheMaxAge;
+      if (!expired && bytes <= this.cacheMaxBytes * 0.9) return;
+      fs.rmSync(entry.file, { force: true });
+      fs.rmSync(`${entry.file}.meta.json`, { force: true });
+      bytes -= entry.bytes;
+      this.stats.evicted++;
+    });
+
+    this.cacheBytes = bytes;
+    this.lastEvictedAt = now;
+  }
+
+  // Marks a cached response as used, for least-recently-used eviction
+  touch(url) {
+    const now = new Date();
+    try {
+      fs.utimesSync(this.cachePath(url), now, now);
+    } catch (error) {
+      // A hand-written fixture on a read-only checkout keeps its old timestamp
+    }
+  }
+
+  writeMeta(url, meta) {
+    fs.writeFileSync(`${this.cachePath(url)}.meta.json`, JSON.stringify(meta, null, 2));
+  }
+}
+
+// One client per process, so the rate limit covers every caller
+let sharedClient = null;
+function edgarClient() {
+  if (!sharedClient) {
+    sharedClient = new EdgarClient();
+  }
+  return sharedClient;
+}
+
+module.exports = { EdgarClient, edgarClient, secError };
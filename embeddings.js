@@ -0,0 +1,113 @@
+// Batched embedding generation with bounded concurrency and rate-limit backoff
+
+const EMBEDDING_MODEL = 'text-embedding-ada-002';
+
+const DEFAULT_OPTIONS = {
+  batchSize: 96,            // Inputs per embeddings request
+  maxBatchChars: 200000,    // Keep each request well under the model's token limits
+  concurrency: 3,           // Requests in flight at once
+  maxRetries: 5,
+  baseDelay: 1000           // First backoff delay in ms, doubled on each retry
+};
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+function splitIntoBatches(texts, batchSize, maxBatchChars) {
+  const batches = [];
+  let current = [];
+  let currentChars = 0;
+
+  texts.forEach((text, i) => {
+    if (current.length > 0 && (current.length >= batchSize || currentChars + text.length > maxBatchChars)) {
+      batches.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(i);
+    currentChars += text.length;
+  });
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+function isRetryable(error) {
+  // Errors without a status are network failures
+  return !error.status || RETRYABLE_STATUSES.includes(error.status);
+}
+
+function retryDelay(error, attempt, baseDelay) {
+  const headers = error.headers || {};
+  const retryAfterMs = Number(headers['retry-after-ms']);
+  const retryAfter = Number(headers['retry-after']);
+
+  if (retryAfterMs > 0) return retryAfterMs;
+  if (retryAfter > 0) return retryAfter * 1000;
+
+  // Exponential backoff with jitter
+  return baseDelay * Math.pow(2, attempt - 1) + Math.round(Math.random() * baseDelay);
+}
+
+async function embedBatch(openai, inputs, options) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await openai.embeddings.create(
+        { model: EMBEDDING_MODEL, input: inputs },
+        { maxRetries: 0 } // Retries are handled here so backoff is not compounded
+      );
+
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    } catch (error) {
+      if (!isRetryable(error) || attempt > options.maxRetries) {
+        throw error;
+      }
+
+      const delay = retryDelay(error, attempt, options.baseDelay);
+      console.log(`  ⚠️  Embedding request failed (${error.status || error.message}), retrying in ${delay}ms (${attempt}/${options.maxRetries})...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Returns one embedding per input text, in order. Texts whose batch failed after
+// all retries come back as null; callers storing a document must treat any null as a failure.
+// options.onBatch(completedCount, totalCount) is called as batches finish.
+async function createEmbeddings(openai, texts, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const batches = splitIntoBatches(texts, settings.batchSize, settings.maxBatchChars);
+  const embeddings = new Array(texts.length).fill(null);
+  let nextBatch = 0;
+  let completed = 0;
+
+  const worker = async () => {
+    while (nextBatch < batches.length) {
+      const batch = batches[nextBatch++];
+
+      try {
+        const results = await embedBatch(openai, batch.map(i => texts[i]), settings);
+        batch.forEach((textIndex, i) => {
+          embeddings[textIndex] = results[i];
+        });
+      } catch (error) {
+        console.error(`❌ Embedding batch of ${batch.length} failed:`, error.message);
+      }
+
+      completed += batch.length;
+      if (settings.onBatch) {
+        settings.onBatch(completed, texts.length);
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(settings.concurrency, batches.length) }, worker);
+  await Promise.all(workers);
+
+  return embeddings;
+}
+
+module.exports = { createEmbeddings, EMBEDDING_MODEL };
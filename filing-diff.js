@@ -0,0 +1,339 @@
+// Year-over-year comparison of a filing section (Risk Factors or MD&A) between two filings.
+// Each section is split into units: individual risk factors, led by their one-sentence
+// headings, or the headed subsections of MD&A. Units are matched across the two filings by
+// word overlap, then reported as added, removed or reworded, with paragraph-level word diffs
+// for the reworded ones. Changes to figures and years alone are not counted as rewording.
+
+const STOPWORDS = new Set(('a an and are as at be been by can could for from has have if in into is it its may might ' +
+  'not of on or our such than that the their there these this those to was we were which will with would').split(' '));
+
+const MATCH_THRESHOLD = 0.5;     // Units or paragraphs less similar than this are not the same one
+const MIN_CHANGED_WORDS = 8;     // Fewer changed words than this is an edit, not a rewording
+const MAX_DIFF_CELLS = 400000;   // Word diffs larger than this fall back to sentences
+
+function words(text) {
+  return text.toLowerCase().match(/[a-z0-9][a-z0-9'’&-]*/g) || [];
+}
+
+// Word counts without stopwords, with every number folded into '#'
+function termVector(text) {
+  const vector = new Map();
+  words(text).forEach(word => {
+    if (STOPWORDS.has(word)) return;
+    const term = /\d/.test(word) ? '#' : word;
+    vector.set(term, (vector.get(term) || 0) + 1);
+  });
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((count, term) => {
+    normA += count * count;
+    if (b.has(term)) dot += count * b.get(term);
+  });
+  b.forEach(count => {
+    normB += count * count;
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// "Competition and Market Risks", "## Liquidity and Capital Resources"
+function isTitleHeading(paragraph) {
+  if (/^#{1,6}\s/.test(paragraph)) return true;
+  return paragraph.length <= 120 && !/[.:;,]$/.test(paragraph) && /^[A-Z]/.test(paragraph) &&
+    !paragraph.startsWith('|') && paragraph.split(/\s+/).length <= 14;
+}
+
+// Risk factor headings are a sentence or two set apart from the longer discussion under them
+function isSentenceHeading(paragraph, next) {
+  return paragraph.length >= 40 && paragraph.length <= 400 && /[.?]$/.test(paragraph) &&
+    Boolean(next) && next.length > paragraph.length && !isTitleHeading(next);
+}
+
+function paragraphsOf(text) {
+  return text.split(/\n\s*\n/)
+    .map(paragraph => paragraph.split('\n').map(line => line.trim()).filter(Boolean).join(' '))
+    .map(paragraph => paragraph.trim())
+    // The Item heading itself, page numbers and running footers are not content
+    .filter(paragraph => !/^(?:#+\s*)?(?:part\s+[ivx]+\s*[-–—,.]?\s*)?item\s+\d+[a-z]?\b/i.test(paragraph) || paragraph.length > 160)
+    // Short paragraphs are kept only when they are category titles such as "Business Risks"
+    .filter(paragraph => words(paragraph).filter(word => !/\d/.test(word)).length > 3 ||
+      (isTitleHeading(paragraph) && /[a-z]{3}/.test(paragraph) && !/\||\d$/.test(paragraph)));
+}
+
+// [{ heading, category, paragraphs }] for a section; mode 'risk-factors' or 'mdna'
+function segmentSection(text, mode) {
+  const paragraphs = paragraphsOf(text);
+  const units = [];
+  let category = null;
+  let pendingTitle = null;
+  let current = null;
+
+  const start = heading => {
+    current = { heading: heading ? heading.replace(/^#+\s*/, '') : null, category, paragraphs: [] };
+    units.push(current);
+  };
+
+  paragraphs.forEach((paragraph, i) => {
+    if (isTitleHeading(paragraph)) {
+      if (mode === 'mdna') {
+        start(paragraph);
+      } else {
+        // Risk factors are grouped under category titles; a title followed directly by
+        // discussion is a risk factor of its own
+        category = paragraph.replace(/^#+\s*/, '');
+        pendingTitle = paragraph;
+        current = null;
+      }
+      return;
+    }
+    if (mode === 'risk-factors' && isSentenceHeading(paragraph, paragraphs[i + 1])) {
+      start(paragraph);
+      pendingTitle = null;
+      return;
+    }
+    if (!current) {
+      start(pendingTitle);
+      pendingTitle = null;
+    }
+    current.paragraphs.push(paragraph);
+  });
+
+  return units
+    .filter(unit => unit.paragraphs.length > 0 || unit.heading)
+    .map(unit => ({ ...unit, vector: termVector(`${unit.heading || ''} ${unit.paragraphs.join(' ')}`) }));
+}
+
+function unitSimilarity(a, b) {
+  const body = cosine(a.vector, b.vector);
+  if (a.heading && b.heading) {
+    return 0.4 * cosine(termVector(a.heading), termVector(b.heading)) + 0.6 * body;
+  }
+  return body;
+}
+
+// Greedy one-to-one matching, most similar pairs first
+function matchUnits(before, after) {
+  const pairs = [];
+  before.forEach((a, i) => after.forEach((b, j) => {
+    const similarity = unitSimilarity(a, b);
+    if (similarity >= MATCH_THRESHOLD) pairs.push({ i, j, similarity });
+  }));
+  pairs.sort((x, y) => y.similarity - x.similarity);
+
+  const usedBefore = new Set();
+  const usedAfter = new Set();
+  const matches = [];
+  pairs.forEach(pair => {
+    if (usedBefore.has(pair.i) || usedAfter.has(pair.j)) return;
+    usedBefore.add(pair.i);
+    usedAfter.add(pair.j);
+    matches.push(pair);
+  });
+  return { matches, usedBefore, usedAfter };
+}
+
+// Longest common subsequence over tokens; returns runs of { type: 'equal' | 'removed' | 'added', tokens }
+function diffTokens(a, b, equal = (x, y) => x === y) {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = equal(a[i], b[j]) ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, token) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) last.tokens.push(token);
+    else runs.push({ type, tokens: [token] });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (equal(a[i], b[j])) {
+      push('equal', b[j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < n) push('removed', a[i++]);
+  while (j < m) push('added', b[j++]);
+  return runs;
+}
+
+// Word diff of two paragraphs as "kept text [-removed-] {+added+}", long unchanged stretches
+// shortened to their ends; changedWords counts changed words that aren't figures
+function diffParagraph(before, after) {
+  let a = before.split(/\s+/).filter(Boolean);
+  let b = after.split(/\s+/).filter(Boolean);
+  const separator = ' ';
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a = before.split(/(?<=[.!?])\s+/);
+    b = after.split(/(?<=[.!?])\s+/);
+  }
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return { diff: `[-${before}-] {+${after}+}`, changedWords: words(before).length + words(after).length };
+  }
+
+  const runs = diffTokens(a, b);
+  let changedWords = 0;
+  const parts = runs.map(run => {
+    const text = run.tokens.join(separator);
+    if (run.type === 'equal') {
+      return run.tokens.length > 16 ? `${run.tokens.slice(0, 6).join(separator)} … ${run.tokens.slice(-6).join(separator)}` : text;
+    }
+    changedWords += words(text).filter(word => !/\d/.test(word)).length;
+    return run.type === 'removed' ? `[-${text}-]` : `{+${text}+}`;
+  });
+  return { diff: parts.join(' '), changedWords };
+}
+
+// Pair up the paragraphs of two versions of a unit in order, then diff each pair
+function diffUnit(before, after) {
+  const similarity = (x, y) => cosine(termVector(x), termVector(y));
+  const a = before.paragraphs;
+  const b = after.paragraphs;
+  const scores = a.map(x => b.map(y => similarity(x, y)));
+  const runs = diffTokens(a.map((x, i) => i), b.map((y, j) => j), (i, j) => scores[i][j] >= MATCH_THRESHOLD);
+
+  const paragraphs = [];
+  let changedWords = 0;
+  let i = 0;
+  let j = 0;
+  runs.forEach(run => {
+    run.tokens.forEach(() => {
+      if (run.type === 'equal') {
+        if (a[i] !== b[j]) {
+          const diff = diffParagraph(a[i], b[j]);
+          changedWords += diff.changedWords;
+          if (diff.changedWords > 0 || diff.diff.includes('[-') || diff.diff.includes('{+')) {
+            paragraphs.push({ status: 'modified', changedWords: diff.changedWords, diff: diff.diff });
+          }
+        }
+        i++;
+        j++;
+      } else if (run.type === 'removed') {
+        changedWords += words(a[i]).length;
+        paragraphs.push({ status: 'removed', text: a[i++] });
+      } else {
+        changedWords += words(b[j]).length;
+        paragraphs.push({ status: 'added', text: b[j++] });
+      }
+    });
+  });
+
+  if (before.heading && after.heading && before.heading !== after.heading) {
+    const diff = diffParagraph(before.heading, after.heading);
+    changedWords += diff.changedWords;
+    paragraphs.unshift({ status: 'heading', changedWords: diff.changedWords, diff: diff.diff });
+  }
+  return { paragraphs, changedWords };
+}
+
+function excerpt(text, length = 600) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function describeUnit(unit) {
+  const body = unit.paragraphs.join('\n\n');
+  return {
+    heading: unit.heading || excerpt(unit.paragraphs[0] || '', 160),
+    category: unit.category,
+    text: excerpt(body)
+  };
+}
+
+// Compare the same section of two filings. options.minChangedWords sets how many changed words
+// (figures aside) make a unit "reworded" rather than lightly edited.
+function compareSections(beforeText, afterText, mode, options = {}) {
+  const minChangedWords = options.minChangedWords || MIN_CHANGED_WORDS;
+  const before = segmentSection(beforeText, mode);
+  const after = segmentSection(afterText, mode);
+  const { matches, usedBefore, usedAfter } = matchUnits(before, after);
+
+  const reworded = [];
+  const minorEdits = [];
+  let unchanged = 0;
+  matches
+    .sort((x, y) => x.j - y.j)
+    .forEach(({ i, j, similarity }) => {
+      const diff = diffUnit(before[i], after[j]);
+      if (diff.paragraphs.length === 0) {
+        unchanged++;
+        return;
+      }
+      const entry = {
+        heading: after[j].heading || excerpt(after[j].paragraphs[0] || '', 160),
+        previousHeading: before[i].heading !== after[j].heading ? before[i].heading : undefined,
+        category: after[j].category,
+        similarity: round(similarity),
+        changedWords: diff.changedWords
+      };
+      if (diff.changedWords >= minChangedWords) {
+        reworded.push({ ...entry, paragraphs: diff.paragraphs });
+      } else {
+        minorEdits.push(entry);
+      }
+    });
+
+  const added = after.filter((unit, j) => !usedAfter.has(j)).map(describeUnit);
+  const removed = before.filter((unit, i) => !usedBefore.has(i)).map(describeUnit);
+
+  return {
+    summary: {
+      unitsBefore: before.length,
+      unitsAfter: after.length,
+      added: added.length,
+      removed: removed.length,
+      reworded: reworded.length,
+      minorEdits: minorEdits.length,
+      unchanged: unchanged
+    },
+    added,
+    removed,
+    reworded: reworded.sort((x, y) => y.changedWords - x.changedWords),
+    minorEdits
+  };
+}
+
+// A filing or period the question compares against: "since the last 10-K", "vs the prior quarter",
+// "in the latest 10-Q", "year over year", "this year", "from 2023 to 2024"
+const FILING_REFERENCE = new RegExp([
+  '\\b(?:since|vs\\.?|versus|compared (?:to|with)|from|than)\\s+(?:the\\s+)?(?:last|prior|previous|preceding)\\s+(?:year|quarter|10-?k|10-?q|20-?f|filing|annual report|quarterly report|report)\\b',
+  '\\b(?:last|prior|previous|latest|most recent|newest|new|current)\\s+(?:10-?k|10-?q|20-?f|annual report|quarterly report|filing)s?\\b',
+  '\\b(?:year|quarter)[- ]over[- ](?:year|quarter)\\b|\\byoy\\b|\\bqoq\\b',
+  '\\b(?:this|last|past)\\s+(?:year|quarter)\\b',
+  '\\b(?:19|20)\\d{2}\\b.*\\b(?:19|20)\\d{2}\\b'
+].join('|'));
+
+// "What changed in the risk factors since the last 10-K?", "New risks in the latest 10-Q?",
+// "How did MD&A change year over year?". Without a filing or period to compare against
+// ("Are there new risks from AI?") the question is left to document search.
+function parseFilingDiffQuestion(question) {
+  const text = question.toLowerCase();
+  const section = /\brisk factors?\b|\brisks?\b/.test(text) ? 'risk-factors'
+    : /\bmd&a\b|\bmd&amp;a\b|\bmda\b|management'?s discussion/.test(text) ? 'mdna' : null;
+  if (!section) return null;
+
+  const change = /\b(chang\w*|differ\w*|new|added|removed|dropped|deleted|updated|revised|compare\w*|versus|vs\.?|year[- ]over[- ]year|yoy)\b/.test(text);
+  if (!change || !FILING_REFERENCE.test(text)) return null;
+
+  const form = /\b10-?q\b|\bquarter(?:ly)?\b/.test(text) ? '10-Q' : /\b20-?f\b/.test(text) ? '20-F' : '10-K';
+  return { section, form };
+}
+
+module.exports = { compareSections, segmentSection, diffParagraph, parseFilingDiffQuestion };
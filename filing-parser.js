@@ -0,0 +1,225 @@
+// SEC periodic report parsing.
+// Splits 10-K, 10-Q and 20-F filings into their Parts and Items and tags each with a
+// topic (risk-factors, mdna, financial-statements, ...) so retrieval can target a section.
+// Item headings appear twice in most filings, once in the table of contents and once in
+// the body; for each item the occurrence that starts the longest section wins, which
+// drops the table of contents entries.
+
+// Item number -> [title, topic]; 10-Q items are keyed by part since the numbers repeat
+const ITEMS = {
+  '10-K': {
+    '1': ['Business', 'business'],
+    '1A': ['Risk Factors', 'risk-factors'],
+    '1B': ['Unresolved Staff Comments', 'other'],
+    '1C': ['Cybersecurity', 'cybersecurity'],
+    '2': ['Properties', 'properties'],
+    '3': ['Legal Proceedings', 'legal-proceedings'],
+    '4': ['Mine Safety Disclosures', 'other'],
+    '5': ['Market for Registrant\'s Common Equity, Related Stockholder Matters and Issuer Purchases of Equity Securities', 'equity'],
+    '6': ['[Reserved]', 'other'],
+    '7': ['Management\'s Discussion and Analysis of Financial Condition and Results of Operations', 'mdna'],
+    '7A': ['Quantitative and Qualitative Disclosures About Market Risk', 'market-risk'],
+    '8': ['Financial Statements and Supplementary Data', 'financial-statements'],
+    '9': ['Changes in and Disagreements with Accountants on Accounting and Financial Disclosure', 'other'],
+    '9A': ['Controls and Procedures', 'controls'],
+    '9B': ['Other Information', 'other'],
+    '9C': ['Disclosure Regarding Foreign Jurisdictions that Prevent Inspections', 'other'],
+    '10': ['Directors, Executive Officers and Corporate Governance', 'governance'],
+    '11': ['Executive Compensation', 'compensation'],
+    '12': ['Security Ownership of Certain Beneficial Owners and Management and Related Stockholder Matters', 'ownership'],
+    '13': ['Certain Relationships and Related Transactions, and Director Independence', 'governance'],
+    '14': ['Principal Accountant Fees and Services', 'other'],
+    '15': ['Exhibits and Financial Statement Schedules', 'exhibits'],
+    '16': ['Form 10-K Summary', 'other']
+  },
+  '10-Q': {
+    'I-1': ['Financial Statements', 'financial-statements'],
+    'I-2': ['Management\'s Discussion and Analysis of Financial Condition and Results of Operations', 'mdna'],
+    'I-3': ['Quantitative and Qualitative Disclosures About Market Risk', 'market-risk'],
+    'I-4': ['Controls and Procedures', 'controls'],
+    'II-1': ['Legal Proceedings', 'legal-proceedings'],
+    'II-1A': ['Risk Factors', 'risk-factors'],
+    'II-2': ['Unregistered Sales of Equity Securities and Use of Proceeds', 'equity'],
+    'II-3': ['Defaults Upon Senior Securities', 'other'],
+    'II-4': ['Mine Safety Disclosures', 'other'],
+    'II-5': ['Other Information', 'other'],
+    'II-6': ['Exhibits', 'exhibits']
+  },
+  '20-F': {
+    '1': ['Identity of Directors, Senior Management and Advisers', 'other'],
+    '2': ['Offer Statistics and Expected Timetable', 'other'],
+    '3': ['Key Information', 'key-information'],
+    '3D': ['Risk Factors', 'risk-factors'],
+    '4': ['Information on the Company', 'business'],
+    '4A': ['Unresolved Staff Comments', 'other'],
+    '5': ['Operating and Financial Review and Prospects', 'mdna'],
+    '6': ['Directors, Senior Management and Employees', 'governance'],
+    '7': ['Major Shareholders and Related Party Transactions', 'ownership'],
+    '8': ['Financial Information', 'financial-statements'],
+    '9': ['The Offer and Listing', 'other'],
+    '10': ['Additional Information', 'other'],
+    '11': ['Quantitative and Qualitative Disclosures About Market Risk', 'market-risk'],
+    '12': ['Description of Securities Other than Equity Securities', 'other'],
+    '13': ['Defaults, Dividend Arrearages and Delinquencies', 'other'],
+    '14': ['Material Modifications to the Rights of Security Holders and Use of Proceeds', 'other'],
+    '15': ['Controls and Procedures', 'controls'],
+    '16': ['[Reserved]', 'other'],
+    '16A': ['Audit Committee Financial Expert', 'governance'],
+    '16B': ['Code of Ethics', 'governance'],
+    '16C': ['Principal Accountant Fees and Services', 'other'],
+    '16D': ['Exemptions from the Listing Standards for Audit Committees', 'governance'],
+    '16E': ['Purchases of Equity Securities by the Issuer and Affiliated Purchasers', 'equity'],
+    '16F': ['Change in Registrant\'s Certifying Accountant', 'other'],
+    '16G': ['Corporate Governance', 'governance'],
+    '16H': ['Mine Safety Disclosure', 'other'],
+    '16I': ['Disclosure Regarding Foreign Jurisdictions that Prevent Inspections', 'other'],
+    '16J': ['Insider Trading Policies', 'governance'],
+    '16K': ['Cybersecurity', 'cybersecurity'],
+    '17': ['Financial Statements', 'financial-statements'],
+    '18': ['Financial Statements', 'financial-statements'],
+    '19': ['Exhibits', 'exhibits']
+  }
+};
+
+const PART_LINE = /^(?:#+\s*)?PART\s+(I{1,3}|IV)\b\.?\s*[-–—:.]?\s*(.{0,100})$/i;
+const ITEM_LINE = /^(?:#+\s*)?(?:PART\s+(I{1,3}|IV)\s*[,.\-–—]?\s*)?ITEM\s+(\d{1,2})\s*\.?\s*([A-K])?\b\s*[.:\-–—]?\s*(.{0,160})$/i;
+// 20-F risk factors sit under Item 3 as "D. Risk Factors"
+const RISK_FACTORS_20F = /^(?:#+\s*)?(?:3\.)?D\.?\s+Risk\s+Factors\s*$/i;
+
+function baseForm(form) {
+  const base = String(form || '').toUpperCase().replace(/\/A$/, '');
+  return ITEMS[base] ? base : null;
+}
+
+// Item headings laid out as table cells come through the table renderer as
+// "| Item 1A. | Risk Factors |"; the cells are joined back into one heading line
+function headingText(line) {
+  if (!line.startsWith('|')) return line;
+  return line.split('|').map(cell => cell.trim()).filter(Boolean).join(' ');
+}
+
+function normalizeTitle(title) {
+  return title.toLowerCase().replace(/[’']/g, '\'').replace(/[^a-z]+/g, ' ').trim();
+}
+
+// Loose title match: the heading starts with the first few words of the known title
+function titleMatches(heading, known) {
+  const words = normalizeTitle(known).split(' ').filter(word => word.length > 2).slice(0, 3);
+  const text = normalizeTitle(heading);
+  return words.length > 0 && words.every(word => text.includes(word));
+}
+
+class FilingParser {
+  static supports(form) {
+    return Boolean(baseForm(form));
+  }
+
+  // Returns { isSectioned, form, sections: [{ part, item, itemTitle, filingSection, start, text }] },
+  // where start is the section's offset in text. Text before the first item (cover page,
+  // table of contents) has no item.
+  parse(text, form) {
+    const base = baseForm(form);
+    if (!base) {
+      return { isSectioned: false, form: form, sections: [] };
+    }
+
+    const lines = text.split('\n');
+    const offsets = [];
+    let offset = 0;
+    lines.forEach(line => {
+      offsets.push(offset);
+      offset += line.length + 1;
+    });
+
+    const headings = this.findHeadings(lines, offsets, base);
+
+    // Keep, for each item, the occurrence with the longest section
+    const lengths = headings.map((heading, i) => (i + 1 < headings.length ? headings[i + 1].start : text.length) - heading.start);
+    const best = {};
+    headings.forEach((heading, i) => {
+      if (!best[heading.key] || lengths[i] > best[heading.key].length) {
+        best[heading.key] = { heading, length: lengths[i] };
+      }
+    });
+    const kept = Object.values(best).map(entry => entry.heading).sort((a, b) => a.start - b.start);
+
+    if (kept.length < 2) {
+      return { isSectioned: false, form: base, sections: [] };
+    }
+
+    const sections = [];
+    const preamble = text.slice(0, kept[0].start).trim();
+    if (preamble) {
+      sections.push({ part: null, item: null, itemTitle: null, filingSection: 'cover', start: 0, text: preamble });
+    }
+
+    kept.forEach((heading, i) => {
+      const end = i + 1 < kept.length ? kept[i + 1].start : text.length;
+      const [itemTitle, filingSection] = ITEMS[base][heading.key];
+      sections.push({
+        part: heading.part ? `Part ${heading.part}` : null,
+        item: heading.item,
+        itemTitle: itemTitle,
+        filingSection: filingSection,
+        start: heading.start,
+        text: text.slice(heading.start, end).trimEnd()
+      });
+    });
+
+    return { isSectioned: true, form: base, sections: sections };
+  }
+
+  findHeadings(lines, offsets, base) {
+    const items = ITEMS[base];
+    const headings = [];
+    let part = null;
+
+    lines.forEach((rawLine, i) => {
+      const line = headingText(rawLine.trim());
+      if (!line || line.length > 200) return;
+
+      const partMatch = line.match(PART_LINE);
+      if (partMatch && !/^(?:#+\s*)?PART\s+\S+\s*[,.\-–—]?\s*ITEM\b/i.test(line)) {
+        part = partMatch[1].toUpperCase();
+        return;
+      }
+
+      if (base === '20-F' && RISK_FACTORS_20F.test(line)) {
+        headings.push({ key: '3D', item: '3D', part: null, start: offsets[i] });
+        return;
+      }
+
+      const match = line.match(ITEM_LINE);
+      if (!match) return;
+
+      // Sentences that merely refer to an item ("Item 7 of this report discusses...") are not headings
+      const title = match[4] || '';
+      if (/\.\s*$/.test(title) && title.split(/\s+/).length > 12) return;
+
+      const item = `${match[2]}${(match[3] || '').toUpperCase()}`;
+      const headingPart = match[1] ? match[1].toUpperCase() : part;
+      const key = base === '10-Q' ? this.resolveQuarterlyKey(item, headingPart, title) : item;
+
+      // A known item number with an unrelated title is more likely a cross-reference
+      if (!key || !items[key]) return;
+      if (title && !/^\d+$/.test(title) && !titleMatches(title, items[key][0])) return;
+
+      headings.push({ key, item, part: base === '10-Q' ? key.split('-')[0] : headingPart, start: offsets[i] });
+    });
+
+    return headings;
+  }
+
+  // 10-Q item numbers repeat in Parts I and II; the title decides when the part is unclear
+  resolveQuarterlyKey(item, part, title) {
+    const candidates = ['I', 'II'].map(candidate => `${candidate}-${item}`).filter(key => ITEMS['10-Q'][key]);
+    if (title) {
+      const byTitle = candidates.find(key => titleMatches(title, ITEMS['10-Q'][key][0]));
+      if (byTitle) return byTitle;
+    }
+    if (part && ITEMS['10-Q'][`${part}-${item}`]) return `${part}-${item}`;
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+}
+
+module.exports = { FilingParser, FILING_ITEMS: ITEMS };
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./json-store');
+
+// Sections kept verbatim for year-over-year comparison
+const STORED_SECTIONS = ['risk-factors', 'mdna'];
+
+// Full text of the Risk Factors and MD&A sections of each periodic filing, one file per
+// document. Chunks overlap and drop headings, so they can't be stitched back into the
+// original section reliably; the filing diff reads these instead.
+class FilingSectionsStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.env.DATA_DIR || 'data', 'filing-sections');
+  }
+
+  storeFor(documentId) {
+    return new JsonStore(path.join(this.dir, `${String(documentId).replace(/[^A-Za-z0-9.\-]/g, '')}.json`), null);
+  }
+
+  // filing: { documentId, company, form, filingDate, reportDate, accessionNumber };
+  // sections: parsed filing sections from FilingParser
+  save(filing, sections) {
+    const texts = {};
+    sections
+      .filter(section => STORED_SECTIONS.includes(section.filingSection))
+      .forEach(section => {
+        // 10-Qs can carry the same topic in two items; keep them in filing order
+        texts[section.filingSection] = texts[section.filingSection] ? `${texts[section.filingSection]}\n\n${section.text}` : section.text;
+      });
+    if (Object.keys(texts).length === 0) {
+      return null;
+    }
+
+    const record = {
+      ...filing,
+      company: String(filing.company).toUpperCase(),
+      sections: texts,
+      recordedAt: new Date().toISOString()
+    };
+    this.storeFor(filing.documentId).write(record);
+    return record;
+  }
+
+  get(documentId) {
+    return this.storeFor(documentId).read();
+  }
+
+  remove(documentId) {
+    const file = this.storeFor(documentId).filePath;
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+      return true;
+    }
+    return false;
+  }
+}
+
+module.exports = { FilingSectionsStore, STORED_SECTIONS };
@@ -0,0 +1,533 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+
+// Structured XBRL financial facts from SEC companyfacts, one file per company.
+// Facts are kept as reported (concept, unit, period start/end, fiscal year/period, form,
+// accession, filed date) and turned into quarterly, annual and trailing-twelve-month
+// series on read. Q4 values of flow concepts are rarely tagged on their own, so they are
+// derived from the fiscal year less the first three quarters; cash flow statements in 10-Qs
+// report year-to-date figures, so their quarters are the difference of consecutive ones.
+
+// Friendly metric names; the first concept with data for a period wins
+const METRICS = {
+  revenue: {
+    label: 'Revenue',
+    concepts: ['us-gaap:RevenueFromContractWithCustomerExcludingAssessedTax', 'us-gaap:Revenues', 'us-gaap:SalesRevenueNet', 'ifrs-full:Revenue'],
+    keywords: ['revenue', 'revenues', 'net sales', 'total sales', 'sales', 'top line']
+  },
+  costOfRevenue: {
+    label: 'Cost of Revenue',
+    concepts: ['us-gaap:CostOfGoodsAndServicesSold', 'us-gaap:CostOfRevenue', 'ifrs-full:CostOfSales'],
+    keywords: ['cost of revenue', 'cost of sales', 'cost of goods sold', 'cogs']
+  },
+  grossProfit: {
+    label: 'Gross Profit',
+    concepts: ['us-gaap:GrossProfit', 'ifrs-full:GrossProfit'],
+    keywords: ['gross profit']
+  },
+  researchAndDevelopment: {
+    label: 'Research and Development Expense',
+    concepts: ['us-gaap:ResearchAndDevelopmentExpense'],
+    keywords: ['research and development', 'r&d']
+  },
+  operatingIncome: {
+    label: 'Operating Income',
+    concepts: ['us-gaap:OperatingIncomeLoss', 'ifrs-full:ProfitLossFromOperatingActivities'],
+    keywords: ['operating income', 'operating profit', 'operating loss', 'income from operations']
+  },
+  netIncome: {
+    label: 'Net Income',
+    concepts: ['us-gaap:NetIncomeLoss', 'ifrs-full:ProfitLoss'],
+    keywords: ['net income', 'net loss', 'net profit', 'net earnings', 'bottom line']
+  },
+  epsDiluted: {
+    label: 'Diluted EPS',
+    concepts: ['us-gaap:EarningsPerShareDiluted', 'ifrs-full:DilutedEarningsLossPerShare'],
+    keywords: ['diluted eps', 'diluted earnings per share', 'eps', 'earnings per share']
+  },
+  epsBasic: {
+    label: 'Basic EPS',
+    concepts: ['us-gaap:EarningsPerShareBasic', 'ifrs-full:BasicEarningsLossPerShare'],
+    keywords: ['basic eps', 'basic earnings per share']
+  },
+  operatingCashFlow: {
+    label: 'Operating Cash Flow',
+    concepts: ['us-gaap:NetCashProvidedByUsedInOperatingActivities', 'ifrs-full:CashFlowsFromUsedInOperatingActivities'],
+    keywords: ['operating cash flow', 'cash flow from operations', 'cash from operations', 'cash provided by operating activities']
+  },
+  capitalExpenditures: {
+    label: 'Capital Expenditures',
+    concepts: ['us-gaap:PaymentsToAcquirePropertyPlantAndEquipment'],
+    keywords: ['capital expenditures', 'capital expenditure', 'capex']
+  },
+  cash: {
+    label: 'Cash and Cash Equivalents',
+    concepts: ['us-gaap:CashAndCashEquivalentsAtCarryingValue', 'ifrs-full:CashAndCashEquivalents'],
+    keywords: ['cash and cash equivalents', 'cash position', 'cash balance']
+  },
+  totalAssets: {
+    label: 'Total Assets',
+    concepts: ['us-gaap:Assets', 'ifrs-full:Assets'],
+    keywords: ['total assets']
+  },
+  totalLiabilities: {
+    label: 'Total Liabilities',
+    concepts: ['us-gaap:Liabilities', 'ifrs-full:Liabilities'],
+    keywords: ['total liabilities']
+  },
+  stockholdersEquity: {
+    label: 'Stockholders\' Equity',
+    concepts: ['us-gaap:StockholdersEquity', 'ifrs-full:Equity'],
+    keywords: ['stockholders equity', 'stockholders\' equity', 'shareholders equity', 'shareholders\' equity', 'book value']
+  },
+  longTermDebt: {
+    label: 'Long-Term Debt',
+    concepts: ['us-gaap:LongTermDebtNoncurrent', 'us-gaap:LongTermDebt'],
+    keywords: ['long-term debt', 'long term debt']
+  },
+  sharesOutstanding: {
+    label: 'Shares Outstanding',
+    concepts: ['dei:EntityCommonStockSharesOutstanding', 'us-gaap:CommonStockSharesOutstanding'],
+    keywords: ['shares outstanding']
+  }
+};
+
+const TAXONOMIES = ['us-gaap', 'ifrs-full', 'dei'];
+const DAY = 24 * 60 * 60 * 1000;
+
+function durationDays(fact) {
+  return fact.start ? Math.round((new Date(fact.end) - new Date(fact.start)) / DAY) + 1 : 0;
+}
+
+function isQuarter(fact) {
+  const days = durationDays(fact);
+  return days >= 80 && days <= 100;
+}
+
+function isYear(fact) {
+  const days = durationDays(fact);
+  return days >= 350 && days <= 380;
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY).toISOString().slice(0, 10);
+}
+
+function periodLabel(point) {
+  if (point.fp === 'TTM') return `TTM ending ${point.end}`;
+  if (!point.fy) return point.end;
+  return point.fp === 'FY' ? `FY${point.fy}` : `${point.fp} FY${point.fy}`;
+}
+
+function formatValue(value, unit) {
+  if (unit === 'USD') {
+    const sign = value < 0 ? '-' : '';
+    const abs = Math.abs(value);
+    const exact = `${sign}$${abs.toLocaleString('en-US')}`;
+    if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(2)}B (${exact})`;
+    if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(2)}M (${exact})`;
+    return exact;
+  }
+  if (unit === 'USD/shares') return `$${value.toFixed(2)}`;
+  if (unit === 'shares') return `${value.toLocaleString('en-US')} shares`;
+  return `${value.toLocaleString('en-US')} ${unit}`;
+}
+
+class FinancialsStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.env.DATA_DIR || 'data', 'financials');
+  }
+
+  storeFor(company) {
+    const name = String(company).toUpperCase().replace(/[^A-Z0-9.\-]/g, '');
+    return new JsonStore(path.join(this.dir, `${name}.json`), null);
+  }
+
+  // Replace a company's facts with a fresh companyfacts payload
+  importCompanyFacts(company, companyFacts) {
+    const concepts = {};
+    let factCount = 0;
+
+    TAXONOMIES.forEach(taxonomy => {
+      Object.entries((companyFacts.facts || {})[taxonomy] || {}).forEach(([concept, data]) => {
+        const units = {};
+        Object.entries(data.units || {}).forEach(([unit, facts]) => {
+          units[unit] = facts
+            .filter(fact => fact.val !== null && fact.val !== undefined && fact.end)
+            .map(fact => ({
+              start: fact.start || null,
+              end: fact.end,
+              value: fact.val,
+              fy: fact.fy || null,
+              fp: fact.fp || null,
+              form: fact.form,
+              accession: fact.accn,
+              filed: fact.filed,
+              frame: fact.frame || null
+            }));
+          factCount += units[unit].length;
+        });
+        concepts[`${taxonomy}:${concept}`] = { label: data.label || concept, description: data.description || '', units };
+      });
+    });
+
+    const record = {
+      company: String(company).toUpperCase(),
+      cik: companyFacts.cik ? String(companyFacts.cik).padStart(10, '0') : null,
+      entityName: companyFacts.entityName || null,
+      updatedAt: new Date().toISOString(),
+      conceptCount: Object.keys(concepts).length,
+      factCount: factCount,
+      concepts: concepts
+    };
+    this.storeFor(company).write(record);
+    return { company: record.company, entityName: record.entityName, conceptCount: record.conceptCount, factCount: factCount, updatedAt: record.updatedAt };
+  }
+
+  get(company) {
+    return this.storeFor(company).read();
+  }
+
+  // Concepts held for a company, optionally narrowed by a search term
+  listConcepts(company, search = '') {
+    const record = this.get(company);
+    if (!record) return null;
+
+    const term = search.toLowerCase();
+    return Object.entries(record.concepts)
+      .filter(([concept, data]) => !term || concept.toLowerCase().includes(term) || data.label.toLowerCase().includes(term))
+      .map(([concept, data]) => ({
+        concept,
+        label: data.label,
+        units: Object.keys(data.units),
+        facts: Object.values(data.units).reduce((sum, facts) => sum + facts.length, 0)
+      }))
+      .sort((a, b) => a.concept.localeCompare(b.concept));
+  }
+
+  // A metric name from METRICS, or a concept such as 'us-gaap:Revenues' (or just 'Revenues')
+  resolveMetric(record, metric) {
+    if (METRICS[metric]) {
+      return { metric, label: METRICS[metric].label, concepts: METRICS[metric].concepts.filter(concept => record.concepts[concept]) };
+    }
+
+    const concept = metric.includes(':') ? metric : TAXONOMIES.map(taxonomy => `${taxonomy}:${metric}`).find(name => record.concepts[name]);
+    if (!concept || !record.concepts[concept]) return null;
+    return { metric: concept, label: record.concepts[concept].label, concepts: [concept] };
+  }
+
+  // Label each period with the fiscal year and period of the filing that first reported it
+  // as its current period (companyfacts tags comparatives with the filing's fy/fp as well)
+  labelFacts(facts) {
+    const currentEnd = {};
+    facts.forEach(fact => {
+      if (!currentEnd[fact.accession] || fact.end > currentEnd[fact.accession]) currentEnd[fact.accession] = fact.end;
+    });
+
+    const labels = {};
+    [...facts].sort((a, b) => (a.filed || '').localeCompare(b.filed || '')).forEach(fact => {
+      const key = `${fact.start || ''}|${fact.end}`;
+      if (labels[key] || fact.end !== currentEnd[fact.accession] || !fact.fy || !fact.fp) return;
+      if (fact.start && fact.fp === 'FY' && !isYear(fact)) return;
+      if (fact.start && fact.fp !== 'FY' && !isQuarter(fact)) return;
+      labels[key] = { fy: fact.fy, fp: fact.fp };
+    });
+
+    // Older comparatives whose own filing predates the data are placed against the nearest
+    // labelled fiscal year
+    const years = Object.entries(labels)
+      .filter(([key, label]) => label.fp === 'FY' && key.split('|')[0])
+      .map(([key, label]) => ({ fy: label.fy, end: key.split('|')[1] }));
+    facts.forEach(fact => {
+      const key = `${fact.start || ''}|${fact.end}`;
+      if (labels[key] || years.length === 0 || !(isQuarter(fact) || isYear(fact))) return;
+
+      const reference = years.reduce((best, year) =>
+        Math.abs(new Date(year.end) - new Date(fact.end)) < Math.abs(new Date(best.end) - new Date(fact.end)) ? year : best);
+      const yearsApart = (new Date(fact.end) - new Date(reference.end)) / (365.25 * DAY);
+      const fy = reference.fy + Math.ceil(yearsApart - 0.05);
+      if (isYear(fact)) {
+        labels[key] = { fy: fy, fp: 'FY' };
+      } else {
+        const yearEnd = addDays(reference.end, Math.round((fy - reference.fy) * 365.25));
+        const quarter = 4 - Math.round((new Date(yearEnd) - new Date(fact.end)) / (91.3 * DAY));
+        if (quarter >= 1 && quarter <= 4) labels[key] = { fy: fy, fp: `Q${quarter}` };
+      }
+    });
+    return labels;
+  }
+
+  // One value per period, restated values (the latest filing) taking precedence
+  dedupe(facts) {
+    const byPeriod = {};
+    facts.forEach(fact => {
+      const key = `${fact.start || ''}|${fact.end}`;
+      if (!byPeriod[key] || (fact.filed || '') > (byPeriod[key].filed || '')) byPeriod[key] = fact;
+    });
+    return Object.values(byPeriod);
+  }
+
+  // { metric, label, concept, unit, view, values: [{ period, fy, fp, start, end, value, formatted, form, accession, filed, concept, derived }] }, newest first
+  series(company, metric, options = {}) {
+    const record = this.get(company);
+    if (!record) return null;
+
+    const resolved = this.resolveMetric(record, metric);
+    if (!resolved || resolved.concepts.length === 0) return null;
+
+    const view = options.view || 'quarterly';
+    const points = {};
+    let unit = null;
+    let isInstant = false;
+
+    resolved.concepts.forEach(concept => {
+      const units = record.concepts[concept].units;
+      const conceptUnit = unit || ['USD', 'USD/shares', 'shares'].find(candidate => units[candidate]) || Object.keys(units)[0];
+      if (!units[conceptUnit]) return;
+      unit = conceptUnit;
+
+      const facts = units[conceptUnit];
+      isInstant = isInstant || facts.every(fact => !fact.start);
+      const labels = this.labelFacts(facts);
+
+      this.viewPoints(this.dedupe(facts), labels, view, isInstant).forEach(point => {
+        const key = `${point.start || ''}|${point.end}|${point.fp}`;
+        if (!points[key]) points[key] = { ...point, concept };
+      });
+    });
+
+    const values = Object.values(points)
+      .sort((a, b) => b.end.localeCompare(a.end))
+      .slice(0, options.limit || (view === 'annual' ? 5 : 8))
+      .map(point => ({ period: periodLabel(point), ...point, formatted: formatValue(point.value, unit) }));
+
+    return {
+      company: record.company,
+      entityName: record.entityName,
+      metric: resolved.metric,
+      label: resolved.label,
+      concepts: resolved.concepts,
+      unit: unit,
+      view: view,
+      periodType: isInstant ? 'instant' : 'duration',
+      values: values
+    };
+  }
+
+  viewPoints(facts, labels, view, isInstant) {
+    const point = (fact, extra = {}) => ({
+      ...(labels[`${fact.start || ''}|${fact.end}`] || { fy: null, fp: null }),
+      start: fact.start,
+      end: fact.end,
+      value: fact.value,
+      form: fact.form,
+      accession: fact.accession,
+      filed: fact.filed,
+      ...extra
+    });
+
+    // Balance sheet items are point-in-time; every view reports the values at period ends
+    if (isInstant) {
+      return facts
+        .filter(fact => labels[`|${fact.end}`])
+        .map(fact => point(fact))
+        .filter(item => view !== 'annual' || item.fp === 'FY');
+    }
+
+    const annual = facts.filter(isYear).map(fact => point(fact));
+    if (view === 'annual') return annual;
+
+    const quarters = this.quarters(facts, annual, point);
+    if (view === 'quarterly') return quarters;
+
+    // Trailing twelve months: four consecutive quarters
+    const ordered = [...quarters].sort((a, b) => a.end.localeCompare(b.end));
+    const ttm = [];
+    for (let i = 3; i < ordered.length; i++) {
+      const window = ordered.slice(i - 3, i + 1);
+      const consecutive = window.every((quarter, j) => j === 0 ||
+        Math.abs(new Date(quarter.start) - new Date(addDays(window[j - 1].end, 1))) <= 7 * DAY);
+      if (!consecutive) continue;
+
+      const last = window[window.length - 1];
+      ttm.push({
+        fy: last.fy,
+        fp: 'TTM',
+        start: window[0].start,
+        end: last.end,
+        value: window.reduce((sum, quarter) => sum + quarter.value, 0),
+        form: last.form,
+        accession: last.accession,
+        filed: last.filed,
+        derived: true,
+        quarters: window.map(quarter => periodLabel(quarter))
+      });
+    }
+    return ttm;
+  }
+
+  // Reported quarters, quarters derived from year-to-date figures, and Q4 derived from the
+  // fiscal year less Q1-Q3
+  quarters(facts, annual, point) {
+    const quarters = facts.filter(isQuarter).map(fact => point(fact));
+    this.yearToDateQuarters(facts, point).forEach(derived => {
+      if (!quarters.some(quarter => quarter.end === derived.end)) quarters.push(derived);
+    });
+
+    annual.forEach(year => {
+      if (quarters.some(quarter => quarter.end === year.end)) return;
+
+      const within = quarters
+        .filter(quarter => quarter.start >= addDays(year.start, -7) && quarter.end < year.end)
+        .sort((a, b) => a.end.localeCompare(b.end));
+      if (within.length !== 3) return;
+
+      quarters.push({
+        fy: year.fy,
+        fp: year.fp === 'FY' ? 'Q4' : null,
+        start: addDays(within[2].end, 1),
+        end: year.end,
+        value: Math.round((year.value - within.reduce((sum, quarter) => sum + quarter.value, 0)) * 1000) / 1000,
+        form: year.form,
+        accession: year.accession,
+        filed: year.filed,
+        derived: true
+      });
+    });
+
+    return quarters;
+  }
+
+  // Six- and nine-month figures (and the fiscal year) share the year's start date; each one
+  // less the one before it is a quarter. Labelled from the year's Q1 or FY label.
+  yearToDateQuarters(facts, point) {
+    const byStart = {};
+    facts.filter(fact => fact.start && durationDays(fact) >= 80 && durationDays(fact) <= 380).forEach(fact => {
+      (byStart[fact.start] = byStart[fact.start] || []).push(fact);
+    });
+
+    const derived = [];
+    Object.values(byStart).forEach(cumulative => {
+      cumulative.sort((a, b) => a.end.localeCompare(b.end));
+      const labelled = cumulative.map(fact => point(fact)).find(item => item.fy && (item.fp === 'Q1' || item.fp === 'FY'));
+
+      cumulative.forEach((fact, i) => {
+        if (i === 0) return;
+        const previous = cumulative[i - 1];
+        const gap = durationDays(fact) - durationDays(previous);
+        if (gap < 80 || gap > 100) return;
+
+        const quarter = Math.round(durationDays(fact) / 91.3);
+        derived.push({
+          ...point(fact),
+          fy: labelled ? labelled.fy : null,
+          fp: labelled && quarter >= 2 && quarter <= 4 ? `Q${quarter}` : null,
+          start: addDays(previous.end, 1),
+          value: Math.round((fact.value - previous.value) * 1000) / 1000,
+          derived: true
+        });
+      });
+    });
+    return derived;
+  }
+
+  // The value a parsed question asks for (see parseFinancialQuestion): the matching fiscal
+  // period, or the latest one when the question names none. Returns { series, point } or null.
+  lookup(company, query) {
+    const series = this.series(company, query.metric, { view: query.view, limit: 40 });
+    if (!series || series.values.length === 0) return null;
+
+    const point = series.values.find(value =>
+      (!query.fy || value.fy === query.fy) && (!query.fp || value.fp === query.fp));
+    return point ? { series, point } : null;
+  }
+
+  // Latest values of the headline metrics
+  summary(company, view = 'quarterly') {
+    const record = this.get(company);
+    if (!record) return null;
+
+    const metrics = {};
+    Object.keys(METRICS).forEach(metric => {
+      const series = this.series(company, metric, { view, limit: 1 });
+      if (series && series.values.length > 0) {
+        metrics[metric] = { label: series.label, unit: series.unit, ...series.values[0] };
+      }
+    });
+
+    return {
+      company: record.company,
+      entityName: record.entityName,
+      updatedAt: record.updatedAt,
+      view: view,
+      metrics: metrics
+    };
+  }
+}
+
+// Words that make a question about a metric more than a request for one figure: narrative,
+// growth, comparisons, shares of a total and risks are left to document search
+const NOT_A_FIGURE = /\b(why|drivers?|driven|reasons?|caus\w*|impact\w*|affect\w*|explain\w*|commentary|said|say|guidance|outlook|expect\w*|grow|grew|growth|growing|increase[ds]?|decrease[ds]?|decline[ds]?|rise|rose|fall|fell|drop\w*|chang\w*|trend\w*|compar\w*|versus|vs|against|relative|percent\w*|share of|portion|proportion|mix|margins?|risks?|each|every)\b|%/;
+
+// Recognize questions asking for an exact figure, e.g. "What was revenue in Q3 FY2024?"
+// or "What is the TTM net income?". Returns { metric, view, fy, fp } or null. Only "what
+// was/is ..." and "how much/many ..." requests for a single period qualify.
+function parseFinancialQuestion(question) {
+  const text = question.toLowerCase().trim();
+  if (!/^(what\s+(was|were|is|are)\b|what's\b|how\s+(much|many)\b)/.test(text) || NOT_A_FIGURE.test(text)) {
+    return null;
+  }
+
+  // "revenue in 2023 and 2022" asks for more than one period
+  const years = new Set((text.match(/\b(?:19|20)\d{2}\b/g) || []));
+  const quarters = text.match(/\bq[1-4]\b|\b(?:first|second|third|fourth)\s+(?:fiscal\s+)?quarter\b/g) || [];
+  if (years.size > 1 || quarters.length > 1) {
+    return null;
+  }
+
+  let match = null;
+  Object.entries(METRICS).forEach(([metric, definition]) => {
+    definition.keywords.forEach(keyword => {
+      const pattern = new RegExp(`(^|[^a-z])${keyword.replace(/[.*+?^${}()|[\]\\&]/g, '\\$&')}([^a-z]|$)`);
+      if (pattern.test(text) && (!match || keyword.length > match.keyword.length)) {
+        match = { metric, keyword };
+      }
+    });
+  });
+  if (!match) return null;
+
+  const year = value => {
+    const number = Number(value);
+    return number < 100 ? 2000 + number : number;
+  };
+  const ordinals = { first: 1, second: 2, third: 3, fourth: 4 };
+  const result = { metric: match.metric, view: 'quarterly', fy: null, fp: null };
+
+  const quarter = text.match(/\bq([1-4])\s*(?:of\s+)?(?:fy|fiscal(?:\s+year)?)?\s*'?(\d{4}|\d{2})?\b/);
+  const yearFirstQuarter = text.match(/\b(?:fy|fiscal(?:\s+year)?)\s*'?(\d{4}|\d{2})\s*q([1-4])\b/);
+  const wordQuarter = text.match(/\b(first|second|third|fourth)\s+(?:fiscal\s+)?quarter(?:\s+of)?(?:\s+(?:fiscal|fy))?\s*(?:year\s*)?'?(\d{4}|\d{2})?\b/);
+  const fiscalYear = text.match(/\b(?:fy|fiscal(?:\s+year)?|full[- ]year|annual(?:ly)?|year)\s*'?(\d{4}|\d{2})\b/) || text.match(/\b(?:in|for|during)\s+(\d{4})\b/);
+
+  if (/\b(ttm|ltm|trailing twelve months|trailing 12 months|last twelve months|last 12 months)\b/.test(text)) {
+    result.view = 'ttm';
+  } else if (yearFirstQuarter) {
+    result.fp = `Q${yearFirstQuarter[2]}`;
+    result.fy = year(yearFirstQuarter[1]);
+  } else if (quarter) {
+    result.fp = `Q${quarter[1]}`;
+    result.fy = quarter[2] ? year(quarter[2]) : null;
+  } else if (wordQuarter) {
+    result.fp = `Q${ordinals[wordQuarter[1]]}`;
+    result.fy = wordQuarter[2] ? year(wordQuarter[2]) : null;
+  } else if (fiscalYear) {
+    result.view = 'annual';
+    result.fp = 'FY';
+    result.fy = year(fiscalYear[1]);
+  } else if (/\b(annual|full[- ]year|fiscal year|last year|latest year)\b/.test(text)) {
+    result.view = 'annual';
+  }
+
+  return result;
+}
+
+module.exports = { FinancialsStore, FINANCIAL_METRICS: METRICS, parseFinancialQuestion, formatValue, periodLabel };
@@ -0,0 +1,180 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+
+const CEO_TITLE = /chief executive|\bceo\b/i;
+const ROLE_TITLES = {
+  ceo: CEO_TITLE,
+  cfo: /chief financial|\bcfo\b/i,
+  coo: /chief operating|\bcoo\b/i
+};
+
+function proxyOrder(a, b) {
+  return (a.filingDate || a.uploadDate || '').localeCompare(b.filingDate || b.uploadDate || '') ||
+    (a.recordedAt || '').localeCompare(b.recordedAt || '');
+}
+
+function personKey(name) {
+  return String(name || '').toLowerCase().replace(/\b(?:jr|sr|ii|iii|iv|dr|mr|ms|mrs)\b\.?/g, '').replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// The officer holding a role in the latest fiscal year; current holders before "Former ..." ones
+function officerInRole(officers, role) {
+  const pattern = ROLE_TITLES[role];
+  const latestYear = officer => Math.max(...officer.years.map(entry => entry.year));
+  return officers
+    .filter(officer => pattern.test(officer.title || ''))
+    .sort((a, b) => /former/i.test(a.title) - /former/i.test(b.title) || latestYear(b) - latestYear(a))[0] || null;
+}
+
+// Structured proxy statement (DEF 14A) data, one record per filing: the Summary Compensation
+// Table, directors with committees and independence, and the ballot proposals
+class GovernanceStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || 'data', 'governance.json');
+    this.store = new JsonStore(this.filePath, { proxies: {} });
+  }
+
+  add(proxy) {
+    const data = this.store.read();
+    const record = {
+      ...proxy,
+      id: `governance-${proxy.documentId}`,
+      company: String(proxy.company).toUpperCase(),
+      recordedAt: new Date().toISOString()
+    };
+
+    data.proxies[record.id] = record;
+    this.store.write(data);
+    return record;
+  }
+
+  get(id) {
+    return this.store.read().proxies[id] || null;
+  }
+
+  removeByDocument(documentId) {
+    const data = this.store.read();
+    const record = data.proxies[`governance-${documentId}`];
+    if (!record) {
+      return null;
+    }
+
+    delete data.proxies[record.id];
+    this.store.write(data);
+    return record;
+  }
+
+  // Proxy statements for a company, oldest first
+  list(company) {
+    return Object.values(this.store.read().proxies)
+      .filter(proxy => proxy.company === String(company).toUpperCase())
+      .sort(proxyOrder);
+  }
+
+  latest(company) {
+    return this.list(company).pop() || null;
+  }
+
+  // Named executive officers across every proxy; each year comes from the latest proxy reporting it,
+  // so restated figures replace the originals. Newest year first.
+  compensation(company) {
+    const officers = {};
+    this.list(company).forEach(proxy => {
+      (proxy.compensation || []).forEach(officer => {
+        const key = personKey(officer.name);
+        const merged = officers[key] || { name: officer.name, title: officer.title, years: {} };
+        merged.name = officer.name;
+        merged.title = officer.title || merged.title;
+        officer.years.forEach(entry => {
+          merged.years[entry.year] = { ...entry, filingDate: proxy.filingDate, documentId: proxy.documentId };
+        });
+        officers[key] = merged;
+      });
+    });
+
+    return Object.values(officers).map(officer => ({
+      ...officer,
+      years: Object.values(officer.years).sort((a, b) => b.year - a.year)
+    }));
+  }
+
+  // Governance snapshot from the latest proxy; null when none is recorded
+  summary(company) {
+    const proxy = this.latest(company);
+    if (!proxy) {
+      return null;
+    }
+
+    const directors = proxy.directors || [];
+    const independent = directors.filter(director => director.independent === true);
+    const known = directors.filter(director => director.independent !== null);
+
+    const committees = {};
+    directors.forEach(director => {
+      Object.entries(director.committees || {}).forEach(([name, position]) => {
+        committees[name] = committees[name] || { name, chair: null, members: [], allIndependent: true };
+        committees[name].members.push(director.name);
+        if (position === 'chair') committees[name].chair = director.name;
+        if (director.independent !== true) committees[name].allIndependent = false;
+      });
+    });
+
+    const officers = proxy.compensation || [];
+    const ceo = officerInRole(officers, 'ceo');
+
+    return {
+      company: proxy.company,
+      documentId: proxy.documentId,
+      form: proxy.form,
+      filingDate: proxy.filingDate,
+      meetingDate: proxy.meetingDate,
+      accessionNumber: proxy.accessionNumber,
+      ceo: ceo ? { name: ceo.name, title: ceo.title, ...ceo.years[0] } : null,
+      board: {
+        size: directors.length,
+        independent: independent.length,
+        notIndependent: known.length - independent.length,
+        unknown: directors.length - known.length,
+        independentPercent: known.length > 0 ? Math.round(independent.length / directors.length * 1000) / 10 : null,
+        directors: directors
+      },
+      committees: Object.values(committees),
+      proposals: proxy.proposals || [],
+      namedExecutiveOfficers: officers,
+      proxyCount: this.list(company).length
+    };
+  }
+}
+
+// "How much was the CEO paid last year?", "Is the board independent?", "What's on the ballot?"
+function parseGovernanceQuestion(question) {
+  const text = question.toLowerCase();
+  const year = text.match(/\b((?:19|20)\d{2})\b/);
+  const role = Object.keys(ROLE_TITLES).find(key => ROLE_TITLES[key].test(text)) || null;
+  const executives = /\b(executives?|neos?|named executive|officers?|management|c-suite|top brass)\b/.test(text);
+  const query = { topic: null, role, executives, year: year ? Number(year[1]) : null };
+
+  if (/\b(stock|share)-?based compensation\b/.test(text)) return null;
+
+  // "Earn" and "make" are about pay only when said of an executive, and "make" only with
+  // "how much" or a pay noun after it ("What did management make of the quarter?" is not)
+  const payNoun = /\b(pay|paid|compensation|comp|salary|salaries|pay package)\b/.test(text);
+  const payVerb = (role || executives) && (/\bearn(?:ed|s)?\b/.test(text) ||
+    /\bhow much\b.*\b(?:make|made)\b|\b(?:make|made)\s+(?:\w+\s+){0,2}(?:in\s+)?(?:bonus(?:es)?|money|total|cash|stock awards?)\b/.test(text));
+
+  if ((payNoun && (role || executives || /\b(how much|what did|what does)\b/.test(text))) || payVerb) {
+    query.topic = 'pay';
+  } else if (/\bindependen(?:t|ce)\b/.test(text) && /\b(board|directors?)\b/.test(text)) {
+    query.topic = 'independence';
+  } else if (/\bcommittees?\b/.test(text) && /\b(board|audit|compensation|nominating|governance|who|chair|members?)\b/.test(text)) {
+    query.topic = 'committees';
+  } else if (/\b(proposals?|ballot|say[- ]on[- ]pay|proxy vote|annual meeting|shareholders? vote|stockholders? vote)\b/.test(text)) {
+    query.topic = 'proposals';
+  } else if (/\b(who is|who's|who are)\b.*\b(on the board|directors?)\b|\bboard (?:members|composition)\b/.test(text)) {
+    query.topic = 'independence';
+  }
+
+  return query.topic ? query : null;
+}
+
+module.exports = { GovernanceStore, parseGovernanceQuestion, officerInRole, personKey };
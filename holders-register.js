@@ -0,0 +1,269 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+
+// Register of 5%+ beneficial owners from Schedule 13D and 13G filings.
+// The cover page of each filing gives, per reporting person, the aggregate shares owned,
+// the percent of class and the type of filer. Schedule 13D signals an active (control or
+// influence) intent and 13G a passive one. Every filing is kept as a history entry on its
+// holder; the latest entry is the current position.
+
+const THRESHOLD_PERCENT = 5;
+
+const NAME_LABEL = /names?\s+of\s+reporting\s+persons?/gi;
+const NAME_BOILERPLATE = /^[\s.:]*(?:(?:s\.\s*s\.\s*or\s+)?i\.?\s*r\.?\s*s\.?\s+identification\s+nos?\.?\s+of\s+(?:the\s+)?above\s+persons?\s*(?:\(entities\s+only\))?)?[\s.:]*/i;
+const SHARES_LABEL = /aggregate\s+amount\s+beneficially\s+owned\s+by\s+each\s+reporting\s+person/i;
+const PERCENT_LABEL = /percent\s+of\s+class\s+represented\s+by\s+amount\s+in\s+row\s*\(?\s*\d+\s*\)?/i;
+const TYPE_LABEL = /type\s+of\s+reporting\s+person(?:\s*\(see\s+instructions\))?/i;
+const EVENT_DATE_LABEL = /\(?\s*date\s+of\s+event\s+which\s+requires\s+filing\s+of\s+this\s+statement\s*\)?/i;
+const PERSON_TYPES = ['BD', 'BK', 'IC', 'IV', 'IA', 'EP', 'HC', 'SA', 'CP', 'CO', 'PN', 'IN', 'FI', 'OO'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Schedule 13D/13G and their amendments, under the pre-2025 ('SC 13G') and current ('SCHEDULE 13G') form names
+function isBeneficialOwnershipForm(form) {
+  return /^(?:SC|SCHEDULE) 13[DG](?:\/A)?$/.test(String(form || ''));
+}
+
+function ownershipStatus(form) {
+  return /13D/.test(form) ? 'active' : 'passive';
+}
+
+// "The Vanguard Group, Inc." and "Vanguard Group Inc" are the same holder
+function holderKey(name) {
+  return name.toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !['the', 'inc', 'incorporated', 'corp', 'corporation', 'llc', 'lp', 'llp', 'ltd', 'limited', 'co', 'company', 'plc'].includes(word))
+    .join(' ');
+}
+
+function parseDate(text) {
+  let match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (match) return match[0];
+
+  match = text.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+  if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+
+  match = text.match(/\b([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})\b/);
+  const month = match ? MONTHS.findIndex(name => name.startsWith(match[1].toLowerCase().slice(0, 3))) : -1;
+  return month >= 0 ? `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[2].padStart(2, '0')}` : null;
+}
+
+// Text between a label and the next label (or a fixed number of characters)
+function after(text, label, until, length = 400) {
+  const match = text.match(label);
+  if (!match) return null;
+  const rest = text.slice(match.index + match[0].length, match.index + match[0].length + length);
+  const end = until ? rest.search(until) : -1;
+  return end >= 0 ? rest.slice(0, end) : rest;
+}
+
+function parseReportingPerson(segment) {
+  const name = segment.replace(NAME_LABEL, '').replace(NAME_BOILERPLATE, '').split('\n')
+    .map(line => line.replace(/^\(?\d{1,2}[.)]?\s+/, '').trim())
+    .filter(line => line && !/^\(?\d{1,2}[.)]?$/.test(line))[0];
+  if (!name || !/[a-z]/i.test(name) || /check\s+the\s+appropriate/i.test(name)) {
+    return null;
+  }
+
+  const sharesText = after(segment, SHARES_LABEL, /check\s+(?:box\s+)?if|percent\s+of\s+class/i);
+  const sharesMatch = sharesText && sharesText.match(/(?<![(\d,])(\d{1,3}(?:,\d{3})+|\d+)(?![\d,]*\))/);
+  const percentText = after(segment, PERCENT_LABEL, TYPE_LABEL);
+  const percentMatch = percentText && (percentText.match(/(\d+(?:\.\d+)?)\s*%/) || percentText.match(/(?<![(\d.])(\d+(?:\.\d+)?)(?![\d.]*\))/));
+  const typeText = after(segment, TYPE_LABEL, null, 80);
+  const type = typeText ? PERSON_TYPES.find(code => new RegExp(`\\b${code}\\b`).test(typeText)) || null : null;
+
+  return {
+    // Cover pages often append the filer's IRS employer identification number
+    name: name.replace(/\s*[-–,(]?\s*(?:i\.?r\.?s\.?\s*(?:no\.?)?\s*)?\d{2}-\d{7}\)?\s*$/i, '').replace(/\s+/g, ' ').slice(0, 150),
+    shares: sharesMatch ? Number(sharesMatch[1].replace(/,/g, '')) : null,
+    percent: percentMatch ? Number(percentMatch[1]) : null,
+    type: type
+  };
+}
+
+// Parse the cover pages of a Schedule 13D or 13G (as extracted text). Returns { eventDate,
+// reportingPersons: [{ name, shares, percent, type }] }; a group filing has one cover page
+// per member.
+function parseCoverPages(text) {
+  const flat = text.replace(/\|/g, '\n').replace(/\u00a0/g, ' ');
+  const starts = [...flat.matchAll(NAME_LABEL)].map(match => match.index);
+  if (starts.length === 0) {
+    throw new Error('No reporting person cover page found');
+  }
+
+  const reportingPersons = starts
+    .map((start, i) => parseReportingPerson(flat.slice(start, i + 1 < starts.length ? starts[i + 1] : undefined)))
+    .filter(person => person && (person.shares !== null || person.percent !== null));
+  if (reportingPersons.length === 0) {
+    throw new Error('Could not read shares or percent of class from the cover page');
+  }
+
+  let eventDate = null;
+  const eventLabel = flat.match(EVENT_DATE_LABEL);
+  if (eventLabel) {
+    const before = flat.slice(Math.max(0, eventLabel.index - 150), eventLabel.index).split('\n').filter(line => line.trim());
+    eventDate = parseDate(before.slice(-2).join(' ')) || parseDate(flat.slice(eventLabel.index + eventLabel[0].length, eventLabel.index + eventLabel[0].length + 60));
+  }
+
+  return { eventDate, reportingPersons };
+}
+
+class HoldersRegister {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.env.DATA_DIR || 'data', 'holders');
+  }
+
+  storeFor(company) {
+    const name = String(company).toUpperCase().replace(/[^A-Z0-9.\-]/g, '');
+    return new JsonStore(path.join(this.dir, `${name}.json`), null);
+  }
+
+  read(company) {
+    const key = String(company).toUpperCase();
+    return this.storeFor(key).read() || { company: key, filings: {}, holders: {} };
+  }
+
+  hasFiling(company, accessionNumber) {
+    return Boolean(this.read(company).filings[String(accessionNumber).replace(/-/g, '')]);
+  }
+
+  // Add a parsed filing to its holder's history. The first reporting person names the holder;
+  // group members each report the group's position, so the largest one is the holding.
+  record(company, filing, parsed, url) {
+    const record = this.read(company);
+    const accession = filing.accessionNumber.replace(/-/g, '');
+    const lead = parsed.reportingPersons[0];
+    const largest = [...parsed.reportingPersons]
+      .sort((a, b) => (b.shares ?? -1) - (a.shares ?? -1) || (b.percent ?? -1) - (a.percent ?? -1))[0];
+    const key = holderKey(lead.name);
+
+    const entry = {
+      accessionNumber: filing.accessionNumber,
+      form: filing.form,
+      filingDate: filing.filingDate,
+      eventDate: parsed.eventDate,
+      shares: largest.shares,
+      percent: largest.percent,
+      type: largest.type,
+      status: ownershipStatus(filing.form),
+      amendment: /\/A$/.test(filing.form),
+      reportingPersons: parsed.reportingPersons,
+      url: url
+    };
+
+    // Drop any earlier entry for this filing from whichever holder it was filed under
+    Object.values(record.holders).forEach(holder => {
+      holder.history = holder.history.filter(item => item.accessionNumber.replace(/-/g, '') !== accession);
+    });
+
+    const holder = record.holders[key] || { key: key, name: lead.name, history: [] };
+    holder.history.push(entry);
+    holder.history.sort((a, b) => (a.eventDate || a.filingDate).localeCompare(b.eventDate || b.filingDate) || a.filingDate.localeCompare(b.filingDate));
+    holder.name = holder.history[holder.history.length - 1] === entry ? lead.name : holder.name;
+    record.holders[key] = holder;
+
+    record.filings[accession] = { accessionNumber: filing.accessionNumber, form: filing.form, filingDate: filing.filingDate, holder: key };
+    record.updatedAt = new Date().toISOString();
+    this.storeFor(company).write(record);
+
+    return { holder: holder.name, ...this.position(holder) };
+  }
+
+  // Remember a filing whose cover page can't be read so later refreshes skip it
+  recordFailure(company, filing, error) {
+    const record = this.read(company);
+    record.filings[filing.accessionNumber.replace(/-/g, '')] = {
+      accessionNumber: filing.accessionNumber,
+      form: filing.form,
+      filingDate: filing.filingDate,
+      error: error
+    };
+    this.storeFor(company).write(record);
+  }
+
+  // Current position of a holder with the change since its previous filing
+  position(holder) {
+    const history = holder.history;
+    const current = history[history.length - 1];
+    const previous = history.length > 1 ? history[history.length - 2] : null;
+    const change = previous
+      ? {
+        shares: current.shares !== null && previous.shares !== null ? current.shares - previous.shares : null,
+        percent: current.percent !== null && previous.percent !== null ? Math.round((current.percent - previous.percent) * 100) / 100 : null,
+        statusChanged: current.status !== previous.status
+      }
+      : null;
+
+    return {
+      name: holder.name,
+      key: holder.key,
+      shares: current.shares,
+      percent: current.percent,
+      type: current.type,
+      status: current.status,
+      aboveThreshold: current.percent === null || current.percent >= THRESHOLD_PERCENT,
+      form: current.form,
+      filingDate: current.filingDate,
+      eventDate: current.eventDate,
+      accessionNumber: current.accessionNumber,
+      url: current.url,
+      filings: history.length,
+      previous: previous ? { percent: previous.percent, shares: previous.shares, status: previous.status, form: previous.form, filingDate: previous.filingDate, eventDate: previous.eventDate } : null,
+      change: change
+    };
+  }
+
+  // Current holders, largest stake first; holders whose latest filing reports them below 5%
+  // have exited the register unless includeExited is set. null when nothing is recorded.
+  holders(company, options = {}) {
+    const record = this.storeFor(company).read();
+    if (!record || Object.keys(record.holders).length === 0) return null;
+
+    const positions = Object.values(record.holders)
+      .map(holder => this.position(holder))
+      .filter(position => options.includeExited || position.aboveThreshold)
+      .sort((a, b) => (b.percent || 0) - (a.percent || 0));
+
+    const filings = Object.values(record.filings);
+    return {
+      company: record.company,
+      updatedAt: record.updatedAt,
+      filingCount: filings.filter(filing => !filing.error).length,
+      latestFilingDate: filings.filter(filing => !filing.error).map(filing => filing.filingDate).sort().pop() || null,
+      failedFilings: filings.filter(filing => filing.error),
+      count: positions.length,
+      holders: positions
+    };
+  }
+
+  // Full filing history of holders whose name contains the search text
+  history(company, search) {
+    const record = this.storeFor(company).read();
+    if (!record) return null;
+
+    const text = holderKey(search || '');
+    return Object.values(record.holders)
+      .filter(holder => !text || holder.key.includes(text))
+      .map(holder => ({ ...this.position(holder), history: [...holder.history].reverse() }));
+  }
+}
+
+// Recognize questions about major holders, e.g. "Who are our largest shareholders?" or
+// "How has Vanguard's stake changed?". Returns { changes } or null. Only ownership nouns
+// count: a cash or competitive "position", "holdings" of securities and "investor concerns"
+// are questions for document search.
+function parseHoldersQuestion(question) {
+  const text = question.toLowerCase().replace(/\bat stake\b/g, '');
+  const holders = /\b(largest|biggest|top|major|main|principal|significant|institutional|activist|5%|five percent|beneficial)\s+(?:\w+\s+)?(holders?|shareholders?|stockholders?|owners?)\b/.test(text) ||
+    /\b(institutional|activist)\s+investors?\b/.test(text) ||
+    /\b(stakes?|13d|13g|beneficial(?:ly)? own\w*)\b/.test(text) ||
+    /\bwho owns (?:the most|most|the company|us|our|shares|stock)\b/.test(text);
+  if (!holders) return null;
+
+  const changes = /\b(chang\w*|increas\w*|decreas\w*|reduc\w*|rais\w*|cut|trim\w*|add\w*|grew|grown|sold|exit\w*|moved?)\b/.test(text);
+  return { changes };
+}
+
+module.exports = { HoldersRegister, parseCoverPages, parseHoldersQuestion, isBeneficialOwnershipForm, holderKey, THRESHOLD_PERCENT };
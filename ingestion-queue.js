@@ -0,0 +1,257 @@
+const EventEmitter = require('events');
+const path = require('path');
+const JsonStore = require('./json-store');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'partial'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Persistent background job queue for document ingestion.
+// A job holds a list of items (one per file); each job type registers a handler
+// that processes a single item and reports progress through a callback.
+// Jobs are written to disk on every status change, so unfinished work resumes after a restart;
+// progress ticks reach listeners at once but are written at most every progressSaveInterval ms.
+// Finished jobs are pruned beyond maxFinishedJobs or after finishedJobTtl ms ('pruned' is emitted
+// for each, so callers can clean up leftover files).
+class IngestionQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || 'data', 'jobs.json');
+    this.store = new JsonStore(this.filePath, { jobs: {} });
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay || 2000;
+    this.progressSaveInterval = options.progressSaveInterval ?? 2000;
+    this.maxFinishedJobs = options.maxFinishedJobs || 200;
+    this.finishedJobTtl = options.finishedJobTtl || 30 * DAY;
+    this.handlers = {};
+    this.jobs = this.store.read().jobs;
+    this.running = false;
+    this.persistTimer = null;
+  }
+
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  enqueue(type, params, items) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `job-${Date.now()}-${Math.round(Math.random() * 1E6)}`,
+      type: type,
+      status: 'queued',
+      params: params,
+      createdAt: now,
+      updatedAt: now,
+      items: items.map((item, i) => ({
+        index: i,
+        ...item,
+        status: 'pending',
+        attempts: 0,
+        progress: { current: 0, total: 0 },
+        result: null,
+        error: null
+      }))
+    };
+
+    this.jobs[job.id] = job;
+    this.save(job);
+    this.processNext();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs[id] || null;
+  }
+
+  list(filters = {}) {
+    return Object.values(this.jobs)
+      .filter(job => !filters.type || job.type === filters.type)
+      .filter(job => !filters.company || job.params.company === String(filters.company).toUpperCase())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Items still waiting or being processed in queued and running jobs, with list()'s filters
+  activeItems(filters = {}) {
+    return this.list(filters)
+      .filter(job => !this.isTerminal(job))
+      .flatMap(job => job.items.filter(item => item.status === 'pending' || item.status === 'processing'));
+  }
+
+  // Put failed items of a finished job back in the queue; items that failed permanently
+  // (retryable: false) stay failed. The job stays finished when there is nothing to retry.
+  retry(id) {
+    const job = this.jobs[id];
+    if (!job || !TERMINAL_STATUSES.includes(job.status)) {
+      return null;
+    }
+
+    const retryable = job.items.filter(item => item.status === 'failed' && item.retryable !== false);
+    if (retryable.length === 0) {
+      return job;
+    }
+
+    retryable.forEach(item => {
+      item.status = 'pending';
+      item.attempts = 0;
+      item.error = null;
+    });
+    job.status = 'queued';
+    this.save(job);
+    this.processNext();
+    return job;
+  }
+
+  // Re-queue anything that was in flight when the server stopped
+  resume() {
+    let resumed = 0;
+    if (this.prune() > 0) {
+      this.persist();
+    }
+
+    Object.values(this.jobs).forEach(job => {
+      if (job.status === 'queued' || job.status === 'running') {
+        job.status = 'queued';
+        job.items.forEach(item => {
+          if (item.status === 'processing') {
+            item.status = 'pending';
+          }
+        });
+        this.save(job);
+        resumed++;
+      }
+    });
+
+    if (resumed > 0) {
+      console.log(`🔁 Resuming ${resumed} unfinished ingestion job${resumed > 1 ? 's' : ''}`);
+    }
+    this.processNext();
+    return resumed;
+  }
+
+  isTerminal(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  save(job) {
+    job.updatedAt = new Date().toISOString();
+    if (this.isTerminal(job)) {
+      this.prune();
+    }
+    this.persist();
+    this.emit('update', job);
+  }
+
+  // Progress ticks: listeners hear about them at once, the disk only every progressSaveInterval ms
+  saveProgress(job) {
+    job.updatedAt = new Date().toISOString();
+    if (!this.persistTimer) {
+      this.persistTimer = setTimeout(() => this.persist(), this.progressSaveInterval);
+      this.persistTimer.unref();
+    }
+    this.emit('update', job);
+  }
+
+  persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    this.store.write({ jobs: this.jobs });
+  }
+
+  // Drop finished jobs older than finishedJobTtl, then the oldest beyond maxFinishedJobs
+  prune() {
+    const cutoff = new Date(Date.now() - this.finishedJobTtl).toISOString();
+    const finished = Object.values(this.jobs)
+      .filter(job => this.isTerminal(job))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    const pruned = finished.filter((job, i) => i >= this.maxFinishedJobs || job.updatedAt < cutoff);
+    pruned.forEach(job => {
+      delete this.jobs[job.id];
+      this.emit('pruned', job);
+    });
+    return pruned.length;
+  }
+
+  async processNext() {
+    if (this.running) {
+      return;
+    }
+
+    const job = Object.values(this.jobs)
+      .filter(candidate => candidate.status === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+
+    if (!job) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.runJob(job);
+    } catch (error) {
+      console.error(`❌ Ingestion job ${job.id} crashed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      this.save(job);
+    } finally {
+      this.running = false;
+    }
+
+    this.processNext();
+  }
+
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+
+    job.status = 'running';
+    this.save(job);
+    console.log(`⚙️  Running ingestion job ${job.id} (${job.items.length} items)`);
+
+    for (const item of job.items) {
+      while (item.status === 'pending') {
+        item.status = 'processing';
+        item.attempts++;
+        this.save(job);
+
+        try {
+          item.result = await handler(item, job, progress => {
+            item.progress = { ...item.progress, ...progress };
+            this.saveProgress(job);
+          });
+          item.status = 'completed';
+          item.error = null;
+          delete item.retryable;
+        } catch (error) {
+          item.error = error.message;
+          if (error.retryable === false || item.attempts >= this.maxAttempts) {
+            console.error(`❌ Job ${job.id} item ${item.index + 1} failed after ${item.attempts} attempt(s):`, error.message);
+            item.status = 'failed';
+            // Permanent failures (unsupported file, file already gone) are not worth a manual retry
+            item.retryable = error.retryable !== false;
+          } else {
+            console.log(`⚠️  Job ${job.id} item ${item.index + 1} failed, retrying (${item.attempts}/${this.maxAttempts})...`);
+            item.status = 'pending';
+            this.save(job);
+            await new Promise(resolve => setTimeout(resolve, this.retryDelay * item.attempts));
+          }
+        }
+        this.save(job);
+      }
+    }
+
+    const failed = job.items.filter(item => item.status === 'failed').length;
+    if (failed === 0) {
+      job.status = 'completed';
+    } else if (failed === job.items.length) {
+      job.status = 'failed';
+    } else {
+      job.status = 'partial';
+    }
+    this.save(job);
+    console.log(`🎉 Ingestion job ${job.id} ${job.status}: ${job.items.length - failed}/${job.items.length} items succeeded`);
+  }
+}
+
+module.exports = IngestionQueue;
@@ -0,0 +1,428 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const JsonStore = require('./json-store');
+
+// Insider transactions from SEC Forms 3, 4 and 5 (the ownershipDocument XML).
+// Each filing is parsed into structured rows: who traded, their role, the transaction date
+// and code, shares, price and the holdings left afterwards. Rows are kept one file per
+// company and summarized by person and by period on read.
+
+// Transaction codes from the Form 4 instructions
+const TRANSACTION_CODES = {
+  P: 'Open market or private purchase',
+  S: 'Open market or private sale',
+  A: 'Grant or award',
+  D: 'Disposition to the issuer',
+  F: 'Shares withheld for tax or exercise price',
+  I: 'Discretionary transaction',
+  M: 'Exercise or conversion of derivative',
+  C: 'Conversion of derivative',
+  E: 'Expiration of short derivative position',
+  H: 'Expiration of long derivative position',
+  O: 'Exercise of out-of-the-money derivative',
+  X: 'Exercise of in-the-money derivative',
+  G: 'Gift',
+  L: 'Small acquisition',
+  W: 'Acquisition or disposition by will or laws of descent',
+  Z: 'Deposit into or withdrawal from voting trust',
+  J: 'Other acquisition or disposition',
+  K: 'Equity swap',
+  U: 'Disposition in a change of control tender',
+  V: 'Transaction voluntarily reported earlier'
+};
+
+const ROLES = ['director', 'officer', 'tenPercentOwner', 'other'];
+
+// Officer title shorthands used in questions and the ?title= filter
+const TITLE_PATTERNS = {
+  ceo: /chief executive|\bceo\b/i,
+  cfo: /chief financial|\bcfo\b/i,
+  coo: /chief operating|\bcoo\b/i
+};
+
+function number(text) {
+  if (!text) return null;
+  const value = Number(text.replace(/[,$\s]/g, ''));
+  return Number.isFinite(value) ? value : null;
+}
+
+function flag(text) {
+  return ['1', 'true'].includes(String(text || '').trim().toLowerCase());
+}
+
+function periodKey(date, period) {
+  return period === 'month'
+    ? date.slice(0, 7)
+    : `${date.slice(0, 4)}-Q${Math.floor((Number(date.slice(5, 7)) - 1) / 3) + 1}`;
+}
+
+function roleLabel(roles, officerTitle, otherText) {
+  const labels = [];
+  if (roles.officer) labels.push(officerTitle || 'Officer');
+  if (roles.director) labels.push('Director');
+  if (roles.tenPercentOwner) labels.push('10% Owner');
+  if (roles.other) labels.push(otherText || 'Other');
+  return labels.join(', ');
+}
+
+// Parse a Form 3, 4 or 5 XML document. Returns { form, periodOfReport, issuer, owners,
+// transactions, holdings }; rows carry the first reporting owner, with joint filers listed
+// under owners.
+function parseOwnershipDocument(xml) {
+  const $ = cheerio.load(xml, { xml: true });
+  const doc = $('ownershipDocument').first();
+  if (doc.length === 0) {
+    throw new Error('Not an SEC ownership document');
+  }
+
+  // Most fields wrap their content in <value>; footnote references sit alongside it
+  const field = (node, selector) => {
+    const element = node.find(selector).first();
+    if (element.length === 0) return null;
+    const wrapped = element.children('value');
+    const text = (wrapped.length > 0 ? wrapped.first() : element).text().trim();
+    return text || null;
+  };
+
+  const footnotes = {};
+  doc.find('footnotes > footnote').each((i, element) => {
+    footnotes[$(element).attr('id')] = $(element).text().replace(/\s+/g, ' ').trim();
+  });
+
+  const owners = doc.children('reportingOwner').map((i, element) => {
+    const owner = $(element);
+    const roles = {
+      director: flag(field(owner, 'isDirector')),
+      officer: flag(field(owner, 'isOfficer')),
+      tenPercentOwner: flag(field(owner, 'isTenPercentOwner')),
+      other: flag(field(owner, 'isOther'))
+    };
+    const officerTitle = field(owner, 'officerTitle');
+    return {
+      cik: field(owner, 'rptOwnerCik'),
+      name: field(owner, 'rptOwnerName'),
+      roles: roles,
+      officerTitle: officerTitle,
+      role: roleLabel(roles, officerTitle, field(owner, 'otherText'))
+    };
+  }).get();
+
+  const form = field(doc, 'documentType');
+  const tenB5One = flag(field(doc, 'aff10b5One'));
+  const primary = owners[0] || { cik: null, name: null, roles: {}, officerTitle: null, role: '' };
+
+  const row = (element, derivative) => {
+    const node = $(element);
+    const notes = [...new Set(node.find('footnoteId').map((i, note) => $(note).attr('id')).get())]
+      .filter(id => footnotes[id])
+      .map(id => footnotes[id]);
+    const ownership = field(node, 'directOrIndirectOwnership');
+
+    return {
+      insider: primary.name,
+      insiderCik: primary.cik,
+      role: primary.role,
+      roles: primary.roles,
+      officerTitle: primary.officerTitle,
+      security: field(node, 'securityTitle'),
+      derivative: derivative,
+      sharesOwnedAfter: number(field(node, 'postTransactionAmounts sharesOwnedFollowingTransaction')),
+      ownership: ownership === 'I' ? 'indirect' : 'direct',
+      indirectNature: field(node, 'natureOfOwnership'),
+      underlyingSecurity: derivative ? field(node, 'underlyingSecurityTitle') : null,
+      underlyingShares: derivative ? number(field(node, 'underlyingSecurityShares')) : null,
+      exercisePrice: derivative ? number(field(node, 'conversionOrExercisePrice')) : null,
+      footnotes: notes
+    };
+  };
+
+  const transactions = [];
+  const holdings = [];
+  [['nonDerivativeTable', false], ['derivativeTable', true]].forEach(([table, derivative]) => {
+    doc.find(`${table} > nonDerivativeTransaction, ${table} > derivativeTransaction`).each((i, element) => {
+      const node = $(element);
+      const base = row(element, derivative);
+      const shares = number(field(node, 'transactionAmounts transactionShares'));
+      const price = number(field(node, 'transactionAmounts transactionPricePerShare'));
+      const code = field(node, 'transactionCoding transactionCode');
+
+      transactions.push({
+        ...base,
+        date: field(node, 'transactionDate'),
+        code: code,
+        codeDescription: TRANSACTION_CODES[code] || null,
+        acquiredDisposed: field(node, 'transactionAmounts transactionAcquiredDisposedCode'),
+        shares: shares,
+        price: price,
+        value: shares !== null && price ? Math.round(shares * price * 100) / 100 : null,
+        // Sales under a pre-arranged Rule 10b5-1 plan are flagged since 2023; older filings say so in a footnote
+        tenB5One: tenB5One || base.footnotes.some(note => /10b5-1/i.test(note))
+      });
+    });
+
+    doc.find(`${table} > nonDerivativeHolding, ${table} > derivativeHolding`).each((i, element) => {
+      holdings.push(row(element, derivative));
+    });
+  });
+
+  return {
+    form: form,
+    periodOfReport: field(doc, 'periodOfReport'),
+    issuer: {
+      cik: field(doc, 'issuer issuerCik'),
+      name: field(doc, 'issuer issuerName'),
+      ticker: field(doc, 'issuer issuerTradingSymbol')
+    },
+    owners: owners,
+    transactions: transactions,
+    holdings: holdings
+  };
+}
+
+class InsiderStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.env.DATA_DIR || 'data', 'insiders');
+  }
+
+  storeFor(company) {
+    const name = String(company).toUpperCase().replace(/[^A-Z0-9.\-]/g, '');
+    return new JsonStore(path.join(this.dir, `${name}.json`), null);
+  }
+
+  get(company) {
+    return this.storeFor(company).read();
+  }
+
+  hasFiling(company, accessionNumber) {
+    const record = this.get(company);
+    return Boolean(record && record.filings[String(accessionNumber).replace(/-/g, '')]);
+  }
+
+  // Remember a filing that can't be parsed so later refreshes skip it
+  recordFailure(company, filing, error) {
+    const key = String(company).toUpperCase();
+    const store = this.storeFor(key);
+    const record = store.read() || { company: key, filings: {}, transactions: [], holdings: [] };
+
+    record.filings[filing.accessionNumber.replace(/-/g, '')] = {
+      accessionNumber: filing.accessionNumber,
+      form: filing.form,
+      filingDate: filing.filingDate,
+      error: error,
+      recordedAt: new Date().toISOString()
+    };
+    store.write(record);
+  }
+
+  // Store one parsed filing. An amendment (4/A) restates the report it amends, so earlier
+  // rows for the same insider, security, date and transaction code are replaced.
+  recordFiling(company, filing, parsed, url) {
+    const key = String(company).toUpperCase();
+    const store = this.storeFor(key);
+    const record = store.read() || { company: key, filings: {}, transactions: [], holdings: [] };
+    const accession = filing.accessionNumber.replace(/-/g, '');
+    const source = {
+      accessionNumber: filing.accessionNumber,
+      form: filing.form,
+      filingDate: filing.filingDate,
+      url: url
+    };
+
+    let replaced = 0;
+    if (/\/A$/.test(filing.form)) {
+      const restated = new Set(parsed.transactions.map(row => `${row.insiderCik}|${row.security}|${row.date}|${row.code}`));
+      const before = record.transactions.length;
+      record.transactions = record.transactions.filter(row =>
+        row.filingDate > filing.filingDate || !restated.has(`${row.insiderCik}|${row.security}|${row.date}|${row.code}`));
+      replaced = before - record.transactions.length;
+    }
+
+    record.transactions = record.transactions.filter(row => row.accessionNumber.replace(/-/g, '') !== accession);
+    record.holdings = record.holdings.filter(row => row.accessionNumber.replace(/-/g, '') !== accession);
+
+    parsed.transactions.forEach((row, i) => {
+      record.transactions.push({ id: `${accession}-${i + 1}`, ...source, ...row });
+    });
+    parsed.holdings.forEach((row, i) => {
+      record.holdings.push({ id: `${accession}-H${i + 1}`, ...source, date: parsed.periodOfReport, ...row });
+    });
+
+    record.filings[accession] = {
+      ...source,
+      periodOfReport: parsed.periodOfReport,
+      owners: parsed.owners.map(owner => ({ name: owner.name, cik: owner.cik, role: owner.role })),
+      transactionCount: parsed.transactions.length,
+      holdingCount: parsed.holdings.length,
+      recordedAt: new Date().toISOString()
+    };
+    record.cik = record.cik || parsed.issuer.cik;
+    record.issuerName = record.issuerName || parsed.issuer.name;
+    record.updatedAt = new Date().toISOString();
+    store.write(record);
+
+    return { accessionNumber: filing.accessionNumber, transactions: parsed.transactions.length, holdings: parsed.holdings.length, replaced };
+  }
+
+  // Transactions matching filters { from, to, insider, role, title, codes }, newest first;
+  // null when nothing is stored for the company
+  transactions(company, filters = {}) {
+    const record = this.get(company);
+    if (!record) return null;
+
+    const insider = filters.insider ? filters.insider.toLowerCase() : null;
+    const title = filters.title ? TITLE_PATTERNS[filters.title.toLowerCase()] || new RegExp(filters.title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') : null;
+
+    return record.transactions
+      .filter(row => row.date)
+      .filter(row => !filters.from || row.date >= filters.from)
+      .filter(row => !filters.to || row.date <= filters.to)
+      .filter(row => !insider || (row.insider || '').toLowerCase().includes(insider))
+      .filter(row => !filters.role || row.roles[filters.role])
+      .filter(row => !title || title.test(row.officerTitle || ''))
+      .filter(row => !filters.codes || filters.codes.length === 0 || filters.codes.includes(row.code))
+      .sort((a, b) => b.date.localeCompare(a.date) || b.filingDate.localeCompare(a.filingDate));
+  }
+
+  // Transactions with totals per insider and per quarter (or month). Purchases and sales
+  // are open-market trades (codes P and S); grants, exercises and withholding count as other.
+  summarize(company, filters = {}, period = 'quarter') {
+    const record = this.get(company);
+    const rows = this.transactions(company, filters);
+    if (!rows) return null;
+
+    const totals = () => ({ transactions: 0, sharesBought: 0, valueBought: 0, sharesSold: 0, valueSold: 0, otherTransactions: 0 });
+    const add = (target, row) => {
+      target.transactions++;
+      if (row.code === 'P') {
+        target.sharesBought += row.shares || 0;
+        target.valueBought += row.value || 0;
+      } else if (row.code === 'S') {
+        target.sharesSold += row.shares || 0;
+        target.valueSold += row.value || 0;
+      } else {
+        target.otherTransactions++;
+      }
+    };
+
+    const people = {};
+    const periods = {};
+    rows.forEach(row => {
+      const personKey = row.insiderCik || row.insider;
+      if (!people[personKey]) {
+        people[personKey] = { insider: row.insider, insiderCik: row.insiderCik, role: row.role, ...totals(), lastTransactionDate: row.date, sharesOwned: null };
+      }
+      add(people[personKey], row);
+      // Rows are newest first, so the first direct common stock row holds the current position
+      if (people[personKey].sharesOwned === null && !row.derivative && row.ownership === 'direct') {
+        people[personKey].sharesOwned = row.sharesOwnedAfter;
+      }
+
+      const key = periodKey(row.date, period);
+      if (!periods[key]) {
+        periods[key] = { period: key, ...totals(), buyers: new Set(), sellers: new Set() };
+      }
+      add(periods[key], row);
+      if (row.code === 'P') periods[key].buyers.add(personKey);
+      if (row.code === 'S') periods[key].sellers.add(personKey);
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+    const loaded = Object.values(record.filings).filter(filing => !filing.error);
+    return {
+      company: record.company,
+      issuerName: record.issuerName,
+      updatedAt: record.updatedAt,
+      filingCount: loaded.length,
+      latestFilingDate: loaded.map(filing => filing.filingDate).sort().pop() || null,
+      failedFilings: Object.values(record.filings).filter(filing => filing.error),
+      count: rows.length,
+      byPerson: Object.values(people)
+        .map(person => ({ ...person, valueBought: round(person.valueBought), valueSold: round(person.valueSold) }))
+        .sort((a, b) => b.valueSold + b.valueBought - (a.valueSold + a.valueBought) || b.transactions - a.transactions),
+      byPeriod: Object.values(periods)
+        .map(entry => ({ ...entry, valueBought: round(entry.valueBought), valueSold: round(entry.valueSold), buyers: entry.buyers.size, sellers: entry.sellers.size }))
+        .sort((a, b) => b.period.localeCompare(a.period)),
+      transactions: rows
+    };
+  }
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Recognize questions about insider buying and selling, e.g. "Have any executives sold
+// shares this quarter?". Returns { action: 'buy'|'sell'|'any', role, title, from, to,
+// periodLabel } or null. Periods are calendar based; without one the last 90 days are used.
+function parseInsiderQuestion(question, today = new Date()) {
+  const text = question.toLowerCase();
+  if (/\b(buy ?backs?|repurchas\w*)\b/.test(text)) return null;
+
+  // Both a person who files Form 4s and a trade in the company's stock; "sales" and
+  // "management" alone are how product revenue and earnings commentary get discussed
+  const insiderWords = /\b(insiders?|executives?|officers?|directors?|board members?|ceo|cfo|coo|c-suite|form 4s?|section 16)\b/;
+  const tradeContext = /\b(shares?|stock|insiders?|form 4s?|section 16|10b5-1)\b/;
+  const sells = /\b(sold|sell|sells|selling|dump(?:ed|ing)?|unload(?:ed|ing)?)\b/.test(text);
+  const buys = /\b(bought|buy|buys|buying|purchas(?:e|ed|es|ing))\b/.test(text);
+  const activity = /\b(insider (?:trading|trades|transactions|activity|sales|selling|buying|purchases)|form 4s?)\b/.test(text);
+  if (!insiderWords.test(text) || !tradeContext.test(text) || !(sells || buys || activity)) return null;
+
+  const executives = /\b(executives?|officers?|ceo|cfo|coo|c-suite)\b/.test(text);
+  const directors = /\b(directors?|board)\b/.test(text);
+  const title = Object.keys(TITLE_PATTERNS).find(key => new RegExp(`\\b${key}\\b`).test(text)) || null;
+
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+  const quarterStart = Math.floor(month / 3) * 3;
+  const utc = (y, m, d) => new Date(Date.UTC(y, m, d));
+  const daysAgo = days => utc(year, month, today.getUTCDate() - days);
+
+  let from;
+  let to = today;
+  let periodLabel;
+  const recent = text.match(/\b(?:past|last|previous)\s+(\d+)\s+(days?|weeks?|months?)\b/);
+  if (/\b(last|previous|prior) quarter\b/.test(text)) {
+    from = utc(year, quarterStart - 3, 1);
+    to = utc(year, quarterStart, 0);
+    periodLabel = 'last quarter';
+  } else if (/\b(this|current) quarter\b|\bquarter to date\b|\bqtd\b/.test(text)) {
+    from = utc(year, quarterStart, 1);
+    periodLabel = 'this quarter';
+  } else if (/\b(last|previous|prior) month\b/.test(text)) {
+    from = utc(year, month - 1, 1);
+    to = utc(year, month, 0);
+    periodLabel = 'last month';
+  } else if (/\b(this|current) month\b/.test(text)) {
+    from = utc(year, month, 1);
+    periodLabel = 'this month';
+  } else if (recent) {
+    const count = Number(recent[1]);
+    const unit = recent[2].replace(/s$/, '');
+    from = unit === 'month' ? utc(year, month - count, today.getUTCDate()) : daysAgo(unit === 'week' ? count * 7 : count);
+    periodLabel = `the last ${count} ${unit}${count !== 1 ? 's' : ''}`;
+  } else if (/\b(last|previous|prior) year\b/.test(text)) {
+    from = utc(year - 1, 0, 1);
+    to = utc(year - 1, 11, 31);
+    periodLabel = 'last year';
+  } else if (/\b(this year|year to date|ytd)\b/.test(text)) {
+    from = utc(year, 0, 1);
+    periodLabel = 'this year';
+  } else if (/\b(past|last) (?:12 months|twelve months|year)\b/.test(text)) {
+    from = daysAgo(365);
+    periodLabel = 'the last 12 months';
+  } else {
+    from = daysAgo(90);
+    periodLabel = 'the last 90 days';
+  }
+
+  return {
+    action: sells && !buys ? 'sell' : buys && !sells ? 'buy' : 'any',
+    role: title || (executives && !directors) ? 'officer' : directors && !executives ? 'director' : null,
+    title: title,
+    from: isoDate(from),
+    to: isoDate(to),
+    periodLabel: periodLabel
+  };
+}
+
+module.exports = { InsiderStore, parseOwnershipDocument, parseInsiderQuestion, TRANSACTION_CODES, INSIDER_ROLES: ROLES };
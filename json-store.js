@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small JSON file persistence helper shared by the on-disk stores
+class JsonStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return JSON.parse(JSON.stringify(this.defaults));
+    }
+
+    const raw = fs.readFileSync(this.filePath, 'utf8');
+    return raw.trim() ? JSON.parse(raw) : JSON.parse(JSON.stringify(this.defaults));
+  }
+
+  write(data) {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Write to a temp file first so a crash never leaves a half-written store
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,214 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+
+// File-backed vector store with the same interface as PineconeREST.
+// Meant for local development and offline testing, not for large indexes.
+class LocalVectorStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || 'data', 'vectors.json');
+    this.store = new JsonStore(this.filePath, { vectors: {} });
+    this.vectors = null;
+  }
+
+  load() {
+    if (!this.vectors) {
+      this.vectors = this.store.read().vectors || {};
+    }
+    return this.vectors;
+  }
+
+  persist() {
+    this.store.write({ vectors: this.vectors });
+  }
+
+  async describeIndexStats() {
+    const vectors = Object.values(this.load());
+
+    return {
+      namespaces: { '': { vectorCount: vectors.length } },
+      dimension: vectors.length > 0 ? vectors[0].values.length : 0,
+      indexFullness: 0,
+      totalVectorCount: vectors.length
+    };
+  }
+
+  async query(vector, topK = 6, filter = {}) {
+    const matches = Object.values(this.load())
+      .filter(record => matchesFilter(record.metadata || {}, filter))
+      .map(record => ({
+        id: record.id,
+        score: cosineSimilarity(vector, record.values),
+        values: [],
+        metadata: record.metadata
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    return { matches, namespace: '' };
+  }
+
+  async upsert(vectors) {
+    const records = this.load();
+
+    vectors.forEach(vector => {
+      records[vector.id] = {
+        id: vector.id,
+        values: vector.values,
+        metadata: vector.metadata || {}
+      };
+    });
+
+    this.persist();
+    return { upsertedCount: vectors.length };
+  }
+
+  async fetch(ids) {
+    const records = this.load();
+    const vectors = {};
+
+    ids.forEach(id => {
+      if (records[id]) {
+        vectors[id] = records[id];
+      }
+    });
+
+    return { vectors, namespace: '' };
+  }
+
+  async delete(ids) {
+    const records = this.load();
+
+    ids.forEach(id => {
+      delete records[id];
+    });
+
+    this.persist();
+    return {};
+  }
+
+  async deleteByFilter(filter, prefix = '') {
+    const records = this.load();
+    const ids = Object.values(records)
+      .filter(record => record.id.startsWith(prefix) && matchesFilter(record.metadata || {}, filter))
+      .map(record => record.id);
+
+    ids.forEach(id => {
+      delete records[id];
+    });
+
+    this.persist();
+    return { deleted: ids.length, ids: ids };
+  }
+
+  async updateMetadata(id, metadata) {
+    const records = this.load();
+
+    if (records[id]) {
+      records[id].metadata = { ...records[id].metadata, ...metadata };
+      this.persist();
+    }
+
+    return {};
+  }
+
+  // All updates land in a single write, so a batch is applied entirely or not at all
+  async updateMetadataMany(updates) {
+    const records = this.load();
+
+    updates.forEach(({ id, metadata }) => {
+      if (records[id]) {
+        records[id].metadata = { ...records[id].metadata, ...metadata };
+      }
+    });
+
+    this.persist();
+    return { updated: updates.length };
+  }
+
+  async listIds(prefix) {
+    return Object.keys(this.load()).filter(id => id.startsWith(prefix));
+  }
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Evaluate a Pinecone-style metadata filter against one record's metadata.
+// Plain values mean equality, so `{ company: 'CRWV' }` behaves as it does in Pinecone.
+function matchesFilter(metadata, filter) {
+  if (!filter) {
+    return true;
+  }
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(sub => matchesFilter(metadata, sub));
+    }
+
+    if (key === '$or') {
+      return condition.some(sub => matchesFilter(metadata, sub));
+    }
+
+    const value = metadata[key];
+
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return valueEquals(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq':
+          return valueEquals(value, operand);
+        case '$ne':
+          return !valueEquals(value, operand);
+        case '$in':
+          return operand.some(item => valueEquals(value, item));
+        case '$nin':
+          return !operand.some(item => valueEquals(value, item));
+        case '$gt':
+          return value !== undefined && value > operand;
+        case '$gte':
+          return value !== undefined && value >= operand;
+        case '$lt':
+          return value !== undefined && value < operand;
+        case '$lte':
+          return value !== undefined && value <= operand;
+        case '$exists':
+          return (value !== undefined) === operand;
+        default:
+          throw new Error(`Unsupported filter operator: ${operator}`);
+      }
+    });
+  });
+}
+
+// Pinecone treats list metadata as matching when any element matches
+function valueEquals(value, expected) {
+  if (Array.isArray(value)) {
+    return value.includes(expected);
+  }
+  return value === expected;
+}
+
+LocalVectorStore.matchesFilter = matchesFilter;
+
+module.exports = LocalVectorStore;
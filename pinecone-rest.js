@@ -1,9 +1,42 @@
 require('dotenv').config();
+const { matchesFilter } = require('./local-vector-store');
+
+// Pinecone rejects upsert requests over 2MB and recommends batches of up to 100 vectors
+const MAX_UPSERT_BYTES = 2 * 1024 * 1024 * 0.9;
+const MAX_UPSERT_VECTORS = 100;
+
+// Fetch takes its ids in the query string and delete accepts at most 1000 ids per request
+const FETCH_BATCH = 100;
+const DELETE_BATCH = 1000;
+
+// Split vectors into batches that stay under Pinecone's request limits
+function batchVectors(vectors) {
+  const batches = [];
+  let current = [];
+  let currentBytes = 0;
+
+  vectors.forEach(vector => {
+    const size = Buffer.byteLength(JSON.stringify(vector));
+    if (current.length > 0 && (current.length >= MAX_UPSERT_VECTORS || currentBytes + size > MAX_UPSERT_BYTES)) {
+      batches.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(vector);
+    currentBytes += size;
+  });
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
 
 class PineconeREST {
-  constructor() {
-    this.apiKey = process.env.PINECONE_API_KEY;
-    this.indexHost = 'https://simplifyir-4ckub9f.svc.aped-4627-b74a.pinecone.io';
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || process.env.PINECONE_API_KEY;
+    this.indexHost = options.indexHost || process.env.PINECONE_INDEX_HOST || 'https://simplifyir-4ckub9f.svc.aped-4627-b74a.pinecone.io';
   }
 
   async describeIndexStats() {
@@ -46,23 +79,179 @@ class PineconeREST {
   }
 
   async upsert(vectors) {
-    const response = await fetch(`${this.indexHost}/vectors/upsert`, {
+    let upsertedCount = 0;
+
+    for (const batch of batchVectors(vectors)) {
+      const response = await fetch(`${this.indexHost}/vectors/upsert`, {
+        method: 'POST',
+        headers: {
+          'Api-Key': this.apiKey,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          vectors: batch
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Pinecone upsert error: ${response.status}`);
+      }
+
+      const result = await response.json();
+      upsertedCount += result.upsertedCount || 0;
+    }
+
+    return { upsertedCount };
+  }
+
+  async fetch(ids) {
+    const vectors = {};
+
+    for (let i = 0; i < ids.length; i += FETCH_BATCH) {
+      const params = new URLSearchParams();
+      ids.slice(i, i + FETCH_BATCH).forEach(id => params.append('ids', id));
+
+      const response = await fetch(`${this.indexHost}/vectors/fetch?${params.toString()}`, {
+        method: 'GET',
+        headers: {
+          'Api-Key': this.apiKey
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Pinecone fetch error: ${response.status}`);
+      }
+
+      const result = await response.json();
+      Object.assign(vectors, result.vectors || {});
+    }
+
+    return { vectors, namespace: '' };
+  }
+
+  // Deletes run in batches; after a failure the error carries the ids already deleted (error.deletedIds)
+  async delete(ids) {
+    const deletedIds = [];
+
+    for (let i = 0; i < ids.length; i += DELETE_BATCH) {
+      const batch = ids.slice(i, i + DELETE_BATCH);
+      const response = await fetch(`${this.indexHost}/vectors/delete`, {
+        method: 'POST',
+        headers: {
+          'Api-Key': this.apiKey,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          ids: batch
+        })
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Pinecone delete error: ${response.status}`);
+        error.deletedIds = deletedIds;
+        throw error;
+      }
+      deletedIds.push(...batch);
+    }
+
+    return { deleted: deletedIds.length };
+  }
+
+  // Serverless indexes don't delete by metadata filter, so the matching ids are resolved first:
+  // listed by prefix, fetched, checked against the filter and deleted by id
+  async deleteByFilter(filter, prefix = '') {
+    const candidates = await this.listIds(prefix);
+    const ids = [];
+
+    for (let i = 0; i < candidates.length; i += FETCH_BATCH) {
+      const { vectors } = await this.fetch(candidates.slice(i, i + FETCH_BATCH));
+      Object.values(vectors)
+        .filter(vector => matchesFilter(vector.metadata || {}, filter))
+        .forEach(vector => ids.push(vector.id));
+    }
+
+    if (ids.length > 0) {
+      await this.delete(ids);
+    }
+    return { deleted: ids.length, ids: ids };
+  }
+
+  async updateMetadata(id, metadata) {
+    const response = await fetch(`${this.indexHost}/vectors/update`, {
       method: 'POST',
       headers: {
         'Api-Key': this.apiKey,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        vectors: vectors
+        id: id,
+        setMetadata: metadata
       })
     });
 
     if (!response.ok) {
-      throw new Error(`Pinecone upsert error: ${response.status}`);
+      throw new Error(`Pinecone update error: ${response.status}`);
     }
 
     return await response.json();
   }
+
+  // Pinecone has no batch update, so updates run a few at a time. After a failure no further
+  // updates start, and the error carries the ids already updated (error.updatedIds) so the
+  // caller can undo them.
+  async updateMetadataMany(updates, concurrency = 8) {
+    const updatedIds = [];
+    let failure = null;
+    let next = 0;
+
+    const worker = async () => {
+      while (!failure && next < updates.length) {
+        const { id, metadata } = updates[next++];
+        try {
+          await this.updateMetadata(id, metadata);
+          updatedIds.push(id);
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, updates.length) }, worker));
+
+    if (failure) {
+      failure.updatedIds = updatedIds;
+      throw failure;
+    }
+    return { updated: updatedIds.length };
+  }
+
+  async listIds(prefix) {
+    const ids = [];
+    let paginationToken = null;
+
+    do {
+      const params = new URLSearchParams({ prefix: prefix, limit: '100' });
+      if (paginationToken) {
+        params.append('paginationToken', paginationToken);
+      }
+
+      const response = await fetch(`${this.indexHost}/vectors/list?${params.toString()}`, {
+        method: 'GET',
+        headers: {
+          'Api-Key': this.apiKey
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Pinecone list error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      ids.push(...(data.vectors || []).map(vector => vector.id));
+      paginationToken = data.pagination?.next || null;
+    } while (paginationToken);
+
+    return ids;
+  }
 }
 
 module.exports = PineconeREST;
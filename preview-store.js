@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./json-store');
+
+// Pending upload previews (dry runs). A preview keeps the uploaded file on disk together
+// with the upload settings until it is committed, discarded or expires.
+class PreviewStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || 'data', 'previews.json');
+    this.ttlHours = options.ttlHours || Number(process.env.PREVIEW_TTL_HOURS) || 24;
+    this.store = new JsonStore(this.filePath, { previews: {} });
+  }
+
+  create(preview) {
+    this.removeExpired();
+
+    const data = this.store.read();
+    const now = new Date();
+    const record = {
+      ...preview,
+      id: `preview-${now.getTime()}-${Math.round(Math.random() * 1E6)}`,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlHours * 3600 * 1000).toISOString()
+    };
+
+    data.previews[record.id] = record;
+    this.store.write(data);
+    return record;
+  }
+
+  get(id) {
+    const record = this.store.read().previews[id];
+    return record && !this.isExpired(record) ? record : null;
+  }
+
+  update(id, fields) {
+    const data = this.store.read();
+    if (!data.previews[id]) {
+      return null;
+    }
+
+    data.previews[id] = { ...data.previews[id], ...fields, updatedAt: new Date().toISOString() };
+    this.store.write(data);
+    return data.previews[id];
+  }
+
+  // Drop the record; the uploaded file is deleted unless it was handed on to ingestion
+  remove(id, deleteFile = true) {
+    const data = this.store.read();
+    const record = data.previews[id];
+    if (!record) {
+      return null;
+    }
+
+    delete data.previews[id];
+    this.store.write(data);
+    if (deleteFile && record.filePath && fs.existsSync(record.filePath)) {
+      fs.unlinkSync(record.filePath);
+    }
+    return record;
+  }
+
+  isExpired(record) {
+    return new Date(record.expiresAt) < new Date();
+  }
+
+  removeExpired() {
+    const expired = Object.values(this.store.read().previews).filter(record => this.isExpired(record));
+    expired.forEach(record => this.remove(record.id));
+    return expired.length;
+  }
+}
+
+module.exports = PreviewStore;
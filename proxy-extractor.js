@@ -0,0 +1,280 @@
+// Structured data from DEF 14A proxy statements: the Summary Compensation Table for each
+// named executive officer, the board with its committees and independence, and the
+// proposals on the ballot with the board's recommendation. Works on the pipe tables and
+// headings htmlToText leaves behind; nothing here ends up in the vector store.
+
+// Summary Compensation Table columns, in the order the SEC prescribes them
+const COMPENSATION_COLUMNS = [
+  ['salary', /^salary/],
+  ['bonus', /^bonus/],
+  ['stockAwards', /^stock awards?/],
+  ['optionAwards', /^option awards?/],
+  ['nonEquityIncentive', /^non-?equity incentive/],
+  ['pensionChange', /pension|deferred compensation earnings/],
+  ['allOtherCompensation', /^all other/],
+  ['total', /^total/]
+];
+
+const TITLE_WORDS = /\b(chief|president|chair(?:man|woman|person)?|executive|senior|vice|former|general counsel|evp|svp|ceo|cfo|coo|cto|officer|treasurer|secretary|head|group|interim|founder|principal)\b/i;
+
+const COMMITTEES = /\b(audit|compensation|nominating|governance|executive|finance|risk|technology|sustainability|compliance|talent|human capital|people|cybersecurity|science|strategy)\b/i;
+
+const MEMBER_MARK = /^(?:x|✓|✔|☑|●|•|■|◼|m|member|yes|y|\*)$/i;
+const CHAIR_MARK = /^(?:c|chair|chairman|chairwoman|chairperson|chr\.?|★|☆|✪)$|\bchair\b/i;
+
+const RECOMMENDATION = '(FOR|AGAINST|ABSTAIN|(?:EVERY\\s+)?(?:ONE|1|TWO|2|THREE|3)[\\s-]+YEARS?|ANNUAL(?:LY)?)';
+
+const MONTH_DATE = /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s+\d{4})/;
+
+function rowCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// Spacer and "$" cells carry no column of their own in EDGAR tables
+function compactCells(cells) {
+  return cells.filter(cell => cell && !/^[$%)(]$/.test(cell));
+}
+
+// "1,250,000(3)" -> 1250000, "—" -> 0
+function parseAmount(text) {
+  const cleaned = String(text).replace(/\(\d{1,2}\)|\[\d{1,2}\]|[*†‡]/g, '').replace(/\$/g, '').trim();
+  if (/^[-—–]+$/.test(cleaned) || cleaned === '') return 0;
+  const negative = /^\(.*\)$/.test(cleaned);
+  const value = parseFloat(cleaned.replace(/[^\d.]/g, ''));
+  return isNaN(value) ? null : (negative ? -value : value);
+}
+
+// "ELECTION OF DIRECTORS" -> "Election of Directors"
+function titleCase(text) {
+  if (/[a-z]/.test(text)) return text;
+  return text.toLowerCase()
+    .replace(/(^|[\s(–—-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase())
+    .replace(/\s(Of|And|The|To|For|On|In|An|A|By|With|Our)\b/g, word => word.toLowerCase());
+}
+
+function cleanName(text) {
+  return text.replace(/\(\d{1,2}\)|\[\d{1,2}\]|[*†‡]/g, '').replace(/\s+/g, ' ').replace(/[,;:]+$/, '').trim();
+}
+
+// "Jane Doe Chief Executive Officer" -> { name: 'Jane Doe', title: 'Chief Executive Officer' }
+function splitNameAndTitle(label) {
+  const text = cleanName(label);
+  const comma = text.match(/^([^,]+),\s*(.+)$/);
+  if (comma && TITLE_WORDS.test(comma[2]) && !TITLE_WORDS.test(comma[1])) {
+    return { name: comma[1].trim(), title: comma[2].trim() };
+  }
+  const match = text.match(TITLE_WORDS);
+  if (!match || match.index === 0) {
+    return match ? { name: null, title: text } : { name: text, title: null };
+  }
+  return { name: text.slice(0, match.index).replace(/[\s,–—-]+$/, ''), title: text.slice(match.index).trim() };
+}
+
+// Consecutive pipe rows, each with the index of its first line
+function findTables(lines) {
+  const tables = [];
+  let current = null;
+  lines.forEach((line, i) => {
+    if (/^\|(?:\s*:?-{3,}:?\s*\|)+$/.test(line.trim())) {
+      // Markdown header separator
+    } else if (line.trim().startsWith('|')) {
+      if (!current) {
+        current = { start: i, rows: [] };
+        tables.push(current);
+      }
+      current.rows.push(rowCells(line));
+    } else if (line.trim()) {
+      current = null;
+    }
+  });
+  return tables;
+}
+
+class ProxyExtractor {
+  extract(text) {
+    const lines = text.split(/\n|\f/);
+    const tables = findTables(lines);
+
+    return {
+      meetingDate: this.findMeetingDate(text),
+      compensation: this.findCompensation(tables, lines),
+      directors: this.findDirectors(tables),
+      proposals: this.findProposals(text, tables)
+    };
+  }
+
+  findMeetingDate(text) {
+    const head = text.slice(0, 20000);
+    const match = head.match(new RegExp(`annual meeting of (?:share|stock)holders[^.]{0,120}?${MONTH_DATE.source}`, 'i')) ||
+      head.match(new RegExp(`${MONTH_DATE.source}[^.]{0,60}?annual meeting`, 'i'));
+    if (!match) return null;
+    const date = new Date(`${match[1]} UTC`);
+    return isNaN(date) ? null : date.toISOString().split('T')[0];
+  }
+
+  // Summary Compensation Table: [{ name, title, years: [{ year, salary, ..., total }] }]
+  findCompensation(tables, lines) {
+    const candidates = tables
+      .map(table => {
+        const headerIndex = table.rows.findIndex(row => {
+          const header = row.join(' ').toLowerCase();
+          return /\bsalary\b/.test(header) && /\btotal\b/.test(header) && /\byear\b/.test(header);
+        });
+        if (headerIndex < 0) return null;
+        const caption = lines.slice(Math.max(0, table.start - 6), table.start).join(' ');
+        return { table, headerIndex, titled: /summary compensation table/i.test(caption) };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.titled - a.titled);
+    if (candidates.length === 0) return [];
+
+    const { table, headerIndex } = candidates[0];
+    const header = compactCells(table.rows[headerIndex]).map(cell => cell.toLowerCase().replace(/\(.*?\)/g, '').trim());
+    const yearColumn = header.findIndex(cell => /^(?:fiscal )?year$/.test(cell));
+    const columns = header.slice(yearColumn + 1).map(cell => {
+      const column = COMPENSATION_COLUMNS.find(([, pattern]) => pattern.test(cell));
+      return column ? column[0] : null;
+    });
+
+    const officers = [];
+    let current = null;
+    table.rows.slice(headerIndex + 1).forEach(raw => {
+      const cells = compactCells(raw);
+      const yearIndex = cells.findIndex(cell => /^(?:19|20)\d{2}$/.test(cell));
+      const label = (yearIndex < 0 ? cells : cells.slice(0, yearIndex)).join(' ');
+
+      if (label) {
+        const { name, title } = splitNameAndTitle(label);
+        if (name) {
+          current = { name, title, years: [] };
+          officers.push(current);
+        } else if (current) {
+          current.title = [current.title, title].filter(Boolean).join(', ');
+        }
+      }
+      if (yearIndex < 0 || !current) return;
+
+      const values = cells.slice(yearIndex + 1);
+      // Align from the right when a column was left out of the row (total is always last)
+      const offset = columns.length - values.length;
+      const entry = { year: Number(cells[yearIndex]) };
+      COMPENSATION_COLUMNS.forEach(([key]) => {
+        entry[key] = columns.includes(key) ? 0 : null;
+      });
+      values.forEach((cell, c) => {
+        const key = columns[c + offset];
+        if (key) entry[key] = parseAmount(cell);
+      });
+      current.years.push(entry);
+    });
+
+    return officers.filter(officer => officer.years.length > 0);
+  }
+
+  // Board committee matrix: [{ name, independent, committees: { Audit: 'chair' | 'member' } }]
+  findDirectors(tables) {
+    for (const table of tables) {
+      // Compensation tables name "All Other Compensation" and the like, never a committee
+      const headerIndex = table.rows.findIndex(row =>
+        !row.some(cell => /\b(?:salary|fees|awards?|total)\b/i.test(cell)) &&
+        row.filter(cell => COMMITTEES.test(cell) && cell.length < 60).length >= 2);
+      if (headerIndex < 0) continue;
+
+      const header = table.rows[headerIndex];
+      const independentColumn = header.findIndex(cell => /^independen/i.test(cell));
+      const committeeColumns = header
+        .map((cell, c) => (c > 0 && c !== independentColumn && COMMITTEES.test(cell) ? c : -1))
+        .filter(c => c >= 0);
+      const nameColumn = header.findIndex(cell => cell && /name|director|nominee/i.test(cell));
+
+      const directors = [];
+      table.rows.slice(headerIndex + 1).forEach(raw => {
+        // Rows that lost their spacer cells are aligned from the right
+        const offset = header.length - raw.length;
+        const cell = c => (raw[c - offset] || '').trim();
+        const label = offset === 0 && nameColumn >= 0 ? cell(nameColumn) : raw.find(Boolean) || '';
+        const name = cleanName(label.replace(/\b(?:independent|chair(?:man)?|lead director)\b.*$/i, ''));
+        if (!name || /^total|^number of meetings|^meetings/i.test(name) || !/[a-z]/i.test(name)) return;
+
+        const committees = {};
+        committeeColumns.forEach(c => {
+          const mark = cell(c);
+          if (!mark) return;
+          if (CHAIR_MARK.test(mark)) committees[header[c]] = 'chair';
+          else if (MEMBER_MARK.test(mark)) committees[header[c]] = 'member';
+        });
+
+        let independent = null;
+        if (independentColumn >= 0) {
+          const mark = cell(independentColumn);
+          if (/^no$|^n$/i.test(mark)) independent = false;
+          else if (MEMBER_MARK.test(mark) || /^yes$/i.test(mark)) independent = true;
+          else if (!mark) independent = false;
+        } else if (/\bindependent\b/i.test(label)) {
+          independent = true;
+        }
+
+        directors.push({ name, independent, committees });
+      });
+
+      if (directors.length > 0) return directors;
+    }
+    return [];
+  }
+
+  // Ballot items: [{ number, title, recommendation, proponent }]
+  findProposals(text, tables) {
+    const proposals = {};
+    const record = (number, title, recommendation) => {
+      const existing = proposals[number] || { number, title: null, recommendation: null, proponent: null };
+      existing.title = existing.title || title || null;
+      existing.recommendation = existing.recommendation || recommendation || null;
+      proposals[number] = existing;
+    };
+
+    // Headings such as "Proposal No. 2 — Ratification of the Appointment of ..."
+    const lines = text.split(/\n|\f/).map(line => line.replace(/^[#|\s]+|[|\s]+$/g, '').replace(/\s*\|\s*/g, ' '));
+    const headings = [];
+    lines.forEach((line, i) => {
+      const match = line.match(/^(?:proposal|item)\s+(?:no\.?\s*|number\s+)?(\d{1,2})\b(?!\.\d)\s*[:.–—-]?\s*(.*)$/i);
+      if (!match || line.length > 200) return;
+      const title = match[2] || lines.slice(i + 1, i + 4).find(next => next.trim()) || '';
+      headings.push({ index: i, number: Number(match[1]), title: cleanName(title.replace(/^[:.–—-]\s*/, '')) });
+    });
+
+    headings.forEach((heading, h) => {
+      const end = headings.slice(h + 1).find(next => next.number !== heading.number);
+      const section = lines.slice(heading.index, end ? end.index : heading.index + 80).join('\n');
+      const recommendation = section.match(new RegExp(`recommends?\\s+(?:that\\s+)?(?:[\\w']+\\s+){0,4}?vote[sd]?\\s+(?:["“]?)${RECOMMENDATION}`, 'i')) ||
+        section.match(new RegExp(`^["“]?${RECOMMENDATION}["”]?(?:\\s+(?:each|all|the)\\b.*)?$`, 'm'));
+      record(heading.number, heading.title, recommendation ? recommendation[1] : null);
+    });
+
+    // Proposal summaries at the front of the proxy: "| 1. Election of directors | FOR each nominee |"
+    tables.forEach(table => {
+      if (!table.rows.some(row => row.some(cell => /recommend/i.test(cell)))) return;
+      table.rows.forEach(raw => {
+        const cells = compactCells(raw);
+        const label = cells.join(' ').match(/^(?:proposal\s+(?:no\.?\s*)?)?(\d{1,2})[.:)]?\s+(.+?)$/i);
+        const vote = cells.map(cell => cell.match(new RegExp(`^${RECOMMENDATION}\\b`, 'i'))).find(Boolean);
+        if (!label) return;
+        const title = cleanName(cells.find(cell => /[a-z]{3}/i.test(cell) && !new RegExp(`^${RECOMMENDATION}\\b`, 'i').test(cell)) || label[2])
+          .replace(/^(?:proposal\s+(?:no\.?\s*)?)?\d{1,2}[.:)]?\s*/i, '');
+        record(Number(label[1]), title, vote ? vote[1] : null);
+      });
+    });
+
+    return Object.values(proposals)
+      .filter(proposal => proposal.title)
+      .map(proposal => ({
+        ...proposal,
+        title: titleCase(proposal.title.length > 200 ? `${proposal.title.slice(0, 197)}...` : proposal.title),
+        recommendation: proposal.recommendation ? proposal.recommendation.toUpperCase().replace(/\s+/g, ' ') : null,
+        proponent: /\b(?:shareholder|stockholder)\s+proposal\b|\bproposal\s+(?:submitted\s+)?by\s+(?:a\s+)?(?:shareholder|stockholder)/i.test(proposal.title) ||
+          /^(?:shareholder|stockholder)\b/i.test(proposal.title) ? 'shareholder' : 'company'
+      }))
+      .sort((a, b) => a.number - b.number);
+  }
+}
+
+module.exports = { ProxyExtractor, COMPENSATION_COLUMNS };
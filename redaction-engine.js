@@ -0,0 +1,466 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+
+// Configurable redaction for sell-side research, meeting notes and generated templates.
+//
+// A rule set combines:
+//   dictionaries - literal terms, e.g. broker names
+//   patterns     - regular expressions, e.g. email addresses or disclaimer sentences
+//   entities     - heuristic detection of people and firms from context (analyst
+//                  bylines, credentials, certifications, broker-style firm names)
+//                  and of repeated page footers that mention them
+//   allowList    - terms and patterns that are never redacted, plus financialNumbers
+//                  to keep figures such as "$1,234,567,890" or "2024 2025" that look like phone numbers
+//
+// Every tenant (company ticker) gets the default rule set; a tenant rule set is an overlay
+// that adds terms, patterns and allow-list entries and can disable default rules by name.
+
+const DEFAULT_RULE_SET = {
+  replacement: '[REDACTED]',
+  dictionaries: [
+    {
+      name: 'broker-name',
+      category: 'firm',
+      terms: [
+        'Goldman Sachs', 'Morgan Stanley', 'J.P. Morgan', 'JPMorgan', 'Barclays', 'Deutsche Bank', 'Credit Suisse',
+        'UBS', 'Citigroup', 'Citi Research', 'Bank of America', 'BofA Securities', 'Wells Fargo', 'Jefferies',
+        'Piper Sandler', 'Cowen', 'TD Cowen', 'Stifel', 'Raymond James', 'KeyBanc', 'Oppenheimer', 'Wedbush',
+        'Needham', 'Craig-Hallum', 'Roth Capital', 'Lake Street', 'Evercore ISI', 'Evercore', 'Bernstein',
+        'Cantor Fitzgerald', 'BTIG', 'Baird', 'William Blair', 'Truist Securities', 'Mizuho', 'Macquarie',
+        'RBC Capital Markets', 'BMO Capital Markets', 'Canaccord Genuity', 'Guggenheim', 'JMP Securities',
+        'Citizens JMP', 'Benchmark Company', 'D.A. Davidson', 'Rosenblatt', 'Wolfe Research', 'MoffettNathanson',
+        'Redburn', 'HSBC', 'Nomura', 'Societe Generale', 'BNP Paribas', 'Susquehanna', 'Telsey Advisory',
+        'Berenberg', 'Exane', 'Kepler Cheuvreux', 'Northland Capital Markets', 'Loop Capital', 'Northcoast Research',
+        'Maxim Group', 'H.C. Wainwright', 'Ladenburg Thalmann', 'B. Riley', 'Janney Montgomery Scott', 'Seaport Research',
+        'CFRA', 'Morningstar', 'Argus Research', 'Bloomberg Intelligence'
+      ]
+    }
+  ],
+  patterns: [
+    // Analyst bylines and contact lines
+    { name: 'analyst-name', category: 'person', pattern: '(?:Analyst|Research Analyst|Senior Analyst|Managing Director|VP|Director):\\s*[A-Za-z\\s,.]+ \\([^)]+\\)', flags: 'gi' },
+    { name: 'contact-line', category: 'contact', pattern: 'Contact:\\s*[A-Za-z\\s,.]+ at [^\\n]+', flags: 'gi' },
+    { name: 'analyst-contact', category: 'contact', pattern: '(?:For questions|Questions|Contact).*?analyst.*?[^\\n]+', flags: 'gi' },
+
+    // Firm identifiers and disclaimers
+    { name: 'prepared-by', category: 'firm', pattern: 'This report (?:is prepared by|was prepared by|has been prepared by) [A-Za-z\\s&,.]+ (?:LLC|Inc|Ltd|LLP|LP)', flags: 'gi' },
+
+    // Phone numbers need separators or a phone cue, so bare figures are not taken for them
+    { name: 'phone-number', category: 'contact', pattern: '(?:\\+\\d{1,3}[-.\\s]?)?\\(?\\b\\d{3}\\)?[-.\\s]\\d{3}[-.\\s]\\d{4}\\b|(?:tel|phone|ph|mobile|direct|t)\\s*[:.]?\\s*\\+?\\d{10,12}\\b', flags: 'gi' },
+    { name: 'email-address', category: 'contact', pattern: '[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}', flags: 'g' },
+
+    // Research disclaimers and legal text
+    { name: 'research-disclaimer', category: 'disclaimer', pattern: 'This research report[^.]*\\.', flags: 'gi' },
+    { name: 'legal-disclosure', category: 'disclaimer', pattern: '(?:Important disclosures|Legal disclaimer|Risk disclosure)[^.]*\\.', flags: 'gi' },
+    { name: 'information-disclaimer', category: 'disclaimer', pattern: 'The information contained herein[^.]*\\.', flags: 'gi' }
+  ],
+  entities: {
+    people: true,
+    firms: true,
+    footers: true
+  },
+  allowList: {
+    terms: ['Morgan Stanley Capital International', 'MSCI'],
+    patterns: [],
+    financialNumbers: true
+  },
+  disabledRules: []
+};
+
+const NAME = "[A-Z][a-z'’-]+(?:[ \\t]+[A-Z]\\.)?(?:[ \\t]+(?:[A-Z][a-zA-Z'’-]+|de|van|von|der))?[ \\t]+[A-Z][a-zA-Z'’-]+";
+
+const PERSON_DETECTORS = [
+  // "Analyst: Jane Doe", "Prepared by Jane Doe", "Author | Jane Doe"
+  { name: 'person-byline', pattern: new RegExp(`\\b(?:Analysts?|Research Analyst|Senior Analyst|Associate|Author|Written by|Prepared by|Contact|Managing Director)\\s*[:|-]?\\s*(${NAME})`, 'g') },
+  // "Jane Doe, CFA"
+  { name: 'person-credential', pattern: new RegExp(`(${NAME}),?\\s+(?:CFA|CPA|CAIA|FRM|Ph\\.?D\\.?|MBA)\\b`, 'g') },
+  // "I, Jane Doe, hereby certify"
+  { name: 'person-certification', pattern: new RegExp(`\\bI,?\\s+(${NAME}),?\\s+(?:hereby\\s+)?certify`, 'g') },
+  // "Ms. Jane Doe"
+  { name: 'person-honorific', pattern: new RegExp(`\\b(?:Mr|Ms|Mrs|Dr)\\.?\\s+(${NAME}|[A-Z][a-zA-Z'’-]+)`, 'g') }
+];
+
+const FIRM_SUFFIXES = '(?:Securities|Capital Markets|Capital|Partners|Research|Equities|Advisors|Advisory|& Co\\.?|& Company|Investment Bank(?:ing)?|Asset Management|Brokerage|Financial Group)';
+const FIRM_DETECTORS = [
+  // Broker-style names: "Northland Securities", "Acorn Peak Capital Markets", "Smith & Co."
+  // Words are joined by spaces or tabs only: a name never continues onto the next line
+  { name: 'firm-name', pattern: new RegExp(`\\b((?:[A-Z][A-Za-z.'’-]*[ \\t]+){1,3}${FIRM_SUFFIXES})(?![A-Za-z])`, 'g') },
+  // Copyright lines: "© 2024 Acorn Peak LLC"
+  { name: 'firm-copyright', pattern: /(?:©|\(c\)|Copyright)[ \t]*(?:\d{4}[ \t]*,?[ \t]*)?((?:[A-Z][A-Za-z.&'’-]*[ \t]*){1,5})/g }
+];
+
+// Words that turn a "<word> Capital" style phrase into ordinary finance vocabulary
+const GENERIC_FIRM_WORDS = [
+  'working', 'venture', 'human', 'growth', 'debt', 'equity', 'invested', 'total', 'share', 'return', 'risk',
+  'regulatory', 'tier', 'paid', 'additional', 'intellectual', 'physical', 'social', 'private', 'public', 'the',
+  'our', 'their', 'its', 'market', 'markets', 'channel', 'strategic', 'key', 'technology', 'new', 'global',
+  'independent', 'third', 'party', 'primary', 'secondary', 'investment', 'research', 'and', 'of', 'peer', 'peers',
+  'while', 'both', 'with', 'from', 'at', 'by', 'free', 'cash', 'flow', 'flows', 'operations', 'operating', 'net',
+  'gross', 'fixed', 'income', 'cost', 'costs', 'spending', 'expenditure', 'allocation', 'structure', 'requirements',
+  'efficiency', 'intensity', 'liquidity', 'credit', 'balance', 'earnings', 'revenue', 'sales', 'margin', 'margins',
+  'dividend', 'industry', 'sector', 'consumer', 'customer', 'customers', 'academic', 'internal', 'further', 'more',
+  'long-term', 'short-term', 'funding', 'budget', 'budgets', 'financial', 'business', 'product', 'products'
+];
+
+const MAX_PATTERN_LENGTH = 300;
+
+// Tenant patterns run over whole documents, so patterns that can backtrack catastrophically
+// are refused: a repeated group that itself repeats or alternates, e.g. (a+)+ or (a|ab)*.
+// Returns why a pattern is unsafe, or null.
+function unsafePatternReason(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `is longer than ${MAX_PATTERN_LENGTH} characters`;
+  }
+  if (/\\[1-9]|\\k</.test(pattern)) {
+    return 'uses a backreference';
+  }
+
+  const repeatsAt = i => pattern[i] === '*' || pattern[i] === '+' || /^\{\d*,/.test(pattern.slice(i));
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === '|' && group) {
+      group.alternates = true;
+    } else if (char === ')') {
+      const closed = groups.pop() || { repeats: false, alternates: false };
+      const repeated = repeatsAt(i + 1);
+      if (repeated && (closed.repeats || closed.alternates)) {
+        return 'repeats a group that itself repeats or alternates';
+      }
+      if (groups.length > 0 && (repeated || closed.repeats)) {
+        groups[groups.length - 1].repeats = true;
+      }
+    } else if (group && repeatsAt(i)) {
+      group.repeats = true;
+    }
+  }
+  return null;
+}
+
+const FINANCIAL_CONTEXT_BEFORE = /[$€£¥]\s*$|\b(?:USD|EUR|GBP|revenue|sales|EBITDA|income|FY|Q[1-4])\s*$/i;
+const FINANCIAL_CONTEXT_AFTER = /^\s*(?:%|percent|million|billion|thousand|bps|basis points|mn|bn|m\b|k\b|x\b|shares|units)/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePattern(rule) {
+  const flags = rule.flags || 'gi';
+  return new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`);
+}
+
+// Figures that a contact pattern matched but that read as financial numbers
+function isFinancialNumber(text, start, end, original) {
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(original.trim()) || /^\d+\.\d+$/.test(original.trim())) {
+    return true;
+  }
+  if (/^(19|20)\d{2}[-\s](19|20)\d{2}$/.test(original.trim())) {
+    return true;
+  }
+  return FINANCIAL_CONTEXT_BEFORE.test(text.slice(Math.max(0, start - 12), start)) ||
+    FINANCIAL_CONTEXT_AFTER.test(text.slice(end, end + 16));
+}
+
+function mergeRuleSets(base, overlay = {}) {
+  const dictionaries = base.dictionaries.map(dictionary => ({ ...dictionary, terms: [...dictionary.terms] }));
+  (overlay.dictionaries || []).forEach(dictionary => {
+    const existing = dictionaries.find(candidate => candidate.name === dictionary.name);
+    if (existing) {
+      existing.terms = [...new Set([...existing.terms, ...dictionary.terms])];
+    } else {
+      dictionaries.push({ category: 'custom', ...dictionary });
+    }
+  });
+
+  const patterns = base.patterns.filter(rule => !(overlay.patterns || []).some(override => override.name === rule.name));
+  patterns.push(...(overlay.patterns || []).map(rule => ({ category: 'custom', ...rule, tenant: true })));
+
+  return {
+    replacement: overlay.replacement || base.replacement,
+    dictionaries: dictionaries,
+    patterns: patterns,
+    entities: { ...base.entities, ...overlay.entities },
+    allowList: {
+      terms: [...new Set([...base.allowList.terms, ...((overlay.allowList || {}).terms || [])])],
+      patterns: [...base.allowList.patterns, ...((overlay.allowList || {}).patterns || []).map(rule => ({ ...rule, tenant: true }))],
+      financialNumbers: (overlay.allowList || {}).financialNumbers !== undefined
+        ? overlay.allowList.financialNumbers
+        : base.allowList.financialNumbers
+    },
+    disabledRules: [...new Set([...base.disabledRules, ...(overlay.disabledRules || [])])]
+  };
+}
+
+class RedactionEngine {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || 'data', 'redaction-rules.json');
+    this.store = new JsonStore(this.filePath, { tenants: {} });
+  }
+
+  // Returns a list of problems; an empty list means the rule set can be saved
+  validateRuleSet(rules) {
+    const errors = [];
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['Rule set must be an object'];
+    }
+
+    (rules.dictionaries || []).forEach((dictionary, i) => {
+      if (!dictionary.name) errors.push(`dictionaries[${i}] needs a name`);
+      if (!Array.isArray(dictionary.terms) || dictionary.terms.some(term => typeof term !== 'string' || !term.trim())) {
+        errors.push(`dictionaries[${i}].terms must be a list of non-empty strings`);
+      }
+    });
+
+    [...(rules.patterns || []), ...((rules.allowList || {}).patterns || [])].forEach((rule, i) => {
+      if (!rule.name || !rule.pattern) {
+        errors.push(`pattern ${i} needs a name and a pattern`);
+        return;
+      }
+      try {
+        compilePattern(rule);
+      } catch (error) {
+        errors.push(`pattern ${rule.name} is not a valid regular expression: ${error.message}`);
+        return;
+      }
+      const unsafe = unsafePatternReason(rule.pattern);
+      if (unsafe) {
+        errors.push(`pattern ${rule.name} ${unsafe}`);
+      }
+    });
+
+    return errors;
+  }
+
+  getTenantRules(tenant) {
+    return this.store.read().tenants[String(tenant || '').toUpperCase()] || null;
+  }
+
+  setTenantRules(tenant, rules) {
+    const data = this.store.read();
+    data.tenants[String(tenant).toUpperCase()] = { ...rules, updatedAt: new Date().toISOString() };
+    this.store.write(data);
+    return data.tenants[String(tenant).toUpperCase()];
+  }
+
+  removeTenantRules(tenant) {
+    const data = this.store.read();
+    const key = String(tenant).toUpperCase();
+    const existing = data.tenants[key] || null;
+    delete data.tenants[key];
+    this.store.write(data);
+    return existing;
+  }
+
+  listTenants() {
+    return Object.keys(this.store.read().tenants);
+  }
+
+  // Default rules with the tenant overlay applied
+  getRuleSet(tenant) {
+    return mergeRuleSets(DEFAULT_RULE_SET, this.getTenantRules(tenant) || {});
+  }
+
+  // Returns { text, report }. options.tenant selects the rule set;
+  // options.overrides.keep lists redaction ids to leave in place and
+  // options.overrides.redact lists extra literal strings to remove.
+  redact(text, options = {}) {
+    const rules = this.getRuleSet(options.tenant);
+    const overrides = options.overrides || {};
+    const keep = overrides.keep || [];
+    // Tenant patterns saved before they were checked for backtracking are skipped, not run
+    const safe = rule => {
+      const unsafe = rule.tenant && unsafePatternReason(rule.pattern);
+      if (unsafe) console.warn(`⚠️  Skipping redaction pattern ${rule.name}: it ${unsafe}`);
+      return !unsafe;
+    };
+    const enabled = rule => !rules.disabledRules.includes(rule.name) && safe(rule);
+    const candidates = [];
+    let order = 0;
+
+    const addMatch = (rule, ruleType, start, end) => {
+      if (end > start) {
+        candidates.push({ rule: rule.name, ruleType, category: rule.category, order: rule.order, start, end, replacement: rule.replacement || rules.replacement });
+      }
+    };
+
+    (overrides.redact || []).filter(Boolean).forEach(term => {
+      const rule = { name: 'manual', category: 'manual', order: -2 };
+      for (const match of text.matchAll(new RegExp(escapeRegExp(term), 'g'))) {
+        addMatch(rule, 'manual', match.index, match.index + match[0].length);
+      }
+    });
+
+    rules.patterns.filter(enabled).forEach(rule => {
+      const ordered = { ...rule, order: order++ };
+      for (const match of text.matchAll(compilePattern(rule))) {
+        addMatch(ordered, 'pattern', match.index, match.index + match[0].length);
+      }
+    });
+
+    rules.dictionaries.filter(enabled).forEach(dictionary => {
+      const ordered = { ...dictionary, order: order++ };
+      const terms = [...dictionary.terms].sort((a, b) => b.length - a.length).map(escapeRegExp);
+      if (terms.length === 0) return;
+      const pattern = new RegExp(`(?<![A-Za-z])(?:${terms.join('|')})(?![A-Za-z])`, dictionary.caseSensitive ? 'g' : 'gi');
+      for (const match of text.matchAll(pattern)) {
+        addMatch(ordered, 'dictionary', match.index, match.index + match[0].length);
+      }
+    });
+
+    if (rules.entities.people) {
+      const detected = new Set();
+      PERSON_DETECTORS.filter(enabled).forEach(detector => {
+        const rule = { name: detector.name, category: 'person', order: order++ };
+        for (const match of text.matchAll(detector.pattern)) {
+          const start = match.index + match[0].indexOf(match[1]);
+          addMatch(rule, 'entity', start, start + match[1].length);
+          if (match[1].includes(' ')) detected.add(match[1]);
+        }
+      });
+
+      // Once a person is found, redact every other mention of the full name too
+      const rule = { name: 'person-mention', category: 'person', order: order++ };
+      detected.forEach(name => {
+        for (const match of text.matchAll(new RegExp(escapeRegExp(name), 'g'))) {
+          addMatch(rule, 'entity', match.index, match.index + match[0].length);
+        }
+      });
+    }
+
+    if (rules.entities.firms) {
+      FIRM_DETECTORS.filter(enabled).forEach(detector => {
+        const rule = { name: detector.name, category: 'firm', order: order++ };
+        for (const match of text.matchAll(detector.pattern)) {
+          const name = match[1].trim();
+          const words = name.toLowerCase().split(/\s+/);
+          if (!name || words.slice(0, -1).some(word => GENERIC_FIRM_WORDS.includes(word)) || words.length === 1 && detector.name === 'firm-name') {
+            continue;
+          }
+          const start = match.index + match[0].indexOf(match[1]);
+          addMatch(rule, 'entity', start, start + name.length);
+        }
+      });
+    }
+
+    // Page footers and headers repeat on every page; drop the whole line when it names someone
+    if (rules.entities.footers && !rules.disabledRules.includes('repeated-footer')) {
+      const rule = { name: 'repeated-footer', category: 'footer', order: -1 };
+      const counts = {};
+      text.split(/[\n\f]/).forEach(line => {
+        const trimmed = line.trim();
+        if (trimmed.length >= 10 && trimmed.length <= 200) counts[trimmed] = (counts[trimmed] || 0) + 1;
+      });
+
+      Object.entries(counts)
+        .filter(([, count]) => count >= 3)
+        .forEach(([line]) => {
+          for (const match of text.matchAll(new RegExp(escapeRegExp(line), 'g'))) {
+            const start = match.index;
+            const end = start + line.length;
+            if (candidates.some(candidate => candidate.start >= start && candidate.end <= end) || /analyst|research|©|copyright/i.test(line)) {
+              addMatch(rule, 'entity', start, end);
+            }
+          }
+        });
+    }
+
+    // Allow-listed spans and financial figures are reported but left in place
+    const allowedSpans = [];
+    rules.allowList.terms.forEach(term => {
+      for (const match of text.matchAll(new RegExp(escapeRegExp(term), 'gi'))) {
+        allowedSpans.push({ start: match.index, end: match.index + match[0].length, reason: `allow-list: ${term}` });
+      }
+    });
+    rules.allowList.patterns.filter(safe).forEach(rule => {
+      for (const match of text.matchAll(compilePattern(rule))) {
+        allowedSpans.push({ start: match.index, end: match.index + match[0].length, reason: `allow-list: ${rule.name}` });
+      }
+    });
+
+    const allowed = [];
+    const permitted = candidates.filter(candidate => {
+      const original = text.slice(candidate.start, candidate.end);
+      const span = candidate.ruleType !== 'manual' &&
+        allowedSpans.find(allow => candidate.start >= allow.start && candidate.end <= allow.end);
+      let reason = span ? span.reason : null;
+      if (!reason && rules.allowList.financialNumbers && candidate.category === 'contact' && /^[\d\s().+-]+$/.test(original) &&
+          isFinancialNumber(text, candidate.start, candidate.end, original)) {
+        reason = 'financial-number';
+      }
+      if (reason) {
+        allowed.push({ rule: candidate.rule, original, start: candidate.start, end: candidate.end, reason });
+        return false;
+      }
+      return true;
+    });
+
+    // Rules apply in order, so an earlier rule wins where matches overlap
+    const accepted = [];
+    permitted
+      .sort((a, b) => a.order - b.order || a.start - b.start || (b.end - b.start) - (a.end - a.start))
+      .forEach(candidate => {
+        if (!accepted.some(other => candidate.start < other.end && other.start < candidate.end)) {
+          accepted.push(candidate);
+        }
+      });
+
+    const kept = [];
+    const redactions = accepted
+      .sort((a, b) => a.start - b.start)
+      .map(({ order: ignored, ...redaction }) => ({
+        id: `r-${redaction.start}-${redaction.end}`,
+        ...redaction,
+        original: text.slice(redaction.start, redaction.end),
+        context: `${text.slice(Math.max(0, redaction.start - 40), redaction.start)}[[${text.slice(redaction.start, redaction.end)}]]${text.slice(redaction.end, redaction.end + 40)}`
+      }))
+      .filter(redaction => {
+        if (keep.includes(redaction.id)) {
+          kept.push(redaction);
+          return false;
+        }
+        return true;
+      });
+
+    let redacted = '';
+    let position = 0;
+    redactions.forEach(redaction => {
+      redacted += text.slice(position, redaction.start) + redaction.replacement;
+      position = redaction.end;
+    });
+    redacted += text.slice(position);
+
+    // Collapse runs of the same placeholder
+    const placeholder = escapeRegExp(rules.replacement);
+    redacted = redacted.replace(new RegExp(`${placeholder}(?:[ \\t]*\\n?[ \\t]*${placeholder})+`, 'g'), rules.replacement);
+
+    const summary = { total: redactions.length, byCategory: {}, byRule: {}, allowed: allowed.length, kept: kept.length };
+    redactions.forEach(redaction => {
+      summary.byCategory[redaction.category] = (summary.byCategory[redaction.category] || 0) + 1;
+      summary.byRule[redaction.rule] = (summary.byRule[redaction.rule] || 0) + 1;
+    });
+
+    return {
+      text: redacted,
+      report: {
+        tenant: options.tenant ? String(options.tenant).toUpperCase() : null,
+        generatedAt: new Date().toISOString(),
+        summary,
+        redactions,
+        kept,
+        allowed
+      }
+    };
+  }
+}
+
+module.exports = { RedactionEngine, DEFAULT_RULE_SET, unsafePatternReason };
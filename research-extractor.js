@@ -0,0 +1,310 @@
+// Structured data from sell-side research: broker, analysts, rating, price target
+// and revenue/EPS estimates by period. Runs on the original text, before anonymization,
+// and feeds the research store; nothing here ends up in the vector store.
+
+const RATINGS = {
+  buy: ['strong buy', 'conviction buy', 'top pick', 'buy', 'outperform', 'sector outperform', 'market outperform', 'overweight', 'accumulate', 'add', 'positive'],
+  hold: ['hold', 'neutral', 'equal-weight', 'equal weight', 'market perform', 'sector perform', 'sector weight', 'market weight', 'in-line', 'in line', 'peer perform', 'mixed'],
+  sell: ['strong sell', 'sell', 'underperform', 'sector underperform', 'market underperform', 'underweight', 'reduce', 'negative']
+};
+
+const RATING_WORDS = Object.values(RATINGS).flat().sort((a, b) => b.length - a.length);
+const RATING = `(${RATING_WORDS.map(word => word.replace(/[-\s]/g, '[-\\s]')).join('|')})`;
+
+const METRIC = '(revenues?|net sales|total sales|sales|(?:adj(?:usted|\\.)?\\s+|non-gaap\\s+|gaap\\s+|diluted\\s+)?(?:eps|earnings per share))';
+const PERIOD = "((?:FY|CY|F)\\s?'?(?:\\d{4}|\\d{2})[EA]?|[1-4]Q\\s?'?(?:\\d{4}|\\d{2})[EA]?|Q[1-4]\\s?(?:FY|CY)?'?\\s?(?:\\d{4}|\\d{2})[EA]?|(?:19|20)\\d{2}[EA])";
+const VALUE = '(\\(?[$€£]?\\s?-?\\d[\\d,]*(?:\\.\\d+)?\\)?(?:\\s?(?:billion|million|thousand|bn|mm|mn|B|M|K)\\b)?)';
+const NAME = "[A-Z][a-z'’-]+(?:[ \\t]+[A-Z]\\.)?(?:[ \\t]+(?:[A-Z][a-zA-Z'’-]+|de|van|von|der))?[ \\t]+[A-Z][a-zA-Z'’-]+";
+
+const CURRENCIES = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+
+function ratingCategory(rating) {
+  if (!rating) return null;
+  const normalized = rating.toLowerCase().replace(/[-\s]+/g, ' ');
+  return Object.keys(RATINGS).find(category =>
+    RATINGS[category].some(word => word.replace(/-/g, ' ') === normalized)) || null;
+}
+
+// "equal-weight" -> "Equal-Weight", "BUY" -> "Buy"
+function formatRating(rating) {
+  return rating.toLowerCase().replace(/(^|[-\s])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+function parseNumber(text) {
+  const negative = /^\(.*\)$/.test(text.trim()) || /-\d/.test(text);
+  const value = parseFloat(text.replace(/[^\d.]/g, ''));
+  return isNaN(value) ? null : (negative ? -value : value);
+}
+
+// Revenue is kept in millions; EPS per share
+function parseValue(text, metric, unitHint = 'million') {
+  const value = parseNumber(text.replace(/(billion|million|thousand|bn|mm|mn|B|M|K)\s*$/i, ''));
+  if (value === null) return null;
+  if (metric === 'eps') return value;
+
+  const unit = (text.match(/(billion|million|thousand|bn|mm|mn|B|M|K)\s*$/i) || [])[1] || unitHint;
+  if (/^(billion|bn|b)$/i.test(unit)) return Math.round(value * 1000 * 100) / 100;
+  if (/^(thousand|k)$/i.test(unit)) return Math.round(value / 1000 * 100) / 100;
+  return value;
+}
+
+function normalizeMetric(label) {
+  return /eps|earnings per share/i.test(label) ? 'eps' : 'revenue';
+}
+
+// "FY25E" -> FY2025, "3Q25" -> Q3 2025, "Q1'2026E" -> Q1 2026
+function normalizePeriod(token) {
+  const text = token.replace(/[\s']/g, '').toUpperCase();
+  const year = value => (value.length === 2 ? `20${value}` : value);
+
+  let match = text.match(/^([1-4])Q(?:FY|CY)?(\d{2}|\d{4})[EA]?$/) || text.match(/^Q([1-4])(?:FY|CY)?(\d{2}|\d{4})[EA]?$/);
+  if (match) return `Q${match[1]} ${year(match[2])}`;
+
+  match = text.match(/^(?:FY|CY|F)?(\d{2}|\d{4})[EA]?$/);
+  return match ? `FY${year(match[1])}` : null;
+}
+
+function splitCells(line) {
+  if (line.includes('|')) {
+    return line.split('|').map(cell => cell.trim()).filter((cell, i, cells) => cell || (i > 0 && i < cells.length - 1));
+  }
+  return line.trim().split(/\t|\s{2,}/).map(cell => cell.trim());
+}
+
+class ResearchExtractor {
+  // options.brokers lists known broker names, longest match wins
+  extract(text, options = {}) {
+    const brokers = options.brokers || [];
+    const rating = this.findRating(text);
+    const priceTarget = this.findPriceTarget(text);
+    const analysts = this.findAnalysts(text);
+
+    return {
+      broker: this.findBroker(text, brokers),
+      analyst: analysts[0] || null,
+      analysts: analysts,
+      rating: rating.rating,
+      ratingCategory: ratingCategory(rating.rating),
+      previousRating: rating.previousRating,
+      ratingAction: rating.action,
+      priceTarget: priceTarget.value,
+      previousPriceTarget: priceTarget.previous,
+      currency: priceTarget.currency,
+      estimates: this.findEstimates(text),
+      reportDate: this.findReportDate(text)
+    };
+  }
+
+  findBroker(text, brokers) {
+    const canonical = name => {
+      const known = [...brokers].sort((a, b) => b.length - a.length)
+        .find(broker => name.toLowerCase().includes(broker.toLowerCase()));
+      return known || name.replace(/,?\s*(?:&\s*Co\.?|& Company|LLC|LLP|Inc\.?|Ltd\.?|plc|LP)\b\.?/gi, '').trim();
+    };
+
+    // Bylines and attributions name the author's firm; other brokers may be quoted in the body
+    const cues = [
+      new RegExp(`\\b(?:Analysts?|Research Analyst|Senior Analyst)\\s*:\\s*${NAME}[^(\\n]*\\(([^)]+)\\)`),
+      /\b(?:prepared|published|issued) by\s+([A-Z][A-Za-z&.,'\s-]{2,60}?)(?:\.|,|\n|$)/,
+      /(?:©|\(c\)|Copyright)\s*(?:\d{4}\s*,?\s*)?([A-Z][A-Za-z&.'\s-]{2,60}?)(?:\.|,|\n|All rights|$)/i
+    ];
+    for (const cue of cues) {
+      const match = text.match(cue);
+      if (match && match[1].trim()) {
+        return canonical(match[1].trim());
+      }
+    }
+
+    // Otherwise the first known broker in the report header
+    const header = text.slice(0, 1500).toLowerCase();
+    const found = brokers
+      .map(broker => ({ broker, index: header.search(new RegExp(`(?<![a-z])${broker.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![a-z])`)) }))
+      .filter(candidate => candidate.index >= 0)
+      .sort((a, b) => a.index - b.index || b.broker.length - a.broker.length);
+    return found.length > 0 ? found[0].broker : null;
+  }
+
+  findAnalysts(text) {
+    const analysts = [];
+    const patterns = [
+      new RegExp(`\\b(?:Analysts?|Research Analyst|Senior Analyst|Author|Written by|Prepared by)\\s*[:|-]?\\s*(${NAME})`, 'g'),
+      new RegExp(`(${NAME}),?\\s+(?:CFA|CPA|CAIA|FRM|Ph\\.?D\\.?)\\b`, 'g'),
+      new RegExp(`\\bI,?\\s+(${NAME}),?\\s+(?:hereby\\s+)?certify`, 'g')
+    ];
+    patterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        if (!analysts.includes(match[1])) analysts.push(match[1]);
+      }
+    });
+    return analysts;
+  }
+
+  findRating(text) {
+    const result = { rating: null, previousRating: null, action: null };
+
+    // A headline ("Upgrading to Outperform") often omits the prior rating the body gives
+    const changes = [...text.matchAll(new RegExp(`\\b(upgrad\\w*|downgrad\\w*)\\b[^.\\n]{0,80}?\\bto\\s+(?:an?\\s+)?${RATING}\\b(?:[^.\\n]{0,20}?\\bfrom\\s+(?:an?\\s+)?${RATING}\\b)?`, 'gi'))];
+    const change = changes.find(match => match[3]) || changes[0];
+    if (change) {
+      return {
+        rating: formatRating(change[2]),
+        previousRating: change[3] ? formatRating(change[3]) : null,
+        action: /^upgrad/i.test(change[1]) ? 'upgrade' : 'downgrade'
+      };
+    }
+
+    const fromTo = text.match(new RegExp(`\\b(?:rating|rated|move[sd]?|moving)\\b[^.\\n]{0,40}?\\bfrom\\s+${RATING}\\s+to\\s+${RATING}\\b`, 'i'));
+    if (fromTo) {
+      const previous = ratingCategory(fromTo[1]);
+      const current = ratingCategory(fromTo[2]);
+      const order = ['sell', 'hold', 'buy'];
+      return {
+        rating: formatRating(fromTo[2]),
+        previousRating: formatRating(fromTo[1]),
+        action: order.indexOf(current) > order.indexOf(previous) ? 'upgrade' : order.indexOf(current) < order.indexOf(previous) ? 'downgrade' : 'reiterate'
+      };
+    }
+
+    const initiation = text.match(new RegExp(`\\binitiat\\w*\\b[^.\\n]{0,80}?\\b(?:with|at)\\s+(?:an?\\s+)?${RATING}\\b`, 'i'));
+    if (initiation) {
+      return { rating: formatRating(initiation[1]), previousRating: null, action: 'initiate' };
+    }
+
+    const labeled = text.match(new RegExp(`\\b(?:Rating|Recommendation|Investment Rating)\\s*[:|-]\\s*${RATING}\\b`, 'i'));
+    const statement = text.match(new RegExp(`\\b(reiterat\\w*|maintain\\w*|reaffirm\\w*|rate|keep\\w*)\\b[^.\\n]{0,40}?\\b${RATING}\\b`, 'i'));
+    const fallback = text.match(new RegExp(`\\b${RATING}\\s+rating\\b`, 'i'));
+
+    if (labeled) {
+      result.rating = formatRating(labeled[1]);
+    } else if (statement) {
+      result.rating = formatRating(statement[2]);
+    } else if (fallback) {
+      result.rating = formatRating(fallback[1]);
+    }
+    if (result.rating && statement && /^(reiterat|maintain|reaffirm|keep)/i.test(statement[1])) {
+      result.action = 'reiterate';
+    }
+    return result;
+  }
+
+  findPriceTarget(text) {
+    const match = text.match(/\b(?:price target|target price|price objective|PT|TP)\b[^.\n$€£\d]{0,40}?([$€£]|USD\s?|EUR\s?|GBP\s?)?(\d[\d,]*(?:\.\d+)?)(?![\d,.]*\s?%)(?:[^.\n\d]{0,25}?\b(?:from|prior|previously|was)\s*:?\s*[$€£]?\s?(\d[\d,]*(?:\.\d+)?))?/i);
+    if (!match) {
+      // "a $210 price target"
+      const before = text.match(/([$€£])\s?(\d[\d,]*(?:\.\d+)?)\s+(?:12-month\s+)?(?:price target|target price|price objective|PT)\b/i);
+      return before
+        ? { value: parseNumber(before[2]), previous: null, currency: CURRENCIES[before[1]] }
+        : { value: null, previous: null, currency: null };
+    }
+
+    const symbol = (match[1] || '$').trim();
+    return {
+      value: parseNumber(match[2]),
+      previous: match[3] ? parseNumber(match[3]) : null,
+      currency: CURRENCIES[symbol] || symbol.toUpperCase()
+    };
+  }
+
+  findEstimates(text) {
+    const estimates = [];
+    const add = (metric, period, value, previousValue = null) => {
+      if (!period || value === null) return;
+      const existing = estimates.find(estimate => estimate.metric === metric && estimate.period === period);
+      if (existing) {
+        existing.previousValue = existing.previousValue === null ? previousValue : existing.previousValue;
+        return;
+      }
+      estimates.push({
+        metric: metric,
+        period: period,
+        value: value,
+        unit: metric === 'eps' ? 'per share' : 'million',
+        previousValue: previousValue
+      });
+    };
+
+    this.findTableEstimates(text).forEach(estimate => add(estimate.metric, estimate.period, estimate.value));
+
+    const inline = [
+      // "FY25 revenue of $5,120 million", "our 3Q25 EPS estimate to $1.10 from $1.02"
+      new RegExp(`${PERIOD}\\s+${METRIC}\\s*(?:estimates?|forecasts?|est\\.?)?\\s*(?:(?:goes|moves|is|now)\\s+)?(?:to|of|at|is|now|:|=)?\\s*${VALUE}(?:[^.\\n\\d]{0,20}?\\b(?:from|vs\\.?|versus|prior|previously)\\s+${VALUE})?`, 'gi'),
+      // "revenue estimate for FY25 to $5.1B from $5.0B"
+      new RegExp(`${METRIC}\\s*(?:estimates?|forecasts?|est\\.?)?\\s*(?:for\\s+)?${PERIOD}\\s*(?:(?:goes|moves|is|now)\\s+)?(?:to|of|at|is|now|:|=)?\\s*${VALUE}(?:[^.\\n\\d]{0,20}?\\b(?:from|vs\\.?|versus|prior|previously)\\s+${VALUE})?`, 'gi')
+    ];
+
+    // Reported actuals ("FY2024A") are not estimates
+    inline.forEach((pattern, i) => {
+      for (const match of text.matchAll(pattern)) {
+        const [periodToken, metricToken] = i === 0 ? [match[1], match[2]] : [match[2], match[1]];
+        const metric = normalizeMetric(metricToken);
+        if (/A$/i.test(periodToken)) continue;
+        add(metric, normalizePeriod(periodToken), parseValue(match[3], metric), match[4] ? parseValue(match[4], metric) : null);
+      }
+    });
+
+    return estimates;
+  }
+
+  // Estimate tables: a header row of periods followed by Revenue / EPS rows
+  findTableEstimates(text) {
+    const lines = text.split(/\n|\f/);
+    const estimates = [];
+
+    lines.forEach((line, i) => {
+      const cells = splitCells(line);
+      const periods = cells.map(cell => (new RegExp(`^${PERIOD}$`, 'i').test(cell) ? normalizePeriod(cell) : null));
+      if (periods.filter(Boolean).length < 2) return;
+      // Keep the columns aligned but skip reported actuals
+      cells.forEach((cell, c) => {
+        if (/A$/i.test(cell)) periods[c] = null;
+      });
+
+      // "($ in billions)" in the caption or row label sets the revenue unit
+      const caption = lines.slice(Math.max(0, i - 3), i + 1).join(' ');
+      const tableUnit = /in billions|\(\$?\s?(?:bn|b)\)/i.test(caption) ? 'billion' : 'million';
+
+      for (let r = i + 1; r < lines.length && lines[r].trim(); r++) {
+        const row = splitCells(lines[r]);
+        const label = row[0] || '';
+        if (!new RegExp(`^${METRIC}\\b`, 'i').test(label.replace(/^\W+/, ''))) continue;
+
+        const metric = normalizeMetric(label);
+        const rowUnit = /\((?:\$\s?)?(bn|b|billions?)\)/i.test(label) ? 'billion' : tableUnit;
+        const values = row.slice(1);
+        // Align from the right when the header has no label column
+        const offset = periods.length - values.length;
+        values.forEach((cell, c) => {
+          const period = periods[c + offset];
+          if (period && /\d/.test(cell)) {
+            estimates.push({ metric, period, value: parseValue(cell, metric, rowUnit) });
+          }
+        });
+      }
+    });
+
+    return estimates;
+  }
+
+  findReportDate(text) {
+    const header = text.slice(0, 2000);
+    const patterns = [
+      /\b(?:Date|Published|Report date)\s*[:|-]\s*([^\n]{6,40})/i,
+      /\b((?:January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)\.?\s+\d{1,2},?\s+\d{4})\b/,
+      /\b(\d{1,2}\s+(?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{4})\b/,
+      /\b(\d{4}-\d{2}-\d{2})\b/,
+      /\b(\d{1,2}\/\d{1,2}\/\d{4})\b/
+    ];
+
+    for (const pattern of patterns) {
+      const match = header.match(pattern);
+      if (!match) continue;
+      const date = new Date(`${match[1].trim()}${/^\d{4}-\d{2}-\d{2}$/.test(match[1].trim()) ? 'T00:00:00Z' : ' UTC'}`);
+      if (!isNaN(date)) {
+        return date.toISOString().split('T')[0];
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = { ResearchExtractor, ratingCategory };
@@ -0,0 +1,179 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+const { ratingCategory } = require('./research-extractor');
+
+const RATING_ORDER = ['sell', 'hold', 'buy'];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function stats(values) {
+  if (values.length === 0) return null;
+  return {
+    mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+    median: round(median(values)),
+    high: Math.max(...values),
+    low: Math.min(...values),
+    count: values.length
+  };
+}
+
+function reportOrder(a, b) {
+  return (a.reportDate || a.uploadDate || '').localeCompare(b.reportDate || b.uploadDate || '') ||
+    (a.recordedAt || '').localeCompare(b.recordedAt || '');
+}
+
+// Structured sell-side research (broker, rating, price target, estimates), one record per
+// report. Kept apart from the anonymized text in the vector store.
+class ResearchStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || 'data', 'research.json');
+    this.store = new JsonStore(this.filePath, { reports: {} });
+  }
+
+  // Fills in the rating and price target change against the same broker's previous report
+  add(report) {
+    const data = this.store.read();
+    const company = String(report.company).toUpperCase();
+    const previous = report.broker
+      ? Object.values(data.reports)
+        .filter(other => other.company === company && other.broker === report.broker && reportOrder(other, report) <= 0)
+        .sort(reportOrder)
+        .pop()
+      : null;
+
+    const record = {
+      ...report,
+      id: `research-${report.documentId}`,
+      company: company,
+      previousRating: report.previousRating || (previous ? previous.rating : null),
+      previousPriceTarget: report.previousPriceTarget ?? (previous ? previous.priceTarget : null),
+      recordedAt: new Date().toISOString()
+    };
+
+    if (!record.ratingAction || record.ratingAction === 'reiterate') {
+      const current = RATING_ORDER.indexOf(ratingCategory(record.rating));
+      const before = RATING_ORDER.indexOf(ratingCategory(record.previousRating));
+      if (current >= 0 && before >= 0 && current !== before) {
+        record.ratingAction = current > before ? 'upgrade' : 'downgrade';
+      } else if (current >= 0 && before >= 0) {
+        record.ratingAction = 'reiterate';
+      }
+    }
+
+    if (typeof record.priceTarget === 'number' && typeof record.previousPriceTarget === 'number') {
+      record.priceTargetAction = record.priceTarget > record.previousPriceTarget ? 'raise'
+        : record.priceTarget < record.previousPriceTarget ? 'lower' : 'maintain';
+    }
+
+    data.reports[record.id] = record;
+    this.store.write(data);
+    return record;
+  }
+
+  get(id) {
+    return this.store.read().reports[id] || null;
+  }
+
+  removeByDocument(documentId) {
+    const data = this.store.read();
+    const record = data.reports[`research-${documentId}`];
+    if (!record) {
+      return null;
+    }
+
+    delete data.reports[record.id];
+    this.store.write(data);
+    return record;
+  }
+
+  // Reports for a company, oldest first
+  list(company) {
+    return Object.values(this.store.read().reports)
+      .filter(report => report.company === String(company).toUpperCase())
+      .sort(reportOrder);
+  }
+
+  // Latest report from each broker covering the company
+  coverage(company) {
+    const latest = {};
+    this.list(company).forEach(report => {
+      latest[report.broker || `unknown-${report.id}`] = report;
+    });
+
+    return Object.values(latest)
+      .map(report => ({
+        broker: report.broker,
+        analyst: report.analyst,
+        rating: report.rating,
+        ratingCategory: report.ratingCategory,
+        priceTarget: report.priceTarget,
+        currency: report.currency,
+        reportDate: report.reportDate || report.uploadDate,
+        documentId: report.documentId
+      }))
+      .sort((a, b) => (a.broker || '').localeCompare(b.broker || ''));
+  }
+
+  // Consensus across each broker's latest report
+  consensus(company) {
+    const latest = {};
+    this.list(company).forEach(report => {
+      latest[report.broker || `unknown-${report.id}`] = report;
+    });
+    const reports = Object.values(latest);
+
+    const ratings = { buy: 0, hold: 0, sell: 0 };
+    reports.forEach(report => {
+      if (report.ratingCategory) ratings[report.ratingCategory]++;
+    });
+
+    const estimates = {};
+    reports.forEach(report => {
+      (report.estimates || []).forEach(estimate => {
+        const key = `${estimate.metric}|${estimate.period}`;
+        estimates[key] = estimates[key] || { metric: estimate.metric, period: estimate.period, unit: estimate.unit, values: [] };
+        estimates[key].values.push(estimate.value);
+      });
+    });
+
+    return {
+      company: String(company).toUpperCase(),
+      brokerCount: reports.length,
+      ratings: ratings,
+      priceTarget: stats(reports.filter(report => typeof report.priceTarget === 'number').map(report => report.priceTarget)),
+      estimates: Object.values(estimates)
+        .map(({ values, ...estimate }) => ({ ...estimate, ...stats(values) }))
+        .sort((a, b) => a.metric.localeCompare(b.metric) || a.period.localeCompare(b.period))
+    };
+  }
+
+  // Rating and price target changes, newest first; action narrows to e.g. 'downgrade'
+  ratingHistory(company, action) {
+    return this.list(company)
+      .filter(report => report.ratingAction || report.priceTargetAction)
+      .filter(report => !action || report.ratingAction === action || report.priceTargetAction === action)
+      .map(report => ({
+        date: report.reportDate || report.uploadDate,
+        broker: report.broker,
+        analyst: report.analyst,
+        action: report.ratingAction,
+        fromRating: report.previousRating,
+        toRating: report.rating,
+        priceTargetAction: report.priceTargetAction || null,
+        fromPriceTarget: report.previousPriceTarget,
+        toPriceTarget: report.priceTarget,
+        documentId: report.documentId
+      }))
+      .reverse();
+  }
+}
+
+module.exports = ResearchStore;
@@ -0,0 +1,109 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+
+// Retention policies: how long documents of a given documentType and/or sourceType
+// (optionally for one company) are kept, e.g. external research for 12 months because
+// of broker licensing terms. Also keeps the log of documents purged under a policy.
+//
+// A policy is { id, documentType?, sourceType?, company?, retentionDays | retentionMonths, description? }.
+// When several policies match a document, the most specific one applies, and among equally
+// specific ones the shortest retention.
+
+const MATCH_FIELDS = ['documentType', 'sourceType', 'company'];
+const MAX_LOG_ENTRIES = 5000;
+
+function addRetention(date, policy) {
+  const expiry = new Date(date);
+  if (policy.retentionMonths) {
+    expiry.setUTCMonth(expiry.getUTCMonth() + Number(policy.retentionMonths));
+  }
+  if (policy.retentionDays) {
+    expiry.setUTCDate(expiry.getUTCDate() + Number(policy.retentionDays));
+  }
+  return expiry;
+}
+
+class RetentionPolicies {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || 'data', 'retention.json');
+    this.store = new JsonStore(this.filePath, { policies: [], purgeLog: [] });
+  }
+
+  list() {
+    return this.store.read().policies;
+  }
+
+  // Returns a list of problems; an empty list means the policies can be saved
+  validate(policies) {
+    if (!Array.isArray(policies)) {
+      return ['Policies must be a list'];
+    }
+
+    const errors = [];
+    policies.forEach((policy, i) => {
+      if (!MATCH_FIELDS.some(field => policy[field])) {
+        errors.push(`policies[${i}] needs a documentType, sourceType or company`);
+      }
+      const days = policy.retentionDays !== undefined ? Number(policy.retentionDays) : 0;
+      const months = policy.retentionMonths !== undefined ? Number(policy.retentionMonths) : 0;
+      if (!Number.isInteger(days) || !Number.isInteger(months) || days < 0 || months < 0 || days + months <= 0) {
+        errors.push(`policies[${i}] needs a positive whole number of retentionDays or retentionMonths`);
+      }
+    });
+    return errors;
+  }
+
+  setPolicies(policies) {
+    const data = this.store.read();
+    data.policies = policies.map((policy, i) => ({
+      ...policy,
+      id: policy.id || `policy-${Date.now()}-${i}`,
+      company: policy.company ? String(policy.company).toUpperCase() : undefined
+    }));
+    this.store.write(data);
+    return data.policies;
+  }
+
+  policyFor(document) {
+    const matching = this.list().filter(policy => MATCH_FIELDS.every(field => {
+      if (!policy[field]) return true;
+      return field === 'company'
+        ? String(document.company || '').toUpperCase() === policy.company
+        : document[field] === policy[field];
+    }));
+
+    const specificity = policy => MATCH_FIELDS.filter(field => policy[field]).length;
+    const base = new Date('2000-01-01T00:00:00Z');
+    return matching.sort((a, b) => specificity(b) - specificity(a) || addRetention(base, a) - addRetention(base, b))[0] || null;
+  }
+
+  // { expiresAt, policyId } for a document, counted from its upload date; null if no policy applies
+  expiryFor(document) {
+    const policy = this.policyFor(document);
+    const start = document.uploadDate || document.registeredAt;
+    if (!policy || !start) {
+      return null;
+    }
+
+    return {
+      expiresAt: addRetention(start, policy).toISOString(),
+      policyId: policy.id
+    };
+  }
+
+  logPurge(entry) {
+    const data = this.store.read();
+    data.purgeLog.push({ ...entry, purgedAt: new Date().toISOString() });
+    data.purgeLog = data.purgeLog.slice(-MAX_LOG_ENTRIES);
+    this.store.write(data);
+  }
+
+  // Purge log, newest first
+  purgeLog(filters = {}) {
+    return this.store.read().purgeLog
+      .filter(entry => !filters.company || entry.company === String(filters.company).toUpperCase())
+      .reverse();
+  }
+}
+
+module.exports = RetentionPolicies;
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { edgarClient } = require('./edgar-client');
+
+// SEC EDGAR access: ticker to CIK lookup, the company's filing index and filing downloads.
+// Downloads are written to disk so they go through the same extraction and chunking as uploads.
+// Requests go through the shared EDGAR client (rate limit, User-Agent, on-disk cache).
+
+// High-value SEC filing types (focusing on reliable downloads)
+const FILING_TYPES = [
+  '10-K',    // Annual reports
+  '10-K/A',  // 10-K amendments
+  '10-Q',    // Quarterly reports
+  '10-Q/A',  // 10-Q amendments
+  '8-K',     // Current events
+  '8-K/A',   // 8-K amendments
+  'S-1',     // IPO registration
+  'S-1/A',   // S-1 amendments
+  'S-3',     // Shelf registration
+  'S-4',     // Merger registration
+  'DEF 14A', // Proxy statements
+  'DEF 14C', // Information statements
+  '424B1',   // Prospectus supplements
+  '424B2',   // Prospectus supplements
+  '424B3',   // Prospectus supplements
+  '424B4',   // Prospectus supplements
+  '424B5',   // Prospectus supplements
+  'SC 13D',  // Beneficial ownership (>5%)
+  'SC 13G',  // Passive ownership reports
+  'SC 13D/A', // 13D amendments
+  'SC 13G/A', // 13G amendments
+  'SCHEDULE 13D',   // 13D under its name since December 2024
+  'SCHEDULE 13D/A',
+  'SCHEDULE 13G',   // 13G under its name since December 2024
+  'SCHEDULE 13G/A',
+  '11-K',    // Employee stock plans
+  '20-F',    // Foreign company annual report
+  '20-F/A'   // 20-F amendments
+  // Forms 3, 4 and 5 are structured XML; see OWNERSHIP_FORMS
+];
+
+// Insider ownership reports, parsed into transactions rather than ingested as documents
+const OWNERSHIP_FORMS = ['3', '3/A', '4', '4/A', '5', '5/A'];
+
+// 5%+ beneficial ownership reports, parsed into the major holders register
+const BENEFICIAL_OWNERSHIP_FORMS = FILING_TYPES.filter(form => /^(?:SC|SCHEDULE) 13/.test(form));
+
+// Form an amendment amends ('10-K/A' -> '10-K'), or null for original filings.
+// 13D/A and 13G/A are ownership updates rather than corrections, so they stand alone.
+function amendedForm(form) {
+  return /\/A$/.test(form) && !/^(?:SC|SCHEDULE) 13/.test(form) ? form.slice(0, -2) : null;
+}
+
+// Returns { cik, name } with the CIK padded to 10 digits, or null for an unknown ticker
+async function lookupCompany(ticker) {
+  const data = await edgarClient().json('https://www.sec.gov/files/company_tickers.json');
+  const match = Object.values(data).find(entry => entry.ticker === ticker.toUpperCase());
+
+  return match
+    ? { cik: match.cik_str.toString().padStart(10, '0'), name: match.title }
+    : null;
+}
+
+function collectFilings(block, cik) {
+  const filings = [];
+  for (let i = 0; i < block.form.length; i++) {
+    filings.push({
+      form: block.form[i],
+      filingDate: block.filingDate[i],
+      reportDate: block.reportDate[i] || block.filingDate[i],
+      accessionNumber: block.accessionNumber[i],
+      primaryDocument: block.primaryDocument[i],
+      // 8-K item codes, e.g. '2.02,9.01'
+      items: block.items && block.items[i] ? block.items[i].split(',').map(item => item.trim()).filter(Boolean) : [],
+      cik: cik.replace(/^0+/, '')
+    });
+  }
+  return filings;
+}
+
+// Filings of the requested forms between from and to (YYYY-MM-DD, inclusive), newest first.
+// Older filings live in additional index files, which are only fetched when the range reaches
+// them; options.history = false sticks to the recent filings.
+async function listFilings(cik, options = {}) {
+  const forms = options.forms && options.forms.length > 0 ? options.forms : FILING_TYPES;
+  const from = options.from || '0000-00-00';
+  const to = options.to || '9999-99-99';
+
+  const data = await edgarClient().json(`https://data.sec.gov/submissions/CIK${cik}.json`);
+  const filings = collectFilings(data.filings.recent, cik);
+
+  for (const file of options.history === false ? [] : data.filings.files || []) {
+    if (file.filingTo >= from && file.filingFrom <= to) {
+      const older = await edgarClient().json(`https://data.sec.gov/submissions/${file.name}`);
+      filings.push(...collectFilings(older, cik));
+    }
+  }
+
+  const selected = filings
+    .filter(filing => forms.includes(filing.form) && filing.primaryDocument)
+    .filter(filing => filing.filingDate >= from && filing.filingDate <= to)
+    .sort((a, b) => b.filingDate.localeCompare(a.filingDate));
+
+  return options.limit ? selected.slice(0, options.limit) : selected;
+}
+
+// XBRL facts from every filing the company has made (the companyfacts API)
+async function fetchCompanyFacts(cik) {
+  return edgarClient().json(`https://data.sec.gov/api/xbrl/companyfacts/CIK${cik}.json`);
+}
+
+function filingUrl(filing) {
+  return `https://www.sec.gov/Archives/edgar/data/${filing.cik}/${filing.accessionNumber.replace(/-/g, '')}/${filing.primaryDocument}`;
+}
+
+// Documents in a filing (primary document and exhibits) from its EDGAR index page:
+// [{ sequence, description, document, type, url }], where type is e.g. '8-K' or 'EX-99.1'
+async function listFilingDocuments(filing) {
+  const folder = `https://www.sec.gov/Archives/edgar/data/${filing.cik}/${filing.accessionNumber.replace(/-/g, '')}`;
+  const $ = cheerio.load(await edgarClient().text(`${folder}/${filing.accessionNumber}-index.htm`));
+
+  return $('table.tableFile').first().find('tr').toArray()
+    .map(row => $(row).find('td'))
+    .filter(cells => cells.length >= 4 && cells.eq(2).find('a').length > 0)
+    .map(cells => {
+      // Inline XBRL documents link through the viewer (/ix?doc=/Archives/...)
+      const href = cells.eq(2).find('a').attr('href').replace(/^\/ix\?doc=/, '');
+      return {
+        sequence: cells.eq(0).text().trim(),
+        description: cells.eq(1).text().replace(/\s+/g, ' ').trim(),
+        document: path.basename(href),
+        type: cells.eq(3).text().trim().toUpperCase(),
+        url: href.startsWith('http') ? href : `https://www.sec.gov${href}`
+      };
+    });
+}
+
+// Stable document id, one per filing
+function filingDocumentId(ticker, filing) {
+  return `${ticker.toUpperCase()}-SEC-${filing.accessionNumber.replace(/-/g, '')}`;
+}
+
+// The raw XML of a Form 3, 4 or 5; returns { xml, url }. The submissions index lists these
+// under an xslF345X?? stylesheet directory, which serves a rendered HTML page; the XML
+// itself sits at the root of the filing folder.
+async function fetchOwnershipDocument(filing) {
+  const url = filingUrl({ ...filing, primaryDocument: path.basename(filing.primaryDocument) });
+  return { xml: await edgarClient().text(url), url: url };
+}
+
+// Download the filing's primary document, or one of its exhibits (an entry from
+// listFilingDocuments); returns { path, filename, url }
+async function downloadFiling(filing, destDir, exhibit = null) {
+  const url = exhibit ? exhibit.url : filingUrl(filing);
+  const body = await edgarClient().buffer(url);
+  let filename = path.basename(filing.primaryDocument);
+  if (exhibit) {
+    filename = exhibit.document;
+  } else if (/^xsl/i.test(filing.primaryDocument)) {
+    // XML filings listed under an xsl stylesheet directory (Schedule 13D/13G since 2024) are served rendered as HTML
+    filename = `${path.basename(filing.primaryDocument, path.extname(filing.primaryDocument))}.htm`;
+  }
+  const suffix = exhibit ? `-${exhibit.type.replace(/[^A-Z0-9]/gi, '')}` : '';
+  const target = path.join(destDir, `sec-${filing.accessionNumber.replace(/-/g, '')}${suffix}${path.extname(filename).toLowerCase() || '.htm'}`);
+
+  fs.writeFileSync(target, body);
+  return { path: target, filename: filename, url: url };
+}
+
+module.exports = { FILING_TYPES, OWNERSHIP_FORMS, BENEFICIAL_OWNERSHIP_FORMS, amendedForm, lookupCompany, listFilings, fetchCompanyFacts, listFilingDocuments, downloadFiling, fetchOwnershipDocument, filingDocumentId, filingUrl };
@@ -0,0 +1,85 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+
+// Per-company EDGAR sync state: which filings (by accession number) have been ingested or
+// permanently failed, so a sync run only fetches and embeds filings it hasn't seen.
+class SecSyncState {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || 'data', 'sec-sync.json');
+    this.store = new JsonStore(this.filePath, { companies: {} });
+  }
+
+  static normalize(accessionNumber) {
+    return String(accessionNumber || '').replace(/-/g, '');
+  }
+
+  get(company) {
+    return this.store.read().companies[String(company).toUpperCase()] || null;
+  }
+
+  update(company, fields) {
+    const data = this.store.read();
+    const key = String(company).toUpperCase();
+    data.companies[key] = {
+      company: key,
+      filings: {},
+      ...data.companies[key],
+      ...fields
+    };
+    this.store.write(data);
+    return data.companies[key];
+  }
+
+  // status is 'ingested' or 'failed'
+  recordFiling(company, filing, status, fields = {}) {
+    const data = this.store.read();
+    const key = String(company).toUpperCase();
+    const state = data.companies[key] || { company: key, filings: {} };
+
+    state.filings[SecSyncState.normalize(filing.accessionNumber)] = {
+      accessionNumber: filing.accessionNumber,
+      form: filing.form,
+      filingDate: filing.filingDate,
+      reportDate: filing.reportDate,
+      status: status,
+      ...fields,
+      recordedAt: new Date().toISOString()
+    };
+    if (status === 'ingested' && (!state.lastFilingDate || filing.filingDate > state.lastFilingDate)) {
+      state.lastFilingDate = filing.filingDate;
+    }
+
+    data.companies[key] = state;
+    this.store.write(data);
+    return state.filings[SecSyncState.normalize(filing.accessionNumber)];
+  }
+
+  // 'ingested', 'failed' (in a way a retry won't fix) or null for a filing not seen yet
+  filingStatus(company, accessionNumber) {
+    const state = this.get(company);
+    const filing = state && state.filings[SecSyncState.normalize(accessionNumber)];
+    return filing ? filing.status : null;
+  }
+
+  summarize(company) {
+    const state = this.get(company);
+    if (!state) {
+      return null;
+    }
+
+    const filings = Object.values(state.filings);
+    return {
+      company: state.company,
+      cik: state.cik,
+      companyName: state.companyName,
+      lastSyncAt: state.lastSyncAt || null,
+      lastFilingDate: state.lastFilingDate || null,
+      backfilledAt: state.backfilledAt || null,
+      ingested: filings.filter(filing => filing.status === 'ingested').length,
+      failed: filings.filter(filing => filing.status === 'failed'),
+      lastJobId: state.lastJobId || null
+    };
+  }
+}
+
+module.exports = SecSyncState;
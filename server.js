@@ -5,7 +5,32 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const OpenAI = require('openai');
-const PineconeREST = require('./pinecone-rest');
+const { createVectorStore } = require('./vector-store');
+const DocumentRegistry = require('./document-registry');
+const DocumentVersions = require('./document-versions');
+const IngestionQueue = require('./ingestion-queue');
+const { createEmbeddings } = require('./embeddings');
+const { StructuredChunker } = require('./chunker');
+const extractors = require('./document-extractors');
+const { TranscriptParser } = require('./transcript-parser');
+const { FilingParser } = require('./filing-parser');
+const PreviewStore = require('./preview-store');
+const { RedactionEngine, DEFAULT_RULE_SET } = require('./redaction-engine');
+const { ResearchExtractor } = require('./research-extractor');
+const ResearchStore = require('./research-store');
+const { expandZip, expansionBudget } = require('./zip-expander');
+const { downloadDocument } = require('./url-fetcher');
+const RetentionPolicies = require('./retention-policies');
+const secFilings = require('./sec-filings');
+const SecSyncState = require('./sec-sync-state');
+const { FinancialsStore, FINANCIAL_METRICS, parseFinancialQuestion } = require('./financials-store');
+const { InsiderStore, parseOwnershipDocument, parseInsiderQuestion, INSIDER_ROLES } = require('./insider-transactions');
+const { HoldersRegister, parseCoverPages, parseHoldersQuestion, isBeneficialOwnershipForm } = require('./holders-register');
+const { isCurrentReport, itemsFromText, describeItems, eventTypes, isReleaseExhibit, exhibitDocumentType } = require('./current-reports');
+const { ProxyExtractor } = require('./proxy-extractor');
+const { GovernanceStore, parseGovernanceQuestion, officerInRole, personKey } = require('./governance-store');
+const { FilingSectionsStore } = require('./filing-sections-store');
+const { compareSections, parseFilingDiffQuestion } = require('./filing-diff');
 
 // File processing libraries
 const pdfParse = require('pdf-parse');
@@ -36,18 +61,64 @@ if (process.env.FMP_API_KEY) {
   console.log('⚠️  FMP_API_KEY not found - Competitive Analysis disabled');
 }
 
-console.log('🔍 Pinecone Configuration Debug:');
-console.log('API Key exists:', !!process.env.PINECONE_API_KEY);
-console.log('Environment:', process.env.PINECONE_ENVIRONMENT);
+const vectorStoreBackend = process.env.VECTOR_STORE || 'pinecone';
 
-const pinecone = new PineconeREST({
-  apiKey: process.env.PINECONE_API_KEY,
-  environment: process.env.PINECONE_ENVIRONMENT,
+console.log('🔍 Vector Store Configuration Debug:');
+console.log('Backend:', vectorStoreBackend);
+if (vectorStoreBackend === 'pinecone') {
+  console.log('API Key exists:', !!process.env.PINECONE_API_KEY);
+}
+
+// Pinecone REST client or local file-backed store, selected by VECTOR_STORE
+let index = createVectorStore();
+
+console.log(`✅ Vector store client created (${vectorStoreBackend})`);
+
+// Records which vectors belong to which ingested document
+const documentRegistry = new DocumentRegistry();
+
+// Which version of each document retrieval sees
+const documentVersions = new DocumentVersions({ index, registry: documentRegistry });
+
+// Background ingestion jobs for multi-file uploads
+const ingestionQueue = new IngestionQueue();
+
+// Uploads kept for a retry that will never come once their job is pruned
+ingestionQueue.on('pruned', job => {
+  job.items.forEach(item => {
+    if (item.path && fs.existsSync(item.path)) {
+      fs.unlinkSync(item.path);
+    }
+  });
 });
 
-console.log('✅ Pinecone client created without projectId');
+// Dry-run uploads awaiting review
+const previewStore = new PreviewStore();
+
+// Per-company redaction rules for sell-side research, meeting notes and templates
+const redactionEngine = new RedactionEngine();
+
+// Broker ratings, price targets and estimates pulled from sell-side uploads
+const researchStore = new ResearchStore();
+
+// How long each kind of document is kept before the sweeper purges it
+const retentionPolicies = new RetentionPolicies();
+const secSyncState = new SecSyncState();
+
+// XBRL financial facts per company, for exact figures
+const financialsStore = new FinancialsStore();
+
+// Insider transactions from Forms 3, 4 and 5
+const insiderStore = new InsiderStore();
+
+// 5%+ holders from Schedules 13D and 13G
+const holdersRegister = new HoldersRegister();
+
+// Executive pay, directors and ballot proposals from proxy statements
+const governanceStore = new GovernanceStore();
 
-let index = pinecone; // Use the REST client directly
+// Risk Factors and MD&A text of each periodic filing, for year-over-year diffs
+const filingSectionsStore = new FilingSectionsStore();
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -64,6 +135,8 @@ const storage = multer.diskStorage({
   }
 });
 
+const SUPPORTED_EXTENSIONS = ['.pdf', '.docx', '.doc', '.txt', '.pptx', '.xlsx', '.html', '.htm', '.md', '.eml'];
+
 const upload = multer({
   storage: storage,
   limits: {
@@ -71,61 +144,140 @@ const upload = multer({
   },
   fileFilter: function (req, file, cb) {
     // Allowed file types
-    const allowedTypes = ['.pdf', '.docx', '.doc', '.txt'];
     const ext = path.extname(file.originalname).toLowerCase();
     
-    if (allowedTypes.includes(ext)) {
+    if (SUPPORTED_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Allowed: PDF, DOCX, DOC, TXT, PPTX, XLSX, HTML, MD, EML'));
+    }
+  }
+});
+
+// The multi-file upload also takes ZIP archives, which are expanded before queueing
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const ext = path.extname(file.originalname).toLowerCase();
+    
+    if (SUPPORTED_EXTENSIONS.includes(ext) || ext === '.zip') {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Allowed: PDF, DOCX, DOC, TXT'));
+      cb(new Error('Invalid file type. Allowed: PDF, DOCX, DOC, TXT, PPTX, XLSX, HTML, MD, EML, ZIP'));
     }
   }
 });
 
-// Initialize Pinecone connection
-async function initializePinecone() {
+// Initialize vector store connection
+async function initializeVectorStore() {
   try {
-    // Test connection with REST API
-    const stats = await pinecone.describeIndexStats();
-    console.log('✅ Connected to Pinecone index: simplifyir');
+    // Test connection with a stats call
+    const stats = await index.describeIndexStats();
+    console.log(`✅ Connected to vector store: ${vectorStoreBackend}`);
     console.log(`📊 Total vectors: ${stats.totalVectorCount}`);
   } catch (error) {
-    console.error('❌ Failed to connect to Pinecone:', error);
+    console.error('❌ Failed to connect to vector store:', error);
     process.exit(1);
   }
 }
 
+// An amendment replaces its original only when it restates the report's substance. A Part III
+// or exhibits-only 10-K/A sits alongside the original, which keeps its risk factors, MD&A and
+// financial statements in retrieval.
+const RESTATED_SECTIONS = ['risk-factors', 'mdna', 'financial-statements'];
+
+function isFullAmendment(parsedFiling) {
+  return Boolean(parsedFiling && parsedFiling.isSectioned &&
+    parsedFiling.sections.some(section => RESTATED_SECTIONS.includes(section.filingSection)));
+}
+
+// Errors caused by the document itself; retrying the same file will not help
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
 // Document Processing Class
 class DocumentProcessor {
   constructor() {
-    this.maxChunkSize = 1500;
-    this.overlapSize = 200;
+    this.chunker = new StructuredChunker({ maxChars: 1600, overlapChars: 200 });
+    // Speaker turns are plain prose and analyst questions are often short
+    this.turnChunker = new StructuredChunker({ maxChars: 1600, overlapChars: 200, minChars: 40, detectHeadings: false });
+    this.transcriptParser = new TranscriptParser();
+    this.filingParser = new FilingParser();
+    this.researchExtractor = new ResearchExtractor();
+    this.proxyExtractor = new ProxyExtractor();
   }
 
   async extractTextFromFile(filePath, originalName) {
+    const extracted = await this.extractDocument(filePath, originalName);
+    return extracted.text;
+  }
+
+  // Returns { text, pages, metadata }; see document-extractors.js for the shape
+  async extractDocument(filePath, originalName) {
     const ext = path.extname(originalName).toLowerCase();
     
     try {
       switch (ext) {
         case '.pdf':
-          return await this.extractFromPDF(filePath);
+          return { text: await this.extractFromPDF(filePath) };
         case '.docx':
-          return await this.extractFromDOCX(filePath);
+          return { text: await this.extractFromDOCX(filePath) };
         case '.txt':
-          return await this.extractFromTXT(filePath);
+          return { text: await this.extractFromTXT(filePath) };
+        case '.doc':
+          return await extractors.extractDOC(filePath);
+        case '.pptx':
+          return await extractors.extractPPTX(filePath);
+        case '.xlsx':
+          return await extractors.extractXLSX(filePath);
+        case '.html':
+        case '.htm':
+          return await extractors.extractHTML(filePath);
+        case '.md':
+          return await extractors.extractMarkdown(filePath);
+        case '.eml':
+          return await extractors.extractEML(filePath);
         default:
-          throw new Error(`Unsupported file type: ${ext}`);
+          throw permanentError(`Unsupported file type: ${ext}`);
       }
     } catch (error) {
       console.error(`Error extracting text from ${originalName}:`, error.message);
+      // A file that cannot be parsed will not parse on a retry either
+      error.retryable = false;
       throw error;
     }
   }
 
+  // Pages are joined with form feeds so the chunker can record page numbers
   async extractFromPDF(filePath) {
     const dataBuffer = fs.readFileSync(filePath);
-    const data = await pdfParse(dataBuffer);
-    return data.text;
+    const pages = [];
+
+    await pdfParse(dataBuffer, {
+      pagerender: async (pageData) => {
+        const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        let lastY = null;
+        let text = '';
+
+        // Start a new line whenever the vertical position changes
+        textContent.items.forEach(item => {
+          const y = item.transform[5];
+          text += lastY === null || lastY === y ? item.str : `\n${item.str}`;
+          lastY = y;
+        });
+
+        pages[pageData.pageNumber - 1] = text;
+        return text;
+      }
+    });
+
+    return pages.map(page => page || '').join('\f');
   }
 
   async extractFromDOCX(filePath) {
@@ -137,41 +289,96 @@ class DocumentProcessor {
     return fs.readFileSync(filePath, 'utf8');
   }
 
-  createChunks(content, metadata) {
+  createChunks(content, metadata, pageMetadata = []) {
+    return this.chunker.chunk(content, metadata, pageMetadata).map(chunk => ({
+      content: chunk.content,
+      metadata: {
+        ...chunk.metadata,
+        content: chunk.content
+      }
+    }));
+  }
+
+  // Chunks per filing Item, tagged with the part, item number, item title and topic.
+  // Page numbers are offset by the pages before the section.
+  createFilingChunks(filing, content, metadata) {
+    const hasPages = content.includes('\f');
     const chunks = [];
-    let position = 0;
-    
-    while (position < content.length) {
-      const end = Math.min(position + this.maxChunkSize, content.length);
-      let chunk = content.slice(position, end);
-      
-      // Try to break at sentence boundary
-      if (end < content.length) {
-        const lastSentence = chunk.lastIndexOf('. ');
-        const lastNewline = chunk.lastIndexOf('\n');
-        const breakPoint = Math.max(lastSentence, lastNewline);
-        
-        if (breakPoint > position + this.maxChunkSize * 0.7) {
-          chunk = content.slice(position, breakPoint + 1);
-          position = breakPoint + 1;
-        } else {
-          position = end - this.overlapSize;
+
+    filing.sections.forEach(section => {
+      const pagesBefore = (content.slice(0, section.start).match(/\f/g) || []).length;
+      const label = section.item ? `Item ${section.item}. ${section.itemTitle}` : null;
+      const sectionMetadata = { ...metadata, filingSection: section.filingSection };
+      if (section.item) {
+        Object.assign(sectionMetadata, { item: section.item, itemTitle: section.itemTitle });
+      }
+      if (section.part) {
+        sectionMetadata.part = section.part;
+      }
+
+      this.createChunks(section.text, sectionMetadata).forEach(chunk => {
+        const chunkMetadata = chunk.metadata;
+        if (chunkMetadata.pageStart) {
+          chunkMetadata.pageStart += pagesBefore;
+          chunkMetadata.pageEnd += pagesBefore;
+        } else if (hasPages) {
+          chunkMetadata.pageStart = pagesBefore + 1;
+          chunkMetadata.pageEnd = pagesBefore + 1;
         }
-      } else {
-        position = end;
+
+        // Citations read "Item 7" even when the heading wasn't picked up by the chunker;
+        // 10-Q item numbers repeat, so those also name the part
+        if (label && !/^item\s/i.test(chunkMetadata.sectionPath || '')) {
+          chunkMetadata.sectionPath = chunkMetadata.sectionPath ? `${label} > ${chunkMetadata.sectionPath}` : label;
+        }
+        if (label && filing.form === '10-Q' && section.part) {
+          chunkMetadata.sectionPath = `${section.part} > ${chunkMetadata.sectionPath}`;
+        }
+        chunks.push(chunk);
+      });
+    });
+
+    return chunks;
+  }
+
+  // One or more chunks per speaker turn, each tagged with the speaker and call section.
+  // The speaker label is repeated in the chunk text so it also shapes the embedding.
+  // Anonymized uploads keep roles but drop names and firms.
+  createTranscriptChunks(transcript, metadata, anonymized = false) {
+    const chunks = [];
+
+    transcript.turns.forEach(turn => {
+      const turnMetadata = {
+        ...metadata,
+        transcriptSection: turn.section,
+        sectionPath: turn.section === 'qa' ? 'Q&A' : 'Prepared Remarks',
+        speakerRole: turn.speakerRole,
+        speakerType: turn.speakerType
+      };
+      if (turn.qaExchange) turnMetadata.qaExchange = turn.qaExchange;
+      if (!anonymized) {
+        turnMetadata.speaker = turn.speaker;
+        if (turn.speakerTitle) turnMetadata.speakerTitle = turn.speakerTitle;
+        if (turn.speakerFirm) turnMetadata.speakerFirm = turn.speakerFirm;
+        if (turn.askedBy) turnMetadata.askedBy = turn.askedBy;
       }
-      
-      if (chunk.trim().length > 100) {
+
+      const label = anonymized
+        ? turn.speakerRole
+        : [turn.speaker, turn.speakerTitle, turn.speakerFirm].filter(Boolean).join(', ');
+
+      this.turnChunker.chunk(turn.text, turnMetadata).forEach(chunk => {
+        const content = `${label}: ${chunk.content}`;
         chunks.push({
-          content: chunk.trim(),
+          content: content,
           metadata: {
-            ...metadata,
-            content: chunk.trim()
+            ...chunk.metadata,
+            content: content
           }
         });
-      }
-    }
-    
+      });
+    });
+
     return chunks;
   }
 
@@ -189,139 +396,361 @@ class DocumentProcessor {
     }
   }
 
-  anonymizeSellSideResearch(content) {
-    // Remove analyst names, firm identifiers, and contact information
-    let anonymizedContent = content;
+  // Embed many chunks with batched, concurrent requests; failed entries come back as null
+  async generateEmbeddings(texts, onBatch) {
+    return await createEmbeddings(openai, texts, {
+      concurrency: Number(process.env.EMBEDDING_CONCURRENCY) || 3,
+      onBatch
+    });
+  }
+
+  // Returns the redacted text plus the redaction report, using the company's rule set.
+  // overrides.keep lists redaction ids to leave in place (false positives);
+  // overrides.redact lists extra literal strings to remove.
+  redactSellSideResearch(content, overrides = {}, company = null) {
+    const result = redactionEngine.redact(content, { tenant: company, overrides });
+    return { content: result.text, redactions: result.report.redactions, report: result.report };
+  }
+
+  anonymizeSellSideResearch(content, company = null) {
+    return this.redactSellSideResearch(content, {}, company).content;
+  }
+
+
+  // A new upload replaces either an explicitly named document or the active document
+  // with the same filename. Anonymized uploads have no usable filename, so they only
+  // replace a document when asked to.
+  findPreviousVersion(company, filename, replaces, anonymized) {
+    if (replaces) {
+      const previous = documentRegistry.get(replaces);
+      if (!previous || previous.company !== company.toUpperCase()) {
+        throw permanentError(`Document to replace not found: ${replaces}`);
+      }
+      return previous;
+    }
+
+    if (anonymized) {
+      return null;
+    }
+
+    return documentRegistry.findActiveByFilename(company, filename);
+  }
+
+  // Everything short of embedding: extraction, redaction, metadata and chunking.
+  // Nothing is written anywhere, so this also backs the upload preview.
+  // options.replaces names the document id this upload is a new version of;
+  // options.redactions ({ keep, redact }) adjusts the sell-side redactions;
+  // options.sourceUrl records where a downloaded document came from;
+  // options.filing ({ form, filingDate, reportDate, accessionNumber, cik, url, items, exhibit }) marks an SEC
+  // filing, or with exhibit ({ type, description, parentDocumentId }) one of its exhibits
+  async prepareDocument(filePath, originalName, company, documentType, description, incognitoMode = false, customSource = '', sellSideMode = false, options = {}) {
+    // Extract text from file
+    const extracted = await this.extractDocument(filePath, originalName);
+    let content = extracted.text;
+    let redactions = [];
+    let redactionReport = null;
+    let research = null;
+    let proxy = null;
+    console.log(`✅ Extracted ${content.length} characters from ${originalName}`);
     
-    // Remove common sell-side patterns
-    const patterns = [
-      // Analyst names and titles
-      /(?:Analyst|Research Analyst|Senior Analyst|Managing Director|VP|Director):\s*[A-Za-z\s,.]+ \([^)]+\)/gi,
-      /Contact:\s*[A-Za-z\s,.]+ at [^\n]+/gi,
-      /(?:For questions|Questions|Contact).*?analyst.*?[^\n]+/gi,
-      
-      // Firm identifiers and disclaimers
-      /This report (?:is prepared by|was prepared by|has been prepared by) [A-Za-z\s&,.]+ (?:LLC|Inc|Ltd|LLP|LP)/gi,
-      /(?:Goldman Sachs|Morgan Stanley|J\.P\. Morgan|Barclays|Deutsche Bank|Credit Suisse|UBS|Citigroup|Bank of America|Wells Fargo|Jefferies|Piper Sandler|Cowen|Stifel|Raymond James|KeyBanc|Oppenheimer|Wedbush|Needham|Craig-Hallum|Roth Capital|Lake Street)/gi,
-      
-      // Phone numbers and emails
-      /(?:\+?1[-.\s]?)?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4}/g,
-      /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
-      
-      // Research disclaimers and legal text
-      /This research report[^.]*\./gi,
-      /(?:Important disclosures|Legal disclaimer|Risk disclosure)[^.]*\./gi,
-      /The information contained herein[^.]*\./gi,
-    ];
+    // Apply sell-side anonymization if requested
+    const isSellSide = sellSideMode === 'true' || sellSideMode === true;
+    if (isSellSide) {
+      // Broker, rating and estimates are read before anonymization removes them
+      const brokers = redactionEngine.getRuleSet(company).dictionaries
+        .filter(dictionary => dictionary.category === 'firm')
+        .flatMap(dictionary => dictionary.terms);
+      research = this.researchExtractor.extract(content, { brokers });
+      console.log(`📈 Extracted research data: ${research.broker || 'unknown broker'}, ${research.rating || 'no rating'}, PT ${research.priceTarget ?? 'n/a'}, ${research.estimates.length} estimates`);
+
+      const redacted = this.redactSellSideResearch(content, options.redactions, company);
+      content = redacted.content;
+      redactions = redacted.redactions;
+      redactionReport = redacted.report;
+      console.log(`🔒 Applied sell-side research anonymization (${redactions.length} redactions)`);
+    }
     
-    patterns.forEach(pattern => {
-      anonymizedContent = anonymizedContent.replace(pattern, '[REDACTED]');
-    });
+    if (content.length < 100) {
+      throw permanentError('Document contains insufficient text content');
+    }
+
+    // Proxy statements: compensation table, board and proposals
+    if (documentType === 'DEF 14A' && !isSellSide) {
+      proxy = this.proxyExtractor.extract(content);
+      console.log(`🗳️  Extracted proxy data: ${proxy.compensation.length} executives, ${proxy.directors.length} directors, ${proxy.proposals.length} proposals`);
+    }
+
+    // Create metadata
+    const isIncognito = incognitoMode === 'true' || incognitoMode === true;
+    let sourceLabel = `Internal Document - ${originalName}`;
+    let sourceType = 'internal-document';
+    let filename = originalName;
     
-    // Clean up multiple redactions
-    anonymizedContent = anonymizedContent.replace(/\[REDACTED\]\s*\[REDACTED\]/g, '[REDACTED]');
-    anonymizedContent = anonymizedContent.replace(/\[REDACTED\]\s*\n\s*\[REDACTED\]/g, '[REDACTED]');
+    if (isSellSide) {
+      sourceLabel = 'Anonymized Sell-Side Research';
+      sourceType = 'external-research';
+      filename = 'Anonymized Research Report';
+    } else if (isIncognito && customSource) {
+      sourceLabel = customSource;
+      sourceType = 'external-research';
+      filename = 'Anonymized';
+    } else if (isIncognito) {
+      filename = 'Anonymized';
+    } else if (options.filing) {
+      sourceLabel = options.filing.exhibit
+        ? `${options.filing.form} ${options.filing.exhibit.type.replace(/^EX-/, 'Exhibit ')} - ${options.filing.filingDate}`
+        : `${options.filing.form} Filing - ${options.filing.filingDate}`;
+      sourceType = 'sec-filing';
+    } else if (options.sourceUrl) {
+      sourceLabel = options.sourceUrl;
+      sourceType = 'web-document';
+    }
     
-    return anonymizedContent;
+    const baseMetadata = {
+      company: company.toUpperCase(),
+      source: sourceLabel,
+      sourceType: sourceType,
+      documentType: documentType || 'document',
+      description: description || '',
+      uploadDate: new Date().toISOString().split('T')[0],
+      originalFilename: filename,
+      incognito: isIncognito,
+      sellSideAnonymized: isSellSide,
+      superseded: false
+    };
+    if (options.sourceUrl && !isIncognito && !isSellSide) {
+      baseMetadata.url = options.sourceUrl;
+    }
+    if (options.filing) {
+      Object.assign(baseMetadata, {
+        form: options.filing.form,
+        filingDate: options.filing.filingDate,
+        reportDate: options.filing.reportDate,
+        accessionNumber: options.filing.accessionNumber,
+        cik: options.filing.cik,
+        url: options.filing.url
+      });
+      // 8-Ks are classified by item code; their exhibits inherit the filing's items
+      if (isCurrentReport(options.filing.form)) {
+        const items = options.filing.items && options.filing.items.length > 0 ? options.filing.items : itemsFromText(content);
+        baseMetadata.items = items;
+        baseMetadata.eventTypes = eventTypes(items);
+      }
+      if (options.filing.exhibit) {
+        baseMetadata.exhibit = options.filing.exhibit.type;
+      }
+    }
+
+    // Chunks carry their expiry so retrieval can skip them before the sweeper runs (0 = kept indefinitely)
+    const retention = retentionPolicies.expiryFor(baseMetadata);
+    baseMetadata.expiresAtEpoch = retention ? Math.floor(new Date(retention.expiresAt).getTime() / 1000) : 0;
+
+    // Email headers, slide titles and the like would undo anonymization
+    const isAnonymized = isIncognito || isSellSide;
+    const documentMetadata = isAnonymized ? {} : (extracted.metadata || {});
+    const pageMetadata = (extracted.pages || []).map(({ slideTitle, ...location }) =>
+      isAnonymized || !slideTitle ? location : { ...location, slideTitle });
+    Object.assign(baseMetadata, documentMetadata);
+
+    const contentHash = DocumentRegistry.hashContent(content);
+
+    // Create chunks; transcripts are split by speaker turn when their speakers can be found
+    const transcript = baseMetadata.documentType === 'transcripts' ? this.transcriptParser.parse(content) : null;
+    // 10-K, 10-Q and 20-F filings are split into their Items
+    const filing = FilingParser.supports(baseMetadata.documentType) ? this.filingParser.parse(content, baseMetadata.documentType) : null;
+    let chunks;
+    if (transcript && transcript.isTranscript) {
+      chunks = this.createTranscriptChunks(transcript, baseMetadata, isAnonymized);
+      console.log(`🎙️  Parsed transcript: ${transcript.turns.length} speaker turns, ${transcript.turns.filter(turn => turn.section === 'qa').length} in Q&A`);
+    } else if (filing && filing.isSectioned) {
+      chunks = this.createFilingChunks(filing, content, baseMetadata);
+      console.log(`🏛️  Parsed ${filing.form}: ${filing.sections.filter(section => section.item).map(section => section.item).join(', ')}`);
+    } else {
+      chunks = this.createChunks(content, baseMetadata, pageMetadata);
+    }
+    console.log(`📝 Created ${chunks.length} chunks`);
+
+    return {
+      extractedText: extracted.text,
+      content: content,
+      redactions: redactions,
+      redactionReport: redactionReport,
+      research: research,
+      proxy: proxy,
+      filingSections: filing && filing.isSectioned ? filing.sections : null,
+      retention: retention,
+      isSellSide: isSellSide,
+      isIncognito: isIncognito,
+      sourceLabel: sourceLabel,
+      sourceType: sourceType,
+      filename: filename,
+      baseMetadata: baseMetadata,
+      documentMetadata: documentMetadata,
+      contentHash: contentHash,
+      // Skip exact re-uploads of a document we already hold
+      duplicate: documentRegistry.findDuplicate(company, contentHash),
+      fullAmendment: options.filing && secFilings.amendedForm(options.filing.form) ? isFullAmendment(filing) : undefined,
+      // Each filing is a document of its own; only amendments that restate it in full replace it
+      previousVersion: options.filing && !(options.replaces && isFullAmendment(filing))
+        ? null
+        : this.findPreviousVersion(company, filename, options.replaces, isAnonymized),
+      chunks: chunks
+    };
   }
 
-  async processAndStore(filePath, originalName, company, documentType, description, incognitoMode = false, customSource = '', sellSideMode = false) {
+  // options.onProgress({ stage, current, total }) reports chunk progress;
+  // options.keepFile leaves the upload on disk so the caller can retry it;
+  // options.replaces, options.redactions, options.sourceUrl and options.filing are passed to prepareDocument;
+  // options.documentId gives the document a stable id instead of a generated one;
+  // options.expectedHash rejects the upload if its content no longer matches a preview
+  async processAndStore(filePath, originalName, company, documentType, description, incognitoMode = false, customSource = '', sellSideMode = false, options = {}) {
     console.log(`📄 Processing uploaded document: ${originalName}`);
+    const onProgress = options.onProgress || (() => {});
     
     try {
-      // Extract text from file
-      let content = await this.extractTextFromFile(filePath, originalName);
-      console.log(`✅ Extracted ${content.length} characters from ${originalName}`);
-      
-      // Apply sell-side anonymization if requested
-      const isSellSide = sellSideMode === 'true' || sellSideMode === true;
-      if (isSellSide) {
-        content = this.anonymizeSellSideResearch(content);
-        console.log(`🔒 Applied sell-side research anonymization`);
+      onProgress({ stage: 'extracting', current: 0, total: 0 });
+
+      const prepared = await this.prepareDocument(filePath, originalName, company, documentType, description, incognitoMode, customSource, sellSideMode, options);
+      const { content, chunks, baseMetadata, previousVersion, isSellSide, isIncognito } = prepared;
+
+      if (options.expectedHash && options.expectedHash !== prepared.contentHash) {
+        const error = permanentError('Document content differs from the approved preview');
+        error.code = 'PREVIEW_MISMATCH';
+        throw error;
       }
-      
-      if (content.length < 100) {
-        throw new Error('Document contains insufficient text content');
+
+      if (prepared.duplicate) {
+        console.log(`♻️  ${originalName} is identical to ${prepared.duplicate.id}, skipping`);
+        if (!options.keepFile) {
+          fs.unlinkSync(filePath);
+        }
+        return {
+          success: true,
+          duplicate: true,
+          documentId: prepared.duplicate.id,
+          chunksProcessed: 0,
+          originalChunks: 0,
+          content: content.substring(0, 500) + '...'
+        };
       }
 
-      // Create metadata
-      const isIncognito = incognitoMode === 'true' || incognitoMode === true;
-      let sourceLabel = `Internal Document - ${originalName}`;
-      let sourceType = 'internal-document';
-      let filename = originalName;
-      
+      if (chunks.length === 0) {
+        throw permanentError('No processable chunks created from document');
+      }
+
+      // Every chunk id starts with the document id so the whole document can be found again
+      let idPrefix = 'INTERNAL';
       if (isSellSide) {
-        sourceLabel = 'Anonymized Sell-Side Research';
-        sourceType = 'external-research';
-        filename = 'Anonymized Research Report';
-      } else if (isIncognito && customSource) {
-        sourceLabel = customSource;
-        sourceType = 'external-research';
-        filename = 'Anonymized';
+        idPrefix = 'SELLSIDE';
       } else if (isIncognito) {
-        filename = 'Anonymized';
+        idPrefix = 'EXTERNAL';
       }
-      
-      const baseMetadata = {
-        company: company.toUpperCase(),
-        source: sourceLabel,
-        sourceType: sourceType,
-        documentType: documentType || 'document',
-        description: description || '',
-        uploadDate: new Date().toISOString().split('T')[0],
-        originalFilename: filename,
-        incognito: isIncognito,
-        sellSideAnonymized: isSellSide
-      };
-
-      // Create chunks
-      const chunks = this.createChunks(content, baseMetadata);
-      console.log(`📝 Created ${chunks.length} chunks`);
+      const documentId = options.documentId || `${company.toUpperCase()}-${idPrefix}-${Date.now()}`;
+
+      // Generate embeddings in batches and store
+      onProgress({ stage: 'embedding', current: 0, total: chunks.length });
+      const embeddings = await this.generateEmbeddings(
+        chunks.map(chunk => chunk.content),
+        (done, total) => {
+          console.log(`  ⏳ Embedded ${done}/${total} chunks`);
+          onProgress({ stage: 'embedding', current: done, total: total });
+        }
+      );
 
-      if (chunks.length === 0) {
-        throw new Error('No processable chunks created from document');
+      // Nothing is stored unless every chunk was embedded: a partial document would be
+      // registered as complete, and the duplicate check would then refuse the re-upload
+      const failed = embeddings.filter(embedding => !embedding).length;
+      if (failed > 0) {
+        throw new Error(`Embedding failed for ${failed} of ${chunks.length} chunks; nothing was stored`);
       }
 
-      // Generate embeddings and store
-      const vectors = [];
-      for (let i = 0; i < chunks.length; i++) {
-        try {
-          const embedding = await this.generateEmbedding(chunks[i].content);
-          
-          let idPrefix = 'INTERNAL';
-          if (isSellSide) {
-            idPrefix = 'SELLSIDE';
-          } else if (isIncognito) {
-            idPrefix = 'EXTERNAL';
-          }
-          vectors.push({
-            id: `${company.toUpperCase()}-${idPrefix}-${Date.now()}-${i}`,
-            values: embedding,
-            metadata: chunks[i].metadata
-          });
-
-          // Show progress for large documents
-          if (chunks.length > 10 && (i + 1) % 5 === 0) {
-            console.log(`  ⏳ Processed ${i + 1}/${chunks.length} chunks`);
-          }
-          
-        } catch (error) {
-          console.error(`❌ Error processing chunk ${i + 1}:`, error.message);
-          continue;
+      const vectors = chunks.map((chunk, i) => ({
+        id: `${documentId}-${i}`,
+        values: embeddings[i],
+        metadata: {
+          ...chunk.metadata,
+          documentId: documentId
         }
+      }));
+
+      // Upload to vector store
+      onProgress({ stage: 'storing', current: chunks.length, total: chunks.length });
+      await index.upsert(vectors);
+      console.log(`🎉 Successfully stored ${vectors.length} chunks for ${originalName}`);
+
+      documentRegistry.register({
+        id: documentId,
+        company: baseMetadata.company,
+        originalFilename: prepared.filename,
+        documentType: baseMetadata.documentType,
+        description: baseMetadata.description,
+        source: prepared.sourceLabel,
+        sourceType: prepared.sourceType,
+        url: baseMetadata.url,
+        form: baseMetadata.form,
+        filingDate: baseMetadata.filingDate,
+        reportDate: baseMetadata.reportDate,
+        accessionNumber: baseMetadata.accessionNumber,
+        cik: baseMetadata.cik,
+        items: baseMetadata.items,
+        eventTypes: baseMetadata.eventTypes,
+        exhibit: baseMetadata.exhibit,
+        exhibitDescription: options.filing && options.filing.exhibit ? options.filing.exhibit.description : undefined,
+        parentDocumentId: options.filing && options.filing.exhibit ? options.filing.exhibit.parentDocumentId : undefined,
+        fullAmendment: prepared.fullAmendment,
+        uploadDate: baseMetadata.uploadDate,
+        chunkIds: vectors.map(vector => vector.id),
+        contentHash: prepared.contentHash,
+        incognito: isIncognito,
+        sellSideAnonymized: isSellSide,
+        redactionCount: prepared.redactions.length,
+        expiresAt: prepared.retention ? prepared.retention.expiresAt : null,
+        retentionPolicyId: prepared.retention ? prepared.retention.policyId : null,
+        status: 'active',
+        version: previousVersion ? (previousVersion.version || 1) + 1 : 1,
+        versionGroup: previousVersion ? (previousVersion.versionGroup || previousVersion.id) : documentId,
+        previousVersionId: previousVersion ? previousVersion.id : null,
+        ...prepared.documentMetadata
+      });
+
+      if (previousVersion) {
+        await this.supersedeDocument(previousVersion, documentId, vectors.map(vector => vector.id));
       }
 
-      // Upload to Pinecone
-      if (vectors.length > 0) {
-        await index.upsert(vectors);
-        console.log(`🎉 Successfully stored ${vectors.length} chunks for ${originalName}`);
+      if (prepared.research) {
+        researchStore.add({ ...prepared.research, company: baseMetadata.company, documentId: documentId, uploadDate: baseMetadata.uploadDate });
+      }
+      if (prepared.filingSections) {
+        filingSectionsStore.save({
+          documentId: documentId,
+          company: baseMetadata.company,
+          form: baseMetadata.form || baseMetadata.documentType,
+          filingDate: baseMetadata.filingDate || null,
+          reportDate: baseMetadata.reportDate || null,
+          accessionNumber: baseMetadata.accessionNumber || null
+        }, prepared.filingSections);
+      }
+      if (prepared.proxy) {
+        governanceStore.add({
+          ...prepared.proxy,
+          company: baseMetadata.company,
+          documentId: documentId,
+          form: baseMetadata.form || documentType,
+          filingDate: baseMetadata.filingDate || null,
+          accessionNumber: baseMetadata.accessionNumber || null,
+          uploadDate: baseMetadata.uploadDate
+        });
       }
 
       // Clean up uploaded file
-      fs.unlinkSync(filePath);
+      if (!options.keepFile) {
+        fs.unlinkSync(filePath);
+      }
 
       return {
         success: true,
+        documentId: documentId,
+        replacedDocumentId: previousVersion ? previousVersion.id : undefined,
         chunksProcessed: vectors.length,
         originalChunks: chunks.length,
         content: content.substring(0, 500) + '...' // Preview
@@ -329,12 +758,34 @@ class DocumentProcessor {
 
     } catch (error) {
       // Clean up file on error
-      if (fs.existsSync(filePath)) {
+      if (!options.keepFile && fs.existsSync(filePath)) {
         fs.unlinkSync(filePath);
       }
       throw error;
     }
   }
+
+  // Hide the previous version's chunks from retrieval once the new version is stored.
+  // If that fails part way, the new version is removed and the old one restored, so
+  // exactly one version stays active.
+  async supersedeDocument(previous, documentId, newChunkIds) {
+    try {
+      await documentVersions.setChunksSuperseded(previous.chunkIds, true);
+      documentRegistry.update(previous.id, { status: 'superseded', supersededBy: documentId });
+      console.log(`🔁 ${documentId} supersedes ${previous.id}`);
+    } catch (error) {
+      console.error(`❌ Failed to supersede ${previous.id}, rolling back ${documentId}:`, error.message);
+      await documentVersions.setChunksSuperseded(previous.chunkIds, false);
+      await index.delete(newChunkIds);
+      documentRegistry.remove(documentId);
+      throw error;
+    }
+  }
+}
+
+// Backstop for stores that ignore part of the filter
+function isExpiredChunk(metadata = {}) {
+  return metadata.expiresAtEpoch > 0 && metadata.expiresAtEpoch <= Date.now() / 1000;
 }
 
 // Production-Ready Query Intelligence System
@@ -346,7 +797,8 @@ class ProductionQueryIntelligence {
       managementCommentary: [
         'management said', 'management discussed', 'ceo said', 'executives said',
         'leadership commented', 'management commentary', 'management perspective',
-        'what did management', 'according to management', 'management stated'
+        'what did management', 'according to management', 'management stated',
+        'cfo said', 'did the cfo', 'did the ceo', 'on the call', 'prepared remarks'
       ],
       
       // Financial performance intents  
@@ -383,6 +835,15 @@ class ProductionQueryIntelligence {
       q4: ['Q4', 'fourth quarter', 'quarter 4', 'three months ended December'],
       annual: ['annual', 'yearly', 'year ended', 'full year', 'fiscal year']
     };
+
+    // Transcript speaker roles (see transcript-parser.js) a question can ask about
+    this.speakerRolePatterns = {
+      CEO: [/\bceo\b/, /chief executive/],
+      CFO: [/\bcfo\b/, /chief financial/, /finance chief/],
+      COO: [/\bcoo\b/, /chief operating/],
+      IR: [/investor relations/, /\bhead of ir\b/],
+      Analyst: [/analysts? (asked|ask|questions?)/, /questions? from (the )?analysts?/]
+    };
   }
 
   // Main query processing pipeline
@@ -416,6 +877,7 @@ class ProductionQueryIntelligence {
       isFinancial: false,
       needsInternal: false,
       needsForwardLooking: false,
+      speakerRoles: [],
       confidence: 0
     };
 
@@ -436,10 +898,20 @@ class ProductionQueryIntelligence {
       }
     }
 
+    // Detect speaker roles
+    for (const [role, patterns] of Object.entries(this.speakerRolePatterns)) {
+      if (patterns.some(pattern => pattern.test(queryLower))) {
+        analysis.speakerRoles.push(role);
+      }
+    }
+
     // Special flags
     analysis.isFinancial = queryLower.match(/(revenue|profit|income|earnings|financial|results)/);
     analysis.needsInternal = queryLower.match(/(management|said|commentary|call|presentation|guidance)/);
     analysis.needsForwardLooking = queryLower.match(/(guidance|outlook|future|plans|strategy|goals)/);
+    if (analysis.speakerRoles.length > 0) {
+      analysis.needsInternal = true;
+    }
 
     return analysis;
   }
@@ -454,13 +926,25 @@ class ProductionQueryIntelligence {
       weight: 1.0
     });
 
-    // Strategy 2: SEC-focused queries
-    if (analysis.isFinancial) {
+    // Strategy 1b: Transcript turns by the speaker the question asks about
+    if (analysis.speakerRoles.length > 0) {
+      strategies.push({
+        type: 'speaker-role',
+        query: originalQuery,
+        weight: 1.0,
+        filter: { speakerRole: { $in: analysis.speakerRoles } }
+      });
+    }
+
+    // Strategy 2: The filing sections the question is about
+    const filingSections = this.filingSectionsFor(analysis);
+    if (filingSections.length > 0) {
       strategies.push({
-        type: 'sec-financial',
-        query: this.buildSecQuery(originalQuery, analysis),
+        type: 'sec-sections',
+        query: originalQuery,
         weight: 0.8,
-        sourceHint: 'sec'
+        sourceHint: 'sec',
+        filter: { filingSection: { $in: filingSections } }
       });
     }
 
@@ -503,17 +987,20 @@ class ProductionQueryIntelligence {
     return strategies.slice(0, 6); // Limit to 6 strategies
   }
 
-  buildSecQuery(query, analysis) {
-    const base = query.toLowerCase();
-    const currentYear = new Date().getFullYear();
-    
-    if (analysis.isFinancial && analysis.timePeriod) {
-      if (analysis.timePeriod === 'latest' || analysis.timePeriod === 'q1') {
-        return `total revenue operating income three months ended March ${currentYear} consolidated statements`;
-      }
+  // Filing sections (see filing-parser.js) to search: Item 1A for risk questions,
+  // MD&A for performance questions and the business description for competition
+  filingSectionsFor(analysis) {
+    const sections = [];
+    if (analysis.intents.includes('risks')) {
+      sections.push('risk-factors');
     }
-    
-    return `${base} SEC filing 10-Q 10-K financial statements`;
+    if (analysis.isFinancial || analysis.intents.includes('financialPerformance')) {
+      sections.push('mdna');
+    }
+    if (analysis.intents.includes('competitive')) {
+      sections.push('business');
+    }
+    return sections;
   }
 
   buildInternalQuery(query, analysis) {
@@ -578,17 +1065,19 @@ class ProductionQueryIntelligence {
         const searchResponse = await index.query(
           queryEmbedding.data[0].embedding,
           4, // topK 
-          { company: company }
+          { ...DocumentVersions.retrievalFilter(company), ...strategy.filter }
         );
         
+        const matches = searchResponse.matches.filter(match => !isExpiredChunk(match.metadata));
+
         // Tag results with strategy info
-        searchResponse.matches.forEach(match => {
+        matches.forEach(match => {
           match.strategyType = strategy.type;
           match.strategyWeight = strategy.weight;
           match.sourceQuery = strategy.query;
         });
 
-        allResults.push(...searchResponse.matches);
+        allResults.push(...matches);
         
       } catch (error) {
         console.error(`Strategy ${strategy.type} failed:`, error.message);
@@ -624,6 +1113,14 @@ class ProductionQueryIntelligence {
     const balanced = [];
     const targetTotal = 6;
 
+    // Turns by the requested speaker come first
+    if (analysis.speakerRoles.length > 0) {
+      const speakerMatches = results
+        .filter(result => analysis.speakerRoles.includes(result.metadata.speakerRole))
+        .filter((result, index, self) => index === self.findIndex(r => r.id === result.id));
+      balanced.push(...speakerMatches.slice(0, 4));
+    }
+
     // Priority based on query analysis
     if (analysis.needsInternal) {
       // Prioritize internal documents
@@ -678,6 +1175,7 @@ async function productionSearchWithIntelligence(question, company) {
     console.log(`   Time Period: ${result.analysis.timePeriod || 'unspecified'}`);
     console.log(`   Needs Internal: ${result.analysis.needsInternal}`);
     console.log(`   Is Financial: ${result.analysis.isFinancial}`);
+    console.log(`   Speaker Roles: ${result.analysis.speakerRoles.join(', ') || 'any'}`);
     console.log(`   Confidence: ${result.analysis.confidence.toFixed(2)}`);
     
     console.log(`🔍 Search Strategies Used:`);
@@ -714,14 +1212,13 @@ async function basicSearch(question, company) {
       input: question,
     });
 
-    const searchResponse = await index.query({
-      vector: queryEmbedding.data[0].embedding,
-      filter: { company: company },
-      topK: 6,
-      includeMetadata: true,
-    });
+    const searchResponse = await index.query(
+      queryEmbedding.data[0].embedding,
+      6,
+      DocumentVersions.retrievalFilter(company)
+    );
 
-    return searchResponse.matches;
+    return searchResponse.matches.filter(match => !isExpiredChunk(match.metadata));
   } catch (error) {
     console.error('❌ Basic search failed:', error);
     return [];
@@ -798,13 +1295,21 @@ Provide your competitive analysis:`;
 // Generate professional communication templates
 async function generateCommunicationTemplate(params) {
   try {
-    const { company, category, situation, audience, tone, contextData } = params;
+    const { company, category, situation, audience, tone, contextData, redact } = params;
     
     // Build context from relevant company data
-    const context = contextData && contextData.length > 0 
+    let context = contextData && contextData.length > 0 
       ? contextData.map(doc => doc.metadata.content).join('\n\n').substring(0, 3000)
       : '';
 
+    // Keep analyst and broker details out of the drafted communication
+    let redactionReport = null;
+    if (redact && context) {
+      const redacted = redactionEngine.redact(context, { tenant: company });
+      context = redacted.text;
+      redactionReport = redacted.report;
+    }
+
     // Define tone characteristics
     const toneStyles = {
       professional: 'formal, respectful, and business-appropriate',
@@ -859,7 +1364,8 @@ Generate the complete email communication:`;
     });
 
     return {
-      content: completion.choices[0].message.content
+      content: completion.choices[0].message.content,
+      redactionReport: redactionReport
     };
 
   } catch (error) {
@@ -923,394 +1429,2712 @@ Provide your management advisory response:`;
   }
 }
 
-async function generateAIResponse(documents, question, company) {
-  const context = documents.map(doc => {
-    const sourceLabel = doc.metadata.sourceType === 'internal-document' 
-      ? `Internal Document: ${doc.metadata.originalFilename || doc.metadata.source}`
-      : doc.metadata.source;
-    return `Source: ${sourceLabel}\nContent: ${doc.metadata.content}`;
-  }).join('\n\n---\n\n');
-  
-  const systemPrompt = `You are a professional financial analyst with access to comprehensive company information including SEC filings, public sources, and internal company documents. 
+const FINANCIAL_VIEWS = ['quarterly', 'annual', 'ttm'];
 
-FORMATTING REQUIREMENTS:
-- Write in a natural, conversational tone suitable for investors
-- Break up information into clear, digestible paragraphs
-- Use bullet points for multiple items or key highlights
-- Include specific details like dates, amounts, and percentages when available
-- Structure responses logically with main points first, then supporting details
-- Keep paragraphs to 2-3 sentences maximum for readability
+// Answer an exact numeric question from the XBRL financials, citing the filing the figure
+// was reported in; null when the store has no matching value
+function answerFinancialQuestion(company, query) {
+  const found = financialsStore.lookup(company, query);
+  if (!found) {
+    return null;
+  }
 
-CONTENT GUIDELINES:
-- Provide accurate, professional responses based solely on the provided documents
-- When referencing internal documents, note: "According to internal documents..." or "Based on company materials..."
-- Include relevant context and implications for investors
-- If multiple aspects are covered, organize them clearly with subheadings or clear transitions
+  const { series, point } = found;
+  const name = series.entityName || company.toUpperCase();
+  const period = series.periodType === 'instant'
+    ? `as of ${point.end}`
+    : `for ${point.period} (${point.start} to ${point.end})`;
+
+  let basis = '';
+  if (point.fp === 'TTM') {
+    basis = ` This is the sum of ${point.quarters.join(', ')}.`;
+  } else if (point.derived) {
+    basis = ' Q4 is not reported separately; this is the fiscal year less the first three quarters.';
+  }
 
-CONTEXT FROM COMPANY DOCUMENTS:
-${context}`;
+  return {
+    answer: `${name}'s ${series.label} ${period} was ${point.formatted}, as reported in its ${point.form} filed ${point.filed} (accession ${point.accession}).${basis}`,
+    sources: [`${point.form} Filing - ${point.filed}, XBRL ${point.concept}`],
+    confidence: 'high',
+    type: 'financial-data',
+    data: {
+      metric: series.metric,
+      label: series.label,
+      concept: point.concept,
+      unit: series.unit,
+      period: point.period,
+      fiscalYear: point.fy,
+      fiscalPeriod: point.fp,
+      start: point.start,
+      end: point.end,
+      value: point.value,
+      derived: point.derived || false,
+      form: point.form,
+      accession: point.accession,
+      filed: point.filed
+    }
+  };
+}
 
-  const userPrompt = `Please answer this question about ${company} in a well-formatted, investor-friendly way: ${question}
+function formatDollars(value) {
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
 
-Structure your response with:
-1. A clear, direct answer to the question
-2. Key details and specifics (dates, amounts, parties involved)
-3. Additional context or implications if relevant
-4. Use natural paragraph breaks and bullet points where appropriate`;
+// Answer an insider buying/selling question from the parsed Forms 3, 4 and 5, citing the
+// filings; null when no insider filings are loaded for the company
+function answerInsiderQuestion(company, query) {
+  const codes = { sell: ['S'], buy: ['P'], any: ['P', 'S'] }[query.action];
+  const filters = { from: query.from, to: query.to, role: query.role, title: query.title };
+  const trades = insiderStore.transactions(company, { ...filters, codes });
+  if (!trades) {
+    return null;
+  }
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4-turbo',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      max_tokens: 1200,
-      temperature: 0.1,
+  const summary = insiderStore.summarize(company, filters);
+  const name = summary.issuerName || company.toUpperCase();
+  const who = query.title ? `the ${query.title.toUpperCase()}` : { officer: 'executive officers', director: 'directors' }[query.role] || 'insiders';
+  const verb = { sell: 'sold', buy: 'bought', any: 'bought or sold' }[query.action];
+  const window = `between ${query.from} and ${query.to} (${query.periodLabel})`;
+
+  const lines = [];
+  if (trades.length === 0) {
+    lines.push(`No open-market ${query.action === 'buy' ? 'purchases' : query.action === 'sell' ? 'sales' : 'purchases or sales'} by ${who} of ${name} were reported ${window}.`);
+  } else {
+    const people = {};
+    trades.forEach(row => {
+      const key = row.insiderCik || row.insider;
+      people[key] = people[key] || { insider: row.insider, role: row.role, rows: [] };
+      people[key].rows.push(row);
     });
 
-    // Post-process the response to ensure good formatting
-    let formattedResponse = response.choices[0].message.content;
-    
-    // Ensure proper line breaks between sentences for readability
-    formattedResponse = formattedResponse.replace(/\. ([A-Z][a-z])/g, '.\n\n$1');
-    
-    // Ensure proper line breaks before numbered lists
-    formattedResponse = formattedResponse.replace(/(\d+\. )/g, '\n$1');
-    
-    // Ensure proper spacing around bullet points
-    formattedResponse = formattedResponse.replace(/• /g, '\n• ');
-    
-    // Clean up excessive line breaks
-    formattedResponse = formattedResponse.replace(/\n{3,}/g, '\n\n');
-    
-    // Remove leading line breaks
-    formattedResponse = formattedResponse.replace(/^\n+/, '');
-    
-    return formattedResponse.trim();
-    
-  } catch (error) {
-    console.error('❌ Error generating AI response:', error);
-    throw error;
+    const count = Object.keys(people).length;
+    const subject = query.title ? `The ${query.title.toUpperCase()}` : `${count} ${count === 1 ? who.replace(/s$/, '') : who}`;
+    lines.push(`Yes. ${subject} ${verb} shares of ${name} ${window}:`);
+    Object.values(people).forEach(person => {
+      ['S', 'P'].forEach(code => {
+        const rows = person.rows.filter(row => row.code === code);
+        if (rows.length === 0) return;
+        const shares = rows.reduce((sum, row) => sum + (row.shares || 0), 0);
+        const value = rows.reduce((sum, row) => sum + (row.value || 0), 0);
+        const latest = rows[0];
+        const plan = rows.every(row => row.tenB5One) ? ', under a Rule 10b5-1 trading plan' : '';
+        lines.push(`- ${person.insider} (${person.role}) ${code === 'S' ? 'sold' : 'bought'} ${shares.toLocaleString('en-US')} shares${value ? ` for about ${formatDollars(value)}` : ''} in ${rows.length} transaction${rows.length !== 1 ? 's' : ''}, most recently on ${latest.date} (Form ${latest.form} filed ${latest.filingDate})${plan}${latest.sharesOwnedAfter !== null ? `; ${latest.sharesOwnedAfter.toLocaleString('en-US')} shares held afterwards` : ''}.`);
+      });
+    });
+  }
+
+  const other = summary.transactions.filter(row => !['P', 'S'].includes(row.code));
+  if (other.length > 0) {
+    const kinds = [...new Set(other.map(row => `${(row.codeDescription || 'other').toLowerCase()} (${row.code})`))].slice(0, 3).join(', ');
+    lines.push(`There ${other.length === 1 ? 'was' : 'were'} also ${other.length} other reported transaction${other.length !== 1 ? 's' : ''} in that window, such as ${kinds}, which are not open-market trades.`);
+  }
+  lines.push(`Insider filings are loaded through ${summary.latestFilingDate}.`);
+
+  return {
+    answer: lines.join('\n'),
+    sources: [...new Set(trades.map(row => `Form ${row.form} Filing - ${row.filingDate}`))].slice(0, 10),
+    confidence: 'high',
+    type: 'insider-activity',
+    data: {
+      query: query,
+      transactions: trades,
+      byPerson: summary.byPerson.filter(person => person.sharesSold > 0 || person.sharesBought > 0)
+    }
+  };
+}
+
+// Answer a question about the largest holders, or one named holder, from the 13D/13G register;
+// null when no filings are recorded for the company
+function answerHoldersQuestion(company, query, question) {
+  const register = holdersRegister.holders(company, { includeExited: true });
+  if (!register) {
+    return null;
+  }
+
+  // A question naming a holder ("How has Vanguard's stake changed?") is about that holder alone
+  const text = question.toLowerCase();
+  const named = register.holders.filter(holder => {
+    const word = holder.key.split(' ')[0];
+    return word && word.length > 3 && new RegExp(`\\b${word}\\b`).test(text);
+  });
+  const holders = named.length > 0
+    ? named
+    : register.holders.filter(holder => holder.aboveThreshold || (query.changes && holder.previous)).slice(0, 10);
+
+  const lines = [];
+  if (holders.length === 0) {
+    lines.push(`No current 5%+ holders of ${company.toUpperCase()} are on record from Schedule 13D/13G filings.`);
+  } else if (named.length === 0) {
+    lines.push(`The largest holders of ${company.toUpperCase()} reported on Schedules 13D and 13G are:`);
+  }
+
+  holders.forEach(holder => {
+    const size = [
+      holder.percent !== null ? `${holder.percent}% of the class` : null,
+      holder.shares !== null ? `${holder.shares.toLocaleString('en-US')} shares` : null
+    ].filter(Boolean).join(', ');
+    let line = `- ${holder.name}: ${size}, ${holder.status === 'active' ? 'active (13D)' : 'passive (13G)'} holder per its ${holder.form} filed ${holder.filingDate}${holder.eventDate ? ` (as of ${holder.eventDate})` : ''}`;
+
+    if (holder.previous && holder.change) {
+      const direction = holder.change.percent > 0 ? 'up' : holder.change.percent < 0 ? 'down' : 'unchanged';
+      line += direction === 'unchanged'
+        ? `; unchanged from its ${holder.previous.form} filed ${holder.previous.filingDate}`
+        : `; ${direction} from ${holder.previous.percent}% (${holder.change.shares > 0 ? '+' : ''}${(holder.change.shares || 0).toLocaleString('en-US')} shares) in its ${holder.previous.form} filed ${holder.previous.filingDate}`;
+      if (holder.change.statusChanged) {
+        line += `, switching from ${holder.previous.status} to ${holder.status}`;
+      }
+    } else if (query.changes) {
+      line += '; this is its first filing on record';
+    }
+    if (!holder.aboveThreshold) {
+      line += '; now below the 5% reporting threshold';
+    }
+    lines.push(`${line}.`);
+  });
+
+  lines.push('Schedules 13D and 13G are only filed by holders above 5%, so smaller institutions are not covered, and each position is as of its filing\'s event date.');
+
+  return {
+    answer: lines.join('\n'),
+    sources: [...new Set(holders.map(holder => `${holder.form} Filing - ${holder.filingDate}`))],
+    confidence: 'high',
+    type: 'major-holders',
+    data: { query: query, holders: holders }
+  };
+}
+
+// Short section label for citations: "Item 7" rather than the full item title
+function citationSection(sectionPath) {
+  const parts = sectionPath.split(' > ').map(part => {
+    const item = part.match(/^(Item\s+\d+(?:\.\d{2}|[A-Z])?|Part\s+[IVX]+)\b/i);
+    return item ? item[1] : part;
+  });
+  return parts.slice(-2).join(', ');
+}
+
+const PAY_COMPONENTS = [
+  ['salary', 'salary'],
+  ['bonus', 'bonus'],
+  ['stockAwards', 'stock awards'],
+  ['optionAwards', 'option awards'],
+  ['nonEquityIncentive', 'non-equity incentive pay'],
+  ['pensionChange', 'change in pension value'],
+  ['allOtherCompensation', 'all other compensation']
+];
+
+function exactDollars(value) {
+  return `$${value.toLocaleString('en-US')}`;
+}
+
+// Answer executive pay, board independence, committee and ballot questions from the latest
+// proxy statements; null when no DEF 14A is recorded for the company
+function answerGovernanceQuestion(company, query, question) {
+  const summary = governanceStore.summary(company);
+  if (!summary) {
+    return null;
+  }
+
+  const name = company.toUpperCase();
+  const proxySource = `${summary.form} Filing - ${summary.filingDate || summary.meetingDate || 'undated'}`;
+  const text = question.toLowerCase();
+  const lines = [];
+  let sources = [proxySource];
+  let data;
+
+  if (query.topic === 'pay') {
+    const officers = governanceStore.compensation(company);
+    const named = officers.filter(officer => personKey(officer.name).split(' ').some(word => word.length > 3 && new RegExp(`\\b${word}\\b`).test(text)));
+    const current = query.role ? officerInRole(summary.namedExecutiveOfficers, query.role) : null;
+    const selected = named.length > 0 ? named
+      : query.role ? officers.filter(officer => current && personKey(officer.name) === personKey(current.name))
+        : query.executives ? officers : [];
+    if (selected.length === 0) {
+      return null;
+    }
+
+    sources = [];
+    selected.forEach(officer => {
+      const entry = officer.years.find(year => !query.year || year.year === query.year);
+      if (!entry) {
+        lines.push(`- ${officer.name} has no Summary Compensation Table entry for ${query.year}.`);
+        return;
+      }
+      const parts = PAY_COMPONENTS
+        .filter(([key]) => entry[key])
+        .map(([key, label]) => `${label} ${exactDollars(entry[key])}`);
+      const previous = officer.years.find(year => year.year === entry.year - 1);
+      const change = previous && previous.total ? `, ${entry.total >= previous.total ? 'up' : 'down'} ${Math.abs(Math.round((entry.total - previous.total) / previous.total * 1000) / 10)}% from ${exactDollars(previous.total)} in ${previous.year}` : '';
+      lines.push(`${selected.length > 1 ? '- ' : ''}${officer.name}${officer.title ? ` (${officer.title})` : ''} received total compensation of ${exactDollars(entry.total)} for ${entry.year}${change}${parts.length > 0 ? `: ${parts.join(', ')}` : ''}.`);
+      sources.push(`${summary.form} Filing - ${entry.filingDate}, Summary Compensation Table`);
+    });
+    if (selected.length > 1) {
+      lines.unshift(`Named executive officer pay at ${name} from the Summary Compensation Table:`);
+    }
+    lines.push('Stock and option awards are grant-date fair values as reported in the proxy, not realized pay.');
+    data = { query: query, officers: selected };
+  } else if (query.topic === 'independence') {
+    const board = summary.board;
+    if (board.size === 0) {
+      return null;
+    }
+    lines.push(`${board.independent} of ${name}'s ${board.size} directors (${board.independentPercent}%) are independent per the ${proxySource.replace(' Filing - ', ' filed ')}.`);
+    const insiders = board.directors.filter(director => director.independent === false).map(director => director.name);
+    if (insiders.length > 0) {
+      lines.push(`Not independent: ${insiders.join(', ')}.`);
+    }
+    if (board.unknown > 0) {
+      lines.push(`The proxy does not state independence for ${board.unknown} director${board.unknown !== 1 ? 's' : ''}.`);
+    }
+    const mixed = summary.committees.filter(committee => !committee.allIndependent).map(committee => committee.name);
+    if (summary.committees.length > 0) {
+      lines.push(mixed.length === 0 ? 'Every committee is made up entirely of independent directors.' : `Committees with a non-independent member: ${mixed.join(', ')}.`);
+    }
+    sources = [`${proxySource}, Board of Directors`];
+    data = { query: query, board: board, committees: summary.committees };
+  } else if (query.topic === 'committees') {
+    const asked = summary.committees.filter(committee => committee.name.toLowerCase().split(/\W+/).some(word => word.length > 4 && text.includes(word)));
+    const committees = asked.length > 0 ? asked : summary.committees;
+    if (committees.length === 0) {
+      return null;
+    }
+    lines.push(`Board committees of ${name} per the ${proxySource.replace(' Filing - ', ' filed ')}:`);
+    committees.forEach(committee => {
+      lines.push(`- ${committee.name}: chaired by ${committee.chair || 'an unnamed director'}; members ${committee.members.join(', ')}${committee.allIndependent ? ' (all independent)' : ''}.`);
+    });
+    sources = [`${proxySource}, Board Committees`];
+    data = { query: query, committees: committees };
+  } else {
+    if (summary.proposals.length === 0) {
+      return null;
+    }
+    lines.push(`Proposals for the ${name} annual meeting${summary.meetingDate ? ` on ${summary.meetingDate}` : ''}:`);
+    summary.proposals.forEach(proposal => {
+      const recommendation = proposal.recommendation ? `the board recommends a vote ${proposal.recommendation}` : 'no board recommendation found';
+      lines.push(`- Proposal ${proposal.number}: ${proposal.title}${proposal.proponent === 'shareholder' ? ' (shareholder proposal)' : ''}; ${recommendation}.`);
+    });
+    sources = [`${proxySource}, Proposals`];
+    data = { query: query, proposals: summary.proposals };
+  }
+
+  return {
+    answer: lines.join('\n'),
+    sources: [...new Set(sources)],
+    confidence: 'high',
+    type: 'governance',
+    data: data
+  };
+}
+
+// Where each diffable section sits in each periodic form, for citations
+const DIFF_SECTIONS = {
+  'risk-factors': { title: 'Risk Factors', items: { '10-K': 'Item 1A', '10-Q': 'Part II, Item 1A', '20-F': 'Item 3D' } },
+  mdna: { title: 'MD&A', items: { '10-K': 'Item 7', '10-Q': 'Part I, Item 2', '20-F': 'Item 5' } }
+};
+const DIFF_FORMS = ['10-K', '10-Q', '20-F'];
+// Filings with more chunks than this are not stitched back together from the vector store
+const MAX_SECTION_SCAN_CHUNKS = 1500;
+
+// Text of one section of an ingested filing: kept at ingestion, or for filings ingested before
+// sections were kept, stitched back together from the section's chunks. options.scanChunks
+// false skips the stitching (chat answers use only the kept sections).
+async function loadFilingSection(doc, section, options = {}) {
+  const stored = filingSectionsStore.get(doc.id);
+  if (stored) {
+    return stored.sections[section] || null;
+  }
+  if (options.scanChunks === false) {
+    return null;
+  }
+
+  const chunkIds = await resolveChunkIds(doc.id);
+  if (chunkIds.length > MAX_SECTION_SCAN_CHUNKS) {
+    console.warn(`⚠️  ${doc.id} has ${chunkIds.length} chunks and no kept sections; re-ingest it to diff its ${section}`);
+    return null;
+  }
+  const chunks = [];
+  for (let i = 0; i < chunkIds.length; i += 100) {
+    const fetched = await index.fetch(chunkIds.slice(i, i + 100));
+    Object.values(fetched.vectors).forEach(vector => {
+      if (vector.metadata && vector.metadata.filingSection === section) chunks.push(vector);
+    });
+  }
+  if (chunks.length === 0) {
+    return null;
+  }
+
+  const position = id => Number(id.slice(id.lastIndexOf('-') + 1));
+  return chunks
+    .sort((a, b) => position(a.id) - position(b.id))
+    .map(chunk => chunk.metadata.content || '')
+    .reduce((text, content) => {
+      // Each chunk opens with the closing sentences of the one before it
+      const [first, ...rest] = content.split('\n\n');
+      return `${text}\n\n${rest.length > 0 && text.endsWith(first) ? rest.join('\n\n') : content}`;
+    }, '')
+    .trim();
+}
+
+// SEC filings of a form (amendments included) grouped by period, newest first;
+// within a period the latest filing comes first
+function periodicFilings(company, form) {
+  const periods = {};
+  documentRegistry.list({ company })
+    .filter(doc => doc.form && !doc.exhibit && (secFilings.amendedForm(doc.form) || doc.form) === form)
+    .sort((a, b) => (b.filingDate || '').localeCompare(a.filingDate || ''))
+    .forEach(doc => {
+      const period = doc.reportDate || doc.filingDate;
+      periods[period] = periods[period] || [];
+      periods[period].push(doc);
+    });
+  return Object.keys(periods).sort().reverse().map(period => periods[period]);
+}
+
+function describeFiling(doc) {
+  return { documentId: doc.id, form: doc.form, filingDate: doc.filingDate, reportDate: doc.reportDate, accessionNumber: doc.accessionNumber };
+}
+
+// Compare a section between two filings of the same form. options.filing and options.against name
+// documents by id or accession number; by default the latest filing carrying the section is
+// compared with the one for the period before. options.scanChunks is passed to loadFilingSection.
+// Returns { error, message } when either is missing.
+async function diffFilingSections(company, options) {
+  const { form, section } = options;
+  const periods = periodicFilings(company, form);
+  const sameFiling = (doc, reference) => doc.id === reference ||
+    (doc.accessionNumber || '').replace(/-/g, '') === String(reference).replace(/-/g, '');
+  const label = `${DIFF_SECTIONS[section].title} section`;
+
+  // The first filing from period `from` on that carries the section
+  const latestWithSection = async from => {
+    for (let p = from; p < periods.length; p++) {
+      for (const doc of periods[p]) {
+        const text = await loadFilingSection(doc, section, options);
+        if (text) return { doc, text, period: p };
+      }
+    }
+    return null;
+  };
+  const named = async reference => {
+    const p = periods.findIndex(docs => docs.some(doc => sameFiling(doc, reference)));
+    if (p < 0) return { error: 'Filing not found', message: `No ingested ${form} ${reference} for ${company.toUpperCase()}` };
+    const doc = periods[p].find(other => sameFiling(other, reference));
+    const text = await loadFilingSection(doc, section, options);
+    return text ? { doc, text, period: p } : { error: 'Section not found', message: `The ${form} filed ${doc.filingDate} has no ${label}` };
+  };
+
+  const after = options.filing ? await named(options.filing) : await latestWithSection(0);
+  if (!after || after.error) {
+    return after || { error: 'Not enough filings', message: `No ingested ${form} for ${company.toUpperCase()} has a ${label}; ingest filings with POST /api/ingest/sec/${company.toUpperCase()}` };
+  }
+  const before = options.against ? await named(options.against) : await latestWithSection(after.period + 1);
+  if (!before || before.error) {
+    return before || { error: 'Not enough filings', message: `No earlier ${form} with a ${label} is ingested for ${company.toUpperCase()}; ingest it with POST /api/ingest/sec/${company.toUpperCase()}` };
+  }
+
+  return {
+    company: company.toUpperCase(),
+    form: form,
+    section: section,
+    filing: describeFiling(after.doc),
+    previousFiling: describeFiling(before.doc),
+    ...compareSections(before.text, after.text, section, { minChangedWords: options.minChangedWords })
+  };
+}
+
+// Answer "what changed in the risk factors" from a diff of the two latest filings; null when
+// fewer than two with kept sections are ingested
+async function answerFilingDiffQuestion(company, query) {
+  const result = await diffFilingSections(company, { ...query, scanChunks: false });
+  if (result.error) {
+    return null;
+  }
+
+  const { title, items } = DIFF_SECTIONS[query.section];
+  const unit = query.section === 'risk-factors' ? 'risk factors' : 'MD&A subsections';
+  const { summary } = result;
+  const lines = [
+    `${title} in ${result.company}'s ${result.form} filed ${result.filing.filingDate}, compared with the ${result.form} filed ${result.previousFiling.filingDate}: ` +
+    `${summary.added} ${unit} added, ${summary.removed} removed and ${summary.reworded} materially reworded ` +
+    `(${summary.minorEdits} lightly edited, ${summary.unchanged} unchanged).`
+  ];
+
+  result.added.slice(0, 8).forEach(entry => lines.push(`- New: ${entry.heading}`));
+  result.removed.slice(0, 8).forEach(entry => lines.push(`- Removed: ${entry.heading}`));
+  result.reworded.slice(0, 6).forEach(entry => {
+    const change = entry.paragraphs.find(paragraph => paragraph.status !== 'heading') || entry.paragraphs[0];
+    const detail = change.status === 'modified' || change.status === 'heading' ? change.diff : `${change.status} paragraph: ${change.text}`;
+    lines.push(`- Reworded: ${entry.heading} (${entry.changedWords} words changed). ${detail.length > 300 ? `${detail.slice(0, 299)}…` : detail}`);
+  });
+  if (result.added.length + result.removed.length + result.reworded.length === 0) {
+    lines.push(`No ${unit} were added, removed or materially reworded; changes to figures and dates are not counted.`);
+  } else {
+    lines.push('In the excerpts, [-text-] was removed and {+text+} was added.');
+  }
+
+  return {
+    answer: lines.join('\n'),
+    sources: [
+      `${result.form} Filing - ${result.filing.filingDate}, ${items[result.form]}`,
+      `${result.form} Filing - ${result.previousFiling.filingDate}, ${items[result.form]}`
+    ],
+    confidence: 'high',
+    type: 'filing-diff',
+    data: result
+  };
+}
+
+// Citation such as "10-K Filing - 2024-02-20, Item 7, p. 42" or "Internal: kpis.xlsx, Revenue!A1:F40"
+function formatCitation(metadata) {
+  const parts = [
+    metadata.sourceType === 'internal-document'
+      ? `Internal: ${metadata.originalFilename || metadata.source}`
+      : metadata.source
+  ];
+
+  if (metadata.sectionPath && metadata.sectionPath !== metadata.sheetName) {
+    parts.push(citationSection(metadata.sectionPath));
+  }
+
+  if (metadata.speaker || metadata.speakerRole) {
+    parts.push(metadata.speaker
+      ? `${metadata.speaker}${metadata.speakerRole && metadata.speakerRole !== 'Unknown' ? ` (${metadata.speakerRole})` : ''}`
+      : metadata.speakerRole);
+  }
+
+  if (metadata.slideNumber) {
+    parts.push(`slide ${metadata.slideNumber}`);
+  } else if (metadata.sheetName) {
+    parts.push(metadata.cellRange ? `${metadata.sheetName}!${metadata.cellRange}` : metadata.sheetName);
+  } else if (metadata.pageStart) {
+    parts.push(metadata.pageEnd && metadata.pageEnd !== metadata.pageStart
+      ? `pp. ${metadata.pageStart}-${metadata.pageEnd}`
+      : `p. ${metadata.pageStart}`);
+  }
+
+  return parts.filter(Boolean).join(', ');
+}
+
+async function generateAIResponse(documents, question, company) {
+  const context = documents.map(doc => {
+    return `Source: ${formatCitation(doc.metadata)}\nContent: ${doc.metadata.content}`;
+  }).join('\n\n---\n\n');
+  
+  const systemPrompt = `You are a professional financial analyst with access to comprehensive company information including SEC filings, public sources, and internal company documents. 
+
+FORMATTING REQUIREMENTS:
+- Write in a natural, conversational tone suitable for investors
+- Break up information into clear, digestible paragraphs
+- Use bullet points for multiple items or key highlights
+- Include specific details like dates, amounts, and percentages when available
+- Structure responses logically with main points first, then supporting details
+- Keep paragraphs to 2-3 sentences maximum for readability
+
+CONTENT GUIDELINES:
+- Provide accurate, professional responses based solely on the provided documents
+- When referencing internal documents, note: "According to internal documents..." or "Based on company materials..."
+- When a source lists a section or page, cite it, e.g. "(10-K, Item 7, p. 42)"
+- Include relevant context and implications for investors
+- If multiple aspects are covered, organize them clearly with subheadings or clear transitions
+
+CONTEXT FROM COMPANY DOCUMENTS:
+${context}`;
+
+  const userPrompt = `Please answer this question about ${company} in a well-formatted, investor-friendly way: ${question}
+
+Structure your response with:
+1. A clear, direct answer to the question
+2. Key details and specifics (dates, amounts, parties involved)
+3. Additional context or implications if relevant
+4. Use natural paragraph breaks and bullet points where appropriate`;
+
+  try {
+    const response = await openai.chat.completions.create({
+      model: 'gpt-4-turbo',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      max_tokens: 1200,
+      temperature: 0.1,
+    });
+
+    // Post-process the response to ensure good formatting
+    let formattedResponse = response.choices[0].message.content;
+    
+    // Ensure proper line breaks between sentences for readability
+    formattedResponse = formattedResponse.replace(/\. ([A-Z][a-z])/g, '.\n\n$1');
+    
+    // Ensure proper line breaks before numbered lists
+    formattedResponse = formattedResponse.replace(/(\d+\. )/g, '\n$1');
+    
+    // Ensure proper spacing around bullet points
+    formattedResponse = formattedResponse.replace(/• /g, '\n• ');
+    
+    // Clean up excessive line breaks
+    formattedResponse = formattedResponse.replace(/\n{3,}/g, '\n\n');
+    
+    // Remove leading line breaks
+    formattedResponse = formattedResponse.replace(/^\n+/, '');
+    
+    return formattedResponse.trim();
+    
+  } catch (error) {
+    console.error('❌ Error generating AI response:', error);
+    throw error;
+  }
+}
+
+// ROUTES
+
+// Health check
+// Competitive Analysis API Endpoints
+app.get('/api/comp-analysis/:company', async (req, res) => {
+  try {
+    if (!compAnalysis) {
+      return res.status(503).json({ 
+        error: 'Competitive analysis not available',
+        message: 'FMP API key not configured' 
+      });
+    }
+
+    const { company } = req.params;
+    const { metric } = req.query; // Optional: 'valuation', 'growth', 'all'
+    
+    console.log(`📊 Comp analysis request: ${company}, metric: ${metric || 'all'}`);
+    
+    const analysis = await compAnalysis.generateCompAnalysis(company.toUpperCase(), metric);
+    
+    res.json({
+      success: true,
+      data: analysis
+    });
+
+  } catch (error) {
+    console.error('❌ Comp analysis error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate competitive analysis',
+      details: error.message 
+    });
+  }
+});
+
+app.post('/api/generate-template', async (req, res) => {
+  try {
+    const { company, category, situation, audience, tone, redact } = req.body;
+    
+    if (!company || !situation) {
+      return res.status(400).json({ 
+        error: 'Missing required fields',
+        message: 'Company and situation are required' 
+      });
+    }
+
+    console.log(`📧 Template generation request: ${category} for ${audience}`);
+    
+    // Get relevant company data for context
+    const enhancedResults = await productionSearchWithIntelligence(situation, company);
+    
+    // Generate the communication template
+    const template = await generateCommunicationTemplate({
+      company,
+      category: category || 'general',
+      situation,
+      audience: audience || 'institutional',
+      tone: tone || 'professional',
+      contextData: enhancedResults,
+      redact: redact === true || redact === 'true'
+    });
+    
+    console.log('✅ Template generated successfully');
+    
+    res.json({
+      success: true,
+      template: template.content,
+      category: category,
+      audience: audience,
+      tone: tone,
+      redactionReport: template.redactionReport
+    });
+
+  } catch (error) {
+    console.error('❌ Template generation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate template',
+      details: error.message 
+    });
+  }
+});
+
+app.get('/api/stock-quote/:ticker', async (req, res) => {
+  try {
+    if (!compAnalysis) {
+      return res.status(503).json({ 
+        error: 'Stock quotes not available',
+        message: 'FMP API key not configured' 
+      });
+    }
+
+    const { ticker } = req.params;
+    const quote = await compAnalysis.getStockQuote(ticker.toUpperCase());
+    
+    if (!quote) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
+    res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('❌ Stock quote error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch stock quote',
+      details: error.message 
+    });
+  }
+});
+
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    features: ['sec-filings', 'web-sources', 'document-uploads', 'production-query-intelligence']
+  });
+});
+
+// Get companies
+app.get('/api/companies', async (req, res) => {
+  try {
+    console.log('🔍 Attempting to describe index stats...');
+    const stats = await index.describeIndexStats();
+    console.log('✅ Index stats retrieved:', stats);
+    
+    res.json({
+      totalVectors: stats.totalVectorCount,
+      companies: ['DEMO', 'AAPL', 'SNOW', 'CRWV'],
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error in companies endpoint:', error);
+    console.error('❌ Error details:', error.message);
+    console.error('❌ Error stack:', error.stack);
+    res.status(500).json({ 
+      error: 'Failed to fetch companies',
+      details: error.message 
+    });
+  }
+});
+
+// Document upload endpoint
+app.post('/api/upload-document', upload.single('document'), async (req, res) => {
+  try {
+    const { company, documentType, description, incognitoMode, customSource, sellSideMode, replaces } = req.body;
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    if (!company) {
+      return res.status(400).json({ error: 'Company ticker is required' });
+    }
+
+    console.log('=== DOCUMENT UPLOAD ===');
+    console.log(`📄 File: ${req.file.originalname}`);
+    console.log(`🏢 Company: ${company}`);
+    console.log(`📝 Type: ${documentType || 'General Document'}`);
+    console.log(`📋 Description: ${description || 'No description'}`);
+
+    const processor = new DocumentProcessor();
+    const result = await processor.processAndStore(
+      req.file.path,
+      req.file.originalname,
+      company,
+      documentType,
+      description,
+      incognitoMode,
+      customSource,
+      sellSideMode,
+      { replaces }
+    );
+
+    if (!result.duplicate && result.chunksProcessed === 0) {
+      return res.status(500).json({ error: 'Document processing failed', message: 'No chunks were stored' });
+    }
+
+    console.log('✅ Document upload completed successfully');
+
+    res.json({
+      success: true,
+      message: result.duplicate ? 'Identical document already stored' : 'Document processed successfully',
+      filename: req.file.originalname,
+      company: company.toUpperCase(),
+      documentId: result.documentId,
+      duplicate: result.duplicate || false,
+      replacedDocumentId: result.replacedDocumentId,
+      chunksProcessed: result.chunksProcessed,
+      preview: result.content
+    });
+
+  } catch (error) {
+    console.error('❌ Error processing uploaded document:', error);
+    res.status(500).json({ 
+      error: 'Document processing failed',
+      message: error.message
+    });
+  }
+});
+
+// Redaction rule sets. A company's rules are layered over the defaults; GET returns
+// both the company's own rules and the effective (merged) rule set.
+app.get('/api/redaction-rules', (req, res) => {
+  res.json({ success: true, tenants: redactionEngine.listTenants(), defaults: DEFAULT_RULE_SET });
+});
+
+app.get('/api/redaction-rules/:company', (req, res) => {
+  const company = req.params.company.toUpperCase();
+  res.json({
+    success: true,
+    company: company,
+    rules: redactionEngine.getTenantRules(company),
+    effective: redactionEngine.getRuleSet(company)
+  });
+});
+
+app.put('/api/redaction-rules/:company', (req, res) => {
+  try {
+    const errors = redactionEngine.validateRuleSet(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid redaction rules', message: errors.join('; '), details: errors });
+    }
+
+    const company = req.params.company.toUpperCase();
+    const rules = redactionEngine.setTenantRules(company, req.body);
+    console.log(`🔒 Updated redaction rules for ${company}`);
+    res.json({ success: true, company: company, rules: rules, effective: redactionEngine.getRuleSet(company) });
+
+  } catch (error) {
+    console.error('❌ Error saving redaction rules:', error);
+    res.status(500).json({ error: 'Failed to save redaction rules', message: error.message });
+  }
+});
+
+app.delete('/api/redaction-rules/:company', (req, res) => {
+  const removed = redactionEngine.removeTenantRules(req.params.company);
+  if (!removed) {
+    return res.status(404).json({ error: 'Rules not found', message: `No custom redaction rules for ${req.params.company.toUpperCase()}` });
+  }
+  res.json({ success: true, removed: removed });
+});
+
+// Redact arbitrary text with a company's rules and return the redaction report
+app.post('/api/redact', (req, res) => {
+  try {
+    const { text, company, keepRedactions, additionalRedactions } = req.body;
+    if (!text) {
+      return res.status(400).json({ error: 'Missing required fields', message: 'text is required' });
+    }
+
+    const result = redactionEngine.redact(text, {
+      tenant: company,
+      overrides: { keep: listField(keepRedactions), redact: listField(additionalRedactions) }
+    });
+    res.json({ success: true, text: result.text, report: result.report });
+
+  } catch (error) {
+    console.error('❌ Redaction error:', error);
+    res.status(500).json({ error: 'Redaction failed', message: error.message });
+  }
+});
+
+// Upload preview (dry run): extract, redact and chunk a document without embedding or
+// storing it, so redactions can be reviewed. The preview can then be adjusted and committed.
+const PREVIEW_SETTINGS = ['documentType', 'description', 'incognitoMode', 'customSource', 'sellSideMode', 'replaces'];
+
+// Accepts a JSON array, a comma-separated string or an array
+function listField(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch (error) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+  }
+}
+
+function previewSettings(body, current = {}) {
+  const settings = { ...current };
+  PREVIEW_SETTINGS.forEach(field => {
+    if (body[field] !== undefined) settings[field] = body[field];
+  });
+  if (body.keepRedactions !== undefined) settings.keepRedactions = listField(body.keepRedactions);
+  if (body.additionalRedactions !== undefined) settings.additionalRedactions = listField(body.additionalRedactions);
+  return settings;
+}
+
+function previewOptions(settings) {
+  return {
+    replaces: settings.replaces,
+    redactions: { keep: settings.keepRedactions || [], redact: settings.additionalRedactions || [] }
+  };
+}
+
+async function buildUploadPreview(record) {
+  const { settings } = record;
+  const processor = new DocumentProcessor();
+  const prepared = await processor.prepareDocument(
+    record.filePath,
+    record.originalName,
+    record.company,
+    settings.documentType,
+    settings.description,
+    settings.incognitoMode,
+    settings.customSource,
+    settings.sellSideMode,
+    previewOptions(settings)
+  );
+
+  // Remember exactly what was shown so the commit stores the same content
+  previewStore.update(record.id, { contentHash: prepared.contentHash });
+
+  return {
+    success: true,
+    previewId: record.id,
+    expiresAt: record.expiresAt,
+    filename: record.originalName,
+    company: record.company,
+    settings: settings,
+    extractedText: prepared.extractedText,
+    redactedText: prepared.isSellSide ? prepared.content : null,
+    research: prepared.research,
+    proxy: prepared.proxy,
+    redactions: prepared.redactions,
+    redactionSummary: prepared.redactionReport ? prepared.redactionReport.summary : null,
+    allowedMatches: prepared.redactionReport ? prepared.redactionReport.allowed : [],
+    keptRedactions: settings.keepRedactions || [],
+    metadata: prepared.baseMetadata,
+    duplicateOf: prepared.duplicate ? prepared.duplicate.id : null,
+    replaces: prepared.previousVersion ? prepared.previousVersion.id : null,
+    chunks: prepared.chunks.map((chunk, i) => {
+      const { content, ...metadata } = chunk.metadata;
+      return { index: i, content: chunk.content, metadata: metadata };
+    }),
+    stats: {
+      characters: prepared.content.length,
+      chunkCount: prepared.chunks.length,
+      redactionCount: prepared.redactions.length
+    }
+  };
+}
+
+app.post('/api/upload-document/preview', upload.single('document'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    if (!req.body.company) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: 'Company ticker is required' });
+    }
+
+    console.log(`🔎 Previewing upload: ${req.file.originalname}`);
+    const record = previewStore.create({
+      filePath: req.file.path,
+      originalName: req.file.originalname,
+      company: req.body.company.toUpperCase(),
+      settings: previewSettings(req.body)
+    });
+
+    try {
+      res.json(await buildUploadPreview(record));
+    } catch (error) {
+      previewStore.remove(record.id);
+      throw error;
+    }
+
+  } catch (error) {
+    console.error('❌ Error previewing document:', error);
+    res.status(error.retryable === false ? 422 : 500).json({
+      error: 'Document preview failed',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/upload-document/preview/:id', async (req, res) => {
+  try {
+    const record = previewStore.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Preview not found', message: `No pending preview with id ${req.params.id}` });
+    }
+
+    res.json(await buildUploadPreview(record));
+
+  } catch (error) {
+    console.error('❌ Error loading preview:', error);
+    res.status(500).json({ error: 'Document preview failed', message: error.message });
+  }
+});
+
+// Adjust settings or redactions (keepRedactions, additionalRedactions) and re-run the preview
+app.patch('/api/upload-document/preview/:id', async (req, res) => {
+  try {
+    const record = previewStore.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Preview not found', message: `No pending preview with id ${req.params.id}` });
+    }
+
+    const updated = previewStore.update(record.id, { settings: previewSettings(req.body, record.settings) });
+    res.json(await buildUploadPreview(updated));
+
+  } catch (error) {
+    console.error('❌ Error adjusting preview:', error);
+    res.status(error.retryable === false ? 422 : 500).json({
+      error: 'Document preview failed',
+      message: error.message
+    });
+  }
+});
+
+// Store the document exactly as last previewed
+app.post('/api/upload-document/preview/:id/commit', async (req, res) => {
+  try {
+    const record = previewStore.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Preview not found', message: `No pending preview with id ${req.params.id}` });
+    }
+
+    const { settings } = record;
+    const processor = new DocumentProcessor();
+    let result;
+    try {
+      result = await processor.processAndStore(
+        record.filePath,
+        record.originalName,
+        record.company,
+        settings.documentType,
+        settings.description,
+        settings.incognitoMode,
+        settings.customSource,
+        settings.sellSideMode,
+        { ...previewOptions(settings), keepFile: true, expectedHash: record.contentHash }
+      );
+    } catch (error) {
+      if (error.code === 'PREVIEW_MISMATCH') {
+        return res.status(409).json({ error: 'Preview out of date', message: 'The document no longer matches the preview; fetch the preview again before committing' });
+      }
+      throw error;
+    }
+
+    // The preview is kept so the commit can be retried
+    if (!result.duplicate && result.chunksProcessed === 0) {
+      return res.status(500).json({ error: 'Document processing failed', message: 'No chunks were stored' });
+    }
+
+    previewStore.remove(record.id);
+    console.log(`✅ Committed preview ${record.id} as ${result.documentId}`);
+
+    res.json({
+      success: true,
+      message: result.duplicate ? 'Identical document already stored' : 'Document processed successfully',
+      previewId: record.id,
+      filename: record.originalName,
+      company: record.company,
+      documentId: result.documentId,
+      duplicate: result.duplicate || false,
+      replacedDocumentId: result.replacedDocumentId,
+      chunksProcessed: result.chunksProcessed,
+      preview: result.content
+    });
+
+  } catch (error) {
+    console.error('❌ Error committing preview:', error);
+    res.status(500).json({ error: 'Document processing failed', message: error.message });
+  }
+});
+
+app.delete('/api/upload-document/preview/:id', (req, res) => {
+  const record = previewStore.remove(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Preview not found', message: `No pending preview with id ${req.params.id}` });
+  }
+  res.json({ success: true, previewId: record.id, discarded: true });
+});
+
+// Enhanced Multi-File Upload Endpoint
+// Files are queued as a background ingestion job; progress is available from /api/jobs/:id
+// ZIP archives are expanded into one item per document, each with a document type
+// inferred from its folder or filename (falling back to the documentType field)
+app.post('/api/upload-documents', batchUpload.array('documents', 10), async (req, res) => {
+  let items = [];
+  try {
+    const { company, documentType, description, incognitoMode, customSource, sellSideMode } = req.body;
+    
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    
+    if (!company) {
+      req.files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+      return res.status(400).json({ error: 'Company ticker is required' });
+    }
+
+    console.log('=== MULTI-DOCUMENT UPLOAD ===');
+    console.log(`📄 Files: ${req.files.length} documents`);
+    console.log(`🏢 Company: ${company}`);
+    console.log(`📝 Type: ${documentType || 'General Documents'}`);
+
+    const skipped = [];
+    // One set of zip-bomb limits for the whole request, across all of its archives
+    const budget = expansionBudget();
+    for (const file of req.files) {
+      if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+        items.push({ filename: file.originalname, path: file.path });
+        continue;
+      }
+
+      try {
+        const expanded = await expandZip(file.path, path.dirname(file.path), {
+          supportedExtensions: SUPPORTED_EXTENSIONS,
+          defaultType: documentType,
+          budget: budget
+        });
+        console.log(`🗜️  Expanded ${file.originalname}: ${expanded.files.length} documents, ${expanded.skipped.length} skipped`);
+        expanded.files.forEach(entry => items.push({
+          filename: entry.filename,
+          path: entry.path,
+          archive: file.originalname,
+          archivePath: entry.archivePath,
+          documentType: entry.documentType
+        }));
+        skipped.push(...expanded.skipped.map(entry => ({ archive: file.originalname, ...entry })));
+      } finally {
+        fs.unlinkSync(file.path);
+      }
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'No supported documents found', message: 'The uploaded archives contain no supported documents', skipped: skipped });
+    }
+
+    const job = ingestionQueue.enqueue(
+      'upload',
+      {
+        company: company.toUpperCase(),
+        documentType,
+        description,
+        incognitoMode,
+        customSource,
+        sellSideMode
+      },
+      items
+    );
+
+    console.log(`📥 Queued ingestion job ${job.id}`);
+
+    res.status(202).json({
+      success: true,
+      message: `Queued ${items.length} document${items.length !== 1 ? 's' : ''} for processing`,
+      company: company.toUpperCase(),
+      skipped: skipped,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('❌ Error in multi-document upload:', error);
+    
+    // Clean up any remaining files, including documents already expanded from archives
+    [...(req.files || []), ...items].forEach(file => {
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    });
+
+    res.status(error.code === 'ARCHIVE_REJECTED' ? 400 : 500).json({ 
+      error: 'Multi-document upload failed',
+      message: error.message
+    });
+  }
+});
+
+// Ingest documents by URL (url or urls), e.g. a PDF on the IR site. Downloads run in the
+// background job so they are retried like uploads; the URL is recorded as the source.
+app.post('/api/upload-url', async (req, res) => {
+  try {
+    const { company, documentType, description, incognitoMode, customSource, sellSideMode } = req.body;
+    const urls = [...listField(req.body.urls), ...(req.body.url ? [req.body.url] : [])];
+
+    if (urls.length === 0 || !company) {
+      return res.status(400).json({ error: 'Missing required fields', message: 'Company and url are required' });
+    }
+
+    const invalid = urls.filter(url => !/^https?:\/\/[^\s]+$/i.test(url));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid URL', message: `Only http and https URLs are supported: ${invalid.join(', ')}` });
+    }
+
+    if (urls.length > 10) {
+      return res.status(400).json({ error: 'Too many URLs', message: 'Up to 10 URLs can be ingested at a time' });
+    }
+
+    const job = ingestionQueue.enqueue(
+      'url',
+      {
+        company: company.toUpperCase(),
+        documentType,
+        description,
+        incognitoMode,
+        customSource,
+        sellSideMode
+      },
+      urls.map(url => ({ filename: url, url: url }))
+    );
+
+    console.log(`📥 Queued URL ingestion job ${job.id} (${urls.length} URL${urls.length !== 1 ? 's' : ''})`);
+
+    res.status(202).json({
+      success: true,
+      message: `Queued ${urls.length} URL${urls.length !== 1 ? 's' : ''} for processing`,
+      company: company.toUpperCase(),
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('❌ Error queueing URL ingestion:', error);
+    res.status(500).json({ 
+      error: 'URL ingestion failed',
+      message: error.message
+    });
+  }
+});
+
+// A filing counts as ingested once the sync state or the registry has it;
+// the registry also covers filings loaded before sync state was kept
+function isFilingIngested(ticker, filing) {
+  return secSyncState.filingStatus(ticker, filing.accessionNumber) === 'ingested' ||
+    Boolean(documentRegistry.findFiling(ticker, filing.accessionNumber));
+}
+
+// Accession numbers waiting or in progress in SEC jobs for a ticker, so a sync or ingest that
+// overlaps an earlier one does not queue the same filing twice
+function queuedAccessions(ticker) {
+  return new Set(ingestionQueue.activeItems({ type: 'sec', company: ticker })
+    .map(item => SecSyncState.normalize(item.filing.accessionNumber)));
+}
+
+function validateSecForms(forms) {
+  const unknownForms = forms.filter(form => !secFilings.FILING_TYPES.includes(form));
+  return unknownForms.length > 0
+    ? `Supported forms: ${secFilings.FILING_TYPES.join(', ')}. Not supported: ${unknownForms.join(', ')}`
+    : null;
+}
+
+// Queue filings oldest first, so an original is stored before the amendments that supersede it
+function queueSecFilings(ticker, company, filings, params = {}) {
+  const ordered = [...filings].sort((a, b) => a.filingDate.localeCompare(b.filingDate));
+
+  const job = ingestionQueue.enqueue(
+    'sec',
+    {
+      ...params,
+      company: ticker,
+      cik: company.cik,
+      companyName: company.name
+    },
+    ordered.map(filing => ({
+      filename: `${filing.form} ${filing.filingDate}`,
+      documentType: filing.form,
+      filing: filing
+    }))
+  );
+
+  console.log(`📥 Queued SEC ingestion job ${job.id} for ${ticker} (${ordered.length} filing${ordered.length !== 1 ? 's' : ''})`);
+  return job;
+}
+
+// Ingest a company's SEC filings from EDGAR in the background.
+// Body: { forms: ['10-K', '10-Q'], from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', limit, force }.
+// Filings already ingested are skipped unless force is set.
+app.post('/api/ingest/sec/:ticker', async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    const forms = listField(req.body.forms);
+    const { from, to, force } = req.body;
+    const limit = req.body.limit ? parseInt(req.body.limit, 10) : 50;
+
+    const formsError = validateSecForms(forms);
+    if (formsError) {
+      return res.status(400).json({ error: 'Unsupported form type', message: formsError });
+    }
+
+    if ([from, to].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ error: 'Invalid date', message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'Invalid limit', message: 'limit must be between 1 and 200' });
+    }
+
+    let company;
+    let filings;
+    try {
+      company = await secFilings.lookupCompany(ticker);
+      if (company) {
+        filings = await secFilings.listFilings(company.cik, { forms, from, to, limit });
+      }
+    } catch (error) {
+      console.error(`❌ EDGAR lookup failed for ${ticker}:`, error.message);
+      return res.status(502).json({ error: 'SEC EDGAR unavailable', message: error.message });
+    }
+
+    if (!company) {
+      return res.status(404).json({ error: 'Ticker not found', message: `No SEC registrant found for ${ticker}` });
+    }
+
+    const alreadyIngested = force ? [] : filings.filter(filing => isFilingIngested(ticker, filing));
+    const queued = queuedAccessions(ticker);
+    const alreadyQueued = filings.filter(filing => queued.has(SecSyncState.normalize(filing.accessionNumber)));
+    const pending = filings.filter(filing => !alreadyIngested.includes(filing) && !alreadyQueued.includes(filing));
+
+    if (pending.length === 0) {
+      return res.json({
+        success: true,
+        message: filings.length > 0 ? 'All matching filings are already ingested or queued' : 'No matching filings found',
+        company: ticker,
+        filingsFound: filings.length,
+        alreadyIngested: alreadyIngested.length,
+        alreadyQueued: alreadyQueued.length
+      });
+    }
+
+    const job = queueSecFilings(ticker, company, pending, { forms, from, to });
+    secSyncState.update(ticker, { cik: company.cik, companyName: company.name, lastJobId: job.id });
+
+    res.status(202).json({
+      success: true,
+      message: `Queued ${pending.length} filing${pending.length !== 1 ? 's' : ''} for processing`,
+      company: ticker,
+      companyName: company.name,
+      cik: company.cik,
+      filingsFound: filings.length,
+      alreadyIngested: alreadyIngested.length,
+      alreadyQueued: alreadyQueued.length,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('❌ Error queueing SEC ingestion:', error);
+    res.status(500).json({
+      error: 'SEC ingestion failed',
+      message: error.message
+    });
+  }
+});
+
+// Incremental sync: queue only filings this company's sync state hasn't seen.
+// Body: { forms, backfill, limit }. A backfill pages through the older submission archives
+// for the full filing history; otherwise only the recent filings index is read. At most
+// limit filings (newest first) are queued per sync; the rest wait for the next sync.
+app.post('/api/ingest/sec/:ticker/sync', async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    const forms = listField(req.body.forms);
+    const backfill = req.body.backfill === true || req.body.backfill === 'true';
+    const limit = req.body.limit ? parseInt(req.body.limit, 10) : 50;
+
+    const formsError = validateSecForms(forms);
+    if (formsError) {
+      return res.status(400).json({ error: 'Unsupported form type', message: formsError });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'Invalid limit', message: 'limit must be between 1 and 200' });
+    }
+
+    let company;
+    let filings;
+    try {
+      company = await secFilings.lookupCompany(ticker);
+      if (company) {
+        filings = await secFilings.listFilings(company.cik, { forms, history: backfill });
+      }
+    } catch (error) {
+      console.error(`❌ EDGAR lookup failed for ${ticker}:`, error.message);
+      return res.status(502).json({ error: 'SEC EDGAR unavailable', message: error.message });
+    }
+
+    if (!company) {
+      return res.status(404).json({ error: 'Ticker not found', message: `No SEC registrant found for ${ticker}` });
+    }
+
+    // Filings the registry already holds are adopted into the sync state rather than re-embedded
+    filings.forEach(filing => {
+      const existing = !secSyncState.filingStatus(ticker, filing.accessionNumber) && documentRegistry.findFiling(ticker, filing.accessionNumber);
+      if (existing) {
+        secSyncState.recordFiling(ticker, filing, 'ingested', { documentId: existing.id });
+      }
+    });
+
+    // Filings an overlapping sync already queued are left to that job
+    const queued = queuedAccessions(ticker);
+    const notRecorded = filings.filter(filing => !secSyncState.filingStatus(ticker, filing.accessionNumber));
+    const alreadyQueued = notRecorded.filter(filing => queued.has(SecSyncState.normalize(filing.accessionNumber)));
+    const unseen = notRecorded.filter(filing => !alreadyQueued.includes(filing));
+    const pending = unseen.slice(0, limit);
+    const deferred = unseen.length - pending.length;
+    const job = pending.length > 0 ? queueSecFilings(ticker, company, pending, { forms, sync: true, backfill }) : null;
+
+    const now = new Date().toISOString();
+    secSyncState.update(ticker, {
+      cik: company.cik,
+      companyName: company.name,
+      lastSyncAt: now,
+      ...(backfill ? { backfilledAt: now } : {}),
+      ...(job ? { lastJobId: job.id } : {})
+    });
+
+    console.log(`🔄 SEC sync for ${ticker}: ${filings.length} filings listed, ${unseen.length} new${alreadyQueued.length > 0 ? `, ${alreadyQueued.length} already queued` : ''}${deferred > 0 ? `, ${deferred} deferred` : ''}`);
+
+    let message = job ? `Queued ${pending.length} new filing${pending.length !== 1 ? 's' : ''}`
+      : alreadyQueued.length > 0 ? `${alreadyQueued.length} filing${alreadyQueued.length !== 1 ? 's are' : ' is'} already queued` : 'Already up to date';
+    if (deferred > 0) {
+      message += `; ${deferred} older filing${deferred !== 1 ? 's' : ''} will be queued by the next sync`;
+    }
+
+    res.status(job ? 202 : 200).json({
+      success: true,
+      message: message,
+      company: ticker,
+      companyName: company.name,
+      cik: company.cik,
+      backfill: backfill,
+      filingsFound: filings.length,
+      newFilings: pending.length,
+      deferred: deferred,
+      alreadyIngested: filings.length - notRecorded.length,
+      alreadyQueued: alreadyQueued.length,
+      jobId: job ? job.id : undefined,
+      statusUrl: job ? `/api/jobs/${job.id}` : undefined,
+      eventsUrl: job ? `/api/jobs/${job.id}/events` : undefined
+    });
+
+  } catch (error) {
+    console.error('❌ Error syncing SEC filings:', error);
+    res.status(500).json({
+      error: 'SEC sync failed',
+      message: error.message
+    });
+  }
+});
+
+// Sync state for a company: when it last synced and which filings failed for good
+app.get('/api/ingest/sec/:ticker/sync', (req, res) => {
+  const summary = secSyncState.summarize(req.params.ticker);
+
+  if (!summary) {
+    return res.status(404).json({ error: 'Not synced', message: `${req.params.ticker.toUpperCase()} has not been synced from EDGAR` });
+  }
+
+  res.json({ success: true, ...summary });
+});
+
+// SEC filings ingested for a company, newest filing first
+app.get('/api/ingest/sec/:ticker', (req, res) => {
+  const documents = documentRegistry.list({ company: req.params.ticker, sourceType: 'sec-filing' })
+    .filter(doc => documentRegistry.isActive(doc));
+  const filings = documents
+    .filter(doc => !doc.exhibit)
+    .sort((a, b) => (b.filingDate || '').localeCompare(a.filingDate || ''))
+    .map(doc => ({
+      documentId: doc.id,
+      form: doc.form,
+      filingDate: doc.filingDate,
+      reportDate: doc.reportDate,
+      accessionNumber: doc.accessionNumber,
+      url: doc.url,
+      items: doc.items,
+      exhibits: documents.filter(exhibit => exhibit.parentDocumentId === doc.id).map(exhibit => exhibit.id),
+      chunkCount: doc.chunkCount,
+      ingestedAt: doc.registeredAt
+    }));
+
+  res.json({
+    success: true,
+    company: req.params.ticker.toUpperCase(),
+    count: filings.length,
+    filings: filings
+  });
+});
+
+// 8-K event feed, newest first: each current report with its items and exhibits.
+// Query: items (e.g. 2.02,5.02), types (e.g. earnings,leadership), from, to (filing dates), limit
+app.get('/api/events/:ticker', (req, res) => {
+  const codes = listField(req.query.items);
+  const types = listField(req.query.types);
+  const { from, to } = req.query;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+  const documents = documentRegistry.list({ company: req.params.ticker, sourceType: 'sec-filing' })
+    .filter(doc => documentRegistry.isActive(doc));
+
+  const events = documents
+    .filter(doc => !doc.exhibit && isCurrentReport(doc.form))
+    .filter(doc => (!from || doc.filingDate >= from) && (!to || doc.filingDate <= to))
+    .filter(doc => codes.length === 0 || (doc.items || []).some(code => codes.includes(code)))
+    .filter(doc => types.length === 0 || (doc.eventTypes || []).some(type => types.includes(type)))
+    .sort((a, b) => (b.filingDate || '').localeCompare(a.filingDate || ''))
+    .map(doc => {
+      const items = describeItems(doc.items);
+      return {
+        documentId: doc.id,
+        form: doc.form,
+        filingDate: doc.filingDate,
+        eventDate: doc.reportDate,
+        accessionNumber: doc.accessionNumber,
+        url: doc.url,
+        headline: items.filter(item => item.code !== '9.01').map(item => item.title).join('; '),
+        eventTypes: doc.eventTypes || [],
+        items: items,
+        exhibits: documents
+          .filter(exhibit => exhibit.parentDocumentId === doc.id)
+          .sort((a, b) => a.exhibit.localeCompare(b.exhibit))
+          .map(exhibit => ({ documentId: exhibit.id, exhibit: exhibit.exhibit, description: exhibit.exhibitDescription, documentType: exhibit.documentType, url: exhibit.url }))
+      };
+    });
+
+  res.json({
+    success: true,
+    company: req.params.ticker.toUpperCase(),
+    count: events.length,
+    events: events.slice(0, Number.isInteger(limit) && limit > 0 ? limit : 50)
+  });
+});
+
+// Process one queued upload; the file stays on disk until it succeeds or runs out of retries
+ingestionQueue.registerHandler('upload', async (item, job, reportProgress) => {
+  const { company, documentType, description, incognitoMode, customSource, sellSideMode } = job.params;
+  const processor = new DocumentProcessor();
+
+  if (!fs.existsSync(item.path)) {
+    throw permanentError('Uploaded file is no longer available');
+  }
+
+  try {
+    const result = await processor.processAndStore(
+      item.path,
+      item.filename,
+      company,
+      item.documentType || documentType,
+      description,
+      incognitoMode,
+      customSource,
+      sellSideMode,
+      { keepFile: true, onProgress: reportProgress }
+    );
+
+    if (result.chunksProcessed === 0 && !result.duplicate) {
+      throw new Error('No chunks could be embedded');
+    }
+
+    if (fs.existsSync(item.path)) {
+      fs.unlinkSync(item.path);
+    }
+
+    return {
+      documentId: result.documentId,
+      duplicate: result.duplicate || false,
+      replacedDocumentId: result.replacedDocumentId,
+      chunksProcessed: result.chunksProcessed,
+      originalChunks: result.originalChunks
+    };
+  } catch (error) {
+    // Keep files that failed for transient reasons so POST /api/jobs/:id/retry can pick them up
+    if (error.retryable === false && fs.existsSync(item.path)) {
+      fs.unlinkSync(item.path);
+    }
+    throw error;
+  }
+});
+
+// Download and process one queued URL; the download is discarded after each attempt
+ingestionQueue.registerHandler('url', async (item, job, reportProgress) => {
+  const { company, documentType, description, incognitoMode, customSource, sellSideMode } = job.params;
+  const processor = new DocumentProcessor();
+
+  reportProgress({ stage: 'downloading', current: 0, total: 0 });
+  if (!fs.existsSync('uploads')) {
+    fs.mkdirSync('uploads');
+  }
+  const download = await downloadDocument(item.url, 'uploads', { supportedExtensions: SUPPORTED_EXTENSIONS });
+  console.log(`🌐 Downloaded ${item.url} (${Math.round(download.size / 1024)}KB) as ${download.filename}`);
+
+  try {
+    const result = await processor.processAndStore(
+      download.path,
+      download.filename,
+      company,
+      documentType,
+      description,
+      incognitoMode,
+      customSource,
+      sellSideMode,
+      { keepFile: true, onProgress: reportProgress, sourceUrl: item.url }
+    );
+
+    if (result.chunksProcessed === 0 && !result.duplicate) {
+      throw new Error('No chunks could be embedded');
+    }
+
+    return {
+      documentId: result.documentId,
+      duplicate: result.duplicate || false,
+      replacedDocumentId: result.replacedDocumentId,
+      chunksProcessed: result.chunksProcessed,
+      originalChunks: result.originalChunks
+    };
+  } finally {
+    if (fs.existsSync(download.path)) {
+      fs.unlinkSync(download.path);
+    }
+  }
+});
+
+// Amendments share their original's form and period ('10-K/A' for the 10-K covering the same
+// fiscal year). Returns the active filing an amendment would supersede if it turns out to be a
+// full restatement, or the active full amendment that supersedes a filing stored after it,
+// e.g. during a backfill. Partial amendments (fullAmendment: false) never supersede and are
+// never superseded.
+function findAmendedFiling(company, filing) {
+  const baseForm = secFilings.amendedForm(filing.form);
+  if (!baseForm) return null;
+
+  return documentRegistry.list({ company, sourceType: 'sec-filing', reportDate: filing.reportDate })
+    .filter(doc => documentRegistry.isActive(doc) && !doc.exhibit && (doc.form === baseForm || (doc.form === `${baseForm}/A` && doc.fullAmendment !== false)))
+    .filter(doc => doc.filingDate <= filing.filingDate && doc.accessionNumber !== filing.accessionNumber)
+    .sort((a, b) => b.filingDate.localeCompare(a.filingDate))[0] || null;
+}
+
+function findAmendingFiling(company, filing) {
+  const baseForm = secFilings.amendedForm(filing.form) || filing.form;
+
+  return documentRegistry.list({ company, sourceType: 'sec-filing', reportDate: filing.reportDate })
+    .filter(doc => documentRegistry.isActive(doc) && !doc.exhibit && doc.form === `${baseForm}/A` && doc.fullAmendment !== false)
+    .filter(doc => doc.filingDate >= filing.filingDate && doc.accessionNumber !== filing.accessionNumber)
+    .sort((a, b) => a.filingDate.localeCompare(b.filingDate))[0] || null;
+}
+
+// Download and process one SEC filing; the download is discarded after each attempt.
+// The outcome goes into the company's sync state so later syncs skip the filing.
+ingestionQueue.registerHandler('sec', async (item, job, reportProgress) => {
+  const { company, companyName } = job.params;
+  const filing = item.filing;
+  const processor = new DocumentProcessor();
+  let download = null;
+
+  try {
+    reportProgress({ stage: 'downloading', current: 0, total: 0 });
+    if (!fs.existsSync('uploads')) {
+      fs.mkdirSync('uploads');
+    }
+    download = await secFilings.downloadFiling(filing, 'uploads');
+    console.log(`🏛️  Downloaded ${company} ${filing.form} filed ${filing.filingDate} (${filing.accessionNumber})`);
+
+    const original = findAmendedFiling(company, filing);
+    const result = await processor.processAndStore(
+      download.path,
+      download.filename,
+      company,
+      filing.form,
+      `${companyName} ${filing.form} filed ${filing.filingDate}`,
+      false,
+      '',
+      false,
+      {
+        keepFile: true,
+        onProgress: reportProgress,
+        documentId: secFilings.filingDocumentId(company, filing),
+        replaces: original ? original.id : undefined,
+        filing: { ...filing, url: download.url }
+      }
+    );
+
+    if (result.chunksProcessed === 0 && !result.duplicate) {
+      throw new Error('No chunks could be embedded');
+    }
+
+    if (original && !result.duplicate && !result.replacedDocumentId) {
+      console.log(`📎 ${result.documentId} amends ${original.id} in part; both stay active`);
+    }
+
+    // An original that arrives after its amendment is stored already superseded
+    const amendment = result.duplicate ? null : findAmendingFiling(company, filing);
+    if (amendment) {
+      const stored = documentRegistry.get(result.documentId);
+      await documentVersions.setChunksSuperseded(stored.chunkIds, true);
+      documentRegistry.update(stored.id, { status: 'superseded', supersededBy: amendment.id });
+      console.log(`🔁 ${amendment.id} supersedes ${stored.id}`);
+    }
+
+    const exhibits = isCurrentReport(filing.form)
+      ? await ingestReleaseExhibits(company, companyName, filing, documentRegistry.get(result.documentId), processor, reportProgress)
+      : [];
+
+    // The filing stays searchable as text even when its cover page can't be read
+    let holder = null;
+    if (isBeneficialOwnershipForm(filing.form)) {
+      try {
+        holder = await recordHolderFiling(company, filing, download, processor);
+      } catch (error) {
+        console.warn(`⚠️  ${company} ${filing.form} ${filing.accessionNumber} not added to the holders register: ${error.message}`);
+      }
+    }
+
+    secSyncState.recordFiling(company, filing, 'ingested', { documentId: result.documentId });
+
+    return {
+      documentId: result.documentId,
+      duplicate: result.duplicate || false,
+      replacedDocumentId: result.replacedDocumentId,
+      supersededBy: amendment ? amendment.id : undefined,
+      holder: holder ? holder.name : undefined,
+      exhibits: exhibits.length > 0 ? exhibits : undefined,
+      chunksProcessed: result.chunksProcessed,
+      originalChunks: result.originalChunks
+    };
+  } catch (error) {
+    // Transient failures stay unrecorded so the next sync tries again
+    if (error.retryable === false) {
+      secSyncState.recordFiling(company, filing, 'failed', { error: error.message });
+    }
+    throw error;
+  } finally {
+    if (download && fs.existsSync(download.path)) {
+      fs.unlinkSync(download.path);
+    }
+  }
+});
+
+// Ingest an 8-K's Exhibit 99 documents (earnings releases, investor presentations) as documents
+// of their own, linked to the filing and tagged with its item codes
+async function ingestReleaseExhibits(company, companyName, filing, parent, processor, reportProgress) {
+  let exhibits;
+  try {
+    exhibits = (await secFilings.listFilingDocuments(filing)).filter(isReleaseExhibit);
+  } catch (error) {
+    if (error.retryable !== false) throw error;
+    console.warn(`⚠️  No filing index for ${company} ${filing.form} ${filing.accessionNumber}: ${error.message}`);
+    return [];
+  }
+
+  const stored = [];
+  for (const [i, exhibit] of exhibits.entries()) {
+    reportProgress({ stage: 'exhibits', current: i, total: exhibits.length });
+    const download = await secFilings.downloadFiling(filing, 'uploads', exhibit);
+
+    try {
+      const result = await processor.processAndStore(
+        download.path,
+        download.filename,
+        company,
+        exhibitDocumentType(exhibit),
+        `${companyName} ${filing.form} ${exhibit.type} filed ${filing.filingDate}: ${exhibit.description}`,
+        false,
+        '',
+        false,
+        {
+          keepFile: true,
+          documentId: `${parent.id}-${exhibit.type.replace(/[^A-Z0-9]/g, '')}`,
+          filing: {
+            ...filing,
+            items: parent.items,
+            url: download.url,
+            exhibit: { type: exhibit.type, description: exhibit.description, parentDocumentId: parent.id }
+          }
+        }
+      );
+      console.log(`📎 ${company} ${filing.form} ${exhibit.type} (${exhibit.description}): ${result.duplicate ? 'already stored' : `${result.chunksProcessed} chunks`}`);
+      stored.push({ exhibit: exhibit.type, documentId: result.documentId, duplicate: result.duplicate || false, chunksProcessed: result.chunksProcessed });
+    } catch (error) {
+      // An exhibit without usable text (a logo, a scanned page) is skipped; anything else retries the filing
+      if (error.retryable !== false) throw error;
+      console.warn(`⚠️  Skipped ${company} ${filing.form} ${exhibit.type}: ${error.message}`);
+    } finally {
+      if (fs.existsSync(download.path)) {
+        fs.unlinkSync(download.path);
+      }
+    }
+  }
+
+  return stored;
+}
+
+// Read a downloaded Schedule 13D or 13G's cover pages into the major holders register
+async function recordHolderFiling(company, filing, download, processor) {
+  const { text } = await processor.extractDocument(download.path, download.filename);
+
+  let parsed;
+  try {
+    parsed = parseCoverPages(text);
+  } catch (error) {
+    const message = `Could not read ${filing.form} cover page: ${error.message}`;
+    holdersRegister.recordFailure(company, filing, message);
+    throw permanentError(message);
+  }
+
+  const result = holdersRegister.record(company, filing, parsed, download.url);
+  console.log(`🏦 ${company} ${filing.form} filed ${filing.filingDate}: ${result.name} ${result.percent ?? '?'}% (${result.status})`);
+  return result;
+}
+
+// Download one Schedule 13D or 13G for the holders register only; its text is not embedded
+ingestionQueue.registerHandler('holders', async (item, job, reportProgress) => {
+  const { company } = job.params;
+  const filing = item.filing;
+  let download = null;
+
+  try {
+    reportProgress({ stage: 'downloading', current: 0, total: 0 });
+    if (!fs.existsSync('uploads')) {
+      fs.mkdirSync('uploads');
+    }
+    download = await secFilings.downloadFiling(filing, 'uploads');
+
+    reportProgress({ stage: 'parsing', current: 0, total: 0 });
+    const holder = await recordHolderFiling(company, filing, download, new DocumentProcessor());
+    return { holder: holder.name, percent: holder.percent, shares: holder.shares, status: holder.status };
+  } finally {
+    if (download && fs.existsSync(download.path)) {
+      fs.unlinkSync(download.path);
+    }
+  }
+});
+
+// Fetch and parse one Form 3, 4 or 5 into the insider transaction store
+ingestionQueue.registerHandler('insider', async (item, job, reportProgress) => {
+  const { company } = job.params;
+  const filing = item.filing;
+
+  reportProgress({ stage: 'downloading', current: 0, total: 0 });
+  const { xml, url } = await secFilings.fetchOwnershipDocument(filing);
+
+  reportProgress({ stage: 'parsing', current: 0, total: 0 });
+  let parsed;
+  try {
+    parsed = parseOwnershipDocument(xml);
+  } catch (error) {
+    const message = `Could not parse Form ${filing.form} XML: ${error.message}`;
+    insiderStore.recordFailure(company, filing, message);
+    throw permanentError(message);
+  }
+
+  const result = insiderStore.recordFiling(company, filing, parsed, url);
+  console.log(`👤 ${company} Form ${filing.form} filed ${filing.filingDate}: ${result.transactions} transaction${result.transactions !== 1 ? 's' : ''}${result.replaced ? `, ${result.replaced} restated` : ''}`);
+
+  return result;
+});
+
+// Summarize a job for API responses
+function describeJob(job) {
+  const completed = job.items.filter(item => item.status === 'completed');
+  const failed = job.items.filter(item => item.status === 'failed');
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    company: job.params.company,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    summary: {
+      totalFiles: job.items.length,
+      successfulFiles: completed.length,
+      failedFiles: failed.length,
+      totalChunksProcessed: completed.reduce((sum, item) => sum + (item.result?.chunksProcessed || 0), 0)
+    },
+    items: job.items.map(item => ({
+      filename: item.filename,
+      archivePath: item.archivePath,
+      url: item.url,
+      documentType: item.documentType,
+      status: item.status,
+      attempts: item.attempts,
+      progress: item.progress,
+      documentId: item.result?.documentId,
+      duplicate: item.result?.duplicate,
+      replacedDocumentId: item.result?.replacedDocumentId,
+      chunksProcessed: item.result?.chunksProcessed,
+      transactions: item.result?.transactions,
+      error: item.error || undefined,
+      retryable: item.status === 'failed' ? item.retryable !== false : undefined
+    }))
+  };
+}
+
+// List ingestion jobs
+app.get('/api/jobs', (req, res) => {
+  const { company, type } = req.query;
+  const jobs = ingestionQueue.list({ company, type }).slice(0, 50);
+
+  res.json({
+    success: true,
+    count: jobs.length,
+    jobs: jobs.map(describeJob)
+  });
+});
+
+// Ingestion job status
+app.get('/api/jobs/:id', (req, res) => {
+  const job = ingestionQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({
+    success: true,
+    job: describeJob(job)
+  });
+});
+
+// Live ingestion job progress as server-sent events
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = ingestionQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const send = (current) => {
+    if (res.writableEnded) {
+      return;
+    }
+    res.write(`event: progress\ndata: ${JSON.stringify(describeJob(current))}\n\n`);
+    if (ingestionQueue.isTerminal(current)) {
+      res.write(`event: done\ndata: ${JSON.stringify({ status: current.status })}\n\n`);
+      res.end();
+    }
+  };
+
+  const onUpdate = (updated) => {
+    if (updated.id === job.id) {
+      send(updated);
+    }
+  };
+
+  ingestionQueue.on('update', onUpdate);
+  res.on('close', () => ingestionQueue.off('update', onUpdate));
+
+  send(job);
+});
+
+// Retry the failed files of a finished job
+app.post('/api/jobs/:id/retry', (req, res) => {
+  const job = ingestionQueue.retry(req.params.id);
+
+  if (!job) {
+    return res.status(409).json({ error: 'Job not found or still running' });
+  }
+  if (ingestionQueue.isTerminal(job)) {
+    return res.status(409).json({
+      error: 'Nothing to retry',
+      message: 'Every failed item failed permanently (for example, its upload is no longer available)'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: describeJob(job)
+  });
+});
+
+// Batch upload status endpoint
+app.get('/api/upload-status/:company', async (req, res) => {
+  try {
+    const { company } = req.params;
+    
+    const summary = documentRegistry.summarize(company);
+    
+    res.json({
+      company: company.toUpperCase(),
+      status: 'ready',
+      totalDocuments: summary.totalDocuments,
+      totalChunks: summary.totalChunks,
+      documentTypes: summary.byDocumentType,
+      lastUpload: summary.lastUpload,
+      systemStatus: 'operational'
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get upload status' });
+  }
+});
+
+// Metadata fields that may be changed on an uploaded document after ingestion
+const RETAGGABLE_FIELDS = ['company', 'documentType', 'description', 'source'];
+
+// Chunk ids come from the registry; documents ingested before it existed fall back to an id-prefix listing
+async function resolveChunkIds(documentId) {
+  const record = documentRegistry.get(documentId);
+  if (record && record.chunkIds.length > 0) {
+    return record.chunkIds;
+  }
+  return await index.listIds(`${documentId}-`);
+}
+
+// Retention: purge documents past their expiry and keep each chunk's expiresAtEpoch in step
+// with the current policies. Documents registered before a policy existed, or by the CLI
+// scripts, get their expiry stamped here. With options.purge false, expired documents are
+// only stamped (so retrieval already skips them) and left for the next sweep.
+async function applyRetentionPolicies(options = {}) {
+  const { dryRun = false, purge = true, trigger = 'sweep' } = options;
+  const now = new Date();
+  const purged = [];
+  const expired = [];
+  const updated = [];
+
+  for (const doc of documentRegistry.list()) {
+    const retention = retentionPolicies.expiryFor(doc);
+    const expiresAt = retention ? retention.expiresAt : null;
+    const isExpired = expiresAt && new Date(expiresAt) <= now;
+
+    if (isExpired && purge) {
+      const chunkIds = await resolveChunkIds(doc.id);
+      const entry = {
+        documentId: doc.id,
+        company: doc.company,
+        documentType: doc.documentType,
+        sourceType: doc.sourceType,
+        originalFilename: doc.originalFilename,
+        policyId: retention.policyId,
+        expiresAt: expiresAt,
+        chunksDeleted: chunkIds.length,
+        trigger: trigger
+      };
+
+      if (!dryRun) {
+        if (chunkIds.length > 0) {
+          await index.delete(chunkIds);
+        }
+        documentRegistry.remove(doc.id);
+        researchStore.removeByDocument(doc.id);
+        governanceStore.removeByDocument(doc.id);
+        filingSectionsStore.remove(doc.id);
+        retentionPolicies.logPurge(entry);
+        console.log(`🗑️  Retention purge: ${doc.id} (${chunkIds.length} chunks, policy ${retention.policyId})`);
+      }
+      purged.push(entry);
+      continue;
+    }
+
+    if (isExpired) {
+      expired.push({ documentId: doc.id, expiresAt: expiresAt });
+    }
+
+    if ((doc.expiresAt || null) !== expiresAt) {
+      if (!dryRun) {
+        const toEpoch = date => date ? Math.floor(new Date(date).getTime() / 1000) : 0;
+        await documentVersions.updateChunksMetadata(
+          doc.chunkIds.map(id => ({ id, metadata: { expiresAtEpoch: toEpoch(expiresAt) } })),
+          doc.chunkIds.map(id => ({ id, metadata: { expiresAtEpoch: toEpoch(doc.expiresAt) } }))
+        );
+        documentRegistry.update(doc.id, { expiresAt: expiresAt, retentionPolicyId: retention ? retention.policyId : null });
+      }
+      updated.push({ documentId: doc.id, expiresAt: expiresAt });
+    }
+  }
+
+  return { dryRun, purged, expired, updated };
+}
+
+// The sweep in progress, if any; only one runs at a time
+let retentionSweep = null;
+
+// Returns null without sweeping when a sweep is already running
+function runRetentionSweep(options = {}) {
+  if (retentionSweep) {
+    return Promise.resolve(null);
+  }
+
+  retentionSweep = (async () => {
+    try {
+      const result = await applyRetentionPolicies(options);
+      if (result.purged.length > 0 || result.updated.length > 0) {
+        console.log(`🧹 Retention sweep${result.dryRun ? ' (dry run)' : ''}: ${result.purged.length} purged, ${result.updated.length} expiry updates`);
+      }
+      return result;
+    } finally {
+      retentionSweep = null;
+    }
+  })();
+  return retentionSweep;
+}
+
+// Restamp expiry dates after a policy change. A sweep that is already running may have read
+// the old policies, so the restamp waits for it to finish and then runs.
+async function restampRetentionExpiry() {
+  while (retentionSweep) {
+    await retentionSweep.catch(() => {});
+  }
+  return runRetentionSweep({ purge: false, trigger: 'policy-change' });
+}
+
+// Sweep at startup and then every RETENTION_SWEEP_MINUTES (default hourly)
+function startRetentionSweeper() {
+  const minutes = Number(process.env.RETENTION_SWEEP_MINUTES) || 60;
+  const sweep = () => runRetentionSweep().catch(error => console.error('❌ Retention sweep failed:', error));
+  sweep();
+  setInterval(sweep, minutes * 60 * 1000).unref();
+}
+
+app.get('/api/retention-policies', (req, res) => {
+  res.json({ success: true, policies: retentionPolicies.list() });
+});
+
+// Replace the policy list. Expiry dates are restamped straight away (after any sweep already
+// running), so retrieval stops returning newly expired documents at once; the sweeper deletes
+// them on its next run.
+app.put('/api/retention-policies', async (req, res) => {
+  try {
+    const policies = Array.isArray(req.body) ? req.body : req.body.policies;
+    const errors = retentionPolicies.validate(policies);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid retention policies', message: errors.join('; '), details: errors });
+    }
+
+    const saved = retentionPolicies.setPolicies(policies);
+    console.log(`⏳ Updated retention policies (${saved.length})`);
+    const result = await restampRetentionExpiry();
+
+    res.json({
+      success: true,
+      policies: saved,
+      expiredDocuments: result.expired.length,
+      updatedDocuments: result.updated.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving retention policies:', error);
+    res.status(500).json({ error: 'Failed to save retention policies', message: error.message });
+  }
+});
+
+// Run the sweeper now; { dryRun: true } lists what would be purged
+app.post('/api/retention/sweep', async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const result = await runRetentionSweep({ dryRun, trigger: 'manual' });
+    if (!result) {
+      return res.status(409).json({ error: 'Sweep in progress', message: 'A retention sweep is already running' });
+    }
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('❌ Retention sweep error:', error);
+    res.status(500).json({ error: 'Retention sweep failed', message: error.message });
+  }
+});
+
+// Documents purged under a retention policy, newest first
+app.get('/api/retention/log', (req, res) => {
+  const entries = retentionPolicies.purgeLog({ company: req.query.company });
+  res.json({ success: true, count: entries.length, entries: entries.slice(0, Number(req.query.limit) || 100) });
+});
+
+// Documents that expire within the next ?days (default 30)
+app.get('/api/retention/expiring', (req, res) => {
+  const days = Number(req.query.days) || 30;
+  const cutoff = new Date(Date.now() + days * 24 * 3600 * 1000).toISOString();
+  const documents = documentRegistry.list({ company: req.query.company })
+    .filter(doc => doc.expiresAt && doc.expiresAt <= cutoff)
+    .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt))
+    .map(doc => ({
+      id: doc.id,
+      company: doc.company,
+      originalFilename: doc.originalFilename,
+      documentType: doc.documentType,
+      sourceType: doc.sourceType,
+      expiresAt: doc.expiresAt,
+      retentionPolicyId: doc.retentionPolicyId
+    }));
+
+  res.json({ success: true, days: days, count: documents.length, documents: documents });
+});
+
+// Load a company's XBRL financial facts from SEC companyfacts, replacing what was stored
+app.post('/api/financials/:ticker/refresh', async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+
+  try {
+    const company = await secFilings.lookupCompany(ticker);
+    if (!company) {
+      return res.status(404).json({ error: 'Ticker not found', message: `No SEC registrant found for ${ticker}` });
+    }
+
+    const facts = await secFilings.fetchCompanyFacts(company.cik);
+    const result = financialsStore.importCompanyFacts(ticker, facts);
+    console.log(`📊 Stored ${result.factCount} XBRL facts across ${result.conceptCount} concepts for ${ticker}`);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error(`❌ Error loading financials for ${ticker}:`, error.message);
+    res.status(error.status ? 502 : 500).json({
+      error: 'Financials refresh failed',
+      message: error.message
+    });
+  }
+});
+
+// Latest value of each headline metric (?view=quarterly|annual|ttm)
+app.get('/api/financials/:ticker', (req, res) => {
+  const view = req.query.view || 'quarterly';
+  if (!FINANCIAL_VIEWS.includes(view)) {
+    return res.status(400).json({ error: 'Invalid view', message: `view must be one of ${FINANCIAL_VIEWS.join(', ')}` });
+  }
+
+  const summary = financialsStore.summary(req.params.ticker, view);
+  if (!summary) {
+    return res.status(404).json({ error: 'No financials found', message: `No XBRL financials stored for ${req.params.ticker.toUpperCase()}; POST /api/financials/${req.params.ticker.toUpperCase()}/refresh to load them` });
+  }
+  res.json({ success: true, availableMetrics: Object.keys(FINANCIAL_METRICS), ...summary });
+});
+
+// Concepts stored for a company (?search=receivable narrows the list)
+app.get('/api/financials/:ticker/concepts', (req, res) => {
+  const concepts = financialsStore.listConcepts(req.params.ticker, req.query.search || '');
+  if (!concepts) {
+    return res.status(404).json({ error: 'No financials found', message: `No XBRL financials stored for ${req.params.ticker.toUpperCase()}` });
+  }
+  res.json({ success: true, company: req.params.ticker.toUpperCase(), count: concepts.length, concepts: concepts });
+});
+
+// Time series for a metric (e.g. revenue) or XBRL concept (e.g. us-gaap:AccountsReceivableNetCurrent),
+// newest first (?view=quarterly|annual|ttm&limit=8)
+app.get('/api/financials/:ticker/:metric', (req, res) => {
+  const view = req.query.view || 'quarterly';
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+  if (!FINANCIAL_VIEWS.includes(view)) {
+    return res.status(400).json({ error: 'Invalid view', message: `view must be one of ${FINANCIAL_VIEWS.join(', ')}` });
+  }
+
+  const series = financialsStore.series(req.params.ticker, req.params.metric, { view, limit });
+  if (!series) {
+    return res.status(404).json({ error: 'Metric not found', message: `No ${req.params.metric} data stored for ${req.params.ticker.toUpperCase()}` });
+  }
+  res.json({ success: true, ...series });
+});
+
+// Load a company's Forms 3, 4 and 5 from EDGAR in the background; filings already parsed are skipped.
+// Body: { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', limit }. Without from, only the recent filings index is read.
+app.post('/api/insiders/:ticker/refresh', async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    const { from, to } = req.body;
+    const limit = req.body.limit ? parseInt(req.body.limit, 10) : 100;
+
+    if ([from, to].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ error: 'Invalid date', message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'Invalid limit', message: 'limit must be between 1 and 500' });
+    }
+
+    let company;
+    let filings;
+    try {
+      company = await secFilings.lookupCompany(ticker);
+      if (company) {
+        filings = await secFilings.listFilings(company.cik, { forms: secFilings.OWNERSHIP_FORMS, from, to, limit, history: Boolean(from) });
+      }
+    } catch (error) {
+      console.error(`❌ EDGAR lookup failed for ${ticker}:`, error.message);
+      return res.status(502).json({ error: 'SEC EDGAR unavailable', message: error.message });
+    }
+
+    if (!company) {
+      return res.status(404).json({ error: 'Ticker not found', message: `No SEC registrant found for ${ticker}` });
+    }
+
+    const pending = filings
+      .filter(filing => !insiderStore.hasFiling(ticker, filing.accessionNumber))
+      .sort((a, b) => a.filingDate.localeCompare(b.filingDate));
+
+    if (pending.length === 0) {
+      return res.json({
+        success: true,
+        message: filings.length > 0 ? 'All insider filings are already loaded' : 'No insider filings found',
+        company: ticker,
+        filingsFound: filings.length
+      });
+    }
+
+    // Oldest first, so an amendment is applied after the report it restates
+    const job = ingestionQueue.enqueue(
+      'insider',
+      { company: ticker, cik: company.cik, companyName: company.name, from, to },
+      pending.map(filing => ({ filename: `Form ${filing.form} ${filing.filingDate}`, documentType: filing.form, filing: filing }))
+    );
+    console.log(`📥 Queued insider filings job ${job.id} for ${ticker} (${pending.length} filing${pending.length !== 1 ? 's' : ''})`);
+
+    res.status(202).json({
+      success: true,
+      message: `Queued ${pending.length} insider filing${pending.length !== 1 ? 's' : ''} for processing`,
+      company: ticker,
+      companyName: company.name,
+      filingsFound: filings.length,
+      alreadyLoaded: filings.length - pending.length,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('❌ Error queueing insider filings:', error);
+    res.status(500).json({
+      error: 'Insider refresh failed',
+      message: error.message
+    });
+  }
+});
+
+// Insider transactions with totals by person and period, newest first.
+// Query: from, to, insider (name), role (director|officer|tenPercentOwner|other), title (ceo, cfo, ...),
+// codes (P,S,...), period (quarter|month), limit
+app.get('/api/insiders/:ticker', (req, res) => {
+  const { from, to, insider, role, title } = req.query;
+  const period = req.query.period || 'quarter';
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+
+  if (role && !INSIDER_ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Invalid role', message: `role must be one of ${INSIDER_ROLES.join(', ')}` });
+  }
+  if (!['quarter', 'month'].includes(period)) {
+    return res.status(400).json({ error: 'Invalid period', message: 'period must be quarter or month' });
+  }
+
+  const filters = { from, to, insider, role, title, codes: listField(req.query.codes).map(code => code.toUpperCase()) };
+  const summary = insiderStore.summarize(req.params.ticker, filters, period);
+  if (!summary) {
+    return res.status(404).json({ error: 'No insider data found', message: `No insider filings loaded for ${req.params.ticker.toUpperCase()}; POST /api/insiders/${req.params.ticker.toUpperCase()}/refresh to load them` });
+  }
+
+  res.json({
+    success: true,
+    filters: filters,
+    ...summary,
+    transactions: summary.transactions.slice(0, Number.isInteger(limit) && limit > 0 ? limit : 100)
+  });
+});
+
+// Build the major holders register from a company's Schedules 13D and 13G in the background,
+// for filings that weren't ingested through /api/ingest/sec. Body: { from, to, limit }.
+app.post('/api/holders/:ticker/refresh', async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    const { from, to } = req.body;
+    const limit = req.body.limit ? parseInt(req.body.limit, 10) : 100;
+
+    if ([from, to].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ error: 'Invalid date', message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'Invalid limit', message: 'limit must be between 1 and 500' });
+    }
+
+    let company;
+    let filings;
+    try {
+      company = await secFilings.lookupCompany(ticker);
+      if (company) {
+        filings = await secFilings.listFilings(company.cik, { forms: secFilings.BENEFICIAL_OWNERSHIP_FORMS, from, to, limit, history: Boolean(from) });
+      }
+    } catch (error) {
+      console.error(`❌ EDGAR lookup failed for ${ticker}:`, error.message);
+      return res.status(502).json({ error: 'SEC EDGAR unavailable', message: error.message });
+    }
+
+    if (!company) {
+      return res.status(404).json({ error: 'Ticker not found', message: `No SEC registrant found for ${ticker}` });
+    }
+
+    const pending = filings
+      .filter(filing => !holdersRegister.hasFiling(ticker, filing.accessionNumber))
+      .sort((a, b) => a.filingDate.localeCompare(b.filingDate));
+
+    if (pending.length === 0) {
+      return res.json({
+        success: true,
+        message: filings.length > 0 ? 'All 13D/13G filings are already in the register' : 'No 13D/13G filings found',
+        company: ticker,
+        filingsFound: filings.length
+      });
+    }
+
+    const job = ingestionQueue.enqueue(
+      'holders',
+      { company: ticker, cik: company.cik, companyName: company.name, from, to },
+      pending.map(filing => ({ filename: `${filing.form} ${filing.filingDate}`, documentType: filing.form, filing: filing }))
+    );
+    console.log(`📥 Queued holders register job ${job.id} for ${ticker} (${pending.length} filing${pending.length !== 1 ? 's' : ''})`);
+
+    res.status(202).json({
+      success: true,
+      message: `Queued ${pending.length} 13D/13G filing${pending.length !== 1 ? 's' : ''} for processing`,
+      company: ticker,
+      companyName: company.name,
+      filingsFound: filings.length,
+      alreadyRecorded: filings.length - pending.length,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('❌ Error queueing holders register refresh:', error);
+    res.status(500).json({
+      error: 'Holders refresh failed',
+      message: error.message
+    });
+  }
+});
+
+// Current 5%+ holders, largest first, with the change since each holder's previous filing.
+// ?includeExited=true also lists holders whose latest filing put them below 5%.
+app.get('/api/holders/:ticker', (req, res) => {
+  const register = holdersRegister.holders(req.params.ticker, { includeExited: req.query.includeExited === 'true' });
+  if (!register) {
+    return res.status(404).json({ error: 'No holders found', message: `No 13D/13G filings recorded for ${req.params.ticker.toUpperCase()}; POST /api/holders/${req.params.ticker.toUpperCase()}/refresh to load them` });
   }
-}
+  res.json({ success: true, ...register });
+});
 
-// ROUTES
+// Filing history of each holder, newest first (?holder=vanguard narrows to matching names)
+app.get('/api/holders/:ticker/history', (req, res) => {
+  const holders = holdersRegister.history(req.params.ticker, req.query.holder);
+  if (!holders) {
+    return res.status(404).json({ error: 'No holders found', message: `No 13D/13G filings recorded for ${req.params.ticker.toUpperCase()}` });
+  }
+  res.json({ success: true, company: req.params.ticker.toUpperCase(), count: holders.length, holders: holders });
+});
+
+// Governance from the latest proxy statement: CEO pay, board independence, committees and proposals
+app.get('/api/governance/:ticker', (req, res) => {
+  const summary = governanceStore.summary(req.params.ticker);
+  if (!summary) {
+    return res.status(404).json({ error: 'No proxy statements found', message: `No DEF 14A filings recorded for ${req.params.ticker.toUpperCase()}; ingest them with POST /api/ingest/sec/${req.params.ticker.toUpperCase()} and forms=DEF 14A` });
+  }
+  const proxies = governanceStore.list(req.params.ticker)
+    .map(proxy => ({ documentId: proxy.documentId, form: proxy.form, filingDate: proxy.filingDate, meetingDate: proxy.meetingDate, accessionNumber: proxy.accessionNumber }))
+    .reverse();
+  res.json({ success: true, ...summary, proxies: proxies });
+});
+
+// Summary Compensation Table history for each named executive officer, merged across proxies
+app.get('/api/governance/:ticker/compensation', (req, res) => {
+  if (!governanceStore.latest(req.params.ticker)) {
+    return res.status(404).json({ error: 'No proxy statements found', message: `No DEF 14A filings recorded for ${req.params.ticker.toUpperCase()}` });
+  }
+  const officers = governanceStore.compensation(req.params.ticker);
+  res.json({ success: true, company: req.params.ticker.toUpperCase(), count: officers.length, officers: officers });
+});
+
+// Risk Factors or MD&A compared between consecutive 10-Ks, 10-Qs or 20-Fs:
+// ?section=risk-factors|mdna&form=10-K, optionally &filing= and &against= (document id or accession number)
+app.get('/api/filing-diff/:ticker', async (req, res) => {
+  const section = req.query.section || 'risk-factors';
+  const form = String(req.query.form || '10-K').toUpperCase();
+  const minChangedWords = req.query.minChangedWords ? parseInt(req.query.minChangedWords, 10) : undefined;
+
+  if (!DIFF_SECTIONS[section]) {
+    return res.status(400).json({ error: 'Unsupported section', message: `section must be one of ${Object.keys(DIFF_SECTIONS).join(', ')}` });
+  }
+  if (!DIFF_FORMS.includes(form)) {
+    return res.status(400).json({ error: 'Unsupported form type', message: `form must be one of ${DIFF_FORMS.join(', ')}` });
+  }
+  if (minChangedWords !== undefined && !(minChangedWords >= 1)) {
+    return res.status(400).json({ error: 'Invalid minChangedWords', message: 'minChangedWords must be a positive number' });
+  }
 
-// Health check
-// Competitive Analysis API Endpoints
-app.get('/api/comp-analysis/:company', async (req, res) => {
   try {
-    if (!compAnalysis) {
-      return res.status(503).json({ 
-        error: 'Competitive analysis not available',
-        message: 'FMP API key not configured' 
-      });
+    const result = await diffFilingSections(req.params.ticker, { form, section, filing: req.query.filing, against: req.query.against, minChangedWords });
+    if (result.error) {
+      return res.status(404).json(result);
     }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error(`❌ Filing diff failed for ${req.params.ticker}:`, error.message);
+    res.status(500).json({ error: 'Filing diff failed', message: error.message });
+  }
+});
+
+// Structured sell-side research: every extracted report for a company
+app.get('/api/research/:company', (req, res) => {
+  const reports = researchStore.list(req.params.company);
+  res.json({ success: true, company: req.params.company.toUpperCase(), count: reports.length, reports: reports });
+});
+
+// Latest rating and price target from each covering broker
+app.get('/api/research/:company/coverage', (req, res) => {
+  const coverage = researchStore.coverage(req.params.company);
+  res.json({ success: true, company: req.params.company.toUpperCase(), brokerCount: coverage.length, coverage: coverage });
+});
+
+// Rating mix, price target and estimate consensus across brokers
+app.get('/api/research/:company/consensus', (req, res) => {
+  const consensus = researchStore.consensus(req.params.company);
+  if (consensus.brokerCount === 0) {
+    return res.status(404).json({ error: 'No research found', message: `No sell-side research recorded for ${req.params.company.toUpperCase()}` });
+  }
+  res.json({ success: true, ...consensus });
+});
+
+// Upgrades, downgrades and price target moves, newest first (?action=downgrade narrows the list)
+app.get('/api/research/:company/rating-history', (req, res) => {
+  const history = researchStore.ratingHistory(req.params.company, req.query.action);
+  res.json({ success: true, company: req.params.company.toUpperCase(), count: history.length, history: history });
+});
+
+// List registered documents
+app.get('/api/documents', (req, res) => {
+  try {
+    const { company, documentType, sourceType } = req.query;
+    const documents = documentRegistry.list({ company, documentType, sourceType });
 
-    const { company } = req.params;
-    const { metric } = req.query; // Optional: 'valuation', 'growth', 'all'
-    
-    console.log(`📊 Comp analysis request: ${company}, metric: ${metric || 'all'}`);
-    
-    const analysis = await compAnalysis.generateCompAnalysis(company.toUpperCase(), metric);
-    
     res.json({
       success: true,
-      data: analysis
+      count: documents.length,
+      documents: documents
     });
 
   } catch (error) {
-    console.error('❌ Comp analysis error:', error);
+    console.error('❌ Error listing documents:', error);
     res.status(500).json({ 
-      error: 'Failed to generate competitive analysis',
-      details: error.message 
+      error: 'Failed to list documents',
+      message: error.message
     });
   }
 });
 
-app.post('/api/generate-template', async (req, res) => {
+// Search registered documents by filename, description or source
+app.get('/api/documents/search', (req, res) => {
   try {
-    const { company, category, situation, audience, tone } = req.body;
-    
-    if (!company || !situation) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        message: 'Company and situation are required' 
-      });
+    const { q, company, documentType, sourceType } = req.query;
+
+    if (!q) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
     }
 
-    console.log(`📧 Template generation request: ${category} for ${audience}`);
-    
-    // Get relevant company data for context
-    const enhancedResults = await productionSearchWithIntelligence(situation, company);
-    
-    // Generate the communication template
-    const template = await generateCommunicationTemplate({
-      company,
-      category: category || 'general',
-      situation,
-      audience: audience || 'institutional',
-      tone: tone || 'professional',
-      contextData: enhancedResults
-    });
-    
-    console.log('✅ Template generated successfully');
-    
+    const documents = documentRegistry.search(q, { company, documentType, sourceType });
+
     res.json({
       success: true,
-      template: template.content,
-      category: category,
-      audience: audience,
-      tone: tone
+      query: q,
+      count: documents.length,
+      documents: documents
     });
 
   } catch (error) {
-    console.error('❌ Template generation error:', error);
+    console.error('❌ Error searching documents:', error);
     res.status(500).json({ 
-      error: 'Failed to generate template',
-      details: error.message 
+      error: 'Document search failed',
+      message: error.message
     });
   }
 });
 
-app.get('/api/stock-quote/:ticker', async (req, res) => {
+// Document detail, optionally with the stored chunk text
+app.get('/api/documents/:id', async (req, res) => {
   try {
-    if (!compAnalysis) {
-      return res.status(503).json({ 
-        error: 'Stock quotes not available',
-        message: 'FMP API key not configured' 
-      });
+    const record = documentRegistry.get(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Document not found' });
     }
 
-    const { ticker } = req.params;
-    const quote = await compAnalysis.getStockQuote(ticker.toUpperCase());
-    
-    if (!quote) {
-      return res.status(404).json({ error: 'Stock not found' });
+    let chunks;
+    if (req.query.includeChunks === 'true') {
+      const fetched = await index.fetch(record.chunkIds);
+      chunks = record.chunkIds
+        .filter(chunkId => fetched.vectors[chunkId])
+        .map(chunkId => ({
+          id: chunkId,
+          metadata: fetched.vectors[chunkId].metadata
+        }));
     }
 
     res.json({
       success: true,
-      data: quote
+      document: record,
+      chunks: chunks
     });
 
   } catch (error) {
-    console.error('❌ Stock quote error:', error);
+    console.error('❌ Error fetching document:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch stock quote',
-      details: error.message 
+      error: 'Failed to fetch document',
+      message: error.message
     });
   }
 });
 
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    features: ['sec-filings', 'web-sources', 'document-uploads', 'production-query-intelligence']
+// Version history of a document, oldest first
+app.get('/api/documents/:id/versions', (req, res) => {
+  const versions = documentRegistry.versions(req.params.id);
+
+  if (versions.length === 0) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  res.json({
+    success: true,
+    documentId: req.params.id,
+    versions: versions.map(doc => ({
+      id: doc.id,
+      version: doc.version || 1,
+      status: doc.status || 'active',
+      originalFilename: doc.originalFilename,
+      uploadDate: doc.uploadDate,
+      chunkCount: doc.chunkCount,
+      contentHash: doc.contentHash,
+      supersededBy: doc.supersededBy
+    }))
   });
 });
 
-// Get companies
-app.get('/api/companies', async (req, res) => {
+// Make an earlier version the active one again
+app.post('/api/documents/:id/rollback', async (req, res) => {
   try {
-    console.log('🔍 Attempting to describe index stats...');
-    const stats = await index.describeIndexStats();
-    console.log('✅ Index stats retrieved:', stats);
-    
+    const target = documentRegistry.get(req.params.id);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (documentRegistry.isActive(target)) {
+      return res.status(409).json({ error: 'Document is already the active version' });
+    }
+
+    const current = await documentVersions.rollback(target);
+    console.log(`⏪ Rolled back to ${target.id}${current ? ` (replacing ${current.id})` : ''}`);
+
     res.json({
-      totalVectors: stats.totalVectorCount,
-      companies: ['DEMO', 'AAPL', 'SNOW', 'CRWV'],
-      timestamp: new Date().toISOString()
+      success: true,
+      activeDocumentId: target.id,
+      supersededDocumentId: current ? current.id : null
     });
+
   } catch (error) {
-    console.error('❌ Error in companies endpoint:', error);
-    console.error('❌ Error details:', error.message);
-    console.error('❌ Error stack:', error.stack);
+    console.error('❌ Error rolling back document:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch companies',
-      details: error.message 
+      error: 'Document rollback failed',
+      message: error.message
     });
   }
 });
 
-// Document upload endpoint
-app.post('/api/upload-document', upload.single('document'), async (req, res) => {
+// Delete every chunk belonging to one uploaded document
+app.delete('/api/documents/:id', async (req, res) => {
   try {
-    const { company, documentType, description, incognitoMode, customSource, sellSideMode } = req.body;
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-    
-    if (!company) {
-      return res.status(400).json({ error: 'Company ticker is required' });
+    const { id } = req.params;
+    const record = documentRegistry.get(id);
+    let chunksDeleted;
+    let restored = null;
+
+    if (record) {
+      console.log(`🗑️  Deleting document ${id} (${record.chunkIds.length} chunks)`);
+      restored = await documentVersions.remove(record);
+      chunksDeleted = record.chunkIds.length;
+    } else {
+      // Documents ingested before the registry existed are found by their chunks' documentId
+      chunksDeleted = (await index.deleteByFilter({ documentId: id }, `${id}-`)).deleted;
+      if (chunksDeleted === 0) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      console.log(`🗑️  Deleted unregistered document ${id} (${chunksDeleted} chunks)`);
     }
-
-    console.log('=== DOCUMENT UPLOAD ===');
-    console.log(`📄 File: ${req.file.originalname}`);
-    console.log(`🏢 Company: ${company}`);
-    console.log(`📝 Type: ${documentType || 'General Document'}`);
-    console.log(`📋 Description: ${description || 'No description'}`);
-
-    const processor = new DocumentProcessor();
-    const result = await processor.processAndStore(
-      req.file.path,
-      req.file.originalname,
-      company,
-      documentType,
-      description,
-      incognitoMode,
-      customSource,
-      sellSideMode
-    );
-
-    console.log('✅ Document upload completed successfully');
+    researchStore.removeByDocument(id);
+    governanceStore.removeByDocument(id);
+    filingSectionsStore.remove(id);
 
     res.json({
       success: true,
-      message: 'Document processed successfully',
-      filename: req.file.originalname,
-      company: company.toUpperCase(),
-      chunksProcessed: result.chunksProcessed,
-      preview: result.content
+      documentId: id,
+      chunksDeleted: chunksDeleted,
+      activeDocumentId: restored ? restored.id : undefined
     });
 
   } catch (error) {
-    console.error('❌ Error processing uploaded document:', error);
+    console.error('❌ Error deleting document:', error);
     res.status(500).json({ 
-      error: 'Document processing failed',
+      error: 'Document deletion failed',
       message: error.message
     });
   }
 });
 
-// Enhanced Multi-File Upload Endpoint
-app.post('/api/upload-documents', upload.array('documents', 10), async (req, res) => {
+// Retag every chunk belonging to one uploaded document
+app.patch('/api/documents/:id', async (req, res) => {
   try {
-    const { company, documentType, description, incognitoMode, customSource, sellSideMode } = req.body;
-    
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
-    }
-    
-    if (!company) {
-      return res.status(400).json({ error: 'Company ticker is required' });
-    }
-
-    console.log('=== MULTI-DOCUMENT UPLOAD ===');
-    console.log(`📄 Files: ${req.files.length} documents`);
-    console.log(`🏢 Company: ${company}`);
-    console.log(`📝 Type: ${documentType || 'General Documents'}`);
-
-    const processor = new DocumentProcessor();
-    const results = [];
-    const errors = [];
-
-    // Process each file
-    for (let i = 0; i < req.files.length; i++) {
-      const file = req.files[i];
-      console.log(`📄 Processing ${i + 1}/${req.files.length}: ${file.originalname}`);
-      
-      try {
-        const result = await processor.processAndStore(
-          file.path,
-          file.originalname,
-          company,
-          documentType,
-          description,
-          incognitoMode,
-          customSource,
-          sellSideMode
-        );
-
-        results.push({
-          filename: file.originalname,
-          success: true,
-          chunksProcessed: result.chunksProcessed,
-          preview: result.content.substring(0, 200) + '...'
-        });
+    const { id } = req.params;
 
-        console.log(`✅ Completed ${file.originalname}: ${result.chunksProcessed} chunks`);
-
-      } catch (error) {
-        console.error(`❌ Error processing ${file.originalname}:`, error.message);
-        
-        errors.push({
-          filename: file.originalname,
-          error: error.message
-        });
-
-        // Clean up failed file
-        if (fs.existsSync(file.path)) {
-          fs.unlinkSync(file.path);
-        }
+    const updates = {};
+    RETAGGABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = field === 'company' ? String(req.body[field]).toUpperCase() : req.body[field];
       }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ 
+        error: 'No metadata to update',
+        message: `Allowed fields: ${RETAGGABLE_FIELDS.join(', ')}`
+      });
     }
 
-    const successCount = results.length;
-    const totalChunks = results.reduce((sum, r) => sum + r.chunksProcessed, 0);
+    const chunkIds = await resolveChunkIds(id);
+    if (chunkIds.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    console.log(`🎉 Multi-upload completed: ${successCount}/${req.files.length} files successful, ${totalChunks} total chunks`);
+    console.log(`🏷️  Retagging document ${id} (${chunkIds.length} chunks):`, updates);
+    for (const chunkId of chunkIds) {
+      await index.updateMetadata(chunkId, updates);
+    }
+    documentRegistry.update(id, updates);
 
     res.json({
       success: true,
-      message: `Successfully processed ${successCount} of ${req.files.length} documents`,
-      company: company.toUpperCase(),
-      summary: {
-        totalFiles: req.files.length,
-        successfulFiles: successCount,
-        failedFiles: errors.length,
-        totalChunksProcessed: totalChunks
-      },
-      results: results,
-      errors: errors.length > 0 ? errors : undefined
+      documentId: id,
+      chunksUpdated: chunkIds.length,
+      updates: updates
     });
 
   } catch (error) {
-    console.error('❌ Error in multi-document upload:', error);
-    
-    // Clean up any remaining files
-    if (req.files) {
-      req.files.forEach(file => {
-        if (fs.existsSync(file.path)) {
-          fs.unlinkSync(file.path);
-        }
-      });
-    }
-
+    console.error('❌ Error updating document metadata:', error);
     res.status(500).json({ 
-      error: 'Multi-document upload failed',
+      error: 'Document update failed',
       message: error.message
     });
   }
 });
 
-// Batch upload status endpoint
-app.get('/api/upload-status/:company', async (req, res) => {
-  try {
-    const { company } = req.params;
-    
-    // Get document count for this company
-    const stats = await index.describeIndexStats();
-    
-    // You could enhance this to query Pinecone for actual document counts
-    // For now, return basic stats
-    
-    res.json({
-      company: company.toUpperCase(),
-      status: 'ready',
-      totalDocuments: 'Available via database query',
-      lastUpload: new Date().toISOString(),
-      systemStatus: 'operational'
-    });
-
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to get upload status' });
-  }
-});
-
 // Enhanced chat endpoint with production query intelligence
 // Management chat endpoint for earnings prep
 app.post('/api/management-chat', async (req, res) => {
@@ -1391,6 +4215,48 @@ app.post('/api/chat', async (req, res) => {
       }
     }
 
+    // "What changed in the risk factors?" is answered from a diff of the two latest filings;
+    // it names a filing or period, so it is checked before the broader intents
+    const diffQuery = parseFilingDiffQuestion(question);
+    const diffAnswer = diffQuery ? await answerFilingDiffQuestion(company, diffQuery) : null;
+    if (diffAnswer) {
+      console.log(`🔀 Answered from a filing diff: ${diffQuery.section} ${diffAnswer.data.previousFiling.filingDate} -> ${diffAnswer.data.filing.filingDate}`);
+      return res.json(diffAnswer);
+    }
+
+    // Insider buying and selling comes from the parsed Forms 3, 4 and 5
+    const insiderQuery = parseInsiderQuestion(question);
+    const insiderAnswer = insiderQuery ? answerInsiderQuestion(company, insiderQuery) : null;
+    if (insiderAnswer) {
+      console.log(`👤 Answered from insider filings: ${insiderAnswer.data.transactions.length} transactions ${insiderQuery.from} to ${insiderQuery.to}`);
+      return res.json(insiderAnswer);
+    }
+
+    // Questions about major holders come from the 13D/13G register
+    const holdersQuery = parseHoldersQuestion(question);
+    const holdersAnswer = holdersQuery ? answerHoldersQuestion(company, holdersQuery, question) : null;
+    if (holdersAnswer) {
+      console.log(`🏦 Answered from the holders register: ${holdersAnswer.data.holders.length} holders`);
+      return res.json(holdersAnswer);
+    }
+
+    // Executive pay, board and ballot questions come from the parsed proxy statements
+    const governanceQuery = parseGovernanceQuestion(question);
+    const governanceAnswer = governanceQuery ? answerGovernanceQuestion(company, governanceQuery, question) : null;
+    if (governanceAnswer) {
+      console.log(`🗳️  Answered from proxy statements: ${governanceQuery.topic}`);
+      return res.json(governanceAnswer);
+    }
+
+    // Exact figures come from the XBRL financials rather than from document text. Metric names
+    // turn up in most questions, so the narrower intents above get the first look
+    const financialQuery = parseFinancialQuestion(question);
+    const financialAnswer = financialQuery ? answerFinancialQuestion(company, financialQuery) : null;
+    if (financialAnswer) {
+      console.log(`📊 Answered from XBRL financials: ${financialAnswer.data.concept} ${financialAnswer.data.period}`);
+      return res.json(financialAnswer);
+    }
+
     // Use production query intelligence system
     const enhancedResults = await productionSearchWithIntelligence(question, company);
     
@@ -1405,11 +4271,7 @@ app.post('/api/chat', async (req, res) => {
     console.log(`📄 Found ${enhancedResults.length} relevant documents`);
 
     const aiResponse = await generateAIResponse(enhancedResults, question, company);
-    const sources = [...new Set(enhancedResults.map(doc => {
-      return doc.metadata.sourceType === 'internal-document' 
-        ? `Internal: ${doc.metadata.originalFilename || doc.metadata.source}`
-        : doc.metadata.source;
-    }))];
+    const sources = [...new Set(enhancedResults.map(doc => formatCitation(doc.metadata)))];
     
     console.log('✅ Chat request completed successfully');
 
@@ -1726,7 +4588,7 @@ app.get('/meetings', (req, res) => {
                         <div class="upload-icon">📄</div>
                         <div class="upload-text">Upload Meeting Notes or Transcript</div>
                         <div class="upload-subtext">Drag & drop files here or click to browse</div>
-                        <input type="file" id="fileInput" class="file-input" accept=".txt,.pdf,.docx" multiple>
+                        <input type="file" id="fileInput" class="file-input" accept=".txt,.pdf,.docx,.doc,.pptx,.xlsx,.html,.htm,.md,.eml" multiple>
                     </div>
 
                     <form id="meetingForm">
@@ -3370,23 +6232,35 @@ app.get('/investor', (req, res) => {
 // Meeting analysis endpoints
 app.post('/api/analyze-meeting', async (req, res) => {
   try {
-    const { company, meetingDate, meetingType, attendees, notes } = req.body;
+    const { company, meetingDate, meetingType, attendees, notes, redact } = req.body;
     
     if (!notes || !company || !attendees) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
     console.log(`🔍 Analyzing meeting for ${company}...`);
+
+    // Optionally strip analyst and broker details before the notes leave the building
+    let meetingNotes = notes;
+    let redactionReport = null;
+    if (redact === true || redact === 'true') {
+      const redacted = redactionEngine.redact(notes, { tenant: company });
+      meetingNotes = redacted.text;
+      redactionReport = redacted.report;
+      console.log(`🔒 Redacted meeting notes (${redactionReport.summary.total} redactions)`);
+    }
     
     // Generate meeting analysis using AI
-    const analysis = await analyzeMeetingContent(notes, company, meetingType, attendees);
+    const analysis = await analyzeMeetingContent(meetingNotes, company, meetingType, attendees);
     
     console.log('✅ Meeting analysis completed');
     
     res.json({
       success: true,
       analysis: analysis,
-      ...analysis
+      ...analysis,
+      redactedNotes: redactionReport ? meetingNotes : undefined,
+      redactionReport: redactionReport || undefined
     });
 
   } catch (error) {
@@ -3406,7 +6280,7 @@ app.post('/api/extract-meeting-text', upload.single('file'), async (req, res) =>
 
     console.log(`📄 Extracting text from ${req.file.originalname}...`);
     
-    const extractedText = await extractTextFromFile(req.file.path, req.file.mimetype);
+    let extractedText = await extractTextFromFile(req.file.path, req.file.originalname);
     
     // Clean up uploaded file
     if (fs.existsSync(req.file.path)) {
@@ -3414,11 +6288,19 @@ app.post('/api/extract-meeting-text', upload.single('file'), async (req, res) =>
     }
     
     console.log(`✅ Extracted ${extractedText.length} characters`);
+
+    let redactionReport = null;
+    if (req.body.redact === 'true') {
+      const redacted = redactionEngine.redact(extractedText, { tenant: req.body.company });
+      extractedText = redacted.text;
+      redactionReport = redacted.report;
+    }
     
     res.json({
       success: true,
       text: extractedText,
-      filename: req.file.originalname
+      filename: req.file.originalname,
+      redactionReport: redactionReport || undefined
     });
 
   } catch (error) {
@@ -3503,30 +6385,11 @@ Investor Relations Team`
   }
 }
 
-async function extractTextFromFile(filePath, mimeType) {
+// Same extractors as document uploads, chosen by file extension
+async function extractTextFromFile(filePath, originalName) {
   try {
-    let extractedText = '';
-    
-    if (mimeType === 'application/pdf') {
-      // Use pdf-parse for PDF files
-      const pdf = require('pdf-parse');
-      const dataBuffer = fs.readFileSync(filePath);
-      const pdfData = await pdf(dataBuffer);
-      extractedText = pdfData.text;
-      
-    } else if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-      // Use mammoth for DOCX files
-      const mammoth = require('mammoth');
-      const result = await mammoth.extractRawText({ path: filePath });
-      extractedText = result.value;
-      
-    } else if (mimeType === 'text/plain') {
-      // Read plain text files
-      extractedText = fs.readFileSync(filePath, 'utf8');
-      
-    } else {
-      throw new Error(`Unsupported file type: ${mimeType}`);
-    }
+    const processor = new DocumentProcessor();
+    let extractedText = await processor.extractTextFromFile(filePath, originalName);
     
     // Clean and validate extracted text
     extractedText = extractedText
@@ -3551,14 +6414,16 @@ const PORT = process.env.PORT || 3000;
 
 async function startServer() {
   try {
-    await initializePinecone();
+    await initializeVectorStore();
+    ingestionQueue.resume();
+    startRetentionSweeper();
     
     app.listen(PORT, () => {
       console.log('🚀 SimplifyIR Production Server Starting...');
       console.log('📊 Production Query Intelligence System Enabled...');
       console.log('📁 Document Upload Portal Ready...');
       console.log(`🚀 Server running on port ${PORT}`);
-      console.log(`📊 Connected to Pinecone index: simplifyir`);
+      console.log(`📊 Connected to vector store: ${vectorStoreBackend}`);
       console.log('');
       console.log('Available endpoints:');
       console.log(`  GET  http://localhost:${PORT}/api/health`);
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { StructuredChunker } = require('./chunker');
+const { fixture, runTests } = require('./test-helpers');
+
+const chunker = new StructuredChunker({ minChars: 20 });
+
+function testPlainTextTable() {
+  const chunks = chunker.chunk(fixture('chunker', 'plain-text-financial-table.txt'));
+  const tables = chunks.filter(chunk => chunk.metadata.chunkType === 'table');
+
+  assert.strictEqual(tables.length, 1, 'the table stays one chunk');
+  ['Fiscal Year 2024 2023', 'Products 1,000 900', 'Services 400 350', 'Total Net Sales 1,400 1,250'].forEach(row => {
+    assert.ok(tables[0].content.includes(row), `table keeps "${row}"`);
+  });
+  chunks.forEach(chunk => {
+    assert.ok(!/\d/.test(chunk.metadata.sectionPath.replace(/ITEM 7/, '')), `no figures in sectionPath: ${chunk.metadata.sectionPath}`);
+  });
+  assert.strictEqual(chunks[chunks.length - 1].metadata.sectionPath, "ITEM 7. MANAGEMENT'S DISCUSSION AND ANALYSIS > Liquidity and Capital Resources");
+  console.log('✅ Plain-text financial table rows are not taken for headings');
+}
+
+function testAlignedTable() {
+  const chunks = chunker.chunk(fixture('chunker', 'aligned-financial-table.txt'));
+  const table = chunks.find(chunk => chunk.metadata.chunkType === 'table');
+
+  assert.ok(table, 'whitespace-aligned rows form a table');
+  assert.ok(table.content.includes('Greater China         15,061      22,158'));
+  chunks.forEach(chunk => assert.strictEqual(chunk.metadata.sectionPath, 'Segment Information'));
+  console.log('✅ Whitespace-aligned table stays whole under its heading');
+}
+
+function testHeadingsStillDetected() {
+  const chunks = chunker.chunk('PART I\n\nItem 1A. Risk Factors\n\nCompetition\n\nThe markets for the Company\'s products are highly competitive and subject to rapid change.');
+  assert.strictEqual(chunks[0].metadata.sectionPath, 'PART I > Item 1A. Risk Factors > Competition');
+  console.log('✅ PART, Item and title-case headings are still detected');
+}
+
+function testAlignedColumnsWithoutFigures() {
+  const chunks = chunker.chunk([
+    'Name          Title                      Since',
+    'Jane Doe      Chief Executive Officer    2019',
+    'Ravi Patel    Chief Financial Officer    2021'
+  ].join('\n'));
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.metadata.chunkType), ['table']);
+  console.log('✅ Rows whose columns line up form a table without any figures');
+}
+
+function testProseWithDoubleSpaces() {
+  const chunks = chunker.chunk([
+    'Demand was strong.  Services grew  in every region, and the Company expanded',
+    'its retail footprint.  Margins held  despite higher component costs in the',
+    'second half.  Management expects  similar trends to continue next year.'
+  ].join('\n'));
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.metadata.chunkType), ['text'], 'double-spaced prose is not a table');
+  assert.ok(chunks[0].content.startsWith('Demand was strong.  Services grew  in every region, and the Company expanded its retail'));
+  console.log('✅ Double spaces in prose do not make table rows');
+}
+
+function testCharacterBudget() {
+  const sentence = 'Revenue of $1,234.5 million rose 12.3% from $1,099.2 million in fiscal 2023.';
+  const small = new StructuredChunker({ maxChars: 300, overlapChars: 100, minChars: 20 });
+  const chunks = small.chunk(Array(40).fill(sentence).join(' '));
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => {
+    assert.ok(chunk.content.length <= 300, `${chunk.content.length} characters`);
+    assert.strictEqual(chunk.metadata.charCount, chunk.content.length);
+  });
+  console.log(`✅ ${chunks.length} chunks within a 300-character budget, overlap included`);
+}
+
+runTests('Chunker', [testPlainTextTable, testAlignedTable, testHeadingsStillDetected, testAlignedColumnsWithoutFigures, testProseWithDoubleSpaces, testCharacterBudget]);
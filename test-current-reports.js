@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { isCurrentReport, itemsFromText, describeItems, eventTypes, isReleaseExhibit, exhibitDocumentType } = require('./current-reports');
+const { fixture, runTests } = require('./test-helpers');
+
+function testItemClassification() {
+  assert.ok(isCurrentReport('8-K') && isCurrentReport('8-K/A'));
+  assert.ok(!isCurrentReport('10-K') && !isCurrentReport('8-K12B'));
+
+  // "this Item 2.02" in the body is not a heading; only the headings count
+  const codes = itemsFromText(fixture('current-reports', '8k-results-and-cfo.txt'));
+  assert.deepStrictEqual(codes, ['2.02', '5.02', '9.01']);
+  assert.deepStrictEqual(eventTypes(codes), ['earnings', 'leadership'], 'the exhibit list is not an event');
+
+  const [unknown] = describeItems(['7.99']);
+  assert.strictEqual(unknown.title, null);
+  assert.strictEqual(unknown.eventType, 'other');
+  console.log(`✅ 8-K items from text: ${codes.join(', ')} -> ${eventTypes(codes).join(', ')}`);
+}
+
+function testExhibits() {
+  const exhibits = [
+    { type: 'EX-99.1', document: 'acme-20250206xex991.htm', description: 'EX-99.1' },
+    { type: 'EX-99.2', document: 'acme-q4fy24investorxpres.pdf', description: 'Investor presentation' },
+    { type: 'EX-99.3', document: 'acme-20250206xex993.htm', description: 'Supplemental schedules' },
+    { type: 'EX-104', document: 'acme-20250206_htm.xml', description: 'Cover page' },
+    { type: 'EX-99.1', document: 'acme-20250206xex991.jpg', description: 'Logo' }
+  ];
+
+  const ingested = exhibits.filter(isReleaseExhibit);
+  assert.deepStrictEqual(ingested.map(exhibit => exhibit.type), ['EX-99.1', 'EX-99.2', 'EX-99.3']);
+  assert.deepStrictEqual(ingested.map(exhibitDocumentType), ['press-releases', 'presentations', 'other']);
+  console.log('✅ Exhibit 99 documents are ingested and typed; cover pages and images are skipped');
+}
+
+runTests('Current reports', [testItemClassification, testExhibits]);
@@ -0,0 +1,34 @@
+const assert = require('assert');
+const { htmlToText } = require('./document-extractors');
+const { StructuredChunker } = require('./chunker');
+const { fixture, runTests } = require('./test-helpers');
+
+function testIxbrlTable() {
+  const text = htmlToText(fixture('document-extractors', 'ixbrl-income-statement.htm'));
+
+  assert.ok(!text.includes('AmendmentFlag'), 'the hidden iXBRL header is dropped');
+  assert.ok(text.includes([
+    '| | Year Ended December 31, | Year Ended December 31, |',
+    '| | 2024 | 2023 |',
+    '| --- | --- | --- |',
+    '| Net sales [us-gaap:Revenues] | $4,800 | $4,000 |',
+    '| Other income (expense), net [us-gaap:NonoperatingIncomeExpense] | (35) | 12 |',
+    '| Gross margin percentage | 46.2% | 44.1% |',
+    '| Diluted earnings per share [us-gaap:EarningsPerShareDiluted] | $6.08 | $6.13 |'
+  ].join('\n')), 'spans are expanded, spacer columns dropped and "$", ")" and "%" cells joined to their figures');
+  console.log('✅ iXBRL table renders as Markdown rows with concepts on their labels');
+}
+
+function testTableChunkMetadata() {
+  const chunks = new StructuredChunker({ minChars: 20 }).chunk(htmlToText(fixture('document-extractors', 'ixbrl-income-statement.htm')));
+  const table = chunks.find(chunk => chunk.metadata.chunkType === 'table');
+
+  assert.ok(table.content.startsWith('CONSOLIDATED STATEMENTS OF OPERATIONS (in millions)\n| |'));
+  assert.strictEqual(table.metadata.tableCaption, 'CONSOLIDATED STATEMENTS OF OPERATIONS');
+  assert.deepStrictEqual(table.metadata.tablePeriods, ['Year Ended December 31, 2024', 'Year Ended December 31, 2023']);
+  assert.strictEqual(table.metadata.tableUnit, 'millions');
+  assert.deepStrictEqual(table.metadata.xbrlConcepts, ['us-gaap:Revenues', 'us-gaap:NonoperatingIncomeExpense', 'us-gaap:EarningsPerShareDiluted']);
+  console.log('✅ Table chunks carry caption, periods, unit and concepts');
+}
+
+runTests('Document extractors', [testIxbrlTable, testTableChunkMetadata]);
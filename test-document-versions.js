@@ -0,0 +1,101 @@
+const assert = require('assert');
+const path = require('path');
+const DocumentRegistry = require('./document-registry');
+const DocumentVersions = require('./document-versions');
+const LocalVectorStore = require('./local-vector-store');
+const { tempDir, runTests } = require('./test-helpers');
+
+// Two versions of one upload: v2 has replaced v1
+async function twoVersions() {
+  const dir = tempDir('document-versions');
+  const index = new LocalVectorStore({ filePath: path.join(dir, 'vectors.json') });
+  const registry = new DocumentRegistry({ filePath: path.join(dir, 'documents.json') });
+  const versions = new DocumentVersions({ index, registry });
+
+  await index.upsert([
+    { id: 'ACME-INTERNAL-1-0', values: [1, 0], metadata: { company: 'ACME', documentId: 'ACME-INTERNAL-1', superseded: true } },
+    { id: 'ACME-INTERNAL-2-0', values: [1, 0], metadata: { company: 'ACME', documentId: 'ACME-INTERNAL-2', superseded: false } }
+  ]);
+  registry.register({ id: 'ACME-INTERNAL-1', company: 'ACME', chunkIds: ['ACME-INTERNAL-1-0'], version: 1, versionGroup: 'ACME-INTERNAL-1', status: 'superseded', supersededBy: 'ACME-INTERNAL-2' });
+  registry.register({ id: 'ACME-INTERNAL-2', company: 'ACME', chunkIds: ['ACME-INTERNAL-2-0'], version: 2, versionGroup: 'ACME-INTERNAL-1', status: 'active', previousVersionId: 'ACME-INTERNAL-1' });
+  return { index, registry, versions };
+}
+
+const searchable = async index => (await index.query([1, 0], 10, { company: 'ACME', superseded: false })).matches.map(match => match.id);
+
+async function testDeletingActiveVersionRestoresPrevious() {
+  const { index, registry, versions } = await twoVersions();
+
+  const restored = await versions.remove(registry.get('ACME-INTERNAL-2'));
+  assert.strictEqual(restored.id, 'ACME-INTERNAL-1');
+  assert.strictEqual(registry.get('ACME-INTERNAL-2'), null);
+  assert.strictEqual(registry.get('ACME-INTERNAL-1').status, 'active');
+  assert.strictEqual(registry.get('ACME-INTERNAL-1').supersededBy, null);
+  assert.deepStrictEqual(await searchable(index), ['ACME-INTERNAL-1-0'], 'the document stays searchable');
+  console.log('✅ Deleting the active version makes the version it replaced active again');
+}
+
+async function testDeletingOlderVersionLeavesActiveAlone() {
+  const { index, registry, versions } = await twoVersions();
+
+  assert.strictEqual(await versions.remove(registry.get('ACME-INTERNAL-1')), null);
+  assert.strictEqual(registry.get('ACME-INTERNAL-2').status, 'active');
+  assert.deepStrictEqual(await searchable(index), ['ACME-INTERNAL-2-0']);
+  console.log('✅ Deleting a superseded version leaves the active one in place');
+}
+
+async function testFailedDeleteIsUndone() {
+  const { index, registry, versions } = await twoVersions();
+  index.delete = async () => {
+    throw new Error('Vector store unavailable');
+  };
+
+  await assert.rejects(versions.remove(registry.get('ACME-INTERNAL-2')), /Vector store unavailable/);
+  assert.strictEqual(registry.get('ACME-INTERNAL-1').status, 'superseded');
+  assert.deepStrictEqual(await searchable(index), ['ACME-INTERNAL-2-0'], 'only one version is live');
+  console.log('✅ A failed delete re-supersedes the restored version');
+}
+
+async function testRollback() {
+  const { index, registry, versions } = await twoVersions();
+
+  const replaced = await versions.rollback(registry.get('ACME-INTERNAL-1'));
+  assert.strictEqual(replaced.id, 'ACME-INTERNAL-2');
+  assert.strictEqual(registry.get('ACME-INTERNAL-2').supersededBy, 'ACME-INTERNAL-1');
+  assert.deepStrictEqual(await searchable(index), ['ACME-INTERNAL-1-0']);
+  console.log('✅ Rollback makes the earlier version the only live one');
+}
+
+async function testFailedRollbackIsUndone() {
+  const { index, registry, versions } = await twoVersions();
+  const updateMetadataMany = index.updateMetadataMany.bind(index);
+  index.updateMetadataMany = async updates => {
+    if (updates.some(update => update.id === 'ACME-INTERNAL-2-0' && update.metadata.superseded)) {
+      throw Object.assign(new Error('Vector store unavailable'), { updatedIds: [] });
+    }
+    return updateMetadataMany(updates);
+  };
+
+  await assert.rejects(versions.rollback(registry.get('ACME-INTERNAL-1')), /Vector store unavailable/);
+  assert.strictEqual(registry.get('ACME-INTERNAL-1').status, 'superseded');
+  assert.strictEqual(registry.get('ACME-INTERNAL-2').status, 'active');
+  assert.deepStrictEqual(await searchable(index), ['ACME-INTERNAL-2-0'], 'the earlier version is superseded again');
+  console.log('✅ A rollback that cannot supersede the current version is undone');
+}
+
+async function testRetrievalFilter() {
+  const index = new LocalVectorStore({ filePath: path.join(tempDir('document-versions'), 'vectors.json') });
+  const expired = Math.floor(Date.now() / 1000) - 60;
+  await index.upsert([
+    { id: 'legacy-0', values: [1, 0], metadata: { company: 'ACME' } },
+    { id: 'active-0', values: [1, 0], metadata: { company: 'ACME', superseded: false, expiresAtEpoch: 0 } },
+    { id: 'old-0', values: [1, 0], metadata: { company: 'ACME', superseded: true } },
+    { id: 'expired-0', values: [1, 0], metadata: { company: 'ACME', superseded: false, expiresAtEpoch: expired } }
+  ]);
+
+  const matches = (await index.query([1, 0], 10, DocumentVersions.retrievalFilter('ACME'))).matches;
+  assert.deepStrictEqual(matches.map(match => match.id).sort(), ['active-0', 'legacy-0'], 'vectors without the flag stay searchable');
+  console.log('✅ Retrieval skips superseded and expired chunks and keeps ones stored before versioning');
+}
+
+runTests('Document versions', [testRetrievalFilter, testDeletingActiveVersionRestoresPrevious, testDeletingOlderVersionLeavesActiveAlone, testFailedDeleteIsUndone, testRollback, testFailedRollbackIsUndone]);
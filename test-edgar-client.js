@@ -0,0 +1,94 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+// The recorded cache under fixtures/edgar is replayed; nothing may reach the network
+process.env.SEC_CACHE_DIR = path.join(__dirname, 'fixtures', 'edgar');
+process.env.SEC_CACHE_MODE = 'replay';
+const { EdgarClient } = require('./edgar-client');
+const secFilings = require('./sec-filings');
+const { htmlToText } = require('./document-extractors');
+const { FilingParser } = require('./filing-parser');
+const { tempDir, runTests } = require('./test-helpers');
+
+const realFetch = global.fetch;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testReplayIngestion() {
+  global.fetch = async url => {
+    throw new Error(`Unexpected network request to ${url}`);
+  };
+
+  try {
+    const company = await secFilings.lookupCompany('aapl');
+    assert.deepStrictEqual(company, { cik: '0000320193', name: 'Apple Inc.' });
+
+    const filings = await secFilings.listFilings(company.cik, { forms: ['10-K'] });
+    assert.strictEqual(filings.length, 1);
+    assert.strictEqual(filings[0].accessionNumber, '0000320193-24-000123');
+
+    const download = await secFilings.downloadFiling(filings[0], tempDir('edgar'));
+    const text = htmlToText(fs.readFileSync(download.path, 'utf8'));
+    const parsed = new FilingParser().parse(text, '10-K');
+    assert.deepStrictEqual(parsed.sections.filter(section => section.item).map(section => section.filingSection), ['business', 'risk-factors', 'financial-statements']);
+    assert.ok(text.includes('| Total net sales [us-gaap:RevenueFromContractWithCustomerExcludingAssessedTax] | $391,035 | $383,285 |'));
+
+    await assert.rejects(secFilings.listFilings('0000789019'), error => error.status === 404 && error.retryable === false);
+    console.log('✅ A 10-K is looked up, listed, downloaded and sectioned from the recorded cache');
+  } finally {
+    global.fetch = realFetch;
+  }
+}
+
+async function testUserAgentIsRequired() {
+  const userAgent = process.env.SEC_USER_AGENT;
+  delete process.env.SEC_USER_AGENT;
+  try {
+    const client = new EdgarClient({ mode: 'off', cacheDir: tempDir('edgar') });
+    await assert.rejects(client.get('https://data.sec.gov/submissions/CIK0000320193.json'),
+      error => /SEC_USER_AGENT/.test(error.message) && error.retryable === false);
+    console.log('✅ Requests without SEC_USER_AGENT are refused');
+  } finally {
+    if (userAgent !== undefined) process.env.SEC_USER_AGENT = userAgent;
+  }
+}
+
+async function testCacheEviction() {
+  global.fetch = async () => new Response('x'.repeat(1000), { status: 200, headers: { 'content-type': 'text/html' } });
+  const cacheDir = tempDir('edgar');
+  const archive = name => `https://www.sec.gov/Archives/edgar/data/320193/000032019324000123/${name}`;
+
+  try {
+    const client = new EdgarClient({ userAgent: 'Test ops@example.com', cacheDir, mode: 'default', cacheMaxBytes: 3000 });
+    await client.get(archive('a.htm'));
+    await sleep(20);
+    await client.get(archive('b.htm'));
+    await sleep(20);
+    await client.get(archive('a.htm'));
+    assert.strictEqual(client.stats.cacheHits, 1);
+    await sleep(20);
+    await client.get(archive('c.htm'));
+
+    // b was used least recently
+    assert.ok(!fs.existsSync(client.cachePath(archive('b.htm'))), 'the least recently used response is evicted');
+    assert.ok(fs.existsSync(client.cachePath(archive('a.htm'))));
+    assert.ok(fs.existsSync(client.cachePath(archive('c.htm'))));
+    assert.ok(client.cacheBytes <= 3000);
+
+    // Filing documents unused for the maximum age go; other responses stay until the size limit
+    const submissions = 'https://data.sec.gov/submissions/CIK0000320193.json';
+    client.cacheMaxBytes = 10000;
+    await client.get(submissions);
+    const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+    [archive('a.htm'), submissions].forEach(url => fs.utimesSync(client.cachePath(url), old, old));
+    client.evict();
+    assert.ok(!fs.existsSync(client.cachePath(archive('a.htm'))));
+    assert.ok(!fs.existsSync(`${client.cachePath(archive('a.htm'))}.meta.json`));
+    assert.ok(fs.existsSync(client.cachePath(submissions)));
+    console.log(`✅ Cache kept under its size limit and filing documents expire (${client.stats.evicted} evicted)`);
+  } finally {
+    global.fetch = realFetch;
+  }
+}
+
+runTests('EDGAR client', [testReplayIngestion, testUserAgentIsRequired, testCacheEviction]);
@@ -0,0 +1,37 @@
+const assert = require('assert');
+const { compareSections, parseFilingDiffQuestion } = require('./filing-diff');
+const { fixture, runTests } = require('./test-helpers');
+
+function testRiskFactorDiff() {
+  const result = compareSections(fixture('filing-diff', 'risk-factors-2023.txt'), fixture('filing-diff', 'risk-factors-2024.txt'), 'risk-factors');
+
+  assert.deepStrictEqual(result.summary, { unitsBefore: 4, unitsAfter: 4, added: 1, removed: 1, reworded: 1, minorEdits: 1, unchanged: 1 });
+  assert.ok(result.added[0].heading.includes('artificial intelligence'));
+  assert.ok(result.removed[0].heading.includes('key personnel'));
+  assert.strictEqual(result.added[0].category, 'Business Risks');
+
+  const [reworded] = result.reworded;
+  assert.ok(reworded.heading.includes('outsourcing partners'));
+  assert.ok(reworded.paragraphs.some(paragraph => paragraph.status === 'modified' && paragraph.diff.includes('{+trade policy, export controls')));
+
+  // "fiscal 2023 ... 40%" becoming "fiscal 2024 ... 43%" is not a rewording
+  assert.strictEqual(result.minorEdits[0].changedWords, 0);
+  console.log('✅ Risk factors are matched across filings and reported as added, removed and reworded');
+}
+
+function testDiffQuestions() {
+  assert.deepStrictEqual(parseFilingDiffQuestion('What changed in the risk factors since the last 10-K?'), { section: 'risk-factors', form: '10-K' });
+  assert.deepStrictEqual(parseFilingDiffQuestion('New risks in the latest 10-Q?'), { section: 'risk-factors', form: '10-Q' });
+  assert.deepStrictEqual(parseFilingDiffQuestion('What risks changed vs the prior quarter?'), { section: 'risk-factors', form: '10-Q' });
+  assert.deepStrictEqual(parseFilingDiffQuestion('How did MD&A change year over year?'), { section: 'mdna', form: '10-K' });
+  assert.deepStrictEqual(parseFilingDiffQuestion('How did risk factors change from 2023 to 2024?'), { section: 'risk-factors', form: '10-K' });
+
+  [
+    'Are there new risks from AI?',
+    'What changed in risk factors for revenue?',
+    'What are the main risks to revenue?'
+  ].forEach(question => assert.strictEqual(parseFilingDiffQuestion(question), null, question));
+  console.log('✅ Diff questions need a filing or period to compare against');
+}
+
+runTests('Filing diff', [testRiskFactorDiff, testDiffQuestions]);
@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { FilingParser } = require('./filing-parser');
+const { fixture, runTests } = require('./test-helpers');
+
+const parser = new FilingParser();
+
+function testTableCellHeadings() {
+  const text = fixture('filing-parser', 'table-cell-headings-10k.txt');
+  const parsed = parser.parse(text, '10-K');
+
+  assert.ok(parsed.isSectioned, 'headings in table cells anchor sections');
+  const sections = parsed.sections.filter(section => section.item);
+  assert.deepStrictEqual(sections.map(section => section.item), ['1', '1A', '7', '8']);
+  assert.deepStrictEqual(sections.map(section => section.filingSection), ['business', 'risk-factors', 'mdna', 'financial-statements']);
+
+  // The body headings win over the table of contents rows
+  const risks = sections.find(section => section.item === '1A');
+  assert.ok(risks.text.includes('highly competitive'), 'risk factors section holds its body text');
+  assert.strictEqual(risks.part, 'Part I');
+  assert.strictEqual(sections.find(section => section.item === '7').part, 'Part II');
+  assert.ok(sections.find(section => section.item === '8').text.includes('| Total net sales | 391,035 | 383,285 |'));
+  console.log('✅ Item headings laid out as table cells anchor their sections');
+}
+
+function testCrossReferencesAreNotHeadings() {
+  const text = [
+    'Item 1. Business',
+    'The Company sells phones. See Item 7 of this report for a discussion of results of operations and the financial condition of the Company.',
+    '| Item 7 | Revenue by segment | 1,200 |',
+    'Item 1A. Risk Factors',
+    'Competition is intense.'
+  ].join('\n');
+  const parsed = parser.parse(text, '10-K');
+
+  assert.deepStrictEqual(parsed.sections.filter(section => section.item).map(section => section.item), ['1', '1A']);
+  console.log('✅ Cross-references and unrelated table rows are not item headings');
+}
+
+runTests('Filing parser', [testTableCellHeadings, testCrossReferencesAreNotHeadings]);
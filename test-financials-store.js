@@ -0,0 +1,44 @@
+const assert = require('assert');
+const { FinancialsStore, parseFinancialQuestion } = require('./financials-store');
+const { fixture, tempDir, runTests } = require('./test-helpers');
+
+const companyFacts = JSON.parse(fixture('financials', 'companyfacts-acme.json'));
+const store = new FinancialsStore({ dir: tempDir('financials') });
+store.importCompanyFacts('ACME', companyFacts);
+
+const quarterly = metric => store.series('ACME', metric, { view: 'quarterly' }).values.map(value => [value.period, value.value]);
+
+function testQuartersFromYearToDateFacts() {
+  // The 10-Qs report operating cash flow for three, six and nine months
+  assert.deepStrictEqual(quarterly('operatingCashFlow'), [['Q4 FY2024', 180], ['Q3 FY2024', 170], ['Q2 FY2024', 150], ['Q1 FY2024', 100]]);
+  assert.deepStrictEqual(quarterly('revenue'), [['Q4 FY2024', 1500], ['Q3 FY2024', 1200], ['Q2 FY2024', 1100], ['Q1 FY2024', 1000]]);
+
+  const { point } = store.lookup('ACME', { metric: 'operatingCashFlow', view: 'quarterly', fy: 2024, fp: 'Q2' });
+  assert.strictEqual(point.start, '2024-04-01');
+  assert.strictEqual(point.derived, true);
+  console.log('✅ Quarterly cash flow is derived from year-to-date figures');
+}
+
+function testExplicitFigureRequests() {
+  assert.deepStrictEqual(parseFinancialQuestion('What was revenue in Q3 FY2024?'), { metric: 'revenue', view: 'quarterly', fy: 2024, fp: 'Q3' });
+  assert.deepStrictEqual(parseFinancialQuestion('What were total net sales for fiscal 2024?'), { metric: 'revenue', view: 'annual', fy: 2024, fp: 'FY' });
+  assert.deepStrictEqual(parseFinancialQuestion('What is the TTM net income?'), { metric: 'netIncome', view: 'ttm', fy: null, fp: null });
+  assert.strictEqual(parseFinancialQuestion('How much operating cash flow was generated in the second quarter of 2024?').fp, 'Q2');
+  console.log('✅ Explicit figure requests are parsed');
+}
+
+function testOtherQuestionsFallThrough() {
+  [
+    'What are the main risks to revenue?',
+    'How much did revenue grow year over year?',
+    'What percentage of revenue comes from services?',
+    'What was revenue in 2023 versus 2022?',
+    'What was revenue in 2023 and 2022?',
+    'What changed in risk factors for revenue?',
+    'What drove the increase in net income?',
+    'Summarize revenue for Q3 FY2024'
+  ].forEach(question => assert.strictEqual(parseFinancialQuestion(question), null, question));
+  console.log('✅ Growth, comparison, share and risk questions are left to document search');
+}
+
+runTests('Financials store', [testQuartersFromYearToDateFacts, testExplicitFigureRequests, testOtherQuestionsFallThrough]);
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const path = require('path');
+const { ProxyExtractor } = require('./proxy-extractor');
+const { GovernanceStore, parseGovernanceQuestion } = require('./governance-store');
+const { fixture, tempDir, runTests } = require('./test-helpers');
+
+const proxyText = fixture('governance', 'def14a-excerpt.txt');
+
+function testProxyExtraction() {
+  const proxy = new ProxyExtractor().extract(proxyText);
+  assert.strictEqual(proxy.meetingDate, '2025-02-25');
+
+  const [ceo, cfo] = proxy.compensation;
+  assert.strictEqual(ceo.name, 'Jane Doe');
+  assert.strictEqual(ceo.title, 'Chief Executive Officer');
+  assert.deepStrictEqual(ceo.years.map(entry => [entry.year, entry.total]), [[2024, 16750000], [2023, 15100000]]);
+  assert.strictEqual(ceo.years[0].allOtherCompensation, 250000, 'footnote markers are dropped from amounts');
+  assert.strictEqual(ceo.years[0].bonus, 0);
+  assert.strictEqual(cfo.title, 'Chief Financial Officer');
+
+  assert.deepStrictEqual(proxy.directors.find(director => director.name === 'Robert Chen').committees,
+    { Audit: 'member', Compensation: 'chair', 'Nominating and Governance': 'member' });
+  assert.deepStrictEqual(proxy.proposals.map(proposal => [proposal.number, proposal.recommendation, proposal.proponent]),
+    [[1, 'FOR', 'company'], [2, 'FOR', 'company'], [3, 'FOR', 'company'], [4, 'AGAINST', 'shareholder']]);
+  console.log('✅ Proxy statement compensation, board and ballot are extracted');
+}
+
+function testGovernanceSummary() {
+  const store = new GovernanceStore({ filePath: path.join(tempDir('governance'), 'governance.json') });
+  store.add({ ...new ProxyExtractor().extract(proxyText), company: 'acme', documentId: 'ACME-DEF14A-2025', filingDate: '2025-01-10' });
+
+  const summary = store.summary('ACME');
+  assert.strictEqual(summary.ceo.name, 'Jane Doe');
+  assert.strictEqual(summary.ceo.total, 16750000);
+  assert.strictEqual(summary.board.independent, 3);
+  assert.strictEqual(summary.board.independentPercent, 75);
+  assert.strictEqual(summary.committees.find(committee => committee.name === 'Audit').chair, 'Alan Smith');
+  console.log('✅ Governance summary reports the CEO, board independence and committee chairs');
+}
+
+function testGovernanceQuestions() {
+  assert.strictEqual(parseGovernanceQuestion('How much was the CEO paid last year?').topic, 'pay');
+  assert.strictEqual(parseGovernanceQuestion('How much did the CEO make in 2024?').year, 2024);
+  assert.strictEqual(parseGovernanceQuestion('What did the CFO earn?').role, 'cfo');
+  assert.strictEqual(parseGovernanceQuestion('Is the board independent?').topic, 'independence');
+  assert.strictEqual(parseGovernanceQuestion('What\'s on the ballot?').topic, 'proposals');
+
+  [
+    'What did management make of the quarter?',
+    'What did Apple earn in Q3?',
+    'How much revenue did the company make?',
+    'How much stock-based compensation was recorded?'
+  ].forEach(question => assert.strictEqual(parseGovernanceQuestion(question), null, question));
+  console.log('✅ Pay questions need a pay noun, or an executive who earned or made something');
+}
+
+runTests('Governance store', [testProxyExtraction, testGovernanceSummary, testGovernanceQuestions]);
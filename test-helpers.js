@@ -0,0 +1,28 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Shared by the test-*.js scripts that npm test runs one after another
+
+// Contents of fixtures/<suite>/<name>
+function fixture(suite, name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', suite, name), 'utf8');
+}
+
+function tempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+}
+
+// Runs the tests in order, waiting on async ones; the first failure fails the script
+async function runTests(suite, tests) {
+  try {
+    for (const test of tests) {
+      await test();
+    }
+  } catch (error) {
+    console.error(`❌ ${suite} test failed:`, error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { fixture, tempDir, runTests };
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { HoldersRegister, parseCoverPages, parseHoldersQuestion } = require('./holders-register');
+const { fixture, tempDir, runTests } = require('./test-helpers');
+
+function testCoverPages() {
+  const parsed = parseCoverPages(fixture('holders', 'schedule-13d-group.txt'));
+  assert.strictEqual(parsed.eventDate, '2026-10-15');
+  assert.deepStrictEqual(parsed.reportingPersons, [
+    { name: 'Berkshire Hathaway Inc.', shares: 915560382, percent: 6.1, type: 'HC' },
+    { name: 'Warren E. Buffett', shares: 915560382, percent: 6.1, type: 'IN' }
+  ]);
+
+  // An amendment that takes the group below 5% exits the register
+  const register = new HoldersRegister({ dir: tempDir('holders') });
+  register.record('AAPL', { accessionNumber: '0000950123-26-000001', form: 'SC 13D/A', filingDate: '2026-10-16' }, parsed, null);
+  const reduced = parseCoverPages(fixture('holders', 'schedule-13d-group.txt').replace(/6\.1%/g, '2.0%').replace(/915,560,382/g, '300,000,000').replace('10/15/2026', '11/20/2026'));
+  register.record('AAPL', { accessionNumber: '0000950123-26-000002', form: 'SC 13D/A', filingDate: '2026-11-21' }, reduced, null);
+
+  assert.strictEqual(register.holders('AAPL').count, 0);
+  const [berkshire] = register.holders('AAPL', { includeExited: true }).holders;
+  assert.strictEqual(berkshire.status, 'active');
+  assert.deepStrictEqual(berkshire.change, { shares: -615560382, percent: -4.1, statusChanged: false });
+  console.log('✅ 13D cover pages are parsed and amendments tracked per holder');
+}
+
+function testOwnershipQuestions() {
+  assert.deepStrictEqual(parseHoldersQuestion('Who are our largest shareholders?'), { changes: false });
+  assert.deepStrictEqual(parseHoldersQuestion('How has Vanguard\'s stake changed?'), { changes: true });
+  assert.deepStrictEqual(parseHoldersQuestion('Has anyone filed a 13D?'), { changes: false });
+  assert.deepStrictEqual(parseHoldersQuestion('Which institutional investors own more than 5%?'), { changes: false });
+  assert.deepStrictEqual(parseHoldersQuestion('Who are the beneficial owners of our stock?'), { changes: false });
+  console.log('✅ Questions naming stakes, shareholders and 13D/13G filings are recognized');
+}
+
+function testOtherQuestionsFallThrough() {
+  [
+    'How has our cash position changed this year?',
+    'How did our competitive position change?',
+    'Has the company increased its holdings of marketable securities?',
+    'What are the top investor concerns?',
+    'What is at stake in the patent litigation?',
+    'How did shareholders vote on say-on-pay?'
+  ].forEach(question => assert.strictEqual(parseHoldersQuestion(question), null, question));
+  console.log('✅ Positions, holdings and investor concerns are left to document search');
+}
+
+runTests('Holders register', [testCoverPages, testOwnershipQuestions, testOtherQuestionsFallThrough]);
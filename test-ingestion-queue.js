@@ -0,0 +1,121 @@
+const assert = require('assert');
+const path = require('path');
+const IngestionQueue = require('./ingestion-queue');
+const { tempDir, runTests } = require('./test-helpers');
+
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+function tempQueue(options = {}) {
+  const dir = tempDir('ingestion-queue');
+  return new IngestionQueue({ filePath: path.join(dir, 'jobs.json'), retryDelay: 1, ...options });
+}
+
+function finished(queue, job) {
+  return new Promise(resolve => {
+    const onUpdate = updated => {
+      if (updated.id === job.id && queue.isTerminal(updated)) {
+        queue.off('update', onUpdate);
+        resolve(updated);
+      }
+    };
+    queue.on('update', onUpdate);
+  });
+}
+
+async function testProgressIsThrottled() {
+  const queue = tempQueue({ progressSaveInterval: 60 * 1000 });
+  queue.registerHandler('upload', async (item, job, reportProgress) => {
+    for (let i = 1; i <= 500; i++) reportProgress({ current: i, total: 500 });
+    return { chunksProcessed: 500 };
+  });
+
+  let writes = 0;
+  const write = queue.store.write.bind(queue.store);
+  queue.store.write = data => { writes++; write(data); };
+  let updates = 0;
+  queue.on('update', () => updates++);
+
+  const job = queue.enqueue('upload', { company: 'AAPL' }, [{ filename: 'a.pdf' }]);
+  await finished(queue, job);
+
+  assert.ok(updates > 500, 'every progress tick reaches listeners');
+  assert.ok(writes < 10, `progress ticks are not each written to disk (${writes} writes)`);
+  assert.strictEqual(queue.store.read().jobs[job.id].status, 'completed');
+  console.log(`✅ 500 progress ticks, ${writes} writes to jobs.json`);
+}
+
+async function testPermanentFailuresAreNotRetried() {
+  const queue = tempQueue();
+  queue.registerHandler('upload', async item => {
+    if (item.filename === 'gone.pdf') throw permanentError('Uploaded file is no longer available');
+    throw new Error('Embedding service unavailable');
+  });
+
+  const job = queue.enqueue('upload', { company: 'AAPL' }, [{ filename: 'gone.pdf' }, { filename: 'flaky.pdf' }]);
+  await finished(queue, job);
+
+  const [gone, flaky] = job.items;
+  assert.strictEqual(gone.attempts, 1, 'permanent failures are not retried automatically');
+  assert.strictEqual(gone.retryable, false);
+  assert.strictEqual(flaky.attempts, queue.maxAttempts);
+  assert.strictEqual(flaky.retryable, true);
+
+  queue.registerHandler('upload', async item => {
+    assert.notStrictEqual(item.filename, 'gone.pdf', 'retry skips permanent failures');
+    return { chunksProcessed: 1 };
+  });
+  queue.retry(job.id);
+  const retried = await finished(queue, job);
+  assert.strictEqual(retried.status, 'partial');
+  assert.strictEqual(gone.status, 'failed');
+  assert.strictEqual(flaky.status, 'completed');
+
+  // Only permanent failures left: nothing is re-queued
+  assert.strictEqual(queue.retry(job.id).status, 'partial');
+  console.log('✅ Permanent failures are marked and skipped on retry');
+}
+
+async function testFinishedJobsArePruned() {
+  const queue = tempQueue({ maxFinishedJobs: 3, finishedJobTtl: 60 * 60 * 1000 });
+  queue.registerHandler('upload', async () => ({ chunksProcessed: 1 }));
+
+  const stale = queue.enqueue('upload', { company: 'AAPL' }, [{ filename: 'old.pdf' }]);
+  await finished(queue, stale);
+  stale.updatedAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+  const pruned = [];
+  queue.on('pruned', job => pruned.push(job.id));
+  for (let i = 0; i < 5; i++) {
+    const job = queue.enqueue('upload', { company: 'AAPL' }, [{ filename: `${i}.pdf` }]);
+    await finished(queue, job);
+  }
+
+  assert.ok(pruned.includes(stale.id), 'jobs past the TTL are pruned');
+  assert.strictEqual(Object.keys(queue.store.read().jobs).length, 3, 'finished jobs are capped');
+  console.log(`✅ Finished jobs pruned to ${queue.maxFinishedJobs}`);
+}
+
+async function testActiveItems() {
+  const queue = tempQueue();
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  queue.registerHandler('sec', async () => {
+    await blocked;
+    return { chunksProcessed: 1 };
+  });
+
+  const job = queue.enqueue('sec', { company: 'AAPL' }, [{ filename: '10-K' }, { filename: '10-Q' }]);
+  queue.enqueue('sec', { company: 'MSFT' }, [{ filename: '8-K' }]);
+  assert.deepStrictEqual(queue.activeItems({ type: 'sec', company: 'aapl' }).map(item => item.filename), ['10-K', '10-Q']);
+
+  release();
+  await finished(queue, job);
+  assert.deepStrictEqual(queue.activeItems({ company: 'AAPL' }), [], 'finished items are not active');
+  console.log('✅ Items of unfinished jobs are listed as active');
+}
+
+runTests('Ingestion queue', [testProgressIsThrottled, testPermanentFailuresAreNotRetried, testFinishedJobsArePruned, testActiveItems]);
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { parseOwnershipDocument, parseInsiderQuestion } = require('./insider-transactions');
+const { fixture, runTests } = require('./test-helpers');
+
+const today = new Date('2024-11-15T12:00:00Z');
+
+function testForm4() {
+  const parsed = parseOwnershipDocument(fixture('insider', 'form4-ceo-sale.xml'));
+  assert.strictEqual(parsed.form, '4');
+  assert.strictEqual(parsed.issuer.ticker, 'AAPL');
+  assert.strictEqual(parsed.owners[0].role, 'Chief Executive Officer, Director');
+
+  const [sale, withheld] = parsed.transactions;
+  assert.strictEqual(sale.code, 'S');
+  assert.strictEqual(sale.shares, 100000);
+  assert.strictEqual(sale.value, 22650000);
+  assert.strictEqual(sale.sharesOwnedAfter, 3280000);
+  assert.strictEqual(sale.tenB5One, true, 'the 10b5-1 footnote flags the sale');
+  assert.strictEqual(withheld.code, 'F');
+  assert.strictEqual(withheld.tenB5One, false);
+  console.log('✅ Form 4 transactions are parsed with role, value and 10b5-1 flag');
+}
+
+function testTradeQuestions() {
+  const executives = parseInsiderQuestion('Have any executives sold shares this quarter?', today);
+  assert.strictEqual(executives.action, 'sell');
+  assert.strictEqual(executives.role, 'officer');
+  assert.strictEqual(executives.periodLabel, 'this quarter');
+
+  assert.strictEqual(parseInsiderQuestion('Did the CEO buy stock last year?', today).title, 'ceo');
+  assert.strictEqual(parseInsiderQuestion('Show me recent insider selling', today).action, 'sell');
+  assert.strictEqual(parseInsiderQuestion('Any Form 4 filings from directors?', today).role, 'director');
+  console.log('✅ Questions about trades in the stock are recognized');
+}
+
+function testOtherQuestionsFallThrough() {
+  [
+    'What did management say about sales this quarter?',
+    'How are sales trending according to management?',
+    'Did the CEO comment on product sales?',
+    'Did the board approve the sale of the services division?',
+    'How much stock did the company buy back?'
+  ].forEach(question => assert.strictEqual(parseInsiderQuestion(question, today), null, question));
+  console.log('✅ Sales and management commentary is left to document search');
+}
+
+runTests('Insider transactions', [testForm4, testTradeQuestions, testOtherQuestionsFallThrough]);
@@ -0,0 +1,43 @@
+const assert = require('assert');
+const path = require('path');
+const { RedactionEngine } = require('./redaction-engine');
+const { fixture, tempDir, runTests } = require('./test-helpers');
+
+const engine = new RedactionEngine({ filePath: path.join(tempDir('redaction'), 'rules.json') });
+
+function testResearchNote() {
+  const { text, report } = engine.redact(fixture('redaction', 'research-note.txt'));
+  const originals = report.redactions.map(redaction => redaction.original);
+
+  ['Jane Doe', 'Northland Securities', 'jane.doe@example.com', '(612) 555-0142', 'Acorn Peak Capital Markets', 'Acorn Peak LLC']
+    .forEach(original => assert.ok(originals.includes(original), `redacts ${original}`));
+  originals.forEach(original => assert.ok(!original.includes('\n'), `redactions stay on one line: ${JSON.stringify(original)}`));
+
+  ['Free Cash Flow Research', 'Operations Capital', 'Working capital', '$1,234,567,890', '2023 2024', 'Equity Research']
+    .forEach(phrase => assert.ok(text.includes(phrase), `keeps ${phrase}`));
+  assert.ok(text.includes('Analyst: [REDACTED], CFA\n[REDACTED]'), 'the credential line is kept apart from the firm line');
+  console.log(`✅ Research note: ${report.summary.total} redactions, finance vocabulary kept`);
+}
+
+function testUnsafeTenantPatterns() {
+  const unsafe = ['(a+)+$', '(\\w|\\d)*@', '(.*,){10,}x', '(\\d+)-\\1', 'x'.repeat(301)];
+  unsafe.forEach(pattern => {
+    const errors = engine.validateRuleSet({ patterns: [{ name: 'custom', pattern }] });
+    assert.strictEqual(errors.length, 1, `refuses ${pattern.slice(0, 20)}`);
+  });
+
+  const safe = ['Project\\s+Falcon', '(?:Inc|LLC)\\.?', '\\b[A-Z]{2,5}-\\d{3,}\\b'];
+  safe.forEach(pattern => {
+    assert.deepStrictEqual(engine.validateRuleSet({ patterns: [{ name: 'custom', pattern }] }), [], `accepts ${pattern}`);
+  });
+
+  // A pattern stored before validation existed is skipped rather than run
+  engine.setTenantRules('ACME', { patterns: [{ name: 'legacy', pattern: '(a+)+$' }, { name: 'codename', pattern: 'Project\\s+Falcon' }] });
+  const started = Date.now();
+  const { text } = engine.redact(`${'a'.repeat(40)}! Project Falcon`, { tenant: 'ACME' });
+  assert.ok(Date.now() - started < 1000, 'the unsafe pattern is not run');
+  assert.ok(text.endsWith('! [REDACTED]'));
+  console.log('✅ Backtracking-prone tenant patterns are refused on save and skipped when stored');
+}
+
+runTests('Redaction engine', [testResearchNote, testUnsafeTenantPatterns]);
@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { ResearchExtractor } = require('./research-extractor');
+const { fixture, runTests } = require('./test-helpers');
+
+const extractor = new ResearchExtractor();
+
+function testBrokerUpgrade() {
+  const report = extractor.extract(fixture('research', 'broker-upgrade.txt'), { brokers: ['Goldman Sachs', 'Morgan Stanley', 'Harbor Street Partners'] });
+
+  assert.strictEqual(report.broker, 'Harbor Street Partners', 'the byline firm wins over brokers quoted in the body');
+  assert.strictEqual(report.analyst, 'Maria Chen');
+  assert.strictEqual(report.reportDate, '2025-03-14');
+
+  assert.strictEqual(report.rating, 'Outperform');
+  assert.strictEqual(report.ratingCategory, 'buy');
+  assert.strictEqual(report.ratingAction, 'upgrade');
+  assert.strictEqual(report.previousRating, 'Market Perform', 'the prior rating comes from the body when the headline omits it');
+  console.log(`✅ Rating: ${report.previousRating} -> ${report.rating} (${report.ratingAction})`);
+
+  assert.strictEqual(report.priceTarget, 185);
+  assert.strictEqual(report.previousPriceTarget, 150);
+  assert.strictEqual(report.currency, 'USD');
+  console.log(`✅ Price target: $${report.priceTarget} from $${report.previousPriceTarget}`);
+
+  const estimate = (metric, period) => report.estimates.find(e => e.metric === metric && e.period === period);
+  assert.strictEqual(estimate('revenue', 'FY2025').value, 5120);
+  assert.strictEqual(estimate('revenue', 'FY2026').unit, 'million');
+  assert.strictEqual(estimate('eps', 'FY2026').value, 7.7);
+  assert.ok(!estimate('revenue', 'FY2024'), 'reported actuals are not estimates');
+  assert.strictEqual(estimate('eps', 'Q3 2025').value, 1.52);
+  assert.strictEqual(estimate('eps', 'Q3 2025').previousValue, 1.41);
+  console.log(`✅ ${report.estimates.length} estimates from the table and inline revisions`);
+}
+
+runTests('Research extractor', [testBrokerUpgrade]);
@@ -0,0 +1,81 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const { downloadDocument, createPublicLookup } = require('./url-fetcher');
+const { tempDir, runTests } = require('./test-helpers');
+
+const dest = tempDir('url-fetcher');
+
+// Resolver standing in for DNS: every name maps to one fixed address
+const resolveTo = address => (hostname, options, callback) => {
+  const family = address.includes(':') ? 6 : 4;
+  if (options.all) callback(null, [{ address, family }]);
+  else callback(null, address, family);
+};
+
+function lookupResult(lookup, hostname, options) {
+  return new Promise(resolve => lookup(hostname, options, (error, address) => resolve({ error, address })));
+}
+
+async function testLookup() {
+  const refused = ['10.1.2.3', '169.254.169.254', '127.0.0.1', '192.168.0.10', '0.0.0.0', '100.64.0.1', '::1', '::', '::ffff:10.0.0.1',
+    '::ffff:7f00:1', '::ffff:a9fe:a9fe', 'fd00::1', 'fc00::1', '64:ff9b::7f00:1'];
+  for (const address of refused) {
+    const { error } = await lookupResult(createPublicLookup(resolveTo(address)), 'ir.example.test', {});
+    assert.ok(error && /private address/.test(error.message), `refuses ${address}`);
+    const all = await lookupResult(createPublicLookup(resolveTo(address)), 'ir.example.test', { all: true });
+    assert.ok(all.error, `refuses ${address} when all addresses are requested`);
+  }
+
+  const { error, address } = await lookupResult(createPublicLookup(resolveTo('93.184.216.34')), 'ir.example.test', {});
+  assert.ifError(error);
+  assert.strictEqual(address, '93.184.216.34');
+  console.log('✅ The connection lookup refuses private, reserved and IPv4-mapped private addresses');
+}
+
+async function testDownloads() {
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/redirect')) {
+      // ?lockdown: private addresses stop being allowed between the first hop and the redirect
+      if (req.url.endsWith('?lockdown')) delete process.env.URL_INGEST_ALLOW_PRIVATE;
+      res.writeHead(302, { Location: `http://internal.example.test:${server.address().port}/secret.txt` });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Quarterly results press release text.');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    // A name that resolves to a private address is refused at connect time
+    await assert.rejects(
+      downloadDocument(`http://ir.example.test:${port}/release.txt`, dest, { resolve: resolveTo('127.0.0.1') }),
+      /resolves to private address 127\.0\.0\.1/
+    );
+    await assert.rejects(downloadDocument(`http://localhost.:${port}/release.txt`, dest), /private address localhost/);
+    await assert.rejects(downloadDocument(`http://10.0.0.8:${port}/release.txt`, dest), /private address 10\.0\.0\.8/);
+    for (const host of ['[::ffff:7f00:1]', '[::ffff:169.254.169.254]', '[::]', '[fd12:3456::1]', '0.0.0.0']) {
+      await assert.rejects(downloadDocument(`http://${host}:${port}/release.txt`, dest), /private address/, `refuses ${host}`);
+    }
+
+    // With private addresses allowed, the same lookup downloads normally, following redirects
+    process.env.URL_INGEST_ALLOW_PRIVATE = 'true';
+    const download = await downloadDocument(`http://ir.example.test:${port}/release.txt`, dest, { resolve: resolveTo('127.0.0.1') });
+    assert.strictEqual(fs.readFileSync(download.path, 'utf8'), 'Quarterly results press release text.');
+    const redirected = await downloadDocument(`http://ir.example.test:${port}/redirect`, dest, { resolve: resolveTo('127.0.0.1') });
+    assert.ok(redirected.finalUrl.includes('internal.example.test'));
+
+    // The redirect hop is resolved and checked again
+    await assert.rejects(
+      downloadDocument(`http://ir.example.test:${port}/redirect?lockdown`, dest, { resolve: resolveTo('127.0.0.1') }),
+      /internal\.example\.test: it resolves to private address/
+    );
+    console.log('✅ Downloads check the address connected to on every hop');
+  } finally {
+    delete process.env.URL_INGEST_ALLOW_PRIVATE;
+    server.close();
+  }
+}
+
+runTests('URL fetcher', [testLookup, testDownloads]);
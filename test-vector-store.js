@@ -0,0 +1,114 @@
+const assert = require('assert');
+const path = require('path');
+const PineconeREST = require('./pinecone-rest');
+const { createVectorStore } = require('./vector-store');
+const { tempDir, runTests } = require('./test-helpers');
+
+async function testLocalBatchUpdates() {
+  const store = createVectorStore({ backend: 'local', filePath: path.join(tempDir('vector-store'), 'vectors.json') });
+  await store.upsert([
+    { id: 'AAPL-1-0', values: [1, 0], metadata: { company: 'AAPL', superseded: false } },
+    { id: 'AAPL-2-0', values: [1, 0], metadata: { company: 'AAPL', superseded: true } }
+  ]);
+
+  await store.updateMetadataMany([{ id: 'AAPL-1-0', metadata: { superseded: true } }, { id: 'AAPL-2-0', metadata: { superseded: false } }]);
+  const after = (await store.query([1, 0], 10, { company: 'AAPL', superseded: false })).matches;
+  assert.deepStrictEqual(after.map(match => match.id), ['AAPL-2-0']);
+  console.log('✅ Batch metadata updates apply to the local store');
+}
+
+async function testPineconeBatchUpdates() {
+  const realFetch = global.fetch;
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const updated = [];
+  global.fetch = async (url, options) => {
+    const { id } = JSON.parse(options.body);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight--;
+    if (id === 'chunk-25') return new Response('error', { status: 500 });
+    updated.push(id);
+    return new Response('{}', { status: 200 });
+  };
+
+  try {
+    const store = new PineconeREST({ apiKey: 'test', indexHost: 'https://index.example' });
+    const ids = Array.from({ length: 20 }, (_, i) => `chunk-${i}`);
+    await store.updateMetadataMany(ids.map(id => ({ id, metadata: { superseded: true } })), 4);
+    assert.strictEqual(updated.length, 20);
+    assert.ok(maxInFlight <= 4, `at most 4 concurrent updates (${maxInFlight})`);
+
+    updated.length = 0;
+    const more = Array.from({ length: 100 }, (_, i) => `chunk-${i}`);
+    await assert.rejects(
+      store.updateMetadataMany(more.map(id => ({ id, metadata: { superseded: true } })), 4),
+      error => {
+        assert.deepStrictEqual([...error.updatedIds].sort(), [...updated].sort(), 'the error lists what was applied');
+        assert.ok(!error.updatedIds.includes('chunk-25'));
+        assert.ok(error.updatedIds.length < 40, 'no new updates start after a failure');
+        return true;
+      }
+    );
+    console.log('✅ Pinecone batch updates run with bounded concurrency and report partial progress');
+  } finally {
+    global.fetch = realFetch;
+  }
+}
+
+async function testPineconeIdRequestsAreBatched() {
+  const realFetch = global.fetch;
+  const requests = [];
+  const stored = id => ({ id, metadata: { documentId: id.startsWith('DOC-1-') ? 'DOC-1' : 'DOC-10' } });
+  global.fetch = async (url, options = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/vectors/list') {
+      return Response.json({ vectors: ['DOC-1-0', 'DOC-1-1', 'DOC-10-0'].map(id => ({ id })) });
+    }
+    if (pathname === '/vectors/fetch') {
+      const ids = searchParams.getAll('ids');
+      requests.push({ pathname, count: ids.length });
+      return Response.json({ vectors: Object.fromEntries(ids.map(id => [id, stored(id)])) });
+    }
+    const { ids } = JSON.parse(options.body);
+    requests.push({ pathname, count: ids.length, ids });
+    return Response.json({});
+  };
+
+  try {
+    const store = new PineconeREST({ apiKey: 'test', indexHost: 'https://index.example' });
+    const ids = Array.from({ length: 2500 }, (_, i) => `DOC-1-${i}`);
+
+    const fetched = await store.fetch(ids.slice(0, 250));
+    assert.strictEqual(Object.keys(fetched.vectors).length, 250);
+    await store.delete(ids);
+    assert.deepStrictEqual(requests.map(request => [request.pathname, request.count]), [
+      ['/vectors/fetch', 100], ['/vectors/fetch', 100], ['/vectors/fetch', 50],
+      ['/vectors/delete', 1000], ['/vectors/delete', 1000], ['/vectors/delete', 500]
+    ]);
+
+    // The prefix "DOC-1" also lists DOC-10's chunks; the filter leaves them out
+    requests.length = 0;
+    const result = await store.deleteByFilter({ documentId: 'DOC-1' }, 'DOC-1');
+    assert.strictEqual(result.deleted, 2);
+    assert.deepStrictEqual(requests.find(request => request.pathname === '/vectors/delete').ids, ['DOC-1-0', 'DOC-1-1']);
+    console.log('✅ Pinecone fetch and delete send ids in batches; filter deletes resolve ids first');
+  } finally {
+    global.fetch = realFetch;
+  }
+}
+
+async function testLocalDeleteByFilter() {
+  const store = createVectorStore({ backend: 'local', filePath: path.join(tempDir('vector-store'), 'vectors.json') });
+  await store.upsert([
+    { id: 'DOC-1-0', values: [1, 0], metadata: { documentId: 'DOC-1' } },
+    { id: 'DOC-10-0', values: [1, 0], metadata: { documentId: 'DOC-10' } }
+  ]);
+
+  assert.deepStrictEqual(await store.deleteByFilter({ documentId: 'DOC-1' }, 'DOC-1'), { deleted: 1, ids: ['DOC-1-0'] });
+  assert.deepStrictEqual(await store.listIds(''), ['DOC-10-0']);
+  console.log('✅ Local filter deletes remove only matching vectors');
+}
+
+runTests('Vector store', [testLocalBatchUpdates, testPineconeBatchUpdates, testPineconeIdRequestsAreBatched, testLocalDeleteByFilter]);
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { expandZip, expansionBudget } = require('./zip-expander');
+const { tempDir, runTests } = require('./test-helpers');
+
+const options = { supportedExtensions: ['.txt', '.pdf'] };
+
+// Write a ZIP of { entryName: content } and return its path
+async function writeZip(dir, name, entries) {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([entryName, content]) => zip.file(entryName, content));
+  const zipPath = path.join(dir, name);
+  fs.writeFileSync(zipPath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+  return zipPath;
+}
+
+const expanded = dir => fs.readdirSync(dir).filter(name => name.startsWith('archive-'));
+
+async function testNestedArchives() {
+  const dir = tempDir('zip-expander');
+  const inner = new JSZip().file('Q3 call.txt', 'Operator: Good afternoon and welcome.');
+  const innermost = new JSZip().file('deep.txt', 'Three levels down.');
+  const nested = new JSZip().file('deeper.zip', await innermost.generateAsync({ type: 'nodebuffer' }));
+  const zipPath = await writeZip(dir, 'quarter.zip', {
+    'Transcripts/calls.zip': await inner.generateAsync({ type: 'nodebuffer' }),
+    'nested.zip': await nested.generateAsync({ type: 'nodebuffer' }),
+    'release.txt': 'Quarterly results press release.'
+  });
+
+  const result = await expandZip(zipPath, dir, { ...options, limits: { maxDepth: 1 } });
+  const call = result.files.find(file => file.filename === 'Q3 call.txt');
+  assert.strictEqual(call.archivePath, 'Transcripts/calls.zip/Q3 call.txt');
+  assert.strictEqual(call.documentType, 'transcripts', 'the outer folder types documents of the inner archive');
+  assert.deepStrictEqual(result.files.map(file => file.filename).sort(), ['Q3 call.txt', 'release.txt']);
+  assert.deepStrictEqual(result.skipped.map(entry => entry.entry), ['nested.zip/deeper.zip']);
+  assert.strictEqual(expanded(dir).length, 2, 'inner archives are deleted once expanded');
+  console.log('✅ ZIPs inside the upload are expanded down to the depth limit');
+}
+
+async function testEntriesCountedAcrossArchives() {
+  const dir = tempDir('zip-expander');
+  const first = await writeZip(dir, 'first.zip', { 'a.txt': 'First document.', 'b.txt': 'Second document.' });
+  const second = await writeZip(dir, 'second.zip', { 'c.txt': 'Third document.', 'd.txt': 'Fourth document.' });
+  const budget = expansionBudget({ maxEntries: 3 });
+
+  const result = await expandZip(first, dir, { ...options, budget });
+  assert.strictEqual(result.files.length, 2);
+  await assert.rejects(expandZip(second, dir, { ...options, budget }), /hold 4 entries; the limit is 3/);
+  assert.strictEqual((await expandZip(second, dir, { ...options, limits: { maxEntries: 3 } })).files.length, 2, 'a separate upload starts afresh');
+  console.log('✅ The entry limit covers every archive in one upload');
+}
+
+async function testSizeCountedAcrossArchives() {
+  const dir = tempDir('zip-expander');
+  const document = 'Revenue grew in every segment. '.repeat(100);
+  const first = await writeZip(dir, 'first.zip', { 'a.txt': document });
+  const second = await writeZip(dir, 'second.zip', { 'b.txt': document, 'c.txt': document });
+  const budget = expansionBudget({ maxTotalBytes: document.length * 2 });
+
+  await expandZip(first, dir, { ...options, budget });
+  const before = expanded(dir);
+  await assert.rejects(expandZip(second, dir, { ...options, budget }), /expand beyond/);
+  assert.deepStrictEqual(expanded(dir), before, 'documents of the rejected archive are removed');
+  console.log('✅ The total size limit covers every archive in one upload');
+}
+
+runTests('ZIP expander', [testNestedArchives, testEntriesCountedAcrossArchives, testSizeCountedAcrossArchives]);
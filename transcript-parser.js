@@ -0,0 +1,267 @@
+// Earnings-call transcript parsing.
+// Splits a transcript into speaker turns and tags each turn with the speaker's
+// name, title, firm and normalized role, and with the call section it belongs to
+// (prepared remarks or Q&A). Handles the common layouts:
+//   "Tim Cook -- Chief Executive Officer"   (speaker on its own line)
+//   "Jane Doe - Goldman Sachs - Analyst"
+//   "John Smith, CFO: We delivered..."      (speaker and speech on one line)
+//   "Operator" / "Operator: Thank you..."
+// plus participant rosters ("Corporate Participants", "Conference Call Participants").
+
+const ROSTER_HEADERS = [
+  { pattern: /^(corporate|company|executive)\s+participants|^executives$|^management$|^company representatives$/i, type: 'management' },
+  { pattern: /^(conference\s+)?call\s+participants|^analysts$|^other participants$/i, type: 'analyst' }
+];
+
+const QA_HEADER = /^(questions?\s*(and|&|-and-)\s*answers?|question-and-answer session|q\s*&\s*a(\s+session)?)\s*:?$/i;
+const QA_OPERATOR_CUE = /question|q\s*&\s*a/i;
+
+const TITLE_WORDS = /officer|chief|\bceo\b|\bcfo\b|\bcoo\b|\bcto\b|president|chair|director|\bvp\b|vice president|head of|treasurer|controller|investor relations|\bir\b|founder|secretary|counsel|executive|manager|partner/i;
+const ANALYST_WORDS = /analyst|research/i;
+const NON_NAMES = /^(revenue|net|total|gross|operating|note|q[1-4]|fy|question|answer|operator instructions|forward-looking|safe harbor|source|date|time|call|event)\b/i;
+
+const NAME = "[A-Z][A-Za-z.'’-]*(?:\\s+(?:[A-Z][A-Za-z.'’-]*|de|van|von|der|la|di|da)){0,4}";
+const OWN_LINE_SPEAKER = new RegExp(`^(${NAME})\\s*(?:--|—|–|\\s-\\s)\\s*(.{2,100}?)\\s*:?$`);
+const INLINE_SPEAKER = new RegExp(`^(${NAME})\\s*(?:(?:,|\\s-\\s|--|—|–)\\s*([^:]{2,80}?)|\\(([^)]{2,80})\\))?\\s*:\\s*(.*)$`);
+const OPERATOR_LINE = /^(?:\[)?operator(?:\])?\s*(?::\s*(.*))?$/i;
+
+function normalizeRole(title, speakerType) {
+  if (speakerType === 'operator') return 'Operator';
+  if (speakerType === 'analyst') return 'Analyst';
+
+  const text = title || '';
+  if (/chief executive|\bceo\b/i.test(text)) return 'CEO';
+  if (/chief financial|\bcfo\b|finance director/i.test(text)) return 'CFO';
+  if (/chief operating|\bcoo\b/i.test(text)) return 'COO';
+  if (/investor relations|\bir\b/i.test(text)) return 'IR';
+  if (/president/i.test(text)) return 'President';
+  if (/chair/i.test(text)) return 'Chair';
+  return speakerType === 'management' ? 'Executive' : 'Unknown';
+}
+
+// Split "Goldman Sachs - Analyst" or "Chief Financial Officer, Acme" into title and firm
+function parseDescriptor(descriptor) {
+  const parts = descriptor.split(/\s*(?:--|—|–|\s-\s|,|;)\s*/).map(part => part.trim()).filter(Boolean);
+  const result = { title: '', firm: '', speakerType: 'unknown' };
+
+  parts.forEach(part => {
+    if (ANALYST_WORDS.test(part) && !/investor relations/i.test(part)) {
+      result.speakerType = 'analyst';
+      if (!/^(equity\s+|research\s+|senior\s+)*(research\s+)?analyst$/i.test(part)) {
+        result.firm = result.firm || part;
+      }
+    } else if (TITLE_WORDS.test(part)) {
+      result.title = result.title ? `${result.title}, ${part}` : part;
+      if (result.speakerType === 'unknown') result.speakerType = 'management';
+    } else {
+      result.firm = result.firm || part;
+    }
+  });
+
+  return result;
+}
+
+function looksLikeName(name) {
+  const words = name.split(/\s+/);
+  return words.length >= 1 && words.length <= 5 && !NON_NAMES.test(name) && !/\d/.test(name);
+}
+
+function rosterKey(name) {
+  return name.toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+class TranscriptParser {
+  // Returns { participants, turns, isTranscript }, where each turn is
+  // { speaker, speakerTitle, speakerFirm, speakerType, speakerRole, section, qaExchange, askedBy, text }
+  parse(text) {
+    const lines = text.replace(/\r/g, '').replace(/\f/g, '\n').split('\n').map(line => line.trim());
+    const rosterLines = new Set();
+    const roster = this.parseRoster(lines, rosterLines);
+    const candidates = this.findSpeakerLines(lines, roster, rosterLines);
+    const turns = this.buildTurns(lines, candidates, roster);
+
+    return {
+      participants: Object.values(roster),
+      turns: turns,
+      isTranscript: turns.filter(turn => turn.speakerType !== 'operator').length >= 2
+    };
+  }
+
+  // Participant lists at the top of the transcript; consumed line numbers go into rosterLines
+  parseRoster(lines, rosterLines) {
+    const roster = {};
+    let current = null;
+
+    lines.forEach((line, i) => {
+      if (!line) return;
+
+      const header = ROSTER_HEADERS.find(candidate => candidate.pattern.test(line.replace(/[:*#]/g, '').trim()));
+      if (header) {
+        current = header.type;
+        rosterLines.add(i);
+        return;
+      }
+
+      if (!current) return;
+
+      // A roster ends where the call itself starts
+      if (OPERATOR_LINE.test(line) || QA_HEADER.test(line) || /^presentation$/i.test(line) || line.length > 120) {
+        current = null;
+        return;
+      }
+
+      const match = line.replace(/^[*•-]\s*/, '').match(new RegExp(`^(${NAME})\\s*(?:--|—|–|\\s-\\s|,|;)\\s*(.+)$`));
+      if (!match || !looksLikeName(match[1])) return;
+
+      rosterLines.add(i);
+      const descriptor = parseDescriptor(match[2]);
+      const speakerType = current === 'analyst' ? 'analyst' : 'management';
+      roster[rosterKey(match[1])] = {
+        name: match[1],
+        title: descriptor.title || (speakerType === 'analyst' ? 'Analyst' : ''),
+        firm: descriptor.firm,
+        speakerType: speakerType
+      };
+    });
+
+    return roster;
+  }
+
+  // Candidate speaker lines; names seen only once and not in the roster are
+  // dropped so lines such as "Gross margin: 45%" are not taken for speakers
+  findSpeakerLines(lines, roster, rosterLines) {
+    const candidates = [];
+    const counts = {};
+    let previousBlank = true;
+
+    lines.forEach((line, i) => {
+      const blankBefore = previousBlank;
+      previousBlank = !line;
+      if (!line || rosterLines.has(i)) return;
+
+      const operator = line.match(OPERATOR_LINE);
+      if (operator) {
+        candidates.push({ index: i, operator: true, speech: operator[1] || '' });
+        return;
+      }
+
+      const ownLine = line.match(OWN_LINE_SPEAKER);
+      if (ownLine && looksLikeName(ownLine[1]) && (TITLE_WORDS.test(ownLine[2]) || ANALYST_WORDS.test(ownLine[2]) || roster[rosterKey(ownLine[1])])) {
+        candidates.push({ index: i, name: ownLine[1], descriptor: ownLine[2], speech: '', titled: true });
+        counts[rosterKey(ownLine[1])] = (counts[rosterKey(ownLine[1])] || 0) + 2;
+        return;
+      }
+
+      const inline = line.match(INLINE_SPEAKER);
+      if (inline && looksLikeName(inline[1])) {
+        const descriptor = inline[2] || inline[3] || '';
+        candidates.push({
+          index: i,
+          name: inline[1],
+          descriptor: descriptor,
+          speech: inline[4],
+          titled: Boolean(inline[3]) || TITLE_WORDS.test(descriptor) || ANALYST_WORDS.test(descriptor)
+        });
+        counts[rosterKey(inline[1])] = (counts[rosterKey(inline[1])] || 0) + 1;
+        return;
+      }
+
+      // Bare name on its own line, only for known participants
+      if (blankBefore && roster[rosterKey(line)]) {
+        candidates.push({ index: i, name: line, descriptor: '', speech: '' });
+        counts[rosterKey(line)] = (counts[rosterKey(line)] || 0) + 2;
+      }
+    });
+
+    return candidates.filter(candidate => candidate.operator ||
+      roster[rosterKey(candidate.name)] ||
+      candidate.titled ||
+      counts[rosterKey(candidate.name)] >= 2);
+  }
+
+  resolveSpeaker(candidate, roster, section) {
+    if (candidate.operator) {
+      return { speaker: 'Operator', speakerTitle: '', speakerFirm: '', speakerType: 'operator' };
+    }
+
+    const known = roster[rosterKey(candidate.name)];
+    const descriptor = candidate.descriptor ? parseDescriptor(candidate.descriptor) : { title: '', firm: '', speakerType: 'unknown' };
+
+    let speakerType = descriptor.speakerType !== 'unknown' ? descriptor.speakerType : (known ? known.speakerType : 'unknown');
+    // A firm without a title during Q&A is a questioner
+    if (speakerType === 'unknown' && section === 'qa' && descriptor.firm) {
+      speakerType = 'analyst';
+    }
+
+    return {
+      speaker: known ? known.name : candidate.name,
+      speakerTitle: descriptor.title || (known ? known.title : ''),
+      speakerFirm: descriptor.firm || (known ? known.firm : ''),
+      speakerType: speakerType
+    };
+  }
+
+  buildTurns(lines, candidates, roster) {
+    const turns = [];
+    let section = 'prepared-remarks';
+    let qaExchange = 0;
+    let askedBy = '';
+
+    // Speakers met earlier in the call who carried no descriptor the first time
+    const seen = {};
+
+    candidates.forEach((candidate, c) => {
+      const end = c + 1 < candidates.length ? candidates[c + 1].index : lines.length;
+      const body = [candidate.speech, ...lines.slice(candidate.index + 1, end)];
+
+      // A Q&A header inside a turn starts the Q&A section from there on
+      const qaLine = body.findIndex(line => QA_HEADER.test(line));
+      const speechLines = qaLine >= 0 ? body.slice(0, qaLine) : body;
+      const turnText = speechLines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+
+      const speaker = this.resolveSpeaker(candidate, roster, section);
+      const key = rosterKey(speaker.speaker);
+      if (speaker.speakerType === 'unknown' && seen[key]) {
+        Object.assign(speaker, seen[key]);
+      } else if (!candidate.operator) {
+        seen[key] = { speakerTitle: speaker.speakerTitle, speakerFirm: speaker.speakerFirm, speakerType: speaker.speakerType };
+      }
+
+      // The operator opening the line for questions marks the start of Q&A
+      if (section === 'prepared-remarks' && candidate.operator && turns.length > 0 && QA_OPERATOR_CUE.test(turnText)) {
+        section = 'qa';
+      }
+
+      if (section === 'qa' && speaker.speakerType === 'unknown') {
+        speaker.speakerType = speaker.speakerFirm ? 'analyst' : 'management';
+      }
+
+      if (section === 'qa' && speaker.speakerType === 'analyst') {
+        const previous = turns[turns.length - 1];
+        if (!previous || previous.speakerType !== 'analyst' || previous.speaker !== speaker.speaker) {
+          qaExchange++;
+        }
+        askedBy = speaker.speakerFirm ? `${speaker.speaker} (${speaker.speakerFirm})` : speaker.speaker;
+      }
+
+      if (turnText) {
+        turns.push({
+          ...speaker,
+          speakerRole: normalizeRole(speaker.speakerTitle, speaker.speakerType),
+          section: section,
+          qaExchange: section === 'qa' && qaExchange > 0 ? qaExchange : null,
+          askedBy: section === 'qa' && speaker.speakerType === 'management' ? askedBy : '',
+          text: turnText
+        });
+      }
+
+      if (qaLine >= 0) {
+        section = 'qa';
+      }
+    });
+
+    return turns;
+  }
+}
+
+module.exports = { TranscriptParser, normalizeRole };
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+// Downloads a document from a URL for ingestion, e.g. a PDF on the company's IR site.
+// Only http(s) is allowed, the download is capped in size and time, and hosts that resolve
+// to private or loopback addresses are refused unless URL_INGEST_ALLOW_PRIVATE is set.
+// The address check runs inside the DNS lookup of every connection (redirects included),
+// so it applies to the address actually connected to, not to an earlier, separate lookup.
+
+const MAX_DOWNLOAD_BYTES = Number(process.env.URL_INGEST_MAX_BYTES) || 50 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT = Number(process.env.URL_INGEST_TIMEOUT_MS) || 60000;
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'text/html': '.html',
+  'application/xhtml+xml': '.html',
+  'text/markdown': '.md',
+  'text/plain': '.txt',
+  'message/rfc822': '.eml'
+};
+
+function downloadError(message, retryable = false) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+// Addresses that are not on the public internet. BlockList also matches IPv4-mapped IPv6
+// addresses (::ffff:7f00:1, ::ffff:127.0.0.1) against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],       // "this network"
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],   // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],  // link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]      // multicast and reserved
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96],           // unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96],    // NAT64, which can embed a private IPv4 address
+  ['fc00::', 7],        // unique local
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function allowPrivate() {
+  return process.env.URL_INGEST_ALLOW_PRIVATE === 'true';
+}
+
+// IP literals never go through DNS, so they (and localhost) are checked by name
+function assertPublicHost(hostname, what = 'download from') {
+  if (allowPrivate()) return;
+
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+    throw downloadError(`Refusing to ${what} private address ${host}`);
+  }
+}
+
+// A dns.lookup replacement for the http(s) agents that fails when the host resolves to a
+// private address. resolve defaults to dns.lookup; onBlocked hears about refused hosts.
+function createPublicLookup(resolve = dns.lookup, onBlocked = () => {}) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    resolve(hostname, options, (error, address, family) => {
+      if (error || allowPrivate()) {
+        return callback(error, address, family);
+      }
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+      if (blocked) {
+        const refused = downloadError(`Refusing to download from ${hostname}: it resolves to private address ${blocked.address}`);
+        onBlocked(refused);
+        return callback(refused);
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+// Filename from Content-Disposition, then the URL path, with the extension taken
+// from the content type when the name has none we can read
+function resolveFilename(url, headers, supportedExtensions) {
+  const disposition = headers['content-disposition'] || '';
+  const fromHeader = (disposition.match(/filename\*=(?:UTF-8'')?([^;]+)/i) || disposition.match(/filename="?([^";]+)"?/i) || [])[1];
+  let filename = fromHeader ? decodeURIComponent(fromHeader.trim()) : decodeURIComponent(path.basename(new URL(url).pathname) || '');
+  filename = path.basename(filename).replace(/[^\w.\- ()]/g, '_') || 'document';
+
+  const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const ext = path.extname(filename).toLowerCase();
+  if (!supportedExtensions.includes(ext) && CONTENT_TYPE_EXTENSIONS[contentType]) {
+    filename = `${filename.replace(/\.[^.]*$/, '') || 'document'}${CONTENT_TYPE_EXTENSIONS[contentType]}`;
+  }
+  return filename;
+}
+
+// Returns { path, filename, contentType, size, finalUrl }
+async function downloadDocument(url, destDir, options = {}) {
+  const supportedExtensions = options.supportedExtensions || Object.values(CONTENT_TYPE_EXTENSIONS);
+  const maxBytes = options.maxBytes || MAX_DOWNLOAD_BYTES;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw downloadError(`Invalid URL: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw downloadError('Only http and https URLs are supported');
+  }
+  assertPublicHost(parsed.hostname);
+
+  let response;
+  let blocked = null;
+  const lookup = createPublicLookup(options.resolve, error => {
+    blocked = error;
+  });
+  try {
+    response = await axios.get(url, {
+      responseType: 'stream',
+      timeout: DOWNLOAD_TIMEOUT,
+      maxRedirects: 5,
+      maxContentLength: maxBytes,
+      headers: { 'User-Agent': process.env.URL_INGEST_USER_AGENT || 'SimplifyIR document ingest' },
+      // Every connection, redirects included, resolves through the checking lookup
+      httpAgent: new http.Agent({ lookup }),
+      httpsAgent: new https.Agent({ lookup }),
+      // Through a proxy the target would be resolved by the proxy, out of reach of the check
+      proxy: false,
+      // Redirects to IP literals skip DNS, so they are checked here
+      beforeRedirect: redirect => {
+        try {
+          assertPublicHost(redirect.hostname || '', 'follow redirect to');
+        } catch (error) {
+          blocked = error;
+          throw error;
+        }
+      }
+    });
+  } catch (error) {
+    if (blocked) throw blocked;
+    const status = error.response && error.response.status;
+    // 4xx other than rate limiting will not fix itself on retry
+    throw downloadError(`Download failed: ${status ? `HTTP ${status}` : error.message}`, !status || status === 429 || status >= 500);
+  }
+
+  const declared = Number(response.headers['content-length']);
+  if (declared > maxBytes) {
+    response.data.destroy();
+    throw downloadError(`Document is larger than ${Math.round(maxBytes / 1048576)}MB`);
+  }
+
+  const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+  const filename = resolveFilename(finalUrl, response.headers, supportedExtensions);
+  const ext = path.extname(filename).toLowerCase();
+  if (!supportedExtensions.includes(ext)) {
+    response.data.destroy();
+    throw downloadError(`Unsupported document type: ${response.headers['content-type'] || ext || 'unknown'}`);
+  }
+
+  const target = path.join(destDir, `url-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`);
+  const size = await new Promise((resolve, reject) => {
+    let written = 0;
+    const output = fs.createWriteStream(target);
+    const fail = error => {
+      response.data.destroy();
+      output.destroy();
+      if (fs.existsSync(target)) fs.unlinkSync(target);
+      reject(error);
+    };
+
+    response.data.on('data', data => {
+      written += data.length;
+      if (written > maxBytes) {
+        fail(downloadError(`Document is larger than ${Math.round(maxBytes / 1048576)}MB`));
+      }
+    });
+    response.data.on('error', error => fail(downloadError(`Download failed: ${error.message}`, true)));
+    output.on('error', fail);
+    output.on('finish', () => resolve(written));
+    response.data.pipe(output);
+  });
+
+  return {
+    path: target,
+    filename: filename,
+    contentType: response.headers['content-type'] || null,
+    size: size,
+    finalUrl: finalUrl
+  };
+}
+
+module.exports = { downloadDocument, createPublicLookup, isPrivateAddress };
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const PineconeREST = require('./pinecone-rest');
+const LocalVectorStore = require('./local-vector-store');
+
+// Every vector store backend implements the same interface:
+//   describeIndexStats()
+//   query(vector, topK, filter)  -> { matches: [{ id, score, metadata }] }
+//   upsert(vectors)
+//   fetch(ids)                   -> { vectors: { [id]: { id, values, metadata } } }
+//   delete(ids)
+//   deleteByFilter(filter, prefix) -> deletes the vectors with ids starting with prefix whose
+//                                    metadata matches filter; { deleted, ids }
+//   updateMetadata(id, metadata) -> merges the given fields into the stored metadata
+//   updateMetadataMany([{ id, metadata }]) -> the same for many vectors; on failure the error's
+//                                            updatedIds lists the ones already changed
+//   listIds(prefix)              -> ids starting with prefix
+//
+// The backend is chosen with VECTOR_STORE ('pinecone' or 'local').
+function createVectorStore(options = {}) {
+  const backend = (options.backend || process.env.VECTOR_STORE || 'pinecone').toLowerCase();
+
+  switch (backend) {
+    case 'pinecone':
+      return new PineconeREST({
+        apiKey: options.apiKey || process.env.PINECONE_API_KEY,
+        indexHost: options.indexHost || process.env.PINECONE_INDEX_HOST
+      });
+    case 'local':
+      return new LocalVectorStore({
+        filePath: options.filePath || process.env.LOCAL_VECTOR_STORE_PATH
+      });
+    default:
+      throw new Error(`Unknown vector store backend: ${backend}`);
+  }
+}
+
+module.exports = { createVectorStore };
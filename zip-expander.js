@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+
+// Expands uploaded ZIP archives into individual documents for the ingestion queue.
+// Entry names are never used as file paths; entries are written under generated names.
+// Limits guard against zip bombs: the entry count, each entry's size, the total size and the
+// expansion ratio are capped, and sizes are counted while writing rather than trusted from the
+// headers. The count, total and ratio are shared by every archive in one upload, nested ZIPs
+// included, so spreading a bomb over several archives does not reset them.
+
+const DEFAULT_LIMITS = {
+  maxEntries: Number(process.env.ZIP_MAX_ENTRIES) || 200,
+  maxEntryBytes: Number(process.env.ZIP_MAX_ENTRY_BYTES) || 50 * 1024 * 1024,
+  maxTotalBytes: Number(process.env.ZIP_MAX_TOTAL_BYTES) || 500 * 1024 * 1024,
+  maxCompressionRatio: Number(process.env.ZIP_MAX_RATIO) || 100,
+  maxDepth: Number(process.env.ZIP_MAX_DEPTH) || 2  // Levels of ZIPs inside ZIPs that are expanded
+};
+
+const IGNORED_ENTRIES = /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db|desktop\.ini)(\/|$)|(^|\/)\./;
+const ARCHIVE_EXTENSIONS = ['.zip', '.7z', '.rar', '.tar', '.gz', '.tgz'];
+
+// Folder names are checked before the filename, so "Transcripts/Q3 deck notes.pdf" is a transcript
+const DOCUMENT_TYPE_RULES = [
+  { type: 'transcripts', pattern: /transcript|earnings[-_ ]?call|conference[-_ ]?call/i },
+  { type: 'presentations', pattern: /presentation|slides?\b|deck|investor[-_ ]?day/i },
+  { type: 'external-research', pattern: /research|analyst|broker|sell[-_ ]?side|initiation/i }
+];
+
+function inferDocumentType(entryName, fallback = 'other') {
+  const segments = entryName.split('/').filter(Boolean);
+  const folders = segments.slice(0, -1).reverse();
+  const filename = segments[segments.length - 1] || '';
+
+  for (const segment of [...folders, filename]) {
+    const rule = DOCUMENT_TYPE_RULES.find(candidate => candidate.pattern.test(segment));
+    if (rule) return rule.type;
+  }
+
+  if (path.extname(filename).toLowerCase() === '.pptx') return 'presentations';
+  return fallback || 'other';
+}
+
+// Running totals for one upload request. archiveBytes counts the uploaded archives only, since
+// a nested archive is itself expanded output.
+function expansionBudget(limits = {}) {
+  return { limits: { ...DEFAULT_LIMITS, ...limits }, entries: 0, bytes: 0, archiveBytes: 0 };
+}
+
+const megabytes = bytes => `${Math.round(bytes / 1048576)}MB`;
+
+function archiveError(message) {
+  const error = new Error(message);
+  error.code = 'ARCHIVE_REJECTED';
+  error.retryable = false;
+  return error;
+}
+
+// Stream one entry to disk, stopping as soon as it passes maxBytes
+function writeEntry(entry, target, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let written = 0;
+    const output = fs.createWriteStream(target);
+    const input = entry.nodeStream('nodebuffer');
+
+    const fail = error => {
+      input.pause();
+      output.destroy();
+      if (fs.existsSync(target)) fs.unlinkSync(target);
+      reject(error);
+    };
+
+    input.on('data', data => {
+      written += data.length;
+      if (written > maxBytes) {
+        const error = new Error('Entry exceeds size limit');
+        error.code = 'ENTRY_TOO_LARGE';
+        fail(error);
+      }
+    });
+    input.on('error', fail);
+    output.on('error', fail);
+    output.on('finish', () => resolve(written));
+    input.pipe(output);
+  });
+}
+
+// Returns { files: [{ filename, archivePath, path, documentType, size }], skipped: [{ entry, reason }] }.
+// options.supportedExtensions lists the document types to keep; options.defaultType is used
+// when neither folder nor filename suggests one. Pass the same options.budget (from
+// expansionBudget) for every archive of one upload; without it the archive gets its own.
+async function expandZip(zipPath, destDir, options = {}) {
+  return expandArchive(zipPath, destDir, options, options.budget || expansionBudget(options.limits), 0);
+}
+
+async function expandArchive(zipPath, destDir, options, budget, depth) {
+  const limits = budget.limits;
+  const supported = options.supportedExtensions || [];
+
+  let zip;
+  try {
+    const data = fs.readFileSync(zipPath);
+    if (depth === 0) budget.archiveBytes += data.length;
+    zip = await JSZip.loadAsync(data);
+  } catch (error) {
+    throw archiveError(`Could not read ZIP archive: ${error.message}`);
+  }
+
+  const files = [];
+  const skipped = [];
+  const candidates = [];
+
+  Object.values(zip.files).forEach(entry => {
+    if (entry.dir || IGNORED_ENTRIES.test(entry.name)) return;
+
+    const ext = path.extname(entry.name).toLowerCase();
+    if (ext === '.zip' && depth >= limits.maxDepth) {
+      skipped.push({ entry: entry.name, reason: `Archives nested more than ${limits.maxDepth} deep are not expanded` });
+    } else if (ARCHIVE_EXTENSIONS.includes(ext) && ext !== '.zip') {
+      skipped.push({ entry: entry.name, reason: 'Nested archives are not expanded' });
+    } else if (!supported.includes(ext) && ext !== '.zip') {
+      skipped.push({ entry: entry.name, reason: `Unsupported file type ${ext || '(none)'}` });
+    } else {
+      candidates.push(entry);
+    }
+  });
+
+  budget.entries += candidates.length;
+  if (budget.entries > limits.maxEntries) {
+    throw archiveError(`The uploaded archives hold ${budget.entries} entries; the limit is ${limits.maxEntries}`);
+  }
+
+  const prefix = `archive-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  let written = 0;
+
+  try {
+    for (const entry of candidates) {
+      // Sizes from the central directory can be forged, so they only serve as an early check
+      const declared = entry._data || {};
+      if (declared.uncompressedSize > limits.maxEntryBytes) {
+        skipped.push({ entry: entry.name, reason: `Larger than ${megabytes(limits.maxEntryBytes)}` });
+        continue;
+      }
+      if (declared.compressedSize > 0 && declared.uncompressedSize / declared.compressedSize > limits.maxCompressionRatio) {
+        skipped.push({ entry: entry.name, reason: 'Suspicious compression ratio' });
+        continue;
+      }
+
+      const ext = path.extname(entry.name).toLowerCase();
+      const target = path.join(destDir, `${prefix}-${written++}${ext}`);
+      const totalRemaining = limits.maxTotalBytes - budget.bytes;
+      const ratioRemaining = limits.maxCompressionRatio * budget.archiveBytes - budget.bytes;
+      const maxBytes = Math.min(limits.maxEntryBytes, totalRemaining, ratioRemaining);
+
+      let size;
+      try {
+        size = await writeEntry(entry, target, maxBytes);
+      } catch (error) {
+        if (error.code === 'ENTRY_TOO_LARGE' && maxBytes < limits.maxEntryBytes) {
+          throw archiveError(totalRemaining <= ratioRemaining
+            ? `The uploaded archives expand beyond ${megabytes(limits.maxTotalBytes)}`
+            : `The uploaded archives expand to more than ${limits.maxCompressionRatio} times their size`);
+        }
+        skipped.push({ entry: entry.name, reason: error.code === 'ENTRY_TOO_LARGE' ? `Larger than ${megabytes(limits.maxEntryBytes)}` : error.message });
+        continue;
+      }
+      budget.bytes += size;
+
+      if (ext !== '.zip') {
+        files.push({
+          filename: path.basename(entry.name),
+          archivePath: entry.name,
+          path: target,
+          documentType: inferDocumentType(entry.name, options.defaultType),
+          size: size
+        });
+        continue;
+      }
+
+      // A ZIP inside the ZIP: expand it against the same budget, then drop it, so only its
+      // contents stay counted. Its folder and name take part in the document type.
+      let inner;
+      try {
+        inner = await expandArchive(target, destDir, options, budget, depth + 1);
+      } finally {
+        fs.unlinkSync(target);
+        budget.bytes -= size;
+      }
+      inner.files.forEach(file => files.push({
+        ...file,
+        archivePath: `${entry.name}/${file.archivePath}`,
+        documentType: inferDocumentType(`${entry.name}/${file.archivePath}`, options.defaultType)
+      }));
+      skipped.push(...inner.skipped.map(other => ({ ...other, entry: `${entry.name}/${other.entry}` })));
+    }
+  } catch (error) {
+    files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+    throw error;
+  }
+
+  return { files, skipped };
+}
+
+module.exports = { expandZip, expansionBudget, inferDocumentType, ARCHIVE_EXTENSIONS };